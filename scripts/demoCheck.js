@@ -388,6 +388,8 @@ function checkDemoSafety() {
   try {
     const serverPath = join(rootDir, 'server', 'server.js');
     const serverContent = readFileSync(serverPath, 'utf-8');
+    // Model JSON is parsed by the shared structured output layer
+    const structuredOutputContent = readFileSync(join(rootDir, 'server', 'structuredOutput.js'), 'utf-8');
     
     // Check for fallback logic
     const fallbackChecks = [
@@ -395,12 +397,12 @@ function checkDemoSafety() {
       { name: 'Mock chat response fallback', pattern: /generateMockResponse|mock.*response/i },
       { name: 'Mock evaluation fallback', pattern: /generateMockEvaluation|mock.*evaluation/i },
       { name: 'Mock LinkedIn draft fallback', pattern: /generateMockDraft|mock.*draft/i },
-      { name: 'JSON parse error handling', pattern: /JSON\.parse|try.*catch.*JSON/i },
+      { name: 'JSON parse error handling', pattern: /JSON\.parse|try.*catch.*JSON/i, content: structuredOutputContent },
       { name: 'API key missing check', pattern: /!apiKey|OPENAI_API_KEY.*not found/i }
     ];
     
     for (const check of fallbackChecks) {
-      if (check.pattern.test(serverContent)) {
+      if (check.pattern.test(check.content || serverContent)) {
         success(`${check.name} exists`);
       } else {
         error(`${check.name} not found`);
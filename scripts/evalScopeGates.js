@@ -0,0 +1,486 @@
+/**
+ * Offline Scope-Gate Evaluation Harness
+ *
+ * Replays a labelled question corpus through the topic-chat gate pipeline
+ * and reports how often each gate refuses questions it should answer.
+ *
+ * Gates evaluated (same order as POST /api/topic-chat):
+ * - Question rephraser (rephraseQuestion) - rephrase rate only
+ * - Safety pre-filter (preFilterQuestion)
+ * - Embedding scope gate (evaluateQuestionScope)
+ * - Context overlap gate (hasContextOverlap)
+ * - Full pipeline (prepareTopicChat) - no LLM call is made
+ *
+ * "Positive" = refused. Precision/recall are for refusing 'out' questions;
+ * false refusals are 'in' questions the gate refused.
+ *
+ * Embedding modes:
+ * - --embeddings=local     Local hashed n-gram vectors (default, no network)
+ * - --embeddings=replay    Provider vectors replayed from --recording (no network)
+ * - --embeddings=record    Call the configured provider once and save the
+ *                          vectors to --recording for later replays
+ *
+ * Options:
+ * - --corpus=<file>        Labelled corpus (default: scripts/data/scopeGateCorpus.json)
+ * - --recording=<file>     Recorded vectors (default: scripts/data/scopeGateEmbeddings.json)
+ * - --json=<file>          Also write the full report as JSON
+ * - --verbose              List every misclassified question
+ *
+ * Usage: node scripts/evalScopeGates.js [options]
+ */
+
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { createServer } from 'http';
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve } from 'path';
+import dotenv from 'dotenv';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const rootDir = join(__dirname, '..');
+
+/**
+ * Similarity thresholds tried by the sweep (per embedding mode)
+ */
+const SWEEP_THRESHOLDS = {
+  local: [0.06, 0.08, 0.10, 0.12, 0.14, 0.16, 0.18, 0.20],
+  provider: [0.14, 0.16, 0.18, 0.20, 0.22, 0.24, 0.26, 0.28, 0.30]
+};
+
+/**
+ * Parse --name=value / --flag arguments
+ * @param {string[]} argv - process.argv.slice(2)
+ * @returns {Object}
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (const arg of argv) {
+    const match = arg.match(/^--([a-z-]+)(?:=(.*))?$/);
+    if (!match) {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+    args[match[1]] = match[2] === undefined ? true : match[2];
+  }
+  return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+const embeddingMode = args.embeddings || 'local';
+const corpusPath = resolve(args.corpus || join(rootDir, 'scripts', 'data', 'scopeGateCorpus.json'));
+const recordingPath = resolve(args.recording || join(rootDir, 'scripts', 'data', 'scopeGateEmbeddings.json'));
+
+if (!['local', 'replay', 'record'].includes(embeddingMode)) {
+  console.error(`❌ Unknown --embeddings mode "${embeddingMode}" (use local, replay or record)`);
+  process.exit(1);
+}
+
+// Throwaway state; provider settings from server/.env (same files as the server)
+process.env.DKB_STORAGE = 'memory';
+process.env.AUDIT_LOG_ENABLED = 'false';
+dotenv.config({ path: join(rootDir, 'server', '.env') });
+if (!process.env.OPENAI_API_KEY) {
+  dotenv.config({ path: join(rootDir, '.env') });
+}
+
+const {
+  DKB_SCOPE_THRESHOLD,
+  preFilterQuestion,
+  rephraseQuestion,
+  resolveFollowUpQuestion,
+  evaluateQuestionScope,
+  buildRAGContext,
+  hasContextOverlap,
+  prepareTopicChat
+} = await import('../server/topicChatGates.js');
+const { getEmbeddingModel } = await import('../server/llmProvider.js');
+const { LOCAL_SCOPE_THRESHOLD } = await import('../server/localEmbedding.js');
+
+// Provider settings as loaded from server/.env (used by --embeddings=record)
+const upstream = {
+  baseURL: (process.env.LLM_EMBEDDING_BASE_URL || process.env.LLM_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, ''),
+  apiKey: process.env.LLM_API_KEY || process.env.OPENAI_API_KEY || '',
+  model: getEmbeddingModel()
+};
+
+/**
+ * Load labelled corpus
+ * @returns {Object}
+ */
+function loadCorpus() {
+  const corpus = JSON.parse(readFileSync(corpusPath, 'utf8'));
+  if (!Array.isArray(corpus.topics)) {
+    throw new Error('Corpus must have a "topics" array');
+  }
+  for (const topic of corpus.topics) {
+    for (const item of topic.questions || []) {
+      if (!['in', 'out'].includes(item.label)) {
+        throw new Error(`Question "${item.question}" in ${topic.id} must be labelled 'in' or 'out'`);
+      }
+    }
+  }
+  return corpus;
+}
+
+/**
+ * Start an OpenAI-compatible /embeddings server backed by the recording
+ *
+ * replay: unknown texts fail (the scope gate then falls back, which is counted)
+ * record: unknown texts are fetched from the real provider and stored
+ *
+ * @param {Object} recording - { model, embeddings: { text: vector } }
+ * @returns {Promise<{server: import('http').Server, baseURL: string, stats: Object}>}
+ */
+async function startEmbeddingServer(recording) {
+  const stats = { hits: 0, misses: 0, recorded: 0 };
+
+  const embed = async (text) => {
+    if (recording.embeddings[text]) {
+      stats.hits++;
+      return recording.embeddings[text];
+    }
+    if (embeddingMode !== 'record') {
+      stats.misses++;
+      return null;
+    }
+
+    const response = await fetch(`${upstream.baseURL}/embeddings`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(upstream.apiKey ? { Authorization: `Bearer ${upstream.apiKey}` } : {})
+      },
+      body: JSON.stringify({ model: upstream.model, input: text, encoding_format: 'float' })
+    });
+    if (!response.ok) {
+      throw new Error(`Provider returned ${response.status}: ${(await response.text()).substring(0, 200)}`);
+    }
+    const payload = await response.json();
+    recording.embeddings[text] = payload.data[0].embedding;
+    stats.recorded++;
+    return recording.embeddings[text];
+  };
+
+  const server = createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', async () => {
+      const reply = (status, payload) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(payload));
+      };
+      try {
+        if (req.method !== 'POST' || !req.url.endsWith('/embeddings')) {
+          return reply(404, { error: { message: 'Not found' } });
+        }
+        const { input, encoding_format: encodingFormat } = JSON.parse(body);
+        const inputs = Array.isArray(input) ? input : [input];
+        const vectors = [];
+        for (const text of inputs) {
+          const vector = await embed(text);
+          if (!vector) {
+            return reply(404, { error: { message: `No recorded embedding for: ${String(text).substring(0, 80)}` } });
+          }
+          vectors.push(vector);
+        }
+        // The OpenAI SDK asks for base64 by default
+        const encode = (vector) => encodingFormat === 'base64'
+          ? Buffer.from(new Float32Array(vector).buffer).toString('base64')
+          : vector;
+        reply(200, {
+          object: 'list',
+          model: recording.model,
+          data: vectors.map((vector, index) => ({ object: 'embedding', index, embedding: encode(vector) }))
+        });
+      } catch (error) {
+        reply(502, { error: { message: error.message } });
+      }
+    });
+  });
+
+  await new Promise(resolveListen => server.listen(0, '127.0.0.1', resolveListen));
+  return { server, baseURL: `http://127.0.0.1:${server.address().port}/v1`, stats };
+}
+
+/**
+ * Empty confusion matrix
+ * @returns {Object}
+ */
+function emptyMatrix() {
+  return { tp: 0, fp: 0, fn: 0, tn: 0 };
+}
+
+/**
+ * Add one decision to a matrix
+ * @param {Object} matrix - Confusion matrix
+ * @param {'in'|'out'} label - Expected label
+ * @param {boolean} refused - Gate decision
+ */
+function count(matrix, label, refused) {
+  if (refused) {
+    label === 'out' ? matrix.tp++ : matrix.fp++;
+  } else {
+    label === 'out' ? matrix.fn++ : matrix.tn++;
+  }
+}
+
+/**
+ * Precision / recall / false refusal rate for a matrix
+ * @param {Object} matrix - Confusion matrix
+ * @returns {Object}
+ */
+function summarize(matrix) {
+  const ratio = (a, b) => (b === 0 ? null : a / b);
+  const precision = ratio(matrix.tp, matrix.tp + matrix.fp);
+  const recall = ratio(matrix.tp, matrix.tp + matrix.fn);
+  return {
+    ...matrix,
+    precision,
+    recall,
+    f1: precision !== null && recall !== null && precision + recall > 0
+      ? (2 * precision * recall) / (precision + recall)
+      : null,
+    falseRefusalRate: ratio(matrix.fp, matrix.fp + matrix.tn)
+  };
+}
+
+/**
+ * Format a 0..1 ratio as a percentage
+ * @param {number|null} value - Ratio
+ * @returns {string}
+ */
+function percent(value) {
+  return value === null ? '   n/a' : `${(value * 100).toFixed(1).padStart(5)}%`;
+}
+
+/**
+ * Run every corpus question through the gates
+ * @param {Object} corpus - Labelled corpus
+ * @param {string|null} apiKey - Embedding key (null → local embeddings)
+ * @returns {Promise<Object[]>} - One result per question
+ */
+async function evaluateCorpus(corpus, apiKey) {
+  const results = [];
+
+  for (const topic of corpus.topics) {
+    const subtasks = Array.isArray(topic.subtasks) ? topic.subtasks : [];
+    // Standalone gate checks and the pipeline use separate DKBs (same content)
+    const scope = `eval-gates:${topic.id}`;
+    const ragContext = await buildRAGContext(topic.topic, subtasks, scope);
+
+    for (const item of topic.questions) {
+      const history = Array.isArray(item.history) ? item.history : [];
+      const rephrased = rephraseQuestion(item.question, topic.topic, subtasks);
+      const finalQuestion = rephrased || item.question;
+      const followUp = rephrased ? null : resolveFollowUpQuestion(item.question, history);
+      const scopeQuestion = followUp || finalQuestion;
+
+      const preFilter = preFilterQuestion(finalQuestion, topic.topic, subtasks);
+      const scopeDecision = await evaluateQuestionScope(scopeQuestion, topic.topic, subtasks, [], apiKey, scope);
+      const overlap = hasContextOverlap(followUp || item.question, ragContext);
+
+      const reply = await prepareTopicChat({
+        userMessage: item.question,
+        currentDayTopic: topic.topic,
+        currentDaySubtasks: subtasks,
+        syllabusId: topic.id,
+        history
+      }, 'eval-pipeline');
+
+      results.push({
+        topicId: topic.id,
+        question: item.question,
+        label: item.label,
+        rephrased,
+        followUp,
+        gates: {
+          pre_filter: { refused: Boolean(preFilter), reason: preFilter?.reason || null, category: preFilter?.category || null },
+          scope: {
+            refused: !scopeDecision.inScope,
+            method: scopeDecision.method,
+            similarity: scopeDecision.similarity,
+            threshold: scopeDecision.threshold
+          },
+          context_overlap: { refused: !overlap }
+        },
+        pipeline: {
+          refused: !reply.chat,
+          reason: reply.payload?.reason || null
+        }
+      });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Pipeline decision if the scope threshold were different
+ * (pre-filter and overlap gates do not depend on the threshold)
+ * @param {Object} result - Question result
+ * @param {number} threshold - Candidate threshold
+ * @returns {boolean} - refused
+ */
+function pipelineRefusesAt(result, threshold) {
+  const { pre_filter: preFilter, scope, context_overlap: overlap } = result.gates;
+  const scopeRefuses = scope.method === 'embedding' ? scope.similarity < threshold : scope.refused;
+  return preFilter.refused || scopeRefuses || overlap.refused || result.pipeline.reason === 'no_context';
+}
+
+/**
+ * Build the report
+ * @param {Object[]} results - Per-question results
+ * @param {number} activeThreshold - Threshold in use for this mode
+ * @param {number[]} sweepThresholds - Thresholds to sweep
+ * @returns {Object}
+ */
+function buildReport(results, activeThreshold, sweepThresholds) {
+  const gates = { pre_filter: emptyMatrix(), scope: emptyMatrix(), context_overlap: emptyMatrix(), pipeline: emptyMatrix() };
+  for (const result of results) {
+    for (const name of ['pre_filter', 'scope', 'context_overlap']) {
+      count(gates[name], result.label, result.gates[name].refused);
+    }
+    count(gates.pipeline, result.label, result.pipeline.refused);
+  }
+
+  const sweep = sweepThresholds.map(threshold => {
+    const scope = emptyMatrix();
+    const pipeline = emptyMatrix();
+    for (const result of results) {
+      const scopeRefuses = result.gates.scope.method === 'embedding'
+        ? result.gates.scope.similarity < threshold
+        : result.gates.scope.refused;
+      count(scope, result.label, scopeRefuses);
+      count(pipeline, result.label, pipelineRefusesAt(result, threshold));
+    }
+    return { threshold, scope: summarize(scope), pipeline: summarize(pipeline) };
+  });
+
+  return {
+    questions: results.length,
+    rephraseRate: results.length ? results.filter(r => r.rephrased).length / results.length : 0,
+    followUps: results.filter(r => r.followUp).length,
+    activeThreshold,
+    gates: Object.fromEntries(Object.entries(gates).map(([name, matrix]) => [name, summarize(matrix)])),
+    sweep,
+    misclassified: results.filter(r => r.pipeline.refused !== (r.label === 'out'))
+  };
+}
+
+/**
+ * Print the report
+ * @param {Object} report - Report from buildReport
+ */
+function printReport(report) {
+  console.log(`\n📋 ${report.questions} questions, rephrased ${percent(report.rephraseRate).trim()}, follow-ups resolved: ${report.followUps}`);
+  console.log(`   Scope threshold: ${report.activeThreshold}`);
+
+  console.log('\n📊 Gates (positive = refused)');
+  console.log('   gate              TP   FP   FN   TN   precision  recall  false refusals');
+  for (const [name, stats] of Object.entries(report.gates)) {
+    console.log(
+      `   ${name.padEnd(16)}${String(stats.tp).padStart(4)} ${String(stats.fp).padStart(4)} ${String(stats.fn).padStart(4)} ${String(stats.tn).padStart(4)}` +
+      `      ${percent(stats.precision)}  ${percent(stats.recall)}          ${percent(stats.falseRefusalRate)}`
+    );
+  }
+
+  console.log('\n🎚️  Threshold sweep (scope gate / full pipeline)');
+  console.log('   threshold   scope F1  scope false refusals   pipeline F1  pipeline false refusals');
+  for (const row of report.sweep) {
+    const marker = Math.abs(row.threshold - report.activeThreshold) < 1e-9 ? ' ←' : '';
+    console.log(
+      `   ${row.threshold.toFixed(2).padStart(9)}     ${percent(row.scope.f1)}               ${percent(row.scope.falseRefusalRate)}` +
+      `        ${percent(row.pipeline.f1)}                   ${percent(row.pipeline.falseRefusalRate)}${marker}`
+    );
+  }
+
+  if (args.verbose && report.misclassified.length > 0) {
+    console.log('\n🔍 Misclassified by the pipeline');
+    for (const result of report.misclassified) {
+      const similarity = typeof result.gates.scope.similarity === 'number' ? result.gates.scope.similarity.toFixed(3) : result.gates.scope.method;
+      const verdict = result.pipeline.refused ? `refused (${result.pipeline.reason})` : 'answered';
+      console.log(`   [${result.topicId}] "${result.question}" → expected ${result.label}, ${verdict}, similarity ${similarity}`);
+    }
+  } else if (report.misclassified.length > 0) {
+    console.log(`\nℹ️  ${report.misclassified.length} misclassified by the pipeline (run with --verbose to list them)`);
+  }
+}
+
+/**
+ * Main
+ */
+async function main() {
+  console.log('🧪 Scope-Gate Evaluation\n');
+  console.log(`   Corpus: ${corpusPath}`);
+  console.log(`   Embeddings: ${embeddingMode}`);
+
+  const corpus = loadCorpus();
+  let embeddingServer = null;
+  let recording = null;
+  let apiKey = null;
+
+  if (embeddingMode === 'local') {
+    // Offline: no provider → local hashed n-gram embeddings
+    for (const name of ['LLM_API_KEY', 'OPENAI_API_KEY', 'LLM_BASE_URL', 'LLM_EMBEDDING_BASE_URL']) {
+      delete process.env[name];
+    }
+  } else {
+    if (existsSync(recordingPath)) {
+      recording = JSON.parse(readFileSync(recordingPath, 'utf8'));
+    } else if (embeddingMode === 'replay') {
+      console.error(`❌ No recording at ${recordingPath} - run with --embeddings=record first`);
+      process.exit(1);
+    } else {
+      recording = { model: upstream.model, embeddings: {} };
+    }
+
+    if (embeddingMode === 'record' && !upstream.apiKey && !process.env.LLM_BASE_URL && !process.env.LLM_EMBEDDING_BASE_URL) {
+      console.error('❌ Recording needs a configured provider (LLM_API_KEY / OPENAI_API_KEY in server/.env)');
+      process.exit(1);
+    }
+    if (recording.model !== upstream.model && embeddingMode === 'record') {
+      console.error(`❌ Recording was made with ${recording.model}, provider uses ${upstream.model} - use a new --recording file`);
+      process.exit(1);
+    }
+
+    console.log(`   Recording: ${recordingPath} (${recording.model})`);
+    embeddingServer = await startEmbeddingServer(recording);
+    process.env.LLM_EMBEDDING_BASE_URL = embeddingServer.baseURL;
+    process.env.LLM_EMBEDDING_MODEL = recording.model;
+    process.env.LLM_API_KEY = 'replay';
+    apiKey = process.env.LLM_API_KEY;
+  }
+
+  try {
+    const results = await evaluateCorpus(corpus, apiKey);
+    const report = buildReport(
+      results,
+      apiKey ? DKB_SCOPE_THRESHOLD : LOCAL_SCOPE_THRESHOLD,
+      apiKey ? SWEEP_THRESHOLDS.provider : SWEEP_THRESHOLDS.local
+    );
+    printReport(report);
+
+    if (embeddingServer) {
+      const { hits, misses, recorded } = embeddingServer.stats;
+      console.log(`\n📼 Embeddings: ${hits} replayed, ${recorded} recorded, ${misses} missing`);
+      if (misses > 0) {
+        console.warn('⚠️  Missing embeddings fell back to "in scope" - re-record after changing the corpus');
+      }
+      if (recorded > 0) {
+        writeFileSync(recordingPath, `${JSON.stringify(recording)}\n`);
+        console.log(`   Saved ${recordingPath}`);
+      }
+    }
+
+    if (typeof args.json === 'string') {
+      writeFileSync(resolve(args.json), `${JSON.stringify({ corpus: corpusPath, embeddings: embeddingMode, ...report }, null, 2)}\n`);
+      console.log(`\n💾 Report written to ${resolve(args.json)}`);
+    }
+  } finally {
+    embeddingServer?.server.close();
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Evaluation failed:', error.message);
+  process.exit(1);
+});
@@ -26,6 +26,55 @@ export const AI_TEMPERATURES = {
   FIRST_MESSAGE: 0.2  // Low temperature for instructional first message
 };
 
+/**
+ * Conversation memory limits for the day mentor (topic chat)
+ * Recent turns are sent verbatim up to HISTORY_TOKEN_BUDGET;
+ * older turns are folded into a short rolling summary.
+ */
+export const CHAT_MEMORY = {
+  HISTORY_TOKEN_BUDGET: 600,   // Max estimated tokens of verbatim recent turns
+  SUMMARY_TOKEN_BUDGET: 120,   // Max estimated tokens of the rolling summary
+  MAX_HISTORY_MESSAGES: 40,    // Max transcript messages accepted from the client
+  MAX_MESSAGE_CHARS: 2000      // Max characters kept per transcript message
+};
+
+/**
+ * Chunked syllabus generation (outline first, then days per module)
+ * One SYLLABUS call cannot hold a long plan, so days are requested in
+ * small ranges and missing days are re-requested.
+ */
+export const SYLLABUS_GENERATION = {
+  DAYS_PER_MODULE: 14,       // Target module length (outline granularity)
+  DAYS_PER_CHUNK: 7,         // Max days requested per SYLLABUS call
+  MODULE_CONCURRENCY: 4,     // Modules generated in parallel (keeps 365 days within maxDuration)
+  MAX_GAP_FILL_ATTEMPTS: 2,  // Follow-up calls per chunk for days the model skipped
+  RECENT_TOPICS_CONTEXT: 10, // Earlier day topics sent to avoid repeats
+  COVERED_DAYS_CONTEXT: 30,  // Completed days kept when regenerating a continuation
+  MAX_REMEDIATION_GAPS: 5,   // Evaluation gaps the continuation must address
+  NEIGHBOUR_TOPICS_CONTEXT: 3 // Topics on each side sent when regenerating one day
+};
+
+/**
+ * Default chat model per API call type
+ * Override per deployment via env (see llmProvider.js):
+ *   LLM_MODEL_<CALL_TYPE> > LLM_MODEL > default below
+ */
+export const AI_MODELS = {
+  SYLLABUS: 'gpt-4o-mini',
+  CHAT: 'gpt-3.5-turbo',
+  LINKEDIN: 'gpt-4o-mini',
+  SUGGESTIONS: 'gpt-4o-mini',
+  EVALUATION: 'gpt-4o-mini',
+  CONCEPT_EXTRACTION: 'gpt-4o-mini',
+  FIRST_MESSAGE: 'gpt-4o-mini'
+};
+
+/**
+ * Default embedding model (scope validation / DKB)
+ * Override via LLM_EMBEDDING_MODEL
+ */
+export const EMBEDDING_MODEL = 'text-embedding-3-small';
+
 /**
  * Verify that a token limit is within allowed bounds
  */
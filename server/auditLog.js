@@ -0,0 +1,208 @@
+/**
+ * Refusal Audit Log
+ *
+ * Records every refusal from the safety/scope gates so false positives can be
+ * found and thresholds (e.g. DKB_SCOPE_THRESHOLD) tuned with real data.
+ *
+ * Gates:
+ * - domain           - Syllabus goal blocked by the safety policy
+ * - pre_filter       - Question blocked by the safety policy / off-topic terms
+ * - scope            - Question below the embedding similarity threshold
+ * - no_context       - Empty or too-small RAG context
+ * - context_overlap  - No word overlap between question and context
+ *
+ * Storage: same backend as the DKB (DKB_STORAGE - see dkbStorage.js).
+ *
+ * Configuration (server env):
+ * - AUDIT_LOG_ENABLED      - Set to 'false' to stop recording
+ * - AUDIT_LOG_MAX_ENTRIES  - Records kept by memory/file backends (default: 2000)
+ *
+ * ⚠️ Records contain the (truncated) question text and the user id -
+ * only expose them through admin-protected routes
+ */
+
+import { randomBytes } from 'crypto';
+import { createDKBStorage } from './dkbStorage.js';
+
+/**
+ * Known gate names
+ */
+export const REFUSAL_GATES = ['domain', 'pre_filter', 'scope', 'no_context', 'context_overlap'];
+
+/**
+ * Maximum characters of question/goal text kept per record
+ */
+const MAX_TEXT_LENGTH = 300;
+
+/**
+ * Default number of records returned by queryRefusals
+ */
+const DEFAULT_QUERY_LIMIT = 100;
+
+/**
+ * Maximum number of records returned by queryRefusals
+ */
+const MAX_QUERY_LIMIT = 5000;
+
+/**
+ * Columns (and order) of the CSV export
+ */
+const CSV_COLUMNS = [
+  'id', 'timestamp', 'gate', 'reason', 'ownerId', 'topic', 'text',
+  'similarity', 'threshold', 'embeddingModel', 'category', 'term'
+];
+
+/**
+ * Lazily created store (so env is read after dotenv has loaded)
+ */
+let refusalStore = null;
+
+/**
+ * Get the audit store
+ * @returns {import('./dkbStorage.js').KeyValueStore}
+ */
+function getRefusalStore() {
+  if (!refusalStore) {
+    const maxEntries = Number(process.env.AUDIT_LOG_MAX_ENTRIES) || 2000;
+    refusalStore = createDKBStorage('refusal-audit', { maxEntries });
+  }
+  return refusalStore;
+}
+
+/**
+ * Check whether refusal recording is enabled
+ * @returns {boolean}
+ */
+export function isAuditLogEnabled() {
+  return process.env.AUDIT_LOG_ENABLED !== 'false';
+}
+
+/**
+ * Truncate text for storage
+ * @param {any} text - Text to store
+ * @returns {string|null}
+ */
+function truncateText(text) {
+  if (typeof text !== 'string' || !text.trim()) return null;
+  const trimmed = text.trim();
+  return trimmed.length > MAX_TEXT_LENGTH ? `${trimmed.substring(0, MAX_TEXT_LENGTH)}…` : trimmed;
+}
+
+/**
+ * Record a refusal
+ *
+ * Never throws - audit failures must not affect the response.
+ *
+ * @param {Object} entry - Refusal details
+ * @param {string} entry.gate - One of REFUSAL_GATES
+ * @param {string} entry.reason - Reason returned to the client (e.g. 'out_of_scope')
+ * @param {string} [entry.ownerId] - User id (or anonymous owner)
+ * @param {string} [entry.topic] - Day topic (or null for the domain gate)
+ * @param {string} [entry.text] - Question or goal text
+ * @param {number} [entry.similarity] - Scope similarity score
+ * @param {number} [entry.threshold] - Threshold the score was compared with
+ * @param {string} [entry.embeddingModel] - Model that produced the score
+ * @param {string} [entry.category] - Safety policy category
+ * @param {string} [entry.term] - Keyword/phrase that matched
+ * @returns {Promise<Object|null>} - The stored record, or null if not recorded
+ */
+export async function recordRefusal(entry) {
+  if (!isAuditLogEnabled() || !entry || !REFUSAL_GATES.includes(entry.gate)) {
+    return null;
+  }
+
+  const timestamp = new Date().toISOString();
+  // Timestamp-first ids keep keys in chronological order
+  const id = `${timestamp}_${randomBytes(4).toString('hex')}`;
+  const record = {
+    id,
+    timestamp,
+    gate: entry.gate,
+    reason: entry.reason || null,
+    ownerId: entry.ownerId || null,
+    topic: truncateText(entry.topic),
+    text: truncateText(entry.text),
+    similarity: typeof entry.similarity === 'number' && Number.isFinite(entry.similarity)
+      ? Number(entry.similarity.toFixed(4))
+      : null,
+    threshold: typeof entry.threshold === 'number' ? entry.threshold : null,
+    embeddingModel: entry.embeddingModel || null,
+    category: entry.category || null,
+    term: entry.term || null
+  };
+
+  try {
+    await getRefusalStore().set(id, record);
+    return record;
+  } catch (error) {
+    console.warn('⚠️  Could not record refusal:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Query recorded refusals (newest first)
+ *
+ * @param {Object} filters - Query filters
+ * @param {string} [filters.gate] - Only this gate
+ * @param {string} [filters.ownerId] - Only this user
+ * @param {string} [filters.since] - ISO timestamp (inclusive)
+ * @param {string} [filters.until] - ISO timestamp (exclusive)
+ * @param {number} [filters.limit] - Maximum records (default 100, max 5000)
+ * @returns {Promise<{records: Object[], total: number, byGate: Object}>}
+ *   total/byGate count every match before the limit is applied
+ */
+export async function queryRefusals({ gate = null, ownerId = null, since = null, until = null, limit = DEFAULT_QUERY_LIMIT } = {}) {
+  const store = getRefusalStore();
+  const maxRecords = Math.min(Math.max(Number(limit) || DEFAULT_QUERY_LIMIT, 1), MAX_QUERY_LIMIT);
+
+  // Keys start with the ISO timestamp, so the time filter needs no reads
+  const keys = (await store.keys(''))
+    .filter(key => (!since || key >= since) && (!until || key < until))
+    .sort()
+    .reverse();
+
+  const byGate = Object.fromEntries(REFUSAL_GATES.map(name => [name, 0]));
+  const records = [];
+  let total = 0;
+
+  // One batched read (MGET on redis) instead of a GET per key
+  const values = keys.length > 0 ? await store.getMany(keys) : [];
+
+  for (const record of values) {
+    if (!record) continue;
+    if (gate && record.gate !== gate) continue;
+    if (ownerId && record.ownerId !== ownerId) continue;
+
+    total++;
+    byGate[record.gate] = (byGate[record.gate] || 0) + 1;
+    if (records.length < maxRecords) {
+      records.push(record);
+    }
+  }
+
+  return { records, total, byGate };
+}
+
+/**
+ * Convert records to CSV (RFC 4180 quoting)
+ * @param {Object[]} records - Refusal records
+ * @returns {string}
+ */
+export function refusalsToCsv(records) {
+  const escape = (value) => {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    // Neutralize spreadsheet formulas in user-supplied text
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const record of records) {
+    lines.push(CSV_COLUMNS.map(column => escape(record[column])).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
@@ -0,0 +1,697 @@
+/**
+ * CalDAV Sync
+ *
+ * Pushes the learning plan straight into a CalDAV calendar (Nextcloud,
+ * Fastmail, iCloud, Radicale...) for users who don't want to poll a feed:
+ * one VEVENT resource per day, created, updated and deleted on the server.
+ *
+ * - Account: calendar collection URL + username + password, set from the
+ *   profile. The password is encrypted at rest (AES-256-GCM) and never sent
+ *   back to the client
+ * - Reconcile by UID: the calendar's events are listed (REPORT
+ *   calendar-query); LAIPath events (UID ending in @laipath) that are missing
+ *   or changed are PUT, ones no longer in the plan are DELETEd. Other events
+ *   in the calendar are never touched
+ * - Event identity: same UIDs, SEQUENCE rules and calendar profile (study
+ *   times, timezone) as the ICS feed (calendarFeeds.js), so a user with both
+ *   never sees duplicates
+ * - Conditional requests (If-Match / If-None-Match): an event changed on the
+ *   server after it was listed is not overwritten blindly - the next sync
+ *   picks it up again
+ * - Requests only reach public hosts (checked on the address connected to)
+ *   and redirects are refused, so the user's credentials never go to an
+ *   internal service
+ *
+ * Storage: same backend as the DKB (DKB_STORAGE - see dkbStorage.js); sync
+ * stays disabled unless that backend is durable (redis, or file on a single
+ * server).
+ *
+ * Configuration (server env):
+ * - CALDAV_ENCRYPTION_KEY - Secret for credential encryption; CalDAV sync is
+ *                           disabled without it (e.g. `openssl rand -base64 32`)
+ * - CALDAV_ALLOW_HTTP     - 'true' to allow http:// calendar URLs and
+ *                           loopback / private-network hosts (local testing
+ *                           against Radicale); https to public hosts only
+ *                           otherwise
+ */
+
+import { createCipheriv, createDecipheriv, createHash, randomBytes } from 'crypto';
+import { lookup } from 'dns/promises';
+import http from 'http';
+import https from 'https';
+import { BlockList, isIP } from 'net';
+import { createDKBStorage, isDurableDKBStorage } from './dkbStorage.js';
+import { getEventUid, getEventFingerprint, updateEventSequences, getCalendarProfile } from './calendarFeeds.js';
+import { generateCalendarEntries, generateICalText } from '../src/calendarUtils.js';
+
+/**
+ * Account field limits
+ */
+export const CALDAV_LIMITS = {
+  URL_MAX_LENGTH: 500,
+  USERNAME_MAX_LENGTH: 200,
+  PASSWORD_MAX_LENGTH: 500
+};
+
+/**
+ * Timeout per CalDAV request
+ */
+const REQUEST_TIMEOUT_MS = 15000;
+
+/**
+ * Parallel requests per sync (a long plan is hundreds of PUTs)
+ */
+const SYNC_CONCURRENCY = 4;
+
+/**
+ * UID suffix of events LAIPath owns (see getEventUid)
+ */
+const LAIPATH_UID_SUFFIX = '@laipath';
+
+/**
+ * Redis expiry of account data (1 year, refreshed by every sync)
+ */
+const ACCOUNT_TTL_SECONDS = 365 * 24 * 60 * 60;
+
+/**
+ * CalDAV account or sync failure
+ * statusCode: 400 for bad input/credentials, 502 when the CalDAV server
+ * fails, 503 when sync is not configured on this server
+ */
+export class CalDAVSyncError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'CalDAVSyncError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Lazily created store (so env is read after dotenv has loaded)
+ * Keys: owner:<ownerId> → { calendarUrl, username, password (encrypted),
+ *       timeZone, connectedAt, sequences, pushed, lastSync }
+ */
+let accountStore = null;
+
+/**
+ * Get the account store
+ * @returns {import('./dkbStorage.js').KeyValueStore}
+ */
+function getAccountStore() {
+  if (!accountStore) {
+    accountStore = createDKBStorage('caldav-accounts', { ttlSeconds: ACCOUNT_TTL_SECONDS });
+  }
+  return accountStore;
+}
+
+/**
+ * Whether CalDAV sync is configured on this server
+ * Needs the encryption key and durable storage (accounts on memory storage
+ * would vanish on the next restart or cold start - see isDurableDKBStorage)
+ * @returns {boolean}
+ */
+export function isCalDAVSyncEnabled() {
+  return Boolean(process.env.CALDAV_ENCRYPTION_KEY) && isDurableDKBStorage();
+}
+
+/**
+ * AES-256 key derived from CALDAV_ENCRYPTION_KEY
+ * @returns {Buffer}
+ * @throws {CalDAVSyncError} - Sync not configured
+ */
+function getEncryptionKey() {
+  if (!isCalDAVSyncEnabled()) {
+    throw new CalDAVSyncError('CalDAV sync is not configured on this server', 503);
+  }
+  return createHash('sha256').update(process.env.CALDAV_ENCRYPTION_KEY).digest();
+}
+
+/**
+ * Encrypt a password for storage
+ *
+ * The owner id is authenticated data, so a stored password cannot be
+ * copied to another owner's record.
+ *
+ * @param {string} password - Plain password
+ * @param {string} ownerId - Owner id
+ * @returns {{iv: string, tag: string, data: string}} - base64 parts
+ */
+function encryptPassword(password, ownerId) {
+  const iv = randomBytes(12);
+  const cipher = createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  cipher.setAAD(Buffer.from(ownerId, 'utf8'));
+  const data = Buffer.concat([cipher.update(password, 'utf8'), cipher.final()]);
+  return {
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+/**
+ * Decrypt a stored password
+ * @param {Object} encrypted - encryptPassword() output
+ * @param {string} ownerId - Owner id
+ * @returns {string}
+ * @throws {CalDAVSyncError} - Key missing or changed since the account was saved
+ */
+function decryptPassword(encrypted, ownerId) {
+  const key = getEncryptionKey();
+  try {
+    const decipher = createDecipheriv('aes-256-gcm', key, Buffer.from(encrypted.iv, 'base64'));
+    decipher.setAAD(Buffer.from(ownerId, 'utf8'));
+    decipher.setAuthTag(Buffer.from(encrypted.tag, 'base64'));
+    return Buffer.concat([
+      decipher.update(Buffer.from(encrypted.data, 'base64')),
+      decipher.final()
+    ]).toString('utf8');
+  } catch {
+    throw new CalDAVSyncError('Stored CalDAV credentials can no longer be read - reconnect the calendar');
+  }
+}
+
+/**
+ * Validate and normalise a calendar collection URL
+ * @param {any} value - URL from the client
+ * @returns {string} - URL ending in '/'
+ * @throws {CalDAVSyncError}
+ */
+function normalizeCalendarUrl(value) {
+  const raw = typeof value === 'string' ? value.trim() : '';
+  if (!raw || raw.length > CALDAV_LIMITS.URL_MAX_LENGTH) {
+    throw new CalDAVSyncError('A calendar URL is required');
+  }
+
+  let url;
+  try {
+    url = new URL(raw);
+  } catch {
+    throw new CalDAVSyncError('Calendar URL must be a valid URL');
+  }
+
+  const allowHttp = process.env.CALDAV_ALLOW_HTTP === 'true';
+  if (url.protocol !== 'https:' && !(allowHttp && url.protocol === 'http:')) {
+    throw new CalDAVSyncError('Calendar URL must use https://');
+  }
+  if (url.username || url.password) {
+    throw new CalDAVSyncError('Enter the username and password in their own fields, not in the URL');
+  }
+
+  url.hash = '';
+  if (!url.pathname.endsWith('/')) {
+    url.pathname += '/';
+  }
+  return url.href;
+}
+
+/**
+ * Addresses a calendar URL must not resolve to: loopback, private networks,
+ * link-local (cloud metadata), carrier-grade NAT, multicast and reserved
+ * ranges. The server's credentials-bearing requests would otherwise reach
+ * internal services on the user's behalf. IPv4-mapped IPv6 addresses
+ * are checked against the IPv4 ranges by BlockList itself.
+ */
+const NON_PUBLIC_ADDRESSES = new BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  NON_PUBLIC_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+  NON_PUBLIC_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+/**
+ * Whether CalDAV requests may go to loopback / private-network hosts
+ * (CALDAV_ALLOW_HTTP, for a local Radicale)
+ * @returns {boolean}
+ */
+function allowsPrivateHosts() {
+  return process.env.CALDAV_ALLOW_HTTP === 'true';
+}
+
+/**
+ * Whether an IP address is outside NON_PUBLIC_ADDRESSES
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+function isPublicAddress(address) {
+  return !NON_PUBLIC_ADDRESSES.check(address, isIP(address) === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * DNS lookup for CalDAV connections (http.request `lookup` option)
+ *
+ * Resolves like dns.lookup but fails when any address is not public, so the
+ * address that was checked is the one the socket connects to - a host whose
+ * DNS changes between a check and the request can't slip through.
+ *
+ * @param {string} hostname - Host to resolve
+ * @param {Object} options - dns.lookup options from net.connect
+ * @param {Function} callback - dns.lookup-style callback
+ */
+function lookupPublicAddress(hostname, options, callback) {
+  lookup(hostname, { ...options, all: true }).then(addresses => {
+    if (!allowsPrivateHosts() && !addresses.every(({ address }) => isPublicAddress(address))) {
+      callback(new CalDAVSyncError('Calendar URL must point to a server on the internet'));
+    } else if (options.all) {
+      callback(null, addresses);
+    } else {
+      callback(null, addresses[0].address, addresses[0].family);
+    }
+  }, callback);
+}
+
+/**
+ * Send one HTTP request without following redirects
+ *
+ * @param {string} url - Absolute URL
+ * @param {Object} options
+ * @param {string} options.method - HTTP method
+ * @param {Object} options.headers - Request headers
+ * @param {string} [options.body] - Request body
+ * @returns {Promise<{status: number, ok: boolean, headers: Object, body: string}>}
+ */
+function sendHttpRequest(url, { method, headers, body }) {
+  const target = new URL(url);
+  const transport = target.protocol === 'https:' ? https : http;
+  return new Promise((resolve, reject) => {
+    const request = transport.request(target, {
+      method,
+      headers: body === undefined ? headers : { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      // Literal IP hosts skip DNS lookup - checked in caldavRequest instead
+      lookup: lookupPublicAddress,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    }, response => {
+      const chunks = [];
+      response.on('data', chunk => chunks.push(chunk));
+      response.on('error', reject);
+      response.on('end', () => resolve({
+        status: response.statusCode,
+        ok: response.statusCode >= 200 && response.statusCode < 300,
+        headers: response.headers,
+        body: Buffer.concat(chunks).toString('utf8')
+      }));
+    });
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+/**
+ * Send a request to the CalDAV server
+ *
+ * Only public hosts are contacted (unless CALDAV_ALLOW_HTTP is set) and
+ * redirects are refused, not followed: a redirect could point the
+ * credentials-bearing request at an internal address.
+ *
+ * @param {Object} credentials - { username, password }
+ * @param {string} method - HTTP method (PROPFIND, REPORT, PUT, DELETE)
+ * @param {string} url - Absolute URL
+ * @param {Object} [options]
+ * @param {Object} [options.headers] - Extra headers
+ * @param {string} [options.body] - Request body
+ * @returns {Promise<{status: number, ok: boolean, headers: Object, body: string}>} - headers lower-cased
+ * @throws {CalDAVSyncError} - Host not public, server unreachable, redirect, or credentials rejected
+ */
+async function caldavRequest({ username, password }, method, url, { headers = {}, body } = {}) {
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  if (!allowsPrivateHosts() && isIP(hostname) && !isPublicAddress(hostname)) {
+    throw new CalDAVSyncError('Calendar URL must point to a server on the internet');
+  }
+
+  let response;
+  try {
+    response = await sendHttpRequest(url, {
+      method,
+      headers: {
+        Authorization: `Basic ${Buffer.from(`${username}:${password}`, 'utf8').toString('base64')}`,
+        ...headers
+      },
+      body
+    });
+  } catch (error) {
+    if (error instanceof CalDAVSyncError) {
+      throw error;
+    }
+    // No network detail - it would tell a caller which internal ports are open
+    throw new CalDAVSyncError('Could not reach the CalDAV server', 502);
+  }
+
+  if (response.status >= 300 && response.status < 400) {
+    throw new CalDAVSyncError('The CalDAV server redirected the request - use the calendar\'s final URL', 502);
+  }
+  if (response.status === 401 || response.status === 403) {
+    throw new CalDAVSyncError('The CalDAV server rejected the username or password');
+  }
+  return response;
+}
+
+/**
+ * Contents of every element with a (namespace-prefixed) local name
+ * @param {string} xml - XML text
+ * @param {string} name - Local element name, e.g. 'response'
+ * @returns {string[]} - Inner XML ('' for empty elements)
+ */
+function getXmlElements(xml, name) {
+  const pattern = new RegExp(
+    `<(?:[\\w.-]+:)?${name}\\b[^>]*?(?:/>|>([\\s\\S]*?)</(?:[\\w.-]+:)?${name}\\s*>)`,
+    'g'
+  );
+  return [...xml.matchAll(pattern)].map(match => match[1] || '');
+}
+
+/**
+ * Decode XML text content (entities and CDATA)
+ * @param {string} text - Inner XML
+ * @returns {string}
+ */
+function decodeXmlText(text) {
+  return text
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, (_, data) => data)
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Check that a URL is a calendar collection the credentials can read
+ * @param {Object} credentials - { username, password }
+ * @param {string} calendarUrl - Calendar collection URL
+ * @returns {Promise<void>}
+ * @throws {CalDAVSyncError}
+ */
+async function verifyCalendarCollection(credentials, calendarUrl) {
+  const response = await caldavRequest(credentials, 'PROPFIND', calendarUrl, {
+    headers: { Depth: '0', 'Content-Type': 'application/xml; charset=utf-8' },
+    body: '<?xml version="1.0" encoding="utf-8"?>' +
+      '<d:propfind xmlns:d="DAV:"><d:prop><d:resourcetype/></d:prop></d:propfind>'
+  });
+
+  if (response.status !== 207) {
+    throw new CalDAVSyncError('That URL is not a calendar the CalDAV server can list');
+  }
+
+  const resourceType = getXmlElements(response.body, 'resourcetype')[0] || '';
+  if (getXmlElements(resourceType, 'calendar').length === 0) {
+    throw new CalDAVSyncError('That URL is not a calendar - use the URL of one calendar, not of the account');
+  }
+}
+
+/**
+ * List the calendar's events
+ * @param {Object} credentials - { username, password }
+ * @param {string} calendarUrl - Calendar collection URL
+ * @returns {Promise<Map<string, {href: string, etag: string|null}>>} - By UID;
+ *   events whose href points outside the calendar's origin are left out, so
+ *   PUT / DELETE (with the user's credentials) never go to another host
+ * @throws {CalDAVSyncError}
+ */
+async function listCalendarEvents(credentials, calendarUrl) {
+  const response = await caldavRequest(credentials, 'REPORT', calendarUrl, {
+    headers: { Depth: '1', 'Content-Type': 'application/xml; charset=utf-8' },
+    body: '<?xml version="1.0" encoding="utf-8"?>' +
+      '<c:calendar-query xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav">' +
+      '<d:prop><d:getetag/><c:calendar-data><c:comp name="VCALENDAR"><c:comp name="VEVENT">' +
+      '<c:prop name="UID"/></c:comp></c:comp></c:calendar-data></d:prop>' +
+      '<c:filter><c:comp-filter name="VCALENDAR"><c:comp-filter name="VEVENT"/></c:comp-filter></c:filter>' +
+      '</c:calendar-query>'
+  });
+
+  if (response.status !== 207) {
+    throw new CalDAVSyncError('Listing calendar events failed', 502);
+  }
+
+  const { origin } = new URL(calendarUrl);
+  const events = new Map();
+  for (const item of getXmlElements(response.body, 'response')) {
+    const href = decodeXmlText(getXmlElements(item, 'href')[0] || '').trim();
+    const etag = decodeXmlText(getXmlElements(item, 'getetag')[0] || '').trim() || null;
+    const calendarData = decodeXmlText(getXmlElements(item, 'calendar-data')[0] || '');
+    const uid = calendarData.replace(/\r?\n[ \t]/g, '').match(/^UID:(.+)$/m)?.[1]?.trim();
+    if (!href || !uid) {
+      continue;
+    }
+    let url;
+    try {
+      url = new URL(href, calendarUrl);
+    } catch {
+      continue;
+    }
+    if (url.origin === origin) {
+      events.set(uid, { href: url.href, etag });
+    }
+  }
+  return events;
+}
+
+/**
+ * URL of a new event resource in the calendar
+ * @param {string} calendarUrl - Calendar collection URL
+ * @param {string} uid - Event UID
+ * @returns {string}
+ */
+function getEventResourceUrl(calendarUrl, uid) {
+  return new URL(`${uid.replace(/[^A-Za-z0-9._-]/g, '-')}.ics`, calendarUrl).href;
+}
+
+/**
+ * Run async tasks with limited concurrency
+ * @param {Array<() => Promise<void>>} tasks - Tasks (must not throw)
+ * @param {number} limit - Maximum tasks in flight
+ * @returns {Promise<void>}
+ */
+async function runWithConcurrency(tasks, limit) {
+  let next = 0;
+  const workers = Array.from({ length: Math.min(limit, tasks.length) }, async () => {
+    while (next < tasks.length) {
+      await tasks[next++]();
+    }
+  });
+  await Promise.all(workers);
+}
+
+/**
+ * Account fields safe to send to the client
+ * @param {Object} account - Stored account
+ * @returns {{calendarUrl: string, username: string, timeZone: string|null, connectedAt: string, lastSync: Object|null}}
+ */
+function toPublicAccount(account) {
+  const { calendarUrl, username, timeZone, connectedAt, lastSync = null } = account;
+  return { calendarUrl, username, timeZone, connectedAt, lastSync };
+}
+
+/**
+ * Connect (or reconnect) an owner's CalDAV calendar
+ *
+ * The URL and credentials are checked against the server before saving.
+ *
+ * @param {string} ownerId - Owner id
+ * @param {Object} settings
+ * @param {string} settings.calendarUrl - Calendar collection URL
+ * @param {string} settings.username - CalDAV username
+ * @param {string} settings.password - CalDAV password (app password)
+ * @param {string|null} [settings.timeZone] - IANA timezone of the study times
+ * @returns {Promise<Object>} - Public account
+ * @throws {CalDAVSyncError}
+ */
+export async function saveCalDAVAccount(ownerId, { calendarUrl, username, password, timeZone = null }) {
+  // Fail before contacting the server when sync is not configured
+  getEncryptionKey();
+
+  const url = normalizeCalendarUrl(calendarUrl);
+  const user = typeof username === 'string' ? username.trim() : '';
+  if (!user || user.length > CALDAV_LIMITS.USERNAME_MAX_LENGTH) {
+    throw new CalDAVSyncError('A username is required');
+  }
+  if (typeof password !== 'string' || !password || password.length > CALDAV_LIMITS.PASSWORD_MAX_LENGTH) {
+    throw new CalDAVSyncError('A password is required');
+  }
+
+  await verifyCalendarCollection({ username: user, password }, url);
+
+  const store = getAccountStore();
+  const previous = await store.get(`owner:${ownerId}`);
+  const account = {
+    calendarUrl: url,
+    username: user,
+    password: encryptPassword(password, ownerId),
+    timeZone: typeof timeZone === 'string' && timeZone.trim() ? timeZone.trim().substring(0, 64) : null,
+    connectedAt: new Date().toISOString(),
+    // Sequences only go up, even across reconnects
+    sequences: previous?.sequences || {},
+    pushed: {},
+    lastSync: null
+  };
+  await store.set(`owner:${ownerId}`, account);
+  return toPublicAccount(account);
+}
+
+/**
+ * Get an owner's CalDAV account
+ * @param {string} ownerId - Owner id
+ * @returns {Promise<Object|null>} - Public account, or null when not connected
+ */
+export async function getCalDAVAccount(ownerId) {
+  const account = await getAccountStore().get(`owner:${ownerId}`);
+  return account ? toPublicAccount(account) : null;
+}
+
+/**
+ * Disconnect an owner's CalDAV calendar (events already pushed are kept)
+ * @param {string} ownerId - Owner id
+ * @returns {Promise<boolean>} - false if no calendar was connected
+ */
+export async function deleteCalDAVAccount(ownerId) {
+  const store = getAccountStore();
+  if (!(await store.get(`owner:${ownerId}`))) {
+    return false;
+  }
+  await store.delete(`owner:${ownerId}`);
+  return true;
+}
+
+/**
+ * Syncs in flight per owner - one at a time, so two quick plan updates
+ * don't race each other's conditional requests
+ */
+const syncQueues = new Map();
+
+/**
+ * Sync an owner's learning plan to their CalDAV calendar
+ *
+ * @param {string} ownerId - Owner id
+ * @param {Object} syllabus - Current syllabus
+ * @returns {Promise<Object|null>} - { at, created, updated, deleted,
+ *   unchanged, failed, error }, or null when no calendar is connected
+ * @throws {CalDAVSyncError} - Listing failed (individual event failures are
+ *   counted in `failed` instead)
+ */
+export function syncCalDAVCalendar(ownerId, syllabus) {
+  const previous = syncQueues.get(ownerId) || Promise.resolve();
+  const run = previous.catch(() => {}).then(() => runCalDAVSync(ownerId, syllabus));
+  syncQueues.set(ownerId, run);
+  run.catch(() => {}).finally(() => {
+    if (syncQueues.get(ownerId) === run) syncQueues.delete(ownerId);
+  });
+  return run;
+}
+
+/**
+ * One sync run (see syncCalDAVCalendar)
+ * @param {string} ownerId - Owner id
+ * @param {Object} syllabus - Current syllabus
+ * @returns {Promise<Object|null>}
+ */
+async function runCalDAVSync(ownerId, syllabus) {
+  if (!syllabus || !Array.isArray(syllabus.days)) {
+    throw new CalDAVSyncError('A syllabus with days is required');
+  }
+
+  const store = getAccountStore();
+  const account = await store.get(`owner:${ownerId}`);
+  if (!account) {
+    return null;
+  }
+
+  const counts = { created: 0, updated: 0, deleted: 0, unchanged: 0, failed: 0 };
+  const errors = [];
+  const saveResult = async (fields) => {
+    const lastSync = { at: new Date().toISOString(), ...counts, error: errors[0] || null };
+    await store.set(`owner:${ownerId}`, { ...account, ...fields, lastSync });
+    return lastSync;
+  };
+
+  let credentials;
+  let remoteEvents;
+  try {
+    credentials = { username: account.username, password: decryptPassword(account.password, ownerId) };
+    remoteEvents = await listCalendarEvents(credentials, account.calendarUrl);
+  } catch (error) {
+    errors.push(error.message);
+    await saveResult({});
+    throw error;
+  }
+
+  const profile = await getCalendarProfile(ownerId);
+  const sequences = updateEventSequences(account.sequences || {}, syllabus, profile);
+  const pushed = account.pushed || {};
+  const nextPushed = {};
+  const tasks = [];
+  const desiredUids = new Set();
+  const icsOptions = {
+    durationHours: syllabus.hoursPerDay,
+    timeZone: profile?.timeZone || account.timeZone,
+    calendarName: null,
+    method: null
+  };
+
+  for (const entry of generateCalendarEntries(syllabus, profile)) {
+    const uid = getEventUid(syllabus.id, entry.dayNumber);
+    const fingerprint = getEventFingerprint(entry);
+    const existing = remoteEvents.get(uid);
+    const last = pushed[uid];
+    desiredUids.add(uid);
+
+    // Unchanged: same content as last push, and nobody edited it on the server since
+    if (existing && last && last.fingerprint === fingerprint && (!last.etag || last.etag === existing.etag)) {
+      nextPushed[uid] = last;
+      counts.unchanged++;
+      continue;
+    }
+
+    const event = { ...entry, uid, sequence: sequences[uid]?.sequence || 0 };
+    tasks.push(async () => {
+      try {
+        const conditional = existing
+          ? (existing.etag ? { 'If-Match': existing.etag } : {})
+          : { 'If-None-Match': '*' };
+        const response = await caldavRequest(credentials, 'PUT',
+          existing?.href || getEventResourceUrl(account.calendarUrl, uid), {
+            headers: { 'Content-Type': 'text/calendar; charset=utf-8', ...conditional },
+            body: generateICalText([event], icsOptions)
+          });
+        if (!response.ok) {
+          throw new Error(`Saving day ${entry.dayNumber} failed`);
+        }
+        // ETag is only returned when the server stored the event as sent
+        nextPushed[uid] = { fingerprint, etag: response.headers.etag || null };
+        counts[existing ? 'updated' : 'created']++;
+      } catch (error) {
+        counts.failed++;
+        errors.push(error.message);
+      }
+    });
+  }
+
+  for (const [uid, existing] of remoteEvents) {
+    if (!uid.endsWith(LAIPATH_UID_SUFFIX) || desiredUids.has(uid)) {
+      continue;
+    }
+    tasks.push(async () => {
+      try {
+        const response = await caldavRequest(credentials, 'DELETE', existing.href, {
+          headers: existing.etag ? { 'If-Match': existing.etag } : {}
+        });
+        if (!response.ok && response.status !== 404) {
+          throw new Error('Removing an old event failed');
+        }
+        counts.deleted++;
+      } catch (error) {
+        counts.failed++;
+        errors.push(error.message);
+      }
+    });
+  }
+
+  await runWithConcurrency(tasks, SYNC_CONCURRENCY);
+  return saveResult({ sequences, pushed: nextPushed });
+}
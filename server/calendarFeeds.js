@@ -0,0 +1,346 @@
+/**
+ * Calendar Feeds
+ *
+ * Subscribable ICS feed per user (GET /api/calendar/:feedToken.ics): calendar
+ * apps poll the feed URL, so skipped days, leave and regenerated days show up
+ * without re-exporting.
+ *
+ * - Feed token: random 256-bit secret in the URL - the URL is the credential,
+ *   so tokens are revocable (several per owner, e.g. one per calendar app)
+ * - Snapshot: the owner's latest syllabus, recorded whenever the server stores
+ *   one (setSyllabusState), so the feed is served without a client session
+ * - Event identity: UID per syllabus + day number; SEQUENCE goes up whenever
+ *   an event's date, time or content changes, so subscribers update the event
+ *   in place instead of duplicating it
+ * - Calendar profile: the owner's study times and timezone (ProfilePage, via
+ *   /api/update-calendar-profile) - also used by CalDAV sync
+ *
+ * Storage: same backend as the DKB (DKB_STORAGE - see dkbStorage.js). A feed
+ * URL is added to calendar apps for good, so feeds are only created on a
+ * durable backend (redis, or file on a single server) - on memory storage a
+ * restart or cold start would silently turn every subscribed URL into a 404.
+ *
+ * Configuration (server env):
+ * - CALENDAR_FEED_TTL_SECONDS - Expiry of feed data on redis (default: 1 year,
+ *                               refreshed by every snapshot)
+ */
+
+import { randomBytes } from 'crypto';
+import { createDKBStorage, isDurableDKBStorage } from './dkbStorage.js';
+import { generateCalendarEntries, generateICalText, normalizeCalendarProfile } from '../src/calendarUtils.js';
+
+/**
+ * Maximum active feed tokens per owner
+ */
+export const MAX_FEEDS_PER_OWNER = 5;
+
+/**
+ * Feed tokens are 32 random bytes, base64url (43 characters)
+ */
+const FEED_TOKEN_PATTERN = /^[A-Za-z0-9_-]{43}$/;
+
+/**
+ * Default redis expiry for feed data (1 year)
+ */
+const DEFAULT_FEED_TTL_SECONDS = 365 * 24 * 60 * 60;
+
+/**
+ * Invalid feed request
+ * statusCode: 400 for bad input, 503 when feeds are not available on this server
+ */
+export class CalendarFeedError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'CalendarFeedError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Whether feeds can be created on this server (durable storage configured)
+ * @returns {boolean}
+ */
+export function isCalendarFeedEnabled() {
+  return isDurableDKBStorage();
+}
+
+/**
+ * Lazily created store (so env is read after dotenv has loaded)
+ * Keys: token:<feedToken> → { token, ownerId, timeZone, createdAt }
+ *       owner:<ownerId>   → { tokens, syllabus, sequences, profile, updatedAt }
+ */
+let feedStore = null;
+
+/**
+ * Get the feed store
+ * @returns {import('./dkbStorage.js').KeyValueStore}
+ */
+function getFeedStore() {
+  if (!feedStore) {
+    const ttlSeconds = Number(process.env.CALENDAR_FEED_TTL_SECONDS) || DEFAULT_FEED_TTL_SECONDS;
+    feedStore = createDKBStorage('calendar-feeds', { ttlSeconds });
+  }
+  return feedStore;
+}
+
+/**
+ * Read an owner's feed record
+ * @param {string} ownerId - Owner id
+ * @returns {Promise<Object>} - { tokens, syllabus, sequences, profile, updatedAt }
+ */
+async function getOwnerRecord(ownerId) {
+  const record = await getFeedStore().get(`owner:${ownerId}`);
+  return { tokens: [], syllabus: null, sequences: {}, profile: null, updatedAt: null, ...record };
+}
+
+/**
+ * Check the shape of a feed token (before any storage lookup)
+ * @param {any} token - Token from the URL
+ * @returns {boolean}
+ */
+export function isValidFeedToken(token) {
+  return typeof token === 'string' && FEED_TOKEN_PATTERN.test(token);
+}
+
+/**
+ * Stable event UID for a syllabus day (also used by CalDAV sync)
+ * @param {string|null} syllabusId - Syllabus id
+ * @param {number} dayNumber - Day number
+ * @returns {string}
+ */
+export function getEventUid(syllabusId, dayNumber) {
+  return `${getEventUidPrefix(syllabusId)}${dayNumber}@laipath`;
+}
+
+/**
+ * UID prefix shared by a syllabus' events
+ * @param {string|null} syllabusId - Syllabus id
+ * @returns {string}
+ */
+function getEventUidPrefix(syllabusId) {
+  return `${syllabusId || 'plan'}-day-`;
+}
+
+/**
+ * Fingerprint of what a subscriber sees for an event
+ * @param {Object} entry - Calendar entry
+ * @returns {string}
+ */
+export function getEventFingerprint(entry) {
+  return JSON.stringify([entry.date, entry.time, entry.timeZone, entry.topic, entry.subtasks, entry.status]);
+}
+
+/**
+ * Update event sequences for a syllabus (also used by CalDAV sync)
+ *
+ * New events start at 0; changed events go up by one. Sequences of days that
+ * disappeared are kept, so a day that comes back never reuses an old number.
+ * Other syllabi's events are dropped (the feed shows one plan).
+ *
+ * @param {Object} sequences - uid → { sequence, fingerprint }
+ * @param {Object} syllabus - Syllabus being recorded
+ * @param {Object|null} profile - Owner's calendar profile (study times, timezone)
+ * @returns {Object} - Updated sequences
+ */
+export function updateEventSequences(sequences, syllabus, profile) {
+  const prefix = getEventUidPrefix(syllabus.id);
+  const updated = Object.fromEntries(Object.entries(sequences).filter(([uid]) => uid.startsWith(prefix)));
+
+  for (const entry of generateCalendarEntries(syllabus, profile)) {
+    const uid = getEventUid(syllabus.id, entry.dayNumber);
+    const fingerprint = getEventFingerprint(entry);
+    const previous = updated[uid];
+    if (!previous) {
+      updated[uid] = { sequence: 0, fingerprint };
+    } else if (previous.fingerprint !== fingerprint) {
+      updated[uid] = { sequence: previous.sequence + 1, fingerprint };
+    }
+  }
+
+  return updated;
+}
+
+/**
+ * Create a feed token for an owner
+ *
+ * @param {string} ownerId - Owner id
+ * @param {Object} options
+ * @param {string|null} [options.timeZone] - IANA timezone of the study times
+ * @param {Object|null} [options.syllabus] - Current syllabus (seeds the feed)
+ * @returns {Promise<{token: string, timeZone: string|null, createdAt: string}>}
+ * @throws {CalendarFeedError} - Too many feeds, or no durable storage (503)
+ */
+export async function createCalendarFeed(ownerId, { timeZone = null, syllabus = null } = {}) {
+  if (!isCalendarFeedEnabled()) {
+    throw new CalendarFeedError('Calendar feeds are not available on this server', 503);
+  }
+
+  const store = getFeedStore();
+  const record = await getOwnerRecord(ownerId);
+  if (record.tokens.length >= MAX_FEEDS_PER_OWNER) {
+    throw new CalendarFeedError(`You can have up to ${MAX_FEEDS_PER_OWNER} calendar feeds - revoke one first`);
+  }
+
+  const feed = {
+    token: randomBytes(32).toString('base64url'),
+    ownerId,
+    timeZone: typeof timeZone === 'string' && timeZone.trim() ? timeZone.trim().substring(0, 64) : null,
+    createdAt: new Date().toISOString()
+  };
+  await store.set(`token:${feed.token}`, feed);
+
+  const nextRecord = { ...record, tokens: [...record.tokens, feed.token] };
+  if (syllabus && Array.isArray(syllabus.days)) {
+    nextRecord.syllabus = syllabus;
+    nextRecord.sequences = updateEventSequences(record.sequences, syllabus, record.profile);
+    nextRecord.updatedAt = Date.now();
+  }
+  await store.set(`owner:${ownerId}`, nextRecord);
+
+  return { token: feed.token, timeZone: feed.timeZone, createdAt: feed.createdAt };
+}
+
+/**
+ * List an owner's feeds
+ * @param {string} ownerId - Owner id
+ * @returns {Promise<Array<{token: string, timeZone: string|null, createdAt: string}>>}
+ */
+export async function listCalendarFeeds(ownerId) {
+  const store = getFeedStore();
+  const record = await getOwnerRecord(ownerId);
+  const feeds = await Promise.all(record.tokens.map(token => store.get(`token:${token}`)));
+  return feeds
+    .filter(feed => feed && feed.ownerId === ownerId)
+    .map(({ token, timeZone, createdAt }) => ({ token, timeZone, createdAt }));
+}
+
+/**
+ * Revoke a feed (its URL stops working immediately)
+ *
+ * @param {string} ownerId - Owner id
+ * @param {string} token - Feed token
+ * @returns {Promise<boolean>} - false if the owner has no such feed
+ */
+export async function revokeCalendarFeed(ownerId, token) {
+  const store = getFeedStore();
+  const record = await getOwnerRecord(ownerId);
+  if (!record.tokens.includes(token)) {
+    return false;
+  }
+
+  await store.delete(`token:${token}`);
+  await store.set(`owner:${ownerId}`, { ...record, tokens: record.tokens.filter(t => t !== token) });
+  return true;
+}
+
+/**
+ * Record the owner's latest syllabus for their feeds
+ *
+ * Only owners with a feed are recorded. Never throws - feed failures must
+ * not affect the syllabus update.
+ *
+ * @param {string} ownerId - Owner id
+ * @param {Object} syllabus - Syllabus just stored
+ * @returns {Promise<void>}
+ */
+export async function recordFeedSnapshot(ownerId, syllabus) {
+  if (!syllabus || !Array.isArray(syllabus.days)) {
+    return;
+  }
+
+  try {
+    const store = getFeedStore();
+    const record = await getOwnerRecord(ownerId);
+    if (record.tokens.length === 0) {
+      return;
+    }
+
+    await store.set(`owner:${ownerId}`, {
+      ...record,
+      syllabus,
+      sequences: updateEventSequences(record.sequences, syllabus, record.profile),
+      updatedAt: Date.now()
+    });
+    // Refresh token expiry (redis) while the feed is in use
+    await Promise.all(record.tokens.map(async token => {
+      const feed = await store.get(`token:${token}`);
+      if (feed) await store.set(`token:${token}`, feed);
+    }));
+  } catch (error) {
+    console.warn('⚠️  Could not record calendar feed snapshot:', error.message);
+  }
+}
+
+/**
+ * Get an owner's calendar profile
+ * @param {string} ownerId - Owner id
+ * @returns {Promise<Object|null>} - Normalized profile, or null if never set
+ */
+export async function getCalendarProfile(ownerId) {
+  const record = await getOwnerRecord(ownerId);
+  return record.profile;
+}
+
+/**
+ * Store an owner's calendar profile (preferred study time, per-weekday
+ * times, timezone)
+ *
+ * Events whose time changes get a new SEQUENCE, so subscribed calendars
+ * move them.
+ *
+ * @param {string} ownerId - Owner id
+ * @param {Object} profile - Profile from the client (normalized here)
+ * @returns {Promise<Object>} - Normalized profile
+ */
+export async function updateCalendarProfile(ownerId, profile) {
+  const store = getFeedStore();
+  const record = await getOwnerRecord(ownerId);
+  const calendarProfile = normalizeCalendarProfile(profile);
+
+  await store.set(`owner:${ownerId}`, {
+    ...record,
+    profile: calendarProfile,
+    sequences: record.syllabus
+      ? updateEventSequences(record.sequences, record.syllabus, calendarProfile)
+      : record.sequences
+  });
+  return calendarProfile;
+}
+
+/**
+ * Render a feed as iCalendar text
+ *
+ * @param {string} token - Feed token from the URL
+ * @returns {Promise<string|null>} - ICS text, or null for an unknown/revoked token
+ */
+export async function renderCalendarFeed(token) {
+  if (!isValidFeedToken(token)) {
+    return null;
+  }
+
+  const store = getFeedStore();
+  const feed = await store.get(`token:${token}`);
+  if (!feed) {
+    return null;
+  }
+
+  const record = await getOwnerRecord(feed.ownerId);
+  if (!record.tokens.includes(token)) {
+    return null;
+  }
+
+  const syllabus = record.syllabus;
+  const entries = syllabus
+    ? generateCalendarEntries(syllabus, record.profile).map(entry => {
+      const uid = getEventUid(syllabus.id, entry.dayNumber);
+      return { ...entry, uid, sequence: record.sequences[uid]?.sequence || 0 };
+    })
+    : [];
+
+  return generateICalText(entries, {
+    durationHours: syllabus?.hoursPerDay,
+    // Profile timezone wins; the feed's own one is kept for profiles without
+    timeZone: record.profile?.timeZone || feed.timeZone,
+    calendarName: syllabus?.goal ? `LAIPath: ${syllabus.goal}` : undefined
+  });
+}
@@ -0,0 +1,477 @@
+/**
+ * Day Knowledge Base Storage
+ *
+ * Pluggable key-value storage for DKBs and their embedding cache, so a day's
+ * knowledge survives restarts and serverless cold starts.
+ *
+ * Backends (selected by DKB_STORAGE):
+ * - memory (default) - In-process Map, lost on restart
+ * - file             - JSON file per namespace in DKB_STORAGE_DIR (single instance only)
+ * - redis            - Any Redis-protocol server (Redis, Valkey, KeyDB, Upstash, ...)
+ *
+ * Configuration (server env):
+ * - DKB_STORAGE           - memory | file | redis
+ * - DKB_STORAGE_DIR       - Directory for the file backend (default: ./.dkb-data)
+ * - DKB_REDIS_URL         - redis://[:password@]host:port[/db] (falls back to REDIS_URL);
+ *                           use rediss:// for TLS
+ * - DKB_TTL_SECONDS       - Expiry for redis keys (default: 7 days)
+ *
+ * Values must be JSON-serializable. Every backend returns copies, so callers
+ * must write a DKB back with set() after changing it.
+ *
+ * ⚠️ Backends may throw (disk full, Redis down) - callers decide how to degrade
+ */
+
+import { mkdir, readFile, writeFile, rename } from 'node:fs/promises';
+import { join } from 'node:path';
+import net from 'node:net';
+import tls from 'node:tls';
+
+/**
+ * Default expiry for redis keys (7 days)
+ */
+const DEFAULT_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+/**
+ * Redis command timeout - a slow store must not stall chat requests
+ */
+const REDIS_TIMEOUT_MS = 2000;
+
+/**
+ * Keys per MGET - keeps each reply well below the command timeout
+ */
+const REDIS_MGET_BATCH_SIZE = 200;
+
+/**
+ * @typedef {Object} KeyValueStore
+ * @property {string} kind - Backend name ('memory' | 'file' | 'redis')
+ * @property {(key: string) => Promise<any|null>} get - Read a value (null if missing)
+ * @property {(keys: string[]) => Promise<Array<any|null>>} getMany - Read several values in one
+ *   round trip (same order as keys, null if missing)
+ * @property {(key: string, value: any) => Promise<void>} set - Write a value
+ * @property {(key: string) => Promise<void>} delete - Remove a value
+ * @property {(prefix: string) => Promise<string[]>} keys - List keys starting with prefix
+ */
+
+/**
+ * Read a trimmed env var (empty strings count as unset)
+ * @param {string} name - Variable name
+ * @returns {string|null}
+ */
+function readEnv(name) {
+  const value = process.env[name];
+  return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+/**
+ * Copy a value through JSON so stored data never aliases caller objects
+ * @param {any} value - JSON-serializable value
+ * @returns {any}
+ */
+function cloneValue(value) {
+  return value === undefined || value === null ? null : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Drop the oldest inserted keys until the map fits maxEntries
+ * @param {Map} map - Store map (insertion ordered)
+ * @param {number|null} maxEntries - Cap, or null for unbounded
+ */
+function enforceMaxEntries(map, maxEntries) {
+  if (!maxEntries) return;
+  while (map.size > maxEntries) {
+    map.delete(map.keys().next().value);
+  }
+}
+
+// ============================================================================
+// MEMORY BACKEND
+// ============================================================================
+
+/**
+ * In-process store (previous behaviour: lost on restart)
+ *
+ * @param {{maxEntries?: number}} options - Oldest entries are dropped past maxEntries
+ * @returns {KeyValueStore}
+ */
+export function createMemoryStore({ maxEntries = null } = {}) {
+  const map = new Map();
+
+  return {
+    kind: 'memory',
+    async get(key) {
+      return map.has(key) ? cloneValue(map.get(key)) : null;
+    },
+    async getMany(keys) {
+      return keys.map(key => (map.has(key) ? cloneValue(map.get(key)) : null));
+    },
+    async set(key, value) {
+      map.delete(key); // Re-insert so the key counts as newest
+      map.set(key, cloneValue(value));
+      enforceMaxEntries(map, maxEntries);
+    },
+    async delete(key) {
+      map.delete(key);
+    },
+    async keys(prefix = '') {
+      return [...map.keys()].filter(key => key.startsWith(prefix));
+    }
+  };
+}
+
+// ============================================================================
+// FILE BACKEND
+// ============================================================================
+
+/**
+ * JSON-file store: one file per namespace, loaded once, written on every change
+ *
+ * Writes go to a temp file and are renamed into place, so a crash never
+ * leaves a half-written file. Writes are serialized per store.
+ * ⚠️ Not safe for several server instances sharing one directory
+ *
+ * @param {string} namespace - File name (without extension)
+ * @param {{dir?: string, maxEntries?: number}} options - Directory and size cap
+ * @returns {KeyValueStore}
+ */
+export function createFileStore(namespace, { dir = null, maxEntries = null } = {}) {
+  const storageDir = dir || readEnv('DKB_STORAGE_DIR') || join(process.cwd(), '.dkb-data');
+  const filePath = join(storageDir, `${namespace}.json`);
+  let mapPromise = null;
+  let writeQueue = Promise.resolve();
+
+  async function loadMap() {
+    if (!mapPromise) {
+      mapPromise = readFile(filePath, 'utf8')
+        .then(raw => new Map(Object.entries(JSON.parse(raw))))
+        .catch(error => {
+          if (error.code !== 'ENOENT') {
+            console.warn(`⚠️  DKB file store "${filePath}" unreadable, starting empty:`, error.message);
+          }
+          return new Map();
+        });
+    }
+    return mapPromise;
+  }
+
+  function persist(map) {
+    const snapshot = JSON.stringify(Object.fromEntries(map));
+    writeQueue = writeQueue
+      .catch(() => {}) // A failed earlier write must not block later ones
+      .then(async () => {
+        await mkdir(storageDir, { recursive: true });
+        const tmpPath = `${filePath}.${process.pid}.tmp`;
+        await writeFile(tmpPath, snapshot, 'utf8');
+        await rename(tmpPath, filePath);
+      });
+    return writeQueue;
+  }
+
+  return {
+    kind: 'file',
+    async get(key) {
+      const map = await loadMap();
+      return map.has(key) ? cloneValue(map.get(key)) : null;
+    },
+    async getMany(keys) {
+      const map = await loadMap();
+      return keys.map(key => (map.has(key) ? cloneValue(map.get(key)) : null));
+    },
+    async set(key, value) {
+      const map = await loadMap();
+      map.delete(key);
+      map.set(key, cloneValue(value));
+      enforceMaxEntries(map, maxEntries);
+      await persist(map);
+    },
+    async delete(key) {
+      const map = await loadMap();
+      if (map.delete(key)) {
+        await persist(map);
+      }
+    },
+    async keys(prefix = '') {
+      const map = await loadMap();
+      return [...map.keys()].filter(key => key.startsWith(prefix));
+    }
+  };
+}
+
+// ============================================================================
+// REDIS BACKEND (minimal RESP2 client - no extra dependency)
+// ============================================================================
+
+/**
+ * Encode a command as a RESP array of bulk strings
+ * @param {Array<string|number>} args - Command and arguments
+ * @returns {string}
+ */
+function encodeRedisCommand(args) {
+  let out = `*${args.length}\r\n`;
+  for (const arg of args) {
+    const value = String(arg);
+    out += `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+  }
+  return out;
+}
+
+/**
+ * Parse one RESP reply from a buffer
+ * @param {Buffer} buffer - Received bytes
+ * @param {number} offset - Start offset
+ * @returns {{value: any, offset: number}|null} - null if the reply is incomplete
+ */
+function parseRedisReply(buffer, offset = 0) {
+  const lineEnd = buffer.indexOf('\r\n', offset);
+  if (lineEnd === -1) return null;
+
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new Error(line), offset: next };
+    case ':':
+      return { value: Number(line), offset: next };
+    case '$': {
+      const length = Number(line);
+      if (length === -1) return { value: null, offset: next };
+      if (buffer.length < next + length + 2) return null;
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = Number(line);
+      if (count === -1) return { value: null, offset: next };
+      const items = [];
+      let cursor = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseRedisReply(buffer, cursor);
+        if (!item) return null;
+        items.push(item.value);
+        cursor = item.offset;
+      }
+      return { value: items, offset: cursor };
+    }
+    default:
+      throw new Error(`Unexpected Redis reply type: ${type}`);
+  }
+}
+
+/**
+ * Escape glob characters so a key prefix can be used in SCAN MATCH
+ * @param {string} text - Literal text
+ * @returns {string}
+ */
+function escapeRedisPattern(text) {
+  return text.replace(/[*?[\]\\]/g, '\\$&');
+}
+
+/**
+ * Create a lazily-connected Redis connection
+ *
+ * Commands are pipelined on one socket; replies are matched in order.
+ * Any socket error fails the pending commands and the next command reconnects.
+ *
+ * @param {string} redisUrl - redis:// or rediss:// URL
+ * @returns {{command: (args: Array<string|number>) => Promise<any>}}
+ */
+function createRedisConnection(redisUrl) {
+  const url = new URL(redisUrl);
+  const useTls = url.protocol === 'rediss:';
+  const port = Number(url.port) || 6379;
+  const password = url.password ? decodeURIComponent(url.password) : null;
+  const username = url.username ? decodeURIComponent(url.username) : null;
+  const db = url.pathname && url.pathname.length > 1 ? Number(url.pathname.slice(1)) : 0;
+
+  let socket = null;
+  let pending = [];
+  let buffer = Buffer.alloc(0);
+
+  function failAll(error, failedSocket = socket) {
+    if (failedSocket !== socket) return; // Late event from a socket already replaced
+    const waiting = pending;
+    pending = [];
+    buffer = Buffer.alloc(0);
+    socket = null;
+    for (const entry of waiting) {
+      clearTimeout(entry.timer);
+      entry.reject(error);
+    }
+  }
+
+  function onData(chunk) {
+    buffer = Buffer.concat([buffer, chunk]);
+    let parsed;
+    while (pending.length > 0 && (parsed = parseRedisReply(buffer))) {
+      buffer = buffer.subarray(parsed.offset);
+      const entry = pending.shift();
+      clearTimeout(entry.timer);
+      if (parsed.value instanceof Error) {
+        entry.reject(parsed.value);
+      } else {
+        entry.resolve(parsed.value);
+      }
+    }
+  }
+
+  function send(args) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        const error = new Error(`Redis command timed out: ${args[0]}`);
+        if (socket) socket.destroy(error);
+        failAll(error);
+      }, REDIS_TIMEOUT_MS);
+      pending.push({ resolve, reject, timer });
+      socket.write(encodeRedisCommand(args));
+    });
+  }
+
+  function connect() {
+    const options = { host: url.hostname, port };
+    socket = useTls
+      ? tls.connect({ ...options, servername: url.hostname })
+      : net.connect(options);
+    const current = socket;
+    current.on('data', onData);
+    current.on('error', error => failAll(error, current));
+    current.on('close', () => failAll(new Error('Redis connection closed'), current));
+
+    // Handshake is pipelined ahead of the first real command
+    const handshake = [];
+    if (password) {
+      handshake.push(send(username ? ['AUTH', username, password] : ['AUTH', password]));
+    }
+    if (db) {
+      handshake.push(send(['SELECT', db]));
+    }
+    return Promise.all(handshake);
+  }
+
+  return {
+    async command(args) {
+      if (!socket) {
+        try {
+          await connect();
+        } catch (error) {
+          // Failed handshake (e.g. wrong password): drop the socket now (not on its
+          // later 'close') so the next call reconnects instead of writing to it
+          const failedSocket = socket;
+          failAll(error);
+          if (failedSocket) failedSocket.destroy();
+          throw error;
+        }
+      }
+      return send(args);
+    }
+  };
+}
+
+/**
+ * Redis-protocol store: keys live under "laipath:<namespace>:" with a TTL
+ *
+ * @param {string} namespace - Key namespace
+ * @param {{url?: string, ttlSeconds?: number}} options - Connection URL and expiry
+ * @returns {KeyValueStore}
+ */
+export function createRedisStore(namespace, { url = null, ttlSeconds = null } = {}) {
+  const redisUrl = url || readEnv('DKB_REDIS_URL') || readEnv('REDIS_URL');
+  if (!redisUrl) {
+    throw new Error('DKB_STORAGE=redis requires DKB_REDIS_URL (or REDIS_URL)');
+  }
+
+  const ttl = ttlSeconds || Number(readEnv('DKB_TTL_SECONDS')) || DEFAULT_TTL_SECONDS;
+  const keyPrefix = `laipath:${namespace}:`;
+  const connection = createRedisConnection(redisUrl);
+
+  return {
+    kind: 'redis',
+    async get(key) {
+      const raw = await connection.command(['GET', keyPrefix + key]);
+      return raw === null ? null : JSON.parse(raw);
+    },
+    async getMany(keys) {
+      const values = [];
+      for (let i = 0; i < keys.length; i += REDIS_MGET_BATCH_SIZE) {
+        const batch = keys.slice(i, i + REDIS_MGET_BATCH_SIZE).map(key => keyPrefix + key);
+        const raws = await connection.command(['MGET', ...batch]);
+        values.push(...raws.map(raw => (raw === null ? null : JSON.parse(raw))));
+      }
+      return values;
+    },
+    async set(key, value) {
+      await connection.command(['SET', keyPrefix + key, JSON.stringify(value), 'EX', ttl]);
+    },
+    async delete(key) {
+      await connection.command(['DEL', keyPrefix + key]);
+    },
+    async keys(prefix = '') {
+      const pattern = `${escapeRedisPattern(keyPrefix + prefix)}*`;
+      const found = new Set();
+      let cursor = '0';
+      do {
+        const [nextCursor, batch] = await connection.command(['SCAN', cursor, 'MATCH', pattern, 'COUNT', 100]);
+        for (const fullKey of batch) {
+          found.add(fullKey.slice(keyPrefix.length));
+        }
+        cursor = nextCursor;
+      } while (cursor !== '0');
+      return [...found];
+    }
+  };
+}
+
+// ============================================================================
+// BACKEND SELECTION
+// ============================================================================
+
+/**
+ * Get the configured backend name
+ * @returns {'memory'|'file'|'redis'}
+ */
+export function getDKBStorageKind() {
+  const kind = (readEnv('DKB_STORAGE') || 'memory').toLowerCase();
+  if (!['memory', 'file', 'redis'].includes(kind)) {
+    console.warn(`⚠️  Unknown DKB_STORAGE "${kind}", using memory`);
+    return 'memory';
+  }
+  return kind;
+}
+
+/**
+ * Whether the configured backend keeps values across restarts and shares
+ * them between instances: redis, or file on a single long-running server
+ * (a serverless file system is per instance and wiped on cold start)
+ *
+ * Data that must not disappear (calendar feed tokens, CalDAV accounts) is
+ * only created when this is true.
+ *
+ * @returns {boolean}
+ */
+export function isDurableDKBStorage() {
+  const kind = getDKBStorageKind();
+  return kind === 'redis' || (kind === 'file' && !readEnv('VERCEL'));
+}
+
+/**
+ * Create a store for one namespace using the configured backend
+ *
+ * maxEntries caps memory/file stores (oldest dropped first);
+ * redis relies on key expiry instead (ttlSeconds, default DKB_TTL_SECONDS).
+ *
+ * @param {string} namespace - e.g. 'dkb', 'dkb-embeddings'
+ * @param {{maxEntries?: number, ttlSeconds?: number}} options - Size cap for local backends, redis expiry
+ * @returns {KeyValueStore}
+ */
+export function createDKBStorage(namespace, { maxEntries = null, ttlSeconds = null } = {}) {
+  switch (getDKBStorageKind()) {
+    case 'file':
+      return createFileStore(namespace, { maxEntries });
+    case 'redis':
+      return createRedisStore(namespace, { ttlSeconds });
+    default:
+      return createMemoryStore({ maxEntries });
+  }
+}
@@ -0,0 +1,169 @@
+/**
+ * LLM Provider Layer
+ *
+ * Single entry point for every AI call (chat completions + embeddings).
+ * Works with OpenAI or any OpenAI-compatible server (vLLM, Ollama, LocalAI,
+ * a local stub, ...) by pointing the base URL elsewhere.
+ *
+ * Configuration (server env):
+ * - LLM_BASE_URL              - OpenAI-compatible base URL (default: OpenAI)
+ * - LLM_API_KEY               - API key (falls back to OPENAI_API_KEY)
+ * - LLM_MODEL                 - Chat model for all call types
+ * - LLM_MODEL_<CALL_TYPE>     - Chat model for one call type, e.g. LLM_MODEL_CHAT
+ * - LLM_EMBEDDING_BASE_URL    - Separate base URL for embeddings (default: LLM_BASE_URL)
+ * - LLM_EMBEDDING_MODEL       - Embedding model
+ *
+ * Call types match AI_LIMITS / AI_TEMPERATURES keys in aiConfig.js.
+ *
+ * ⚠️ Token limits are still enforced by callers via validateTokenLimit()
+ */
+
+import { AI_MODELS, EMBEDDING_MODEL } from './aiConfig.js';
+
+/**
+ * Placeholder key for keyless OpenAI-compatible servers
+ * (the OpenAI SDK refuses to construct a client without a key)
+ */
+const KEYLESS_PLACEHOLDER = 'not-needed';
+
+/**
+ * Cached SDK clients, keyed by "baseURL|apiKey"
+ */
+const clientCache = new Map();
+
+/**
+ * Read a trimmed env var (empty strings count as unset)
+ * @param {string} name - Variable name
+ * @returns {string|null}
+ */
+function readEnv(name) {
+  const value = process.env[name];
+  return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+/**
+ * Get the API key for the configured provider
+ *
+ * Returns null when no provider is configured - callers use this as the
+ * "no AI available → mock data" switch.
+ * A base URL without a key (local server) gets a placeholder key.
+ *
+ * @returns {string|null}
+ */
+export function getLLMApiKey() {
+  const apiKey = readEnv('LLM_API_KEY') || readEnv('OPENAI_API_KEY');
+  if (apiKey) {
+    return apiKey;
+  }
+  return readEnv('LLM_BASE_URL') ? KEYLESS_PLACEHOLDER : null;
+}
+
+/**
+ * Resolve the chat model for a call type
+ * @param {string} callType - AI_LIMITS key (e.g. 'CHAT', 'SYLLABUS')
+ * @returns {string}
+ */
+export function getModelForCall(callType) {
+  if (!AI_MODELS[callType]) {
+    throw new Error(`Unknown call type: ${callType}`);
+  }
+  return readEnv(`LLM_MODEL_${callType}`) || readEnv('LLM_MODEL') || AI_MODELS[callType];
+}
+
+/**
+ * Resolve the embedding model
+ * @returns {string}
+ */
+export function getEmbeddingModel() {
+  return readEnv('LLM_EMBEDDING_MODEL') || EMBEDDING_MODEL;
+}
+
+/**
+ * Describe the active provider configuration (safe to log - no secrets)
+ * @returns {{baseURL: string, embeddingBaseURL: string, configured: boolean}}
+ */
+export function describeLLMProvider() {
+  const baseURL = readEnv('LLM_BASE_URL') || 'https://api.openai.com/v1';
+  return {
+    baseURL,
+    embeddingBaseURL: readEnv('LLM_EMBEDDING_BASE_URL') || baseURL,
+    configured: !!getLLMApiKey()
+  };
+}
+
+/**
+ * Get (or create) an OpenAI SDK client for a base URL
+ * @param {string|null} baseURL - Base URL, or null for the SDK default
+ * @returns {Promise<object>} - OpenAI client
+ */
+async function getClient(baseURL) {
+  const apiKey = getLLMApiKey();
+  if (!apiKey) {
+    throw new Error('LLM provider not configured (set OPENAI_API_KEY, LLM_API_KEY or LLM_BASE_URL)');
+  }
+
+  const cacheKey = `${baseURL || ''}|${apiKey}`;
+  if (!clientCache.has(cacheKey)) {
+    const { default: OpenAI } = await import('openai');
+    clientCache.set(cacheKey, new OpenAI(baseURL ? { apiKey, baseURL } : { apiKey }));
+  }
+  return clientCache.get(cacheKey);
+}
+
+/**
+ * Create a chat completion for a call type
+ *
+ * The model is resolved from the call type; everything else (messages,
+ * temperature, max_tokens, ...) is passed through unchanged.
+ *
+ * @param {string} callType - AI_LIMITS key (e.g. 'CHAT', 'SYLLABUS')
+ * @param {object} params - chat.completions.create params without `model`
+ * @returns {Promise<object>} - Chat completion response
+ */
+export async function createChatCompletion(callType, params) {
+  const client = await getClient(readEnv('LLM_BASE_URL'));
+  return client.chat.completions.create({
+    stream: false,
+    ...params,
+    model: getModelForCall(callType)
+  });
+}
+
+/**
+ * Stream a chat completion for a call type
+ *
+ * Yields text deltas as they arrive (empty deltas are skipped).
+ *
+ * @param {string} callType - AI_LIMITS key (e.g. 'CHAT')
+ * @param {object} params - chat.completions.create params without `model`/`stream`
+ * @param {{signal?: AbortSignal}} options - Abort signal (e.g. client disconnect)
+ * @returns {AsyncGenerator<string>} - Text deltas
+ */
+export async function* streamChatCompletion(callType, params, options = {}) {
+  const client = await getClient(readEnv('LLM_BASE_URL'));
+  const stream = await client.chat.completions.create({
+    ...params,
+    model: getModelForCall(callType),
+    stream: true
+  }, options.signal ? { signal: options.signal } : undefined);
+
+  for await (const chunk of stream) {
+    const delta = chunk.choices?.[0]?.delta?.content;
+    if (delta) {
+      yield delta;
+    }
+  }
+}
+
+/**
+ * Create embeddings
+ * @param {string|string[]} input - Text(s) to embed
+ * @returns {Promise<object>} - Embeddings response ({ data: [{ embedding }] })
+ */
+export async function createEmbedding(input) {
+  const client = await getClient(readEnv('LLM_EMBEDDING_BASE_URL') || readEnv('LLM_BASE_URL'));
+  return client.embeddings.create({
+    model: getEmbeddingModel(),
+    input
+  });
+}
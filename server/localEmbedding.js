@@ -0,0 +1,172 @@
+/**
+ * Local (Offline) Embeddings
+ *
+ * Hashed n-gram vectors used for DKB scope validation when no LLM provider
+ * is configured (demo mode, offline development).
+ *
+ * - Word features: lowercased, stop words removed, light suffix stemming
+ * - Character trigram features per word, so "indexing" still matches "index"
+ * - Features are hashed into a fixed-size vector (signed hashing), then
+ *   log-scaled and L2-normalized - cosineSimilarity() works unchanged
+ *
+ * ⚠️ Local vectors are NOT comparable with provider embeddings (different
+ * space and dimension). Use LOCAL_SCOPE_THRESHOLD, never DKB_SCOPE_THRESHOLD.
+ */
+
+/**
+ * Model name recorded alongside cached local embeddings
+ */
+export const LOCAL_EMBEDDING_MODEL = 'local-hashed-ngram-v1';
+
+/**
+ * Vector dimension (hash buckets)
+ */
+export const LOCAL_EMBEDDING_DIMENSIONS = 1024;
+
+/**
+ * Scope threshold for local embeddings
+ *
+ * Calibrated on topic/subtask texts vs. in-scope and off-topic questions:
+ * in-scope questions (even with a single shared content word) scored 0.17+,
+ * off-topic questions stayed below 0.09 (hash/trigram noise only).
+ */
+export const LOCAL_SCOPE_THRESHOLD = 0.12;
+
+/**
+ * Weight of a character trigram relative to a whole word
+ */
+const TRIGRAM_WEIGHT = 0.25;
+
+/**
+ * Words that carry no topical signal
+ * Includes generic "learning question" words so that a question like
+ * "can you explain that with an example?" has no features at all
+ * (callers treat an empty vector as "nothing to judge").
+ */
+const STOP_WORDS = new Set([
+  'a', 'about', 'above', 'after', 'again', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at',
+  'be', 'because', 'been', 'before', 'being', 'between', 'both', 'but', 'by',
+  'can', 'could', 'did', 'do', 'does', 'doing', 'done', 'down', 'during',
+  'each', 'either', 'else', 'even', 'ever', 'every', 'few', 'for', 'from', 'further',
+  'get', 'gets', 'getting', 'give', 'go', 'going', 'got',
+  'had', 'has', 'have', 'having', 'he', 'her', 'here', 'hers', 'him', 'his', 'how',
+  'i', 'if', 'in', 'into', 'is', 'it', 'its', 'itself', 'just', 'let', 'like', 'me', 'might', 'more', 'most',
+  'much', 'must', 'my', 'need', 'no', 'nor', 'not', 'now', 'of', 'off', 'on', 'once', 'one', 'only',
+  'or', 'other', 'our', 'out', 'over', 'own', 'please', 'really', 'same', 'she', 'should', 'so', 'some',
+  'still', 'such', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'thing',
+  'things', 'this', 'those', 'through', 'to', 'too', 'under', 'until', 'up', 'us', 'very',
+  'was', 'way', 'we', 'were', 'what', 'when', 'where', 'which', 'while', 'who', 'whom', 'why', 'will',
+  'with', 'would', 'you', 'your', 'yours',
+  // Generic learning-question words
+  'basic', 'basics', 'better', 'concept', 'concepts', 'define', 'definition', 'describe', 'detail',
+  'details', 'difference', 'different', 'example', 'examples', 'explain', 'explanation', 'help',
+  'idea', 'important', 'know', 'learn', 'learning', 'mean', 'meaning', 'means', 'related',
+  'show', 'simple', 'subtask', 'subtasks', 'tell', 'today', 'topic', 'understand', 'use', 'used',
+  'using', 'work', 'works'
+]);
+
+/**
+ * 32-bit FNV-1a hash
+ * @param {string} text - Feature string
+ * @returns {number} - Unsigned 32-bit hash
+ */
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Strip common English suffixes so word forms share a feature
+ * @param {string} word - Lowercased word
+ * @returns {string} - Stem
+ */
+function stemWord(word) {
+  if (word.length <= 4) return word;
+  for (const suffix of ['ations', 'ation', 'ings', 'ing', 'ies', 'ers', 'er', 'ed', 'es', 'ly', 's']) {
+    if (word.endsWith(suffix) && word.length - suffix.length >= 3) {
+      const stem = word.slice(0, -suffix.length);
+      return suffix === 'ies' ? `${stem}y` : stem;
+    }
+  }
+  return word;
+}
+
+/**
+ * Split text into content-word stems
+ *
+ * Words in any script count: a question in another language must still get
+ * features (and so be judged by the scope gate), not an empty vector. Single
+ * characters are dropped for Latin text only - one CJK character is a word.
+ *
+ * @param {string} text - Input text
+ * @returns {string[]} - Stems (stop words removed)
+ */
+export function tokenizeForLocalEmbedding(text) {
+  if (!text || typeof text !== 'string') {
+    return [];
+  }
+  return (text.toLowerCase().match(/[\p{L}\p{N}+#]+/gu) || [])
+    .filter(word => (word.length > 1 || /[^\x00-\x7f]/.test(word)) && !STOP_WORDS.has(word))
+    .map(stemWord);
+}
+
+/**
+ * Add a feature to the vector using signed hashing
+ * @param {Float64Array} vector - Target vector
+ * @param {string} feature - Feature string
+ * @param {number} weight - Feature weight
+ */
+function addFeature(vector, feature, weight) {
+  const hash = fnv1a(feature);
+  const index = hash % LOCAL_EMBEDDING_DIMENSIONS;
+  const sign = (hash & 0x80000000) ? -1 : 1;
+  vector[index] += sign * weight;
+}
+
+/**
+ * Generate a local embedding for text (no network access)
+ *
+ * Returns an all-zero vector when the text has no content words.
+ *
+ * @param {string} text - Text to embed
+ * @returns {number[]} - L2-normalized vector of LOCAL_EMBEDDING_DIMENSIONS
+ */
+export function generateLocalEmbedding(text) {
+  const counts = new Map();
+  const bump = (feature, weight) => counts.set(feature, (counts.get(feature) || 0) + weight);
+
+  for (const stem of tokenizeForLocalEmbedding(text)) {
+    bump(`w:${stem}`, 1);
+    const padded = `^${stem}$`;
+    for (let i = 0; i + 3 <= padded.length; i++) {
+      bump(`c:${padded.slice(i, i + 3)}`, TRIGRAM_WEIGHT);
+    }
+  }
+
+  const vector = new Float64Array(LOCAL_EMBEDDING_DIMENSIONS);
+  for (const [feature, count] of counts) {
+    // Sublinear term frequency: repeated words should not dominate
+    addFeature(vector, feature, Math.log1p(count));
+  }
+
+  let norm = 0;
+  for (let i = 0; i < vector.length; i++) {
+    norm += vector[i] * vector[i];
+  }
+  norm = Math.sqrt(norm);
+
+  return Array.from(vector, value => (norm === 0 ? 0 : value / norm));
+}
+
+/**
+ * Check whether a local embedding has no features
+ * @param {number[]} embedding - Embedding vector
+ * @returns {boolean}
+ */
+export function isEmptyEmbedding(embedding) {
+  return !Array.isArray(embedding) || embedding.every(value => value === 0);
+}
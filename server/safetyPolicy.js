@@ -0,0 +1,263 @@
+/**
+ * Domain Safety Policy Engine
+ *
+ * Single policy shared by both deterministic safety gates:
+ * - Syllabus goal gate (isAllowedLearningDomain) → context 'goal'
+ * - Mentor question pre-filter (preFilterQuestion) → context 'question'
+ *
+ * The policy is a JSON file (default: server/safetyPolicy.json):
+ * - categories: named term lists, each with `appliesTo` contexts and its own
+ *   `allow` exceptions; categories can be disabled per deployment
+ * - allow: global exception phrases ("heart attack", "cheat sheet", ...)
+ * - offTopic: clearly off-topic subjects for the question pre-filter
+ *
+ * Matching rules:
+ * - Case-insensitive, punctuation treated as spaces
+ * - Whole words / whole phrases only ("harm" does NOT match "harmonica")
+ * - Allow phrases are masked out before matching, so "ethical hacking"
+ *   never triggers "hacking" (but other terms in the same text still do)
+ *
+ * Configuration (server env):
+ * - SAFETY_POLICY_PATH                 - Path to a deployment-specific policy file
+ * - SAFETY_POLICY_DISABLED_CATEGORIES  - Comma-separated category names to turn off
+ *
+ * ⚠️ Deterministic only - NO AI-based moderation here
+ */
+
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Bundled default policy
+ */
+const DEFAULT_POLICY_PATH = join(__dirname, 'safetyPolicy.json');
+
+/**
+ * Contexts a category can apply to
+ */
+export const POLICY_CONTEXTS = ['goal', 'question'];
+
+/**
+ * Compiled policy cache (see getSafetyPolicy)
+ */
+let cachedPolicy = null;
+
+/**
+ * Normalize text for matching: lowercase, punctuation → single spaces
+ * @param {string} text - Raw text
+ * @returns {string}
+ */
+export function normalizePolicyText(text) {
+  if (!text || typeof text !== 'string') {
+    return '';
+  }
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Compile a term/phrase into a whole-word regex over normalized text
+ * @param {string} phrase - Term or phrase
+ * @returns {{phrase: string, pattern: RegExp}|null}
+ */
+function compilePhrase(phrase) {
+  const normalized = normalizePolicyText(phrase);
+  if (!normalized) return null;
+  return {
+    phrase: normalized,
+    pattern: new RegExp(`(?<![a-z0-9])${normalized.replace(/ /g, ' +')}(?![a-z0-9])`, 'g')
+  };
+}
+
+/**
+ * Compile a list of phrases, dropping empty entries
+ * @param {any} list - Array of strings
+ * @returns {Array<{phrase: string, pattern: RegExp}>}
+ */
+function compilePhraseList(list) {
+  return (Array.isArray(list) ? list : [])
+    .filter(item => typeof item === 'string')
+    .map(compilePhrase)
+    .filter(Boolean);
+}
+
+/**
+ * Validate and compile a raw policy object
+ *
+ * @param {Object} rawPolicy - Parsed policy JSON
+ * @param {{disabledCategories?: string[]}} options - Deployment overrides
+ * @returns {Object} - Compiled policy
+ * @throws {Error} - If the policy structure is invalid
+ */
+export function compileSafetyPolicy(rawPolicy, { disabledCategories = [] } = {}) {
+  if (!rawPolicy || typeof rawPolicy !== 'object' || !rawPolicy.categories || typeof rawPolicy.categories !== 'object') {
+    throw new Error('Safety policy must be an object with a "categories" map');
+  }
+
+  const disabled = new Set(disabledCategories.map(name => name.trim()).filter(Boolean));
+  const categories = [];
+
+  for (const [name, category] of Object.entries(rawPolicy.categories)) {
+    if (!category || !Array.isArray(category.terms)) {
+      throw new Error(`Safety policy category "${name}" must have a "terms" array`);
+    }
+    const appliesTo = Array.isArray(category.appliesTo) ? category.appliesTo : POLICY_CONTEXTS;
+    const unknownContext = appliesTo.find(context => !POLICY_CONTEXTS.includes(context));
+    if (unknownContext) {
+      throw new Error(`Safety policy category "${name}" has unknown context "${unknownContext}"`);
+    }
+
+    categories.push({
+      name,
+      description: category.description || name,
+      enabled: category.enabled !== false && !disabled.has(name),
+      appliesTo,
+      terms: compilePhraseList(category.terms),
+      allow: compilePhraseList(category.allow)
+    });
+  }
+
+  return {
+    version: rawPolicy.version || 1,
+    allow: compilePhraseList(rawPolicy.allow),
+    categories,
+    offTopic: compilePhraseList(rawPolicy.offTopic?.terms)
+  };
+}
+
+/**
+ * Load and compile a policy file
+ * @param {string} policyPath - Path to the JSON policy
+ * @returns {Object} - Compiled policy
+ */
+export function loadSafetyPolicy(policyPath = DEFAULT_POLICY_PATH) {
+  const rawPolicy = JSON.parse(readFileSync(policyPath, 'utf8'));
+  const disabledCategories = (process.env.SAFETY_POLICY_DISABLED_CATEGORIES || '').split(',');
+  return compileSafetyPolicy(rawPolicy, { disabledCategories });
+}
+
+/**
+ * Get the active policy (loaded once)
+ *
+ * FALLBACK: If SAFETY_POLICY_PATH cannot be loaded, the bundled default
+ * policy is used - a broken deployment file must never disable the gates.
+ *
+ * @returns {Object} - Compiled policy
+ */
+export function getSafetyPolicy() {
+  if (cachedPolicy) {
+    return cachedPolicy;
+  }
+
+  const customPath = process.env.SAFETY_POLICY_PATH;
+  if (customPath && customPath.trim()) {
+    try {
+      cachedPolicy = loadSafetyPolicy(customPath.trim());
+      return cachedPolicy;
+    } catch (error) {
+      console.error(`❌ Could not load safety policy "${customPath}", using default policy:`, error.message);
+    }
+  }
+
+  cachedPolicy = loadSafetyPolicy(DEFAULT_POLICY_PATH);
+  return cachedPolicy;
+}
+
+/**
+ * Forget the cached policy (next call reloads from disk/env)
+ */
+export function resetSafetyPolicyCache() {
+  cachedPolicy = null;
+}
+
+/**
+ * Mask exception phrases out of normalized text
+ * @param {string} text - Normalized text
+ * @param {Array<{phrase: string, pattern: RegExp}>} exceptions - Compiled allow phrases
+ * @param {string[]} applied - Collects the phrases that were masked
+ * @returns {string}
+ */
+function maskExceptions(text, exceptions, applied) {
+  let masked = text;
+  for (const { phrase, pattern } of exceptions) {
+    pattern.lastIndex = 0;
+    if (pattern.test(masked)) {
+      applied.push(phrase);
+      pattern.lastIndex = 0;
+      masked = masked.replace(pattern, ' | ');
+    }
+  }
+  return masked;
+}
+
+/**
+ * Find the first matching phrase in normalized text
+ * @param {string} text - Normalized (masked) text
+ * @param {Array<{phrase: string, pattern: RegExp}>} phrases - Compiled phrases
+ * @returns {string|null}
+ */
+function findPhrase(text, phrases) {
+  for (const { phrase, pattern } of phrases) {
+    pattern.lastIndex = 0;
+    if (pattern.test(text)) {
+      return phrase;
+    }
+  }
+  return null;
+}
+
+/**
+ * Evaluate text against the safety policy
+ *
+ * @param {string} text - Goal or question text
+ * @param {'goal'|'question'} context - Which gate is asking
+ * @param {Object} policy - Compiled policy (defaults to the active policy)
+ * @returns {{allowed: boolean, context: string, reason: string, category?: string, description?: string, term?: string, exceptionsApplied: string[]}}
+ *   reason: 'no_match' | 'blocked_term' | 'invalid_input'
+ */
+export function evaluateSafetyPolicy(text, context, policy = getSafetyPolicy()) {
+  const normalized = normalizePolicyText(text);
+  if (!normalized) {
+    return { allowed: false, context, reason: 'invalid_input', exceptionsApplied: [] };
+  }
+
+  const exceptionsApplied = [];
+  const globallyMasked = maskExceptions(normalized, policy.allow, exceptionsApplied);
+
+  for (const category of policy.categories) {
+    if (!category.enabled || !category.appliesTo.includes(context)) {
+      continue;
+    }
+
+    const masked = maskExceptions(globallyMasked, category.allow, exceptionsApplied);
+    const term = findPhrase(masked, category.terms);
+    if (term) {
+      return {
+        allowed: false,
+        context,
+        reason: 'blocked_term',
+        category: category.name,
+        description: category.description,
+        term,
+        exceptionsApplied: [...new Set(exceptionsApplied)]
+      };
+    }
+  }
+
+  return { allowed: true, context, reason: 'no_match', exceptionsApplied: [...new Set(exceptionsApplied)] };
+}
+
+/**
+ * Find a clearly off-topic term (question pre-filter only)
+ *
+ * @param {string} text - Question text
+ * @param {Object} policy - Compiled policy (defaults to the active policy)
+ * @returns {string|null} - The matched off-topic term, or null
+ */
+export function findOffTopicTerm(text, policy = getSafetyPolicy()) {
+  const exceptionsApplied = [];
+  const masked = maskExceptions(normalizePolicyText(text), policy.allow, exceptionsApplied);
+  return findPhrase(masked, policy.offTopic);
+}
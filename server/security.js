@@ -7,8 +7,10 @@
  * - CORS configuration
  * - Security headers
  * - Error message sanitization
+ * - Authentication (Supabase JWT verification)
  */
 
+import { createHmac, timingSafeEqual } from 'node:crypto';
 import rateLimit from 'express-rate-limit';
 
 /**
@@ -200,3 +202,250 @@ export function securityHeaders(req, res, next) {
 
   next();
 }
+
+/**
+ * ============================================================================
+ * AUTHENTICATION (Supabase JWT)
+ * ============================================================================
+ *
+ * The frontend sends the Supabase session access token as
+ * `Authorization: Bearer <token>`. Tokens are HS256 JWTs signed with the
+ * project's JWT secret (Supabase Dashboard → Settings → API → JWT Secret).
+ *
+ * Configuration (server env):
+ * - SUPABASE_JWT_SECRET   - Secret used to verify tokens (required unless demo mode)
+ * - SUPABASE_JWT_AUDIENCE - Expected `aud` claim (default: "authenticated")
+ * - AUTH_DEMO_MODE=true   - Allow requests without a valid token as DEMO_USER
+ *
+ * ⚠️ Without a secret and without demo mode, every protected route returns 401
+ * ============================================================================
+ */
+
+/**
+ * User attached to requests in demo mode (no token)
+ */
+export const DEMO_USER = Object.freeze({ id: 'demo-user', email: null, role: 'demo', isDemo: true });
+
+/**
+ * API paths (relative to /api) that never require a token
+ */
+const PUBLIC_API_PATHS = new Set(['/health']);
+
+/**
+ * API path patterns (relative to /api) that carry their own credential
+ * - Calendar feeds: the feed token in the URL (calendar apps can't send headers)
+ */
+const PUBLIC_API_PATH_PATTERNS = [/^\/calendar\/[^/]+\.ics$/];
+
+/**
+ * Allowed clock skew for exp/nbf checks (seconds)
+ */
+const JWT_CLOCK_SKEW_SECONDS = 30;
+
+/**
+ * Decode a base64url segment to a Buffer
+ * @param {string} segment - base64url string
+ * @returns {Buffer}
+ */
+function base64UrlDecode(segment) {
+  return Buffer.from(segment.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+/**
+ * Encode a Buffer or string as base64url
+ * @param {Buffer|string} input - Data to encode
+ * @returns {string}
+ */
+function base64UrlEncode(input) {
+  return Buffer.from(input).toString('base64')
+    .replace(/=+$/, '')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_');
+}
+
+/**
+ * Verify an HS256 JWT and return its claims
+ *
+ * Checks: structure, alg === HS256, signature (constant-time), exp, nbf, aud
+ *
+ * @param {string} token - Compact JWT
+ * @param {string} secret - HMAC secret
+ * @param {{audience?: string, now?: number}} options - Expected audience, current time (seconds)
+ * @returns {{valid: boolean, claims?: object, error?: string}}
+ */
+export function verifyJwt(token, secret, options = {}) {
+  if (!token || typeof token !== 'string' || !secret) {
+    return { valid: false, error: 'Missing token or secret' };
+  }
+
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    return { valid: false, error: 'Malformed token' };
+  }
+
+  const [encodedHeader, encodedPayload, encodedSignature] = parts;
+
+  let header;
+  let claims;
+  try {
+    header = JSON.parse(base64UrlDecode(encodedHeader).toString('utf-8'));
+    claims = JSON.parse(base64UrlDecode(encodedPayload).toString('utf-8'));
+  } catch {
+    return { valid: false, error: 'Malformed token' };
+  }
+
+  // Only HS256 is accepted (prevents alg=none / algorithm confusion)
+  if (!header || header.alg !== 'HS256') {
+    return { valid: false, error: 'Unsupported token algorithm' };
+  }
+
+  const expectedSignature = createHmac('sha256', secret)
+    .update(`${encodedHeader}.${encodedPayload}`)
+    .digest();
+  const providedSignature = base64UrlDecode(encodedSignature);
+  if (expectedSignature.length !== providedSignature.length ||
+      !timingSafeEqual(expectedSignature, providedSignature)) {
+    return { valid: false, error: 'Invalid token signature' };
+  }
+
+  if (!claims || typeof claims !== 'object') {
+    return { valid: false, error: 'Malformed token' };
+  }
+
+  const now = options.now ?? Math.floor(Date.now() / 1000);
+  if (typeof claims.exp !== 'number' || claims.exp + JWT_CLOCK_SKEW_SECONDS <= now) {
+    return { valid: false, error: 'Token expired' };
+  }
+  if (typeof claims.nbf === 'number' && claims.nbf - JWT_CLOCK_SKEW_SECONDS > now) {
+    return { valid: false, error: 'Token not yet valid' };
+  }
+
+  if (options.audience) {
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!audiences.includes(options.audience)) {
+      return { valid: false, error: 'Invalid token audience' };
+    }
+  }
+
+  if (typeof claims.sub !== 'string' || !claims.sub) {
+    return { valid: false, error: 'Token has no subject' };
+  }
+
+  return { valid: true, claims };
+}
+
+/**
+ * Sign an HS256 JWT (for local/offline testing of the auth middleware)
+ *
+ * @param {object} claims - JWT payload (should include sub and exp)
+ * @param {string} secret - HMAC secret
+ * @returns {string} - Compact JWT
+ */
+export function signJwt(claims, secret) {
+  const encodedHeader = base64UrlEncode(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const encodedPayload = base64UrlEncode(JSON.stringify(claims));
+  const signature = createHmac('sha256', secret)
+    .update(`${encodedHeader}.${encodedPayload}`)
+    .digest();
+  return `${encodedHeader}.${encodedPayload}.${base64UrlEncode(signature)}`;
+}
+
+/**
+ * Whether demo mode (anonymous access) is enabled
+ * @returns {boolean}
+ */
+export function isAuthDemoMode() {
+  return process.env.AUTH_DEMO_MODE === 'true';
+}
+
+/**
+ * Extract the bearer token from a request
+ * @param {object} req - Express request
+ * @returns {string|null}
+ */
+function getBearerToken(req) {
+  const header = req.headers?.authorization;
+  if (typeof header !== 'string') {
+    return null;
+  }
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Authentication middleware
+ *
+ * Verifies the Supabase access token and sets req.user = { id, email, role }.
+ * - Valid token → req.user from token claims
+ * - No/invalid token + AUTH_DEMO_MODE=true → req.user = DEMO_USER
+ * - No/invalid token otherwise → 401
+ *
+ * Mount on '/api' so PUBLIC_API_PATHS / PUBLIC_API_PATH_PATTERNS are matched
+ * against req.path.
+ */
+export function requireAuth(req, res, next) {
+  // CORS preflight and public endpoints never carry a token
+  if (req.method === 'OPTIONS' || PUBLIC_API_PATHS.has(req.path) ||
+      PUBLIC_API_PATH_PATTERNS.some(pattern => pattern.test(req.path))) {
+    return next();
+  }
+
+  const secret = process.env.SUPABASE_JWT_SECRET;
+  const token = getBearerToken(req);
+
+  if (token && secret) {
+    const result = verifyJwt(token, secret, {
+      audience: process.env.SUPABASE_JWT_AUDIENCE || 'authenticated'
+    });
+
+    if (result.valid) {
+      req.user = {
+        id: result.claims.sub,
+        email: result.claims.email || null,
+        role: result.claims.role || null
+      };
+      return next();
+    }
+
+    if (!isAuthDemoMode()) {
+      return res.status(401).json({ error: 'Unauthorized', message: result.error });
+    }
+  }
+
+  if (isAuthDemoMode()) {
+    req.user = DEMO_USER;
+    return next();
+  }
+
+  if (!secret) {
+    console.error('❌ SUPABASE_JWT_SECRET is not set and AUTH_DEMO_MODE is off - rejecting request');
+  }
+
+  return res.status(401).json({
+    error: 'Unauthorized',
+    message: 'A valid access token is required.'
+  });
+}
+
+/**
+ * Admin authorization middleware (mount after requireAuth)
+ *
+ * Allows users listed in ADMIN_USER_IDS (comma-separated Supabase user ids).
+ * The demo user is never an admin unless explicitly listed.
+ */
+export function requireAdmin(req, res, next) {
+  const adminIds = (process.env.ADMIN_USER_IDS || '')
+    .split(',')
+    .map(id => id.trim())
+    .filter(Boolean);
+
+  const user = req.user;
+  if (user && adminIds.includes(user.id)) {
+    return next();
+  }
+
+  return res.status(403).json({
+    error: 'Forbidden',
+    message: 'Admin access is required.'
+  });
+}
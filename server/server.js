@@ -3,7 +3,33 @@ import cors from 'cors';
 import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
-import { AI_LIMITS, AI_TEMPERATURES, validateTokenLimit } from './aiConfig.js';
+import { AI_LIMITS, AI_TEMPERATURES, SYLLABUS_GENERATION, validateTokenLimit } from './aiConfig.js';
+import { createChatCompletion, streamChatCompletion, getLLMApiKey, describeLLMProvider } from './llmProvider.js';
+import { getDKBStorageKind } from './dkbStorage.js';
+import { evaluateSafetyPolicy } from './safetyPolicy.js';
+import { recordRefusal, queryRefusals, refusalsToCsv, REFUSAL_GATES } from './auditLog.js';
+import { ANONYMOUS_OWNER_ID, DEFAULT_SYLLABUS_ID, getStateScope } from './stateScope.js';
+import {
+  getDKBKey,
+  loadDKB,
+  listDKBKeys,
+  getOrCreateDKB,
+  resetDKBForDayBoundary,
+  rememberMentorAnswer,
+  extractConceptsFromAnswer,
+  extractConceptsSimple,
+  addConceptsToDKB,
+  estimateTokens,
+  signMentorAnswer,
+  prepareTopicChat
+} from './topicChatGates.js';
+import { generateStructuredOutput, getStructuredOutputMetrics, OUTPUT_SCHEMAS, StructuredOutputError } from './structuredOutput.js';
+import { adaptSyllabusDays, ADAPTATION_ACTIONS } from './syllabusAdaptation.js';
+import { editSyllabusDay, insertSyllabusDay, deleteSyllabusDay, reorderSyllabusDays, SyllabusEditError } from './syllabusEditing.js';
+import { createCalendarFeed, listCalendarFeeds, revokeCalendarFeed, recordFeedSnapshot, renderCalendarFeed, isValidFeedToken, isCalendarFeedEnabled, updateCalendarProfile, CalendarFeedError } from './calendarFeeds.js';
+import { addDays, getTodayInTimeZone, isCalendarDate, isKnownTimeZone } from '../src/dateUtils.js';
+import { createDayKey, withDayKey } from '../src/dayKeys.js';
+import { saveCalDAVAccount, getCalDAVAccount, deleteCalDAVAccount, syncCalDAVCalendar, isCalDAVSyncEnabled, CalDAVSyncError } from './caldavSync.js';
 import {
   sanitizeInput,
   sanitizeError,
@@ -11,7 +37,10 @@ import {
   apiRateLimiter,
   aiRateLimiter,
   getCorsOptions,
-  securityHeaders
+  securityHeaders,
+  requireAuth,
+  requireAdmin,
+  isAuthDemoMode
 } from './security.js';
 
 // Get the directory of the current module (server.js)
@@ -42,68 +71,111 @@ app.use(express.json({ limit: '10mb' }));
 // Apply general rate limiting to all API routes
 app.use('/api', apiRateLimiter);
 
-// In-memory store for syllabus (Day 1: single syllabus only)
-let syllabus = null;
+// Authentication: verify Supabase JWT and set req.user (all API routes except public ones)
+app.use('/api', requireAuth);
+if (isAuthDemoMode()) {
+  console.warn('⚠️  AUTH_DEMO_MODE=true - API requests without a valid token run as the demo user');
+}
 
 /**
- * Generate syllabus using OpenAI API
- * Falls back to mock data if API key is missing
+ * ============================================================================
+ * USER-SCOPED SERVER STATE
+ * ============================================================================
+ *
+ * All server-side state (syllabus snapshot, Day Knowledge Base, mentor answers)
+ * is keyed by STATE SCOPE = owner + syllabus id.
+ *
+ * - Owner: the authenticated user (req.user.id, set by requireAuth), or ANONYMOUS_OWNER_ID
+ * - Syllabus id: the id of the syllabus the request acts on
+ *
+ * One user's "End Day" can never reset another user's DKB, and two plans
+ * owned by the same user never share mentor memory. (Keys: see stateScope.js)
+ * ============================================================================
  */
-async function generateSyllabus(goal, hoursPerDay, totalDays) {
-  const apiKey = process.env.OPENAI_API_KEY;
-  
-  // Mock data generator (used when API key is missing)
-  function generateMockSyllabus() {
-    const days = [];
-    const startDate = new Date();
-    startDate.setHours(0, 0, 0, 0);
-    
-    for (let i = 1; i <= totalDays; i++) {
-      const date = new Date(startDate);
-      date.setDate(date.getDate() + i - 1);
-      const dateStr = date.toISOString().split('T')[0];
-      
-      // Day 1 is active, all others are pending
-      const status = i === 1 ? "active" : "pending";  // i is 1-indexed in this loop
-      
-      days.push({
-        dayNumber: i,
-        date: dateStr,
-        topic: `${goal} - Day ${i} Fundamentals`,
-        subtasks: [
-          `Introduction to Day ${i} concepts`,
-          `Practice exercises for Day ${i}`,
-          `Review Day ${i} materials`
-        ],
-        aiExpertPrompt: `You are an expert in ${goal}. Focus specifically on Day ${i} topics. Only answer questions related to Day ${i} content.`,
-        status: status,
-        learningInput: null,
-        completedAt: null
-      });
+
+/**
+ * Syllabus state store
+ * Key: state scope (see getStateScope)
+ * Value: { ownerId, syllabusId, syllabus, updatedAt }
+ */
+const syllabusStateStore = new Map();
+
+/**
+ * Maximum number of syllabus snapshots kept in memory (all owners)
+ */
+const MAX_SYLLABUS_STATES = 500;
+
+/**
+ * Resolve the owner of a request
+ *
+ * @param {Object} req - Express request
+ * @returns {string} - Authenticated user id, or ANONYMOUS_OWNER_ID
+ */
+function getRequestOwnerId(req) {
+  const userId = req?.user?.id;
+  return typeof userId === 'string' && userId.trim() ? userId.trim() : ANONYMOUS_OWNER_ID;
+}
+
+/**
+ * Get the stored syllabus for an owner + syllabus id
+ *
+ * @param {string} ownerId - Owner id
+ * @param {string|null} syllabusId - Syllabus id
+ * @returns {Object|null} - The stored syllabus, or null
+ */
+function getSyllabusState(ownerId, syllabusId) {
+  const state = syllabusStateStore.get(getStateScope(ownerId, syllabusId));
+  return state ? state.syllabus : null;
+}
+
+/**
+ * Get the most recently updated syllabus for an owner
+ *
+ * @param {string} ownerId - Owner id
+ * @returns {Object|null} - The latest syllabus, or null
+ */
+function getLatestSyllabusState(ownerId) {
+  let latest = null;
+  for (const state of syllabusStateStore.values()) {
+    if (state.ownerId === ownerId && (!latest || state.updatedAt >= latest.updatedAt)) {
+      latest = state;
     }
-    
-    return days;
   }
-  
-  // If no API key, return mock data
-  if (!apiKey) {
-    console.log('⚠️  OPENAI_API_KEY not found. Using mock syllabus data.');
-    return generateMockSyllabus();
+  return latest ? latest.syllabus : null;
+}
+
+/**
+ * Store the syllabus for an owner (scoped by syllabus.id)
+ * Also refreshes the owner's calendar feed snapshot (see calendarFeeds.js)
+ *
+ * @param {string} ownerId - Owner id
+ * @param {Object} syllabusToStore - Syllabus object (must include id)
+ * @returns {Promise<void>} - Resolves once the feed snapshot is recorded (never rejects)
+ */
+function setSyllabusState(ownerId, syllabusToStore) {
+  const scope = getStateScope(ownerId, syllabusToStore?.id);
+
+  // Re-insert so Map order reflects recency (oldest first)
+  syllabusStateStore.delete(scope);
+  syllabusStateStore.set(scope, {
+    ownerId,
+    syllabusId: syllabusToStore?.id || DEFAULT_SYLLABUS_ID,
+    syllabus: syllabusToStore,
+    updatedAt: Date.now()
+  });
+
+  if (syllabusStateStore.size > MAX_SYLLABUS_STATES) {
+    const oldestKey = syllabusStateStore.keys().next().value;
+    syllabusStateStore.delete(oldestKey);
   }
-  
-  // Real OpenAI API call
-  try {
-    const { default: OpenAI } = await import('openai');
-    const openai = new OpenAI({ apiKey });
-    
-    // Enforce token limit (increased to 900 for richer descriptions)
-    const maxTokens = AI_LIMITS.SYLLABUS;
-    validateTokenLimit('SYLLABUS', maxTokens);
-    
-    // STRICT PROMPT: Concise, structured, JSON-only
-    const prompt = `You are a system that generates structured learning syllabi.
 
-STRICT RULES:
+  return recordFeedSnapshot(ownerId, syllabusToStore);
+}
+
+/**
+ * Strict output rules shared by every syllabus day prompt
+ */
+const SYLLABUS_DAY_RULES = `STRICT RULES:
 - Respond with VALID JSON ONLY
 - Do NOT include explanations, comments, or markdown
 - Keep all text concise
@@ -132,1453 +204,993 @@ OUTPUT FORMAT (JSON ONLY):
 
 CRITICAL: Each day MUST have exactly 3 or 4 subtasks in the "subtasks" array.
 - NOT 1 subtask
-- NOT 2 subtasks  
+- NOT 2 subtasks
 - NOT 5 or more subtasks
-- MUST be 3 or 4 subtasks
+- MUST be 3 or 4 subtasks`;
+
+/**
+ * Build the continuation context for a regenerated syllabus tail
+ * (what the learner already covered + the latest reflection evaluation)
+ *
+ * @param {Object} body - Raw /api/regenerate-future-days body
+ *   completedDays: [{ dayNumber, topic, subtasks }], evaluation: evaluate-learning result,
+ *   futureDays: current days from startDayNumber on (locked ones are kept)
+ * @param {number} startDayNumber - First syllabus day being regenerated
+ * @returns {{startDayNumber: number, coveredDays: Object[], lockedTopics: string[], evaluation: Object|null, gaps: string[]}|null}
+ *   null when the request carries no usable context
+ */
+function buildContinuationContext(body, startDayNumber) {
+  const cleanText = (value, maxLength) => sanitizeInput(value).substring(0, maxLength).trim();
+
+  const coveredDays = (Array.isArray(body?.completedDays) ? body.completedDays : [])
+    .filter(day => day && typeof day === 'object' && typeof day.topic === 'string' && day.topic.trim())
+    .map(day => ({
+      dayNumber: Number.isInteger(day.dayNumber) ? day.dayNumber : null,
+      topic: cleanText(day.topic, 100),
+      subtasks: (Array.isArray(day.subtasks) ? day.subtasks : [])
+        .filter(subtask => typeof subtask === 'string' && subtask.trim())
+        .slice(0, 4)
+        .map(subtask => cleanText(subtask, 100))
+    }))
+    .slice(-SYLLABUS_GENERATION.COVERED_DAYS_CONTEXT);
+
+  // Only trust evaluation values the EVALUATION schema allows
+  const evaluationSchema = OUTPUT_SCHEMAS.EVALUATION.schema.properties;
+  const rawEvaluation = body?.evaluation && typeof body.evaluation === 'object' ? body.evaluation : null;
+  const pickEnum = (field) => evaluationSchema[field].enum.includes(rawEvaluation?.[field]) ? rawEvaluation[field] : null;
+  const evaluation = rawEvaluation
+    ? {
+      understanding_level: pickEnum('understanding_level'),
+      confidence: pickEnum('confidence'),
+      recommended_action: pickEnum('recommended_action')
+    }
+    : null;
+
+  const gaps = (Array.isArray(rawEvaluation?.gaps_detected) ? rawEvaluation.gaps_detected : [])
+    .filter(gap => typeof gap === 'string' && gap.trim())
+    .map(gap => cleanText(gap, 120))
+    .slice(0, SYLLABUS_GENERATION.MAX_REMEDIATION_GAPS);
+
+  // Locked days stay in the plan - the new days are planned around them
+  const lockedTopics = (Array.isArray(body?.futureDays) ? body.futureDays : [])
+    .filter(day => day?.locked && typeof day.topic === 'string' && day.topic.trim())
+    .map(day => cleanText(day.topic, 100));
+
+  if (coveredDays.length === 0 && lockedTopics.length === 0 && gaps.length === 0 && !evaluation?.recommended_action) {
+    return null;
+  }
+  return { startDayNumber, coveredDays, lockedTopics, evaluation, gaps };
+}
+
+/**
+ * Prompt section describing a continuation (empty string for a fresh syllabus)
+ *
+ * @param {Object|null} continuation - From buildContinuationContext
+ * @param {boolean} includeRemediation - Ask for gap remediation (first days only)
+ * @returns {string}
+ */
+function buildContinuationPrompt(continuation, includeRemediation) {
+  if (!continuation) {
+    return '';
+  }
+
+  const lines = [`CONTINUATION: this plan continues an existing syllabus at Day ${continuation.startDayNumber}. Day 1 below = syllabus Day ${continuation.startDayNumber}.`];
+  if (continuation.coveredDays.length > 0) {
+    lines.push(`- Already covered (do NOT repeat): ${continuation.coveredDays.map(day => day.topic).join('; ')}`);
+  }
+  if (continuation.lockedTopics.length > 0) {
+    lines.push(`- Fixed days kept in the plan (plan around them, do NOT repeat): ${continuation.lockedTopics.join('; ')}`);
+  }
+  const { understanding_level: level, confidence, recommended_action: action } = continuation.evaluation || {};
+  if (level || action) {
+    lines.push(`- Latest reflection: understanding ${level || 'unknown'}, confidence ${confidence || 'unknown'}, recommended ${action || 'continue'}`);
+  }
+  if (continuation.gaps.length > 0) {
+    lines.push(`- Learner gaps: ${continuation.gaps.join('; ')}`);
+  }
+
+  if (includeRemediation && continuation.gaps.length > 0) {
+    if (action === 'repeat') {
+      lines.push('- The FIRST days must revisit these gaps with new practice before moving on');
+    } else if (action === 'simplify') {
+      lines.push('- The FIRST days must close these gaps in smaller, simpler steps before moving on');
+    } else {
+      lines.push('- Address these gaps briefly in the first day, then continue');
+    }
+  }
+  lines.push('- Continue where the covered topics end. Do NOT restart from the basics of the goal.');
+
+  return lines.join('\n');
+}
+
+/**
+ * Split a syllabus into modules of roughly DAYS_PER_MODULE days
+ * Day counts are decided here (not by the model), so they always add up to totalDays
+ *
+ * @param {number} totalDays - Requested number of days
+ * @returns {Array<{startDay: number, endDay: number}>} - Consecutive day ranges (1-indexed, inclusive)
+ */
+function planSyllabusModules(totalDays) {
+  const moduleCount = Math.max(1, Math.ceil(totalDays / SYLLABUS_GENERATION.DAYS_PER_MODULE));
+  const baseLength = Math.floor(totalDays / moduleCount);
+  const remainder = totalDays % moduleCount;
+
+  const modules = [];
+  let startDay = 1;
+  for (let i = 0; i < moduleCount; i++) {
+    const length = baseLength + (i < remainder ? 1 : 0);
+    modules.push({ startDay, endDay: startDay + length - 1 });
+    startDay += length;
+  }
+  return modules;
+}
+
+/**
+ * Generate module titles for a long syllabus (outline pass)
+ * FALLBACK: Modules the model does not name get a generic "Part N" title
+ *
+ * @param {string} goal - Learning goal
+ * @param {number} hoursPerDay - Hours per day
+ * @param {Array<{startDay: number, endDay: number}>} ranges - Planned module ranges
+ * @param {Object|null} continuation - Continuation context (see buildContinuationContext)
+ * @returns {Promise<Array<{title: string, focus: string|null, startDay: number, endDay: number}>>}
+ */
+async function generateSyllabusOutline(goal, hoursPerDay, ranges, continuation = null) {
+  const maxTokens = AI_LIMITS.SYLLABUS;
+  validateTokenLimit('SYLLABUS', maxTokens);
+
+  const prompt = `You are a system that plans long learning syllabi.
+
+STRICT RULES:
+- Respond with VALID JSON ONLY
+- Do NOT include explanations, comments, or markdown
+- Return exactly ${ranges.length} modules, in learning order
+- Each title must be <= 6 words
+- Each focus must be <= 10 words
+
+OUTPUT FORMAT (JSON ONLY):
+
+{
+  "modules": [
+    { "title": "Module title", "focus": "What this module covers" }
+  ]
+}
 
 INPUT:
 Goal: ${goal}
-Days: ${totalDays}
 Hours per day: ${hoursPerDay}
+Modules (days each): ${ranges.map((range, index) => `${index + 1}: days ${range.startDay}-${range.endDay}`).join('; ')}${continuation ? `
 
-Generate exactly ${totalDays} days. Each day MUST have exactly 3 or 4 subtasks (no exceptions).`;
+${buildContinuationPrompt(continuation, true)}` : ''}`;
 
-    const response = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
+  let modules = [];
+  try {
+    const { data, usage } = await generateStructuredOutput('SYLLABUS_OUTLINE', {
       messages: [
-      {
-        role: "system",
-        content: "You are a learning curriculum generator. Each day MUST have exactly 3 or 4 subtasks (NOT 1, NOT 2, NOT 5+). Return only valid JSON. No explanations."
-      },
+        {
+          role: "system",
+          content: "You are a learning curriculum planner. Return only valid JSON. No explanations."
+        },
         {
           role: "user",
           content: prompt
         }
       ],
-      temperature: AI_TEMPERATURES.SYLLABUS,  // 0.2 for structured generation
-      max_tokens: maxTokens,  // 900 tokens max (increased for richer descriptions)
-      stream: false  // Explicitly disable streaming
+      temperature: AI_TEMPERATURES.SYLLABUS,
+      max_tokens: maxTokens,
+      stream: false
     });
-    
-    // Log token usage for cost monitoring
-    if (response.usage) {
-      console.log(`📊 Syllabus generation tokens: ${response.usage.total_tokens} (limit: ${maxTokens})`);
-    }
-    
-    const content = response.choices[0].message.content.trim();
-    
-    // Remove markdown code blocks if present
-    const jsonContent = content.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-    
-    // JSON SAFETY GUARD: Intentional parsing with fallback
-    let parsed;
-    try {
-      parsed = JSON.parse(jsonContent);
-    } catch (err) {
-      console.error("❌ Invalid JSON from AI, attempting repair...");
-      
-      // REPAIR PASS: One retry attempt
-      try {
-        const repairPrompt = `Fix this JSON. Return ONLY valid JSON.
 
-${jsonContent}`;
-        
-        const repairResponse = await openai.chat.completions.create({
-          model: "gpt-4o-mini",
-          messages: [
-            {
-              role: "system",
-              content: "You are a JSON repair tool. Return only valid JSON."
-            },
-            {
-              role: "user",
-              content: repairPrompt
-            }
-          ],
-          temperature: 0.1,  // Very low for repair
-          max_tokens: 300,   // Lower limit for repair
-          stream: false
-        });
-        
-        const repairedContent = repairResponse.choices[0].message.content.trim();
-        const repairedJson = repairedContent.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-        parsed = JSON.parse(repairedJson);
-        console.log("✅ JSON repaired successfully");
-      } catch (repairErr) {
-        console.error("❌ JSON repair failed, using mock data");
-        return generateMockSyllabus();
-      }
+    if (usage) {
+      console.log(`📊 Syllabus outline tokens: ${usage.total_tokens} (limit: ${maxTokens})`);
     }
-    
-    // Extract days array from parsed response
-    let days = parsed.days || parsed;  // Support both {days: [...]} and [...]
-    
-    // Ensure days is an array
-    if (!Array.isArray(days)) {
-      console.error("❌ Response is not an array, using mock data");
-      return generateMockSyllabus();
-    }
-    
-    // Validate and enrich with required fields
-    const startDate = new Date();
-    startDate.setHours(0, 0, 0, 0);
-    
-    days = days.map((day, index) => {
-      const date = new Date(startDate);
-      date.setDate(date.getDate() + index);
-      const dateStr = date.toISOString().split('T')[0];
-      
-      // Day 1 is active, all others are pending
-      const status = index === 0 ? "active" : "pending";
-      
-      // Validate and ensure 3-4 subtasks
-      let subtasks = Array.isArray(day.subtasks) ? day.subtasks.filter(st => typeof st === 'string' && st.trim()).map(st => st.trim()) : [];
-      
-      // Ensure we have 3-4 subtasks
-      if (subtasks.length < 3) {
-        // Pad with generic subtasks if needed
-        const needed = 3 - subtasks.length;
-        for (let i = 0; i < needed; i++) {
-          subtasks.push(`Complete Day ${index + 1} learning objective ${i + 1}`);
-        }
-      } else if (subtasks.length > 4) {
-        // Trim to 4 if more than 4
-        subtasks = subtasks.slice(0, 4);
-      }
-      
-      return {
-        dayNumber: day.dayNumber || index + 1,
-        date: dateStr,
-        topic: day.topic || `${goal} - Day ${index + 1}`,
-        subtasks: subtasks,
-        aiExpertPrompt: day.aiExpertPrompt || `You are an expert in ${goal}. Focus on Day ${index + 1} topics.`,
-        status: status,
-        learningInput: null,
-        completedAt: null
-      };
-    });
-    
-    return days;
+    modules = data.modules;
   } catch (error) {
-    console.error('OpenAI API error:', error.message);
-    console.log('Falling back to mock data...');
-    return generateMockSyllabus();
+    // Provider failures surface; an unusable outline only costs the module titles
+    if (!(error instanceof StructuredOutputError) || error.code === 'provider_error') {
+      throw error;
+    }
+    console.warn(`⚠️  Syllabus outline unusable (${error.code}), using generic module titles`);
   }
+
+  return ranges.map((range, index) => {
+    const module = modules[index];
+    const title = typeof module?.title === 'string' && module.title.trim() ? module.title.trim() : `${goal} - Part ${index + 1}`;
+    const focus = typeof module?.focus === 'string' && module.focus.trim() ? module.focus.trim() : null;
+    return { title, focus, ...range };
+  });
 }
 
 /**
- * Hard domain safety gate: Checks if a learning goal is in an allowed domain
- * Rejects goals containing unsafe keywords (hacking, crime, fraud, spying, weapons, drugs, illegal activity, surveillance)
- * Uses deterministic keyword matching (no AI-based moderation)
- * 
- * @param {string} goalText - The learning goal text
- * @returns {boolean} - Returns true if domain is allowed, false if blocked
+ * Generate specific days of one module (one SYLLABUS call)
+ *
+ * Days are matched by dayNumber; days with a missing or unexpected dayNumber
+ * fill the remaining requested numbers in order.
+ *
+ * @param {Object} params - Generation parameters
+ * @param {string} params.goal - Learning goal
+ * @param {number} params.hoursPerDay - Hours per day
+ * @param {number} params.totalDays - Total syllabus length
+ * @param {Object} params.module - Module ({ title, focus, startDay, endDay }), or null for a single-module syllabus
+ * @param {number[]} params.dayNumbers - Day numbers to generate (ascending)
+ * @param {string[]} params.earlierTopics - Recent topics of earlier days (avoid repeats)
+ * @param {Object|null} params.continuation - Continuation context (see buildContinuationContext)
+ * @returns {Promise<Map<number, Object>>} - Raw days keyed by day number (may be incomplete)
  */
-function isAllowedLearningDomain(goalText) {
-  if (!goalText || typeof goalText !== 'string') {
-    return false; // Fail closed: invalid input is not allowed
+async function generateSyllabusDays({ goal, hoursPerDay, totalDays, module, dayNumbers, earlierTopics, continuation = null }) {
+  const maxTokens = AI_LIMITS.SYLLABUS;
+  validateTokenLimit('SYLLABUS', maxTokens);
+
+  const isRange = dayNumbers.every((dayNumber, index) => index === 0 || dayNumber === dayNumbers[index - 1] + 1);
+  const dayList = isRange && dayNumbers.length > 1
+    ? `days ${dayNumbers[0]}-${dayNumbers[dayNumbers.length - 1]}`
+    : `dayNumber ${dayNumbers.join(', ')}`;
+
+  const prompt = `You are a system that generates structured learning syllabi.
+
+${SYLLABUS_DAY_RULES}
+
+INPUT:
+Goal: ${goal}
+Days: ${totalDays}
+Hours per day: ${hoursPerDay}${module ? `
+Module: ${module.title}${module.focus ? ` (${module.focus})` : ''}, days ${module.startDay}-${module.endDay}` : ''}${earlierTopics.length > 0 ? `
+Earlier topics (do NOT repeat): ${earlierTopics.join('; ')}` : ''}${continuation ? `
+
+${buildContinuationPrompt(continuation, dayNumbers[0] === 1)}` : ''}
+
+Generate exactly ${dayNumbers.length} days: ${dayList}. Use those dayNumber values. Each day MUST have exactly 3 or 4 subtasks (no exceptions).`;
+
+  let rawDays = [];
+  try {
+    const { data, usage } = await generateStructuredOutput('SYLLABUS_DAYS', {
+      messages: [
+        {
+          role: "system",
+          content: "You are a learning curriculum generator. Each day MUST have exactly 3 or 4 subtasks (NOT 1, NOT 2, NOT 5+). Return only valid JSON. No explanations."
+        },
+        {
+          role: "user",
+          content: prompt
+        }
+      ],
+      temperature: AI_TEMPERATURES.SYLLABUS,  // 0.2 for structured generation
+      max_tokens: maxTokens,  // 900 tokens max per chunk
+      stream: false  // Explicitly disable streaming
+    });
+
+    // Log token usage for cost monitoring
+    if (usage) {
+      console.log(`📊 Syllabus generation tokens (${dayList}): ${usage.total_tokens} (limit: ${maxTokens})`);
+    }
+    rawDays = data.days;
+  } catch (error) {
+    // Provider failures surface; an unusable chunk is re-requested by the gap fill
+    if (!(error instanceof StructuredOutputError) || error.code === 'provider_error') {
+      throw error;
+    }
+    console.warn(`⚠️  Syllabus chunk (${dayList}) unusable (${error.code})`);
   }
 
-  // Normalize text: lowercase and trim
-  const normalized = goalText.toLowerCase().trim();
-  
-  // Unsafe domain keywords - comprehensive list
-  // False positives NOT acceptable, so we use strict keyword matching
-  const unsafeKeywords = [
-    // Hacking and unauthorized access
-    'hack', 'hacking', 'crack', 'cracking', 'breach', 'unauthorized access',
-    'bypass security', 'exploit', 'vulnerability', 'sql injection', 'xss',
-    'ddos', 'malware', 'virus', 'trojan', 'ransomware', 'penetration testing',
-    'ethical hacking', 'white hat', 'black hat', 'gray hat',
-    
-    // Crime and illegal activity
-    'crime', 'criminal', 'illegal', 'unlawful', 'felony', 'misdemeanor',
-    'theft', 'robbery', 'burglary', 'fraud', 'scam', 'embezzlement',
-    'money laundering', 'counterfeit', 'forgery',
-    
-    // Spying and surveillance
-    'spy', 'spying', 'surveillance', 'eavesdrop', 'wiretap', 'monitor without',
-    'track someone', 'stalk', 'stalking', 'espionage', 'intelligence gathering',
-    'covert', 'undercover',
-    
-    // Weapons and violence
-    'weapon', 'weapons', 'gun', 'firearm', 'bomb', 'explosive', 'ammunition',
-    'knife fighting', 'combat training', 'martial arts for violence',
-    'kill', 'murder', 'assassinate', 'harm', 'violence', 'threaten', 'threat',
-    'attack', 'assault',
-    
-    // Drugs and illegal substances
-    'drug', 'drugs', 'cocaine', 'heroin', 'methamphetamine', 'marijuana',
-    'cannabis cultivation', 'drug manufacturing', 'drug dealing',
-    'illegal substance', 'controlled substance',
-    
-    // Surveillance and privacy violations
-    'surveillance', 'spyware', 'keylogger', 'tracking without consent',
-    'unauthorized monitoring', 'privacy violation',
-    
-    // Other illegal activities
-    'identity theft', 'phishing', 'social engineering', 'blackmail', 'extort',
-    'manipulate', 'deceive', 'cheat', 'unauthorized entry', 'break into',
-    'illegal access', 'unauthorized login', 'password crack', 'credential theft'
-  ];
+  const usableDays = rawDays.filter(day => day && typeof day === 'object' && typeof day.topic === 'string' && day.topic.trim());
 
-  // Check for unsafe keywords - strict matching
-  for (const keyword of unsafeKeywords) {
-    if (normalized.includes(keyword)) {
-      if (process.env.NODE_ENV === 'development') {
-        console.warn('🚫 Blocked learning domain (unsafe keyword detected):', {
-          keyword,
-          goal: goalText.substring(0, 100)
-        });
-      }
-      return false; // Domain is not allowed
+  const wanted = new Set(dayNumbers);
+  const result = new Map();
+  const unnumbered = [];
+  for (const day of usableDays) {
+    const dayNumber = Number(day.dayNumber);
+    if (wanted.has(dayNumber) && !result.has(dayNumber)) {
+      result.set(dayNumber, day);
+    } else {
+      unnumbered.push(day);
     }
   }
+  for (const day of unnumbered) {
+    const nextDayNumber = dayNumbers.find(dayNumber => !result.has(dayNumber));
+    if (nextDayNumber === undefined) break;
+    result.set(nextDayNumber, day);
+  }
 
-  // Domain passed all safety checks
-  return true;
+  return result;
 }
 
 /**
- * POST /api/generate-syllabus
- * Generates a learning syllabus based on goal, hours per day, and total days
+ * Enforce the 3-4 subtask rule on model output
+ * (pads with generic subtasks, trims extras)
+ *
+ * @param {any} subtasks - Raw subtasks from the model
+ * @param {number} dayNumber - 1-indexed day number (for padding text)
+ * @returns {string[]} - 3 or 4 subtasks
  */
-app.post('/api/generate-syllabus', aiRateLimiter, async (req, res) => {
-  try {
-    // Validate and sanitize request body
-    const validation = validateAndSanitizeBody(req.body, ['goal', 'hoursPerDay', 'totalDays']);
-    if (!validation.valid) {
-      return res.status(400).json({ error: validation.error || 'Invalid request' });
-    }
-    
-    const { goal, hoursPerDay, totalDays } = validation.sanitized;
-    
-    // Validation
-    if (!goal || typeof goal !== 'string' || goal.trim().length === 0) {
-      return res.status(400).json({ error: 'Goal is required and must be a non-empty string', fallback: false });
-    }
-    
-    if (!hoursPerDay || typeof hoursPerDay !== 'number' || hoursPerDay <= 0) {
-      return res.status(400).json({ error: 'hoursPerDay must be a positive number', fallback: false });
-    }
-    
-    if (!totalDays || typeof totalDays !== 'number' || totalDays <= 0 || totalDays > 365) {
-      return res.status(400).json({ error: 'totalDays must be a positive number (max 365)', fallback: false });
-    }
-    
-    // HARD DOMAIN SAFETY GATE: Check if learning domain is allowed
-    // This check happens BEFORE any LLM call
-    if (!isAllowedLearningDomain(goal)) {
-      if (process.env.NODE_ENV === 'development') {
-        console.warn('🚫 Syllabus generation blocked (unsafe domain):', {
-          goal: goal.substring(0, 100)
-        });
-      }
-      return res.status(400).json({
-        error: "unsafe_domain",
-        message: "This learning topic is not supported."
-      });
+function normalizeDaySubtasks(subtasks, dayNumber) {
+  let cleaned = Array.isArray(subtasks) ? subtasks.filter(st => typeof st === 'string' && st.trim()).map(st => st.trim()) : [];
+
+  if (cleaned.length < 3) {
+    // Pad with generic subtasks if needed
+    const needed = 3 - cleaned.length;
+    for (let i = 0; i < needed; i++) {
+      cleaned.push(`Complete Day ${dayNumber} learning objective ${i + 1}`);
     }
-    
-    // Generate days
-    const days = await generateSyllabus(goal.trim(), hoursPerDay, totalDays);
-    
-    // Create syllabus object matching PRD Section 7 data model
-    const startDate = new Date();
-    startDate.setHours(0, 0, 0, 0);
-    const startDateStr = startDate.toISOString().split('T')[0];
-    
-    // Generate unique ID using timestamp + random to ensure uniqueness
-    // Format: syl_<timestamp>_<random>
-    const uniqueId = `syl_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
-    
-    syllabus = {
-      id: uniqueId,
-      goal: goal.trim(),
-      hoursPerDay,
-      totalDays,
-      startDate: startDateStr,
-      days
-    };
-    
-    // ALWAYS return valid JSON
-    res.json(syllabus);
-  } catch (error) {
-    console.error('Error generating syllabus:', error);
-    // BACKEND ERROR SAFETY: Always return valid JSON, never empty response
-    const safeError = sanitizeError(error, isDevelopment);
-    res.status(500).json({ 
-      error: 'Syllabus generation failed', 
-      message: safeError,
-      fallback: true 
-    });
+  } else if (cleaned.length > 4) {
+    // Trim to 4 if more than 4
+    cleaned = cleaned.slice(0, 4);
   }
-});
+
+  return cleaned;
+}
 
 /**
- * Safety and scope pre-filter for user questions
- * Checks for illegal, harmful, or off-scope content BEFORE sending to LLM
- * 
- * @param {string} userQuestion - The user's question
- * @param {string} currentDayTopic - The current day's topic
- * @param {string[]} currentDaySubtasks - Array of current day's subtasks
- * @returns {Object|null} - Returns refusal object if question should be blocked, null otherwise
+ * Build a syllabus day (key, dates, status, 3-4 subtasks)
+ *
+ * @param {Object|null} day - Raw day from the model (null → placeholder)
+ * @param {number} dayNumber - 1-indexed day number
+ * @param {string} goal - Learning goal
+ * @param {string} startDate - Calendar date of day 1 (YYYY-MM-DD)
+ * @param {string} fallbackTopic - Topic used when the model returned nothing usable
+ * @returns {Object} - Syllabus day
  */
-function preFilterQuestion(userQuestion, currentDayTopic, currentDaySubtasks = []) {
-  if (!userQuestion || typeof userQuestion !== 'string') {
-    return null;
-  }
+function buildSyllabusDay(day, dayNumber, goal, startDate, fallbackTopic) {
+  return {
+    dayKey: createDayKey(),
+    dayNumber,
+    date: addDays(startDate, dayNumber - 1),
+    topic: typeof day?.topic === 'string' && day.topic.trim() ? day.topic.trim() : fallbackTopic,
+    // Validate and ensure 3-4 subtasks
+    subtasks: normalizeDaySubtasks(day?.subtasks, dayNumber),
+    aiExpertPrompt: typeof day?.aiExpertPrompt === 'string' && day.aiExpertPrompt.trim()
+      ? day.aiExpertPrompt.trim()
+      : `You are an expert in ${goal}. Focus on Day ${dayNumber} topics.`,
+    // Day 1 is active, all others are pending
+    status: dayNumber === 1 ? "active" : "pending",
+    learningInput: null,
+    completedAt: null
+  };
+}
 
-  const messageLower = userQuestion.toLowerCase().trim();
-  
-  // STEP 1: Check for illegal/harmful intent keywords
-  // Zero false positives: strict keyword matching only
-  const harmfulKeywords = [
-    // Hacking and unauthorized access
-    'hack', 'hacking', 'crack', 'cracking', 'breach', 'unauthorized access',
-    'bypass security', 'exploit', 'vulnerability', 'sql injection', 'xss',
-    'ddos', 'malware', 'virus', 'trojan', 'ransomware',
-    
-    // Spying and surveillance
-    'spy', 'spying', 'surveillance', 'eavesdrop', 'wiretap', 'monitor without',
-    'track someone', 'stalk', 'stalking',
-    
-    // Illegal access and data theft
-    'steal data', 'data theft', 'identity theft', 'phishing', 'social engineering',
-    'unauthorized entry', 'break into', 'illegal access', 'unauthorized login',
-    'password crack', 'credential theft',
-    
-    // Violence
-    'kill', 'murder', 'assassinate', 'harm', 'violence', 'weapon', 'bomb',
-    'threaten', 'threat', 'attack', 'assault',
-    
-    // Explicit wrongdoing
-    'illegal', 'unlawful', 'criminal', 'fraud', 'scam', 'cheat', 'deceive',
-    'manipulate', 'blackmail', 'extort',
-  ];
+/**
+ * Generate syllabus using OpenAI API
+ * Falls back to mock data if API key is missing
+ *
+ * CHUNKED GENERATION (guarantees exactly totalDays days):
+ * 1. Outline: module titles for planned day ranges (skipped for one module)
+ * 2. Days: each module in ranges of DAYS_PER_CHUNK days (one call each),
+ *    MODULE_CONCURRENCY modules at a time
+ * 3. Gap fill: days the model skipped are re-requested (MAX_GAP_FILL_ATTEMPTS)
+ * 4. Days still missing get a placeholder from the module title
+ *
+ * @param {string} goal - Learning goal
+ * @param {number} hoursPerDay - Hours per day
+ * @param {number} totalDays - Number of days to generate
+ * @param {Object} options - Options
+ * @param {(progress: Object) => void} [options.onProgress] - Called with
+ *   { stage: 'outline'|'days', completedDays, totalDays, moduleIndex, moduleCount, moduleTitle }
+ * @param {Object|null} [options.continuation] - Regenerating the rest of a syllabus: covered
+ *   days + evaluation gaps to remediate (see buildContinuationContext)
+ * @param {string} [options.startDate] - Calendar date of day 1 (default: today on the server's clock)
+ * @param {AbortSignal} [options.signal] - Stops before the next LLM call once aborted (client disconnect)
+ * @returns {Promise<Object[]>} - Exactly totalDays syllabus days
+ * @throws {StructuredOutputError} - AI provider failure (code 'provider_error')
+ * @throws {DOMException} - AbortError once signal is aborted
+ */
+async function generateSyllabus(goal, hoursPerDay, totalDays, { onProgress = null, continuation = null, startDate = getTodayInTimeZone(), signal = null } = {}) {
+  const apiKey = getLLMApiKey();
 
-  // Check for harmful keywords - strict matching
-  for (const keyword of harmfulKeywords) {
-    if (messageLower.includes(keyword)) {
-      if (process.env.NODE_ENV === 'development') {
-        console.warn('🚫 Refused question (harmful keyword detected):', {
-          keyword,
-          message: userQuestion.substring(0, 100)
-        });
-      }
-      return {
-        refused: true,
-        reason: 'out_of_scope',
-        message: "I can only help with questions related to today's learning topic."
-      };
+  // Progress must never break generation (client may have gone away)
+  const reportProgress = (progress) => {
+    if (!onProgress) return;
+    try {
+      onProgress({ totalDays, ...progress });
+    } catch (error) {
+      console.warn('⚠️  Syllabus progress callback failed:', error.message);
     }
-  }
+  };
 
-  // STEP 2: Check semantic overlap with topic and subtasks
-  // Extract keywords from topic and subtasks
-  const topicKeywords = [];
-  const subtaskKeywords = [];
-  
-  // Extract keywords from topic (words 3+ characters)
-  if (currentDayTopic && typeof currentDayTopic === 'string') {
-    const topicLower = currentDayTopic.toLowerCase();
-    const topicWords = topicLower.split(/\s+/).filter(w => w.length >= 3);
-    topicKeywords.push(...topicWords);
-    
-    // Also extract from common patterns (e.g., "React.js" -> "react")
-    const techPatterns = topicLower.match(/\b(react|vue|angular|node|python|java|javascript|typescript|html|css|sql|api|rest|graphql)\b/gi);
-    if (techPatterns) {
-      topicKeywords.push(...techPatterns.map(p => p.toLowerCase()));
+  // Mock data generator (used when API key is missing)
+  function generateMockSyllabus() {
+    const days = [];
+
+    for (let i = 1; i <= totalDays; i++) {
+      const dateStr = addDays(startDate, i - 1);
+
+      // Day 1 is active, all others are pending
+      const status = i === 1 ? "active" : "pending";  // i is 1-indexed in this loop
+
+      days.push({
+        dayKey: createDayKey(),
+        dayNumber: i,
+        date: dateStr,
+        topic: `${goal} - Day ${i} Fundamentals`,
+        subtasks: [
+          `Introduction to Day ${i} concepts`,
+          `Practice exercises for Day ${i}`,
+          `Review Day ${i} materials`
+        ],
+        aiExpertPrompt: `You are an expert in ${goal}. Focus specifically on Day ${i} topics. Only answer questions related to Day ${i} content.`,
+        status: status,
+        learningInput: null,
+        completedAt: null
+      });
     }
-  }
-  
-  // Extract keywords from subtasks
-  if (Array.isArray(currentDaySubtasks) && currentDaySubtasks.length > 0) {
-    currentDaySubtasks.forEach(subtask => {
-      if (typeof subtask === 'string' && subtask.trim()) {
-        const subtaskLower = subtask.toLowerCase();
-        const subtaskWords = subtaskLower.split(/\s+/).filter(w => w.length >= 3);
-        subtaskKeywords.push(...subtaskWords);
-      }
-    });
-  }
-  
-  // Combine all relevant keywords (topic + subtasks)
-  const allRelevantKeywords = [...new Set([...topicKeywords, ...subtaskKeywords])];
-  
-  // If no topic/subtask keywords available, allow question (fail open for safety)
-  if (allRelevantKeywords.length === 0) {
-    return null; // No filtering possible without context
-  }
-  
-  // Extract significant words from user question (3+ characters)
-  const messageWords = messageLower.split(/\s+/).filter(w => w.length >= 3);
-  
-  // Check for semantic overlap: question must contain at least one relevant keyword
-  const hasTopicRelevance = allRelevantKeywords.some(keyword => {
-    // Check if keyword appears in question or question word appears in keyword
-    return messageWords.some(msgWord => 
-      msgWord.includes(keyword) || keyword.includes(msgWord)
-    );
-  });
-  
-  // If no semantic overlap, check for clearly off-topic terms
-  if (!hasTopicRelevance) {
-    const offTopicTerms = [
-      'cooking', 'recipe', 'weather', 'sports', 'celebrity', 'gossip',
-      'dating', 'relationship advice', 'medical diagnosis', 'legal advice',
-      'financial advice', 'investment', 'trading', 'cryptocurrency',
-      'politics', 'religion', 'personal therapy', 'how to make money',
-      'get rich', 'winning lottery', 'casino', 'gambling'
-    ];
-    
-    const hasOffTopicTerm = offTopicTerms.some(term => messageLower.includes(term));
-    
-    if (hasOffTopicTerm) {
-      if (process.env.NODE_ENV === 'development') {
-        console.warn('🚫 Refused question (off-topic, no semantic overlap):', {
-          topic: currentDayTopic,
-          subtasks: currentDaySubtasks,
-          message: userQuestion.substring(0, 100)
-        });
+
+    // Continuation: open with a review of the detected gaps
+    if (continuation && continuation.gaps.length > 0 && days.length > 0) {
+      days[0].topic = `Review: ${continuation.gaps[0]}`;
+      days[0].subtasks = continuation.gaps.slice(0, 4).map(gap => `Revisit ${gap}`);
+      while (days[0].subtasks.length < 3) {
+        days[0].subtasks.push(`Practice exercises for ${continuation.gaps[0]}`);
       }
-      return {
-        refused: true,
-        reason: 'out_of_scope',
-        message: "I can only help with questions related to today's learning topic."
-      };
     }
-    
-    // If no off-topic terms but also no relevance, be conservative and allow
-    // (Zero false positives preferred - only reject when clearly off-topic)
-    return null;
+
+    reportProgress({ stage: 'days', completedDays: totalDays, moduleIndex: 0, moduleCount: 1, moduleTitle: goal });
+    return days;
   }
 
-  // Question passed all checks - semantically related to topic/subtasks
-  return null;
-}
+  // If no API key, return mock data
+  if (!apiKey) {
+    console.log('⚠️  OPENAI_API_KEY not found. Using mock syllabus data.');
+    return generateMockSyllabus();
+  }
 
-/**
- * Hard topic scope gate: Determines if a question is within the scope of today's topic
- * Uses keyword extraction and simple synonym mapping (no AI-based filtering)
- * 
- * @param {string} question - The user's question
- * @param {string} topic - The current day's topic
- * @param {string[]} subtasks - Array of current day's subtasks
- * @returns {boolean} - True if question is in scope, false otherwise
- */
-/**
- * ============================================================================
- * DAY KNOWLEDGE BASE (DKB) - DAY-SCOPED EXPANDABLE MEMORY
- * ============================================================================
- * 
- * The DKB is the SINGLE SOURCE OF TRUTH for:
- * - What the mentor is allowed to know (scope validation)
- * - What the mentor can answer about (answering context)
- * 
- * ARCHITECTURE:
- * - Starts with today's syllabus (topic + subtasks)
- * - Expands ONLY with concepts introduced by the mentor
- * - Resets completely at the end of the day
- * - NO cross-day memory, NO global knowledge
- * 
- * KEY RULES:
- * - NO keyword matching (embedding-based only)
- * - NO predefined abbreviations
- * - NO fallback LLM calls
- * - Deterministic behavior only
- * 
- * ⚠️ DO NOT BYPASS DKB FOR SCOPE VALIDATION OR ANSWERING
- * ============================================================================
- */
+  // Real LLM API calls (OpenAI or OpenAI-compatible provider, see llmProvider.js)
+  // Unusable replies are gap-filled; provider failures throw StructuredOutputError
+  const ranges = planSyllabusModules(totalDays);
+  let modules;
+  if (ranges.length === 1) {
+    modules = [{ title: goal, focus: null, ...ranges[0] }];
+  } else {
+    reportProgress({ stage: 'outline', completedDays: 0, moduleIndex: 0, moduleCount: ranges.length, moduleTitle: null });
+    modules = await generateSyllabusOutline(goal, hoursPerDay, ranges, continuation);
+  }
+
+  const generated = new Map();
+  let gapFillCalls = 0;
+  let completedDays = 0;
+
+  // One module: chunks in order, each seeing the topics of the chunks before it
+  const generateModule = async (moduleIndex, module) => {
+    const earlierTopics = [];
+    for (let chunkStart = module.startDay; chunkStart <= module.endDay; chunkStart += SYLLABUS_GENERATION.DAYS_PER_CHUNK) {
+      const chunkEnd = Math.min(chunkStart + SYLLABUS_GENERATION.DAYS_PER_CHUNK - 1, module.endDay);
+      const chunk = [];
+      for (let dayNumber = chunkStart; dayNumber <= chunkEnd; dayNumber++) {
+        chunk.push(dayNumber);
+      }
 
-/**
- * Day Knowledge Base (DKB) Store
- * Key: dayKey (normalized topic string)
- * Value: DKB object with structure:
- *   {
- *     topic: string,                    // Today's topic
- *     subtasks: string[],               // Today's subtasks
- *     concepts: string[],               // Concepts extracted from mentor answers
- *     lastUpdated: Date,                // Last update timestamp
- *     embedding: number[] | null,       // Cached embedding for the full DKB
- *     embeddingDirty: boolean           // True if embedding needs regeneration
- *   }
- * 
- * LIFECYCLE:
- * - Created when first question is asked for a day
- * - Expanded after each mentor answer (concept extraction)
- * - Reset when day changes (new topic)
- */
-const dayKnowledgeBaseStore = new Map();
+      let missing = chunk;
+      for (let attempt = 0; attempt <= SYLLABUS_GENERATION.MAX_GAP_FILL_ATTEMPTS && missing.length > 0; attempt++) {
+        // Nobody is waiting for the rest (client went away) - stop spending LLM calls
+        signal?.throwIfAborted();
+        if (attempt > 0) {
+          gapFillCalls++;
+          console.warn(`⚠️  Syllabus chunk missing ${missing.length} day(s), requesting again: ${missing.join(', ')}`);
+        }
+        const days = await generateSyllabusDays({
+          goal,
+          hoursPerDay,
+          totalDays,
+          module: modules.length > 1 ? module : null,
+          dayNumbers: missing,
+          earlierTopics: earlierTopics.slice(-SYLLABUS_GENERATION.RECENT_TOPICS_CONTEXT),
+          continuation
+        });
+        for (const [dayNumber, day] of days) {
+          generated.set(dayNumber, day);
+        }
+        missing = chunk.filter(dayNumber => !generated.has(dayNumber));
+      }
 
-/**
- * Maximum number of concepts to store in DKB per day
- * Prevents unbounded growth
- */
-const MAX_DKB_CONCEPTS = 50;
+      for (const dayNumber of chunk) {
+        if (generated.has(dayNumber)) {
+          earlierTopics.push(generated.get(dayNumber).topic.trim());
+        }
+      }
 
-/**
- * Scope validation threshold for DKB embedding similarity
- * Questions with similarity >= threshold are IN SCOPE
- */
-const DKB_SCOPE_THRESHOLD = 0.22;
+      completedDays += chunk.length;
+      reportProgress({
+        stage: 'days',
+        completedDays,
+        moduleIndex,
+        moduleCount: modules.length,
+        moduleTitle: module.title
+      });
+    }
+  };
 
-/**
- * Get or create Day Knowledge Base for a specific day
- * 
- * @param {string} topic - Today's learning topic
- * @param {string[]} subtasks - Today's subtasks
- * @returns {Object} - The DKB object for this day
- */
-function getOrCreateDKB(topic, subtasks = []) {
-  if (!topic || typeof topic !== 'string') {
-    return null;
-  }
-  
-  const dayKey = topic.toLowerCase().trim();
-  
-  // Check if DKB exists for this day
-  if (dayKnowledgeBaseStore.has(dayKey)) {
-    const existingDKB = dayKnowledgeBaseStore.get(dayKey);
-    // Verify it's for the same topic (not stale)
-    if (existingDKB.topic.toLowerCase().trim() === dayKey) {
-      return existingDKB;
+  // Modules run MODULE_CONCURRENCY at a time (the outline keeps them apart),
+  // so a 365-day plan fits the serverless time limit; a failure stops new modules
+  let nextModuleIndex = 0;
+  let failed = false;
+  const runModules = async () => {
+    while (!failed && nextModuleIndex < modules.length) {
+      const moduleIndex = nextModuleIndex++;
+      try {
+        await generateModule(moduleIndex, modules[moduleIndex]);
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
     }
-  }
-  
-  // Create new DKB for this day
-  const newDKB = {
-    topic: topic.trim(),
-    subtasks: Array.isArray(subtasks) 
-      ? subtasks.filter(st => typeof st === 'string' && st.trim()).map(st => st.trim())
-      : [],
-    concepts: [],  // Will be populated from mentor answers
-    lastUpdated: new Date(),
-    embedding: null,
-    embeddingDirty: true  // Needs initial embedding generation
   };
-  
-  // Store the new DKB
-  dayKnowledgeBaseStore.set(dayKey, newDKB);
-  
-  // Cleanup: remove old DKBs (keep only last 5 days)
-  if (dayKnowledgeBaseStore.size > 5) {
-    const oldestKey = dayKnowledgeBaseStore.keys().next().value;
-    dayKnowledgeBaseStore.delete(oldestKey);
-    console.log(`🗑️  DKB cleanup: removed stale day "${oldestKey}"`);
-  }
-  
-  if (process.env.NODE_ENV === 'development') {
-    console.log('📚 DKB created for day:', {
-      topic: newDKB.topic.substring(0, 50),
-      subtasksCount: newDKB.subtasks.length
-    });
-  }
-  
-  return newDKB;
-}
+  await Promise.all(Array.from({ length: Math.min(SYLLABUS_GENERATION.MODULE_CONCURRENCY, modules.length) }, runModules));
 
-/**
- * Build DKB text representation for embedding generation
- * Combines topic, subtasks, and all extracted concepts
- * 
- * @param {Object} dkb - The Day Knowledge Base object
- * @returns {string} - Combined text for embedding
- */
-function buildDKBText(dkb) {
-  if (!dkb || !dkb.topic) {
-    return '';
-  }
-  
-  const parts = [];
-  
-  // Add topic
-  parts.push(`Topic: ${dkb.topic}`);
-  
-  // Add subtasks
-  if (dkb.subtasks && dkb.subtasks.length > 0) {
-    parts.push(`Subtasks: ${dkb.subtasks.join(', ')}`);
-  }
-  
-  // Add extracted concepts
-  if (dkb.concepts && dkb.concepts.length > 0) {
-    parts.push(`Related concepts: ${dkb.concepts.join(', ')}`);
+  // Validate and enrich with required fields - exactly totalDays days
+  const days = [];
+  let placeholderDays = 0;
+  for (const module of modules) {
+    for (let dayNumber = module.startDay; dayNumber <= module.endDay; dayNumber++) {
+      const day = generated.get(dayNumber) || null;
+      if (!day) placeholderDays++;
+      days.push(buildSyllabusDay(day, dayNumber, goal, startDate, `${module.title} - Day ${dayNumber}`));
+    }
   }
-  
-  return parts.join('. ');
-}
 
-/**
- * Reset Day Knowledge Base for day boundary
- * Called when transitioning to a new day
- * 
- * @param {string} oldTopic - The previous day's topic (to clear)
- */
-function resetDKBForDayBoundary(oldTopic) {
-  if (!oldTopic) return;
-  
-  const dayKey = oldTopic.toLowerCase().trim();
-  
-  if (dayKnowledgeBaseStore.has(dayKey)) {
-    dayKnowledgeBaseStore.delete(dayKey);
-    console.log(`🔄 DKB reset for day boundary: "${dayKey}"`);
+  if (gapFillCalls > 0 || placeholderDays > 0) {
+    console.warn(`⚠️  Syllabus generated with ${gapFillCalls} gap-fill call(s), ${placeholderDays} placeholder day(s)`);
   }
-}
-
-/**
- * DEPRECATED: Legacy store - kept for backwards compatibility
- * Use dayKnowledgeBaseStore instead
- */
-const mentorLastAnswerStore = new Map();
-
-/**
- * Cache for DKB embeddings
- * Key: DKB text hash
- * Value: embedding vector (array of numbers)
- * 
- * Purpose: Avoid regenerating embeddings when DKB hasn't changed
- */
-const dkbEmbeddingCache = new Map();
 
-/**
- * ⚠️ DEPRECATED: Keyword extraction for mentor's last answer
- * 
- * This function is kept for compatibility but is NOT used in DKB-based scope validation.
- * The mentor system now uses DKB with embedding-based semantic validation.
- * 
- * @deprecated Use extractConceptsFromAnswer() and DKB instead
- */
-function extractMentorAnswerKeywords(answerText) {
-  if (!answerText || typeof answerText !== 'string') return [];
-  
-  const stopWords = new Set(['the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'can', 'her', 'was', 'one', 'our', 'out', 'day', 'get', 'has', 'him', 'his', 'how', 'its', 'may', 'new', 'now', 'old', 'see', 'two', 'way', 'who', 'boy', 'did', 'its', 'let', 'put', 'say', 'she', 'too', 'use', 'this', 'that', 'with', 'from', 'have', 'been', 'than', 'more', 'what', 'when', 'where', 'which', 'about', 'into', 'over', 'after', 'before', 'will', 'would', 'could', 'should', 'might', 'must', 'shall', 'they', 'them', 'their', 'there', 'these', 'those', 'was', 'were', 'been', 'being', 'have', 'has', 'had', 'having', 'do', 'does', 'did', 'doing', 'done']);
-  
-  const words = answerText
-    .toLowerCase()
-    .split(/\s+/)
-    .map(w => w.replace(/[.,;:!?()\[\]{}'"]/g, ''))
-    .filter(w => w.length >= 2);
-  
-  const keywords = words.filter(w => w.length >= 2 && !stopWords.has(w));
-  
-  return keywords;
+  return days;
 }
 
 /**
- * ============================================================================
- * CONCEPT EXTRACTION - Extract key concepts from mentor answers
- * ============================================================================
- * 
- * After EVERY mentor answer, this function extracts key concepts semantically.
- * These concepts are appended to the DKB to expand allowed knowledge.
- * 
- * RULES:
- * - Extract short phrases, NOT sentences
- * - Do NOT deduplicate aggressively
- * - Keep everything day-local
- * - NO keyword matching (uses AI extraction)
- * 
- * @param {string} mentorAnswer - The mentor's response text
- * @param {string} topic - Today's learning topic
- * @param {string} apiKey - OpenAI API key
- * @returns {Promise<string[]>} - Array of extracted concept phrases
+ * Regenerate a single syllabus day
+ * Falls back to a mock day if API key is missing
+ *
+ * The model sees the neighbouring topics (so the replacement fits between
+ * them without duplicating either) and the learner's optional hint.
+ * Same output rules as generateSyllabus (3-4 subtasks enforced).
+ *
+ * @param {Object} params - Parameters
+ * @param {string} params.goal - Learning goal
+ * @param {number} params.hoursPerDay - Hours per day
+ * @param {number} params.dayNumber - Day being replaced
+ * @param {string} params.currentTopic - Topic being replaced (avoid repeating it)
+ * @param {string[]} params.previousTopics - Topics of the days before (nearest last)
+ * @param {string[]} params.nextTopics - Topics of the days after (nearest first)
+ * @param {string} params.hint - Learner hint ('' = none)
+ * @returns {Promise<{topic: string, subtasks: string[], aiExpertPrompt: string}>}
+ * @throws {StructuredOutputError} - AI provider failure or unusable reply
  */
-async function extractConceptsFromAnswer(mentorAnswer, topic, apiKey) {
-  if (!mentorAnswer || typeof mentorAnswer !== 'string' || mentorAnswer.trim().length === 0) {
-    return [];
-  }
-  
+async function regenerateSyllabusDay({ goal, hoursPerDay, dayNumber, currentTopic, previousTopics, nextTopics, hint }) {
+  const apiKey = getLLMApiKey();
+
+  // If no API key, return a mock day
   if (!apiKey) {
-    // No API key: fall back to simple noun phrase extraction
-    // This is deterministic and doesn't require AI
-    return extractConceptsSimple(mentorAnswer);
+    console.log('⚠️  OPENAI_API_KEY not found. Using mock syllabus day.');
+    const topic = hint ? `${goal}: ${hint}` : `${goal} - Day ${dayNumber} Practice`;
+    return {
+      topic: topic.substring(0, 100),
+      subtasks: [
+        `Introduction to ${hint || `Day ${dayNumber}`} concepts`,
+        `Practice exercises for Day ${dayNumber}`,
+        `Review Day ${dayNumber} materials`
+      ],
+      aiExpertPrompt: `You are an expert in ${goal}. Focus specifically on Day ${dayNumber} topics. Only answer questions related to Day ${dayNumber} content.`
+    };
   }
-  
-  try {
-    const { default: OpenAI } = await import('openai');
-    const openai = new OpenAI({ apiKey });
-    
-    const maxTokens = AI_LIMITS.CONCEPT_EXTRACTION;
-    validateTokenLimit('CONCEPT_EXTRACTION', maxTokens);
-    
-    // Strict prompt for concept extraction
-    const prompt = `Extract key technical concepts, terms, and phrases from this explanation.
 
-RULES:
-- Return ONLY a JSON array of short phrases (2-5 words each)
-- Extract concepts that were EXPLAINED or INTRODUCED
-- Do NOT include common words or filler
-- Maximum 8 concepts
-- No explanations, no markdown
+  const maxTokens = AI_LIMITS.SYLLABUS;
+  validateTokenLimit('SYLLABUS', maxTokens);
 
-Topic context: ${topic}
+  const prompt = `You are a system that generates structured learning syllabi.
 
-Text to extract from:
-"${mentorAnswer.substring(0, 800)}"
+${SYLLABUS_DAY_RULES}
 
-Return ONLY a JSON array like: ["concept one", "concept two"]`;
+INPUT:
+Goal: ${goal}
+Hours per day: ${hoursPerDay}${previousTopics.length > 0 ? `
+Previous days: ${previousTopics.join('; ')}` : ''}${nextTopics.length > 0 ? `
+Following days: ${nextTopics.join('; ')}` : ''}
+Current topic (replace it - do NOT repeat it): ${currentTopic}${hint ? `
+Learner request for this day: ${hint}` : ''}
 
-    const response = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
-      messages: [
-        {
-          role: "system",
-          content: "You extract key concepts from educational text. Return only a JSON array of short concept phrases. No explanations."
-        },
-        {
-          role: "user",
-          content: prompt
-        }
-      ],
-      temperature: AI_TEMPERATURES.CONCEPT_EXTRACTION,
-      max_tokens: maxTokens,
-      stream: false
-    });
-    
-    if (response.usage) {
-      console.log(`📊 Concept extraction tokens: ${response.usage.total_tokens} (limit: ${maxTokens})`);
-    }
-    
-    const content = response.choices[0].message.content.trim();
-    const jsonContent = content.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-    
-    try {
-      const parsed = JSON.parse(jsonContent);
-      if (Array.isArray(parsed)) {
-        const concepts = parsed
-          .filter(c => typeof c === 'string' && c.trim().length >= 2 && c.trim().length <= 50)
-          .map(c => c.trim().toLowerCase())
-          .slice(0, 8);  // Max 8 concepts per answer
-        
-        if (process.env.NODE_ENV === 'development') {
-          console.log('🧠 Concepts extracted:', concepts);
-        }
-        
-        return concepts;
+Generate exactly 1 day: dayNumber ${dayNumber}. It must fit between the previous and following days without duplicating any of them. Each day MUST have exactly 3 or 4 subtasks (no exceptions).`;
+
+  const { data, usage } = await generateStructuredOutput('SYLLABUS_DAYS', {
+    messages: [
+      {
+        role: "system",
+        content: "You are a learning curriculum generator. Each day MUST have exactly 3 or 4 subtasks (NOT 1, NOT 2, NOT 5+). Return only valid JSON. No explanations."
+      },
+      {
+        role: "user",
+        content: prompt
       }
-    } catch (parseErr) {
-      console.warn('⚠️  Failed to parse concept extraction JSON, using fallback');
-    }
-    
-    // Fallback to simple extraction
-    return extractConceptsSimple(mentorAnswer);
-  } catch (error) {
-    console.error('Error in concept extraction:', error.message);
-    // Fallback to simple extraction
-    return extractConceptsSimple(mentorAnswer);
+    ],
+    temperature: AI_TEMPERATURES.SYLLABUS,
+    max_tokens: maxTokens,
+    stream: false
+  });
+
+  if (usage) {
+    console.log(`📊 Single day regeneration tokens (day ${dayNumber}): ${usage.total_tokens} (limit: ${maxTokens})`);
   }
+
+  // Schema guarantees a non-empty topic on every day
+  const day = data.days.find(candidate => Number(candidate.dayNumber) === dayNumber) || data.days[0];
+  return {
+    topic: day.topic.trim(),
+    subtasks: normalizeDaySubtasks(day.subtasks, dayNumber),
+    aiExpertPrompt: typeof day.aiExpertPrompt === 'string' && day.aiExpertPrompt.trim()
+      ? day.aiExpertPrompt.trim()
+      : `You are an expert in ${goal}. Focus on ${day.topic.trim()}.`
+  };
 }
 
 /**
- * Simple concept extraction fallback (no AI)
- * Extracts potential technical terms using heuristics
- * 
- * @param {string} text - Text to extract from
- * @returns {string[]} - Array of extracted concepts
+ * Client reply for a StructuredOutputError
+ * Typed so the client can tell "AI unavailable" from a bad request (no mock data)
+ *
+ * @param {StructuredOutputError} error - Structured output failure
+ * @returns {{status: number, payload: Object}}
  */
-function extractConceptsSimple(text) {
-  if (!text || typeof text !== 'string') return [];
-  
-  // Common stop words to filter out
-  const stopWords = new Set([
-    'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'can', 'was',
-    'one', 'our', 'out', 'has', 'his', 'how', 'its', 'may', 'new', 'now',
-    'see', 'way', 'who', 'did', 'let', 'say', 'too', 'use', 'this', 'that',
-    'with', 'from', 'have', 'been', 'than', 'more', 'what', 'when', 'where',
-    'which', 'about', 'into', 'over', 'after', 'before', 'will', 'would',
-    'could', 'should', 'might', 'must', 'they', 'them', 'their', 'there',
-    'these', 'those', 'being', 'does', 'done', 'very', 'just', 'also',
-    'here', 'some', 'like', 'then', 'only', 'such', 'well', 'first',
-    'example', 'following', 'based', 'using', 'helps', 'allows', 'means'
-  ]);
-  
-  // Extract words that look like technical terms
-  // - Capitalized words (not at sentence start)
-  // - Words with numbers
-  // - Acronyms (2-5 uppercase letters)
-  // - Compound words with hyphens
-  const patterns = [
-    /\b[A-Z][a-z]+(?:[A-Z][a-z]+)+/g,  // CamelCase
-    /\b[A-Z]{2,5}\b/g,                   // Acronyms
-    /\b\w+[-_]\w+\b/g,                   // Hyphenated/underscored
-    /\b(?:CPU|RAM|GPU|API|SQL|HTML|CSS|DOM|HTTP|REST|JSON|XML)\b/gi  // Common tech terms
-  ];
-  
-  const concepts = new Set();
-  
-  // Extract pattern matches
-  for (const pattern of patterns) {
-    const matches = text.match(pattern);
-    if (matches) {
-      matches.forEach(m => {
-        const normalized = m.toLowerCase().trim();
-        if (normalized.length >= 2 && normalized.length <= 30 && !stopWords.has(normalized)) {
-          concepts.add(normalized);
-        }
-      });
+function structuredOutputErrorReply(error) {
+  const isProviderError = error.code === 'provider_error';
+  return {
+    status: 502,
+    payload: {
+      error: isProviderError ? 'ai_provider_error' : 'ai_output_invalid',
+      code: error.code,
+      message: isProviderError
+        ? 'The AI service is unavailable right now. Please try again.'
+        : 'The AI service returned an unusable response. Please try again.'
     }
-  }
-  
-  // Also extract quoted terms
-  const quotedMatches = text.match(/"([^"]{2,30})"/g);
-  if (quotedMatches) {
-    quotedMatches.forEach(m => {
-      const term = m.replace(/"/g, '').toLowerCase().trim();
-      if (term.length >= 2 && !stopWords.has(term)) {
-        concepts.add(term);
-      }
-    });
-  }
-  
-  return Array.from(concepts).slice(0, 8);
+  };
 }
 
 /**
- * Add extracted concepts to the Day Knowledge Base
- * 
- * @param {Object} dkb - The Day Knowledge Base object
- * @param {string[]} newConcepts - Concepts to add
- * @returns {boolean} - True if concepts were added
+ * Abort signal that fires when the client goes away before the response ends
+ * (closed tab, navigation, dropped connection) - stops further LLM calls
+ *
+ * @param {Object} res - Express response
+ * @returns {AbortController}
  */
-function addConceptsToDKB(dkb, newConcepts) {
-  if (!dkb || !Array.isArray(newConcepts) || newConcepts.length === 0) {
-    return false;
-  }
-  
-  const existingSet = new Set(dkb.concepts.map(c => c.toLowerCase()));
-  let addedCount = 0;
-  
-  for (const concept of newConcepts) {
-    const normalized = concept.toLowerCase().trim();
-    
-    // Skip if already exists or DKB is at capacity
-    if (existingSet.has(normalized) || dkb.concepts.length >= MAX_DKB_CONCEPTS) {
-      continue;
-    }
-    
-    dkb.concepts.push(normalized);
-    existingSet.add(normalized);
-    addedCount++;
-  }
-  
-  if (addedCount > 0) {
-    dkb.lastUpdated = new Date();
-    dkb.embeddingDirty = true;  // Mark embedding as needing regeneration
-    
-    if (process.env.NODE_ENV === 'development') {
-      console.log(`📚 DKB expanded: +${addedCount} concepts, total: ${dkb.concepts.length}`);
+function abortOnDisconnect(res) {
+  const abortController = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      abortController.abort();
     }
-  }
-  
-  return addedCount > 0;
+  });
+  return abortController;
 }
 
 /**
- * Compute cosine similarity between two embedding vectors
+ * Hard domain safety gate: Checks if a learning goal is in an allowed domain
+ * Rejects goals matching an enabled 'goal' category of the safety policy
+ * (hacking, crime, fraud, spying, weapons, drugs, ...) - see safetyPolicy.js
+ * Uses deterministic whole-word/phrase matching (no AI-based moderation)
  * 
- * @param {number[]} vecA - First embedding vector
- * @param {number[]} vecB - Second embedding vector
- * @returns {number} - Cosine similarity score (0 to 1)
+ * @param {string} goalText - The learning goal text
+ * @returns {Object} - Policy decision ({ allowed, reason, category, term, ... })
  */
-function cosineSimilarity(vecA, vecB) {
-  if (!vecA || !vecB || vecA.length !== vecB.length) {
-    return 0;
-  }
-  
-  let dotProduct = 0;
-  let normA = 0;
-  let normB = 0;
-  
-  for (let i = 0; i < vecA.length; i++) {
-    dotProduct += vecA[i] * vecB[i];
-    normA += vecA[i] * vecA[i];
-    normB += vecB[i] * vecB[i];
-  }
-  
-  if (normA === 0 || normB === 0) {
-    return 0;
+function checkLearningDomain(goalText) {
+  if (!goalText || typeof goalText !== 'string') {
+    // Fail closed: invalid input is not allowed
+    return { allowed: false, context: 'goal', reason: 'invalid_input', exceptionsApplied: [] };
   }
-  
-  return dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
-}
 
-/**
- * ⚠️ SINGLE POINT OF EMBEDDING COMPUTATION
- * Generate embedding for text using OpenAI's embedding API
- * 
- * This is the ONLY function that generates embeddings for the mentor system.
- * DO NOT create alternative embedding functions or bypass this.
- * 
- * @param {string} text - Text to generate embedding for
- * @param {string} apiKey - OpenAI API key
- * @returns {Promise<number[]>} - Embedding vector
- */
-async function generateEmbedding(text, apiKey) {
-  if (!text || typeof text !== 'string' || text.trim().length === 0) {
-    throw new Error('Text is required for embedding generation');
-  }
-  
-  if (!apiKey) {
-    throw new Error('OpenAI API key is required for embedding generation');
-  }
-  
-  try {
-    const { default: OpenAI } = await import('openai');
-    const openai = new OpenAI({ apiKey });
-    
-    const response = await openai.embeddings.create({
-      model: 'text-embedding-3-small', // Small, fast, cost-effective model
-      input: text.trim()
+  const decision = evaluateSafetyPolicy(goalText, 'goal');
+
+  if (!decision.allowed && process.env.NODE_ENV === 'development') {
+    console.warn('🚫 Blocked learning domain (safety policy):', {
+      reason: decision.reason,
+      category: decision.category,
+      term: decision.term,
+      goal: goalText.substring(0, 100)
     });
-    
-    return response.data[0].embedding;
-  } catch (error) {
-    console.error('Error generating embedding:', error.message);
-    throw error;
   }
-}
 
-/**
- * Build syllabus text for TODAY ONLY
- * Combines currentDay.topic and currentDay.subtasks into a single text
- * Format: "Topic: [topic]. Subtasks: [subtask1], [subtask2]..."
- * 
- * @param {string} topic - Today's learning topic
- * @param {string[]} subtasks - Today's subtasks array
- * @returns {string} - Combined syllabus text
- */
-function buildSyllabusText(topic, subtasks = []) {
-  if (!topic || typeof topic !== 'string') {
-    return '';
-  }
-  
-  const topicPart = `Topic: ${topic.trim()}`;
-  
-  if (Array.isArray(subtasks) && subtasks.length > 0) {
-    const validSubtasks = subtasks
-      .filter(st => typeof st === 'string' && st.trim())
-      .map(st => st.trim());
-    
-    if (validSubtasks.length > 0) {
-      const subtasksPart = `Subtasks: ${validSubtasks.join(', ')}`;
-      return `${topicPart}. ${subtasksPart}`;
-    }
-  }
-  
-  return topicPart;
+  return decision;
 }
 
 /**
- * Get or generate cached syllabus embedding
+ * Boolean form of checkLearningDomain
  * 
- * @deprecated Use getDKBEmbedding() instead for scope validation
- * @param {string} topic - Today's learning topic
- * @param {string[]} subtasks - Today's subtasks array
- * @param {string} apiKey - OpenAI API key
- * @returns {Promise<number[]>} - Syllabus embedding vector
- */
-async function getSyllabusEmbedding(topic, subtasks = [], apiKey) {
-  const syllabusText = buildSyllabusText(topic, subtasks);
-  const cacheKey = syllabusText.toLowerCase().trim();
-  
-  if (dkbEmbeddingCache.has(cacheKey)) {
-    return dkbEmbeddingCache.get(cacheKey);
-  }
-  
-  const embedding = await generateEmbedding(syllabusText, apiKey);
-  
-  if (dkbEmbeddingCache.size > 50) {
-    const firstKey = dkbEmbeddingCache.keys().next().value;
-    dkbEmbeddingCache.delete(firstKey);
-  }
-  
-  dkbEmbeddingCache.set(cacheKey, embedding);
-  return embedding;
+ * @param {string} goalText - The learning goal text
+ * @returns {boolean} - Returns true if domain is allowed, false if blocked
+ */
+function isAllowedLearningDomain(goalText) {
+  return checkLearningDomain(goalText).allowed;
 }
 
 /**
- * Get or generate cached DKB embedding
- * Uses the full DKB text (topic + subtasks + extracted concepts)
- * 
- * @param {Object} dkb - The Day Knowledge Base object
- * @param {string} apiKey - OpenAI API key
- * @returns {Promise<number[]>} - DKB embedding vector
+ * Validate a syllabus generation request (shared by both generate-syllabus routes)
+ * Runs the HARD DOMAIN SAFETY GATE before any LLM call
+ *
+ * @param {Object} body - Raw request body
+ * @param {string} ownerId - Request owner (see getRequestOwnerId)
+ * @returns {Promise<{request?: Object, status?: number, payload?: Object}>}
+ *   - request: { goal, hoursPerDay, totalDays, timeZone } - safe to generate
+ *     (timeZone: the learner's IANA timezone, null if missing/unknown)
+ *   - status + payload: send as-is, DO NOT call LLM
  */
-async function getDKBEmbedding(dkb, apiKey) {
-  if (!dkb) {
-    throw new Error('DKB is required for embedding generation');
-  }
-  
-  // If embedding exists and is not dirty, return cached
-  if (dkb.embedding && !dkb.embeddingDirty) {
-    return dkb.embedding;
+async function prepareSyllabusRequest(body, ownerId) {
+  // Validate and sanitize request body
+  const validation = validateAndSanitizeBody(body, ['goal', 'hoursPerDay', 'totalDays']);
+  if (!validation.valid) {
+    return { status: 400, payload: { error: validation.error || 'Invalid request' } };
   }
-  
-  // Build DKB text and generate embedding
-  const dkbText = buildDKBText(dkb);
-  
-  if (!dkbText || dkbText.trim().length === 0) {
-    throw new Error('DKB text is empty');
+
+  const { goal, hoursPerDay, totalDays, timeZone } = validation.sanitized;
+
+  // Validation
+  if (!goal || typeof goal !== 'string' || goal.trim().length === 0) {
+    return { status: 400, payload: { error: 'Goal is required and must be a non-empty string', fallback: false } };
   }
-  
-  // Check cache by text hash
-  const cacheKey = dkbText.toLowerCase().trim();
-  if (dkbEmbeddingCache.has(cacheKey)) {
-    const cachedEmbedding = dkbEmbeddingCache.get(cacheKey);
-    dkb.embedding = cachedEmbedding;
-    dkb.embeddingDirty = false;
-    return cachedEmbedding;
+
+  if (!hoursPerDay || typeof hoursPerDay !== 'number' || hoursPerDay <= 0) {
+    return { status: 400, payload: { error: 'hoursPerDay must be a positive number', fallback: false } };
   }
-  
-  // Generate new embedding
-  const embedding = await generateEmbedding(dkbText, apiKey);
-  
-  // Cache it
-  if (dkbEmbeddingCache.size > 30) {
-    const firstKey = dkbEmbeddingCache.keys().next().value;
-    dkbEmbeddingCache.delete(firstKey);
+
+  if (!totalDays || typeof totalDays !== 'number' || !Number.isInteger(totalDays) || totalDays <= 0 || totalDays > 365) {
+    return { status: 400, payload: { error: 'totalDays must be a positive whole number (max 365)', fallback: false } };
   }
-  
-  dkbEmbeddingCache.set(cacheKey, embedding);
-  dkb.embedding = embedding;
-  dkb.embeddingDirty = false;
-  
-  if (process.env.NODE_ENV === 'development') {
-    console.log('📊 DKB embedding generated:', {
-      topic: dkb.topic.substring(0, 30),
-      conceptsCount: dkb.concepts.length,
-      textLength: dkbText.length
+
+  // HARD DOMAIN SAFETY GATE: Check if learning domain is allowed
+  // This check happens BEFORE any LLM call
+  const domainDecision = checkLearningDomain(goal);
+  if (!domainDecision.allowed) {
+    await recordRefusal({
+      gate: 'domain',
+      reason: 'unsafe_domain',
+      ownerId,
+      text: goal,
+      category: domainDecision.category,
+      term: domainDecision.term
     });
+    return {
+      status: 400,
+      payload: {
+        error: "unsafe_domain",
+        category: domainDecision.category || null,
+        message: "This learning topic is not supported."
+      }
+    };
   }
-  
-  return embedding;
-}
 
-/**
- * ⚠️ SINGLE POINT OF SCOPE DECISION
- * DKB-BASED SEMANTIC SCOPE VALIDATION
- * 
- * This is the ONLY function that determines if a question is in scope.
- * DO NOT create alternative scope validation functions or bypass this.
- * 
- * A question is IN SCOPE if:
- * - Cosine similarity between question and DKB embeddings >= DKB_SCOPE_THRESHOLD
- * 
- * A question is OUT OF SCOPE if:
- * - Cosine similarity < DKB_SCOPE_THRESHOLD
- * 
- * The DKB includes:
- * - Today's topic and subtasks (initial)
- * - Concepts extracted from mentor answers (dynamic expansion)
- * 
- * ⚠️ NO KEYWORD MATCHING - Embeddings only
- * ⚠️ NO PREDEFINED ABBREVIATIONS
- * ⚠️ NO GLOBAL MEMORY
- * ⚠️ DO NOT BYPASS THIS VALIDATION
- * 
- * @param {string} question - The user's question
- * @param {string} topic - Today's learning topic
- * @param {string[]} subtasks - Today's subtasks array
- * @param {string[]} lastAnswerKeywords - DEPRECATED: Not used in DKB-based validation
- * @param {string} apiKey - OpenAI API key for embedding generation
- * @returns {Promise<boolean>} - true if question is in scope, false otherwise
- */
-async function isQuestionInScope(question, topic, subtasks = [], lastAnswerKeywords = [], apiKey = null) {
-  if (!question || typeof question !== 'string' || !topic || typeof topic !== 'string') {
-    return false;
-  }
-  
-  // If no API key, fall back to basic validation (topic must be non-empty)
-  if (!apiKey) {
-    if (process.env.NODE_ENV === 'development') {
-      console.warn('⚠️  No API key for DKB scope validation, using basic check');
-    }
-    return topic.trim().length > 0;
-  }
-  
-  try {
-    // Get or create the Day Knowledge Base for this day
-    const dkb = getOrCreateDKB(topic, subtasks);
-    
-    if (!dkb) {
-      console.error('❌ Failed to get/create DKB for scope validation');
-      return false;
-    }
-    
-    // Generate embedding for question
-    const questionEmbedding = await generateEmbedding(question, apiKey);
-    
-    // Get DKB embedding (includes topic, subtasks, AND extracted concepts)
-    const dkbEmbedding = await getDKBEmbedding(dkb, apiKey);
-    
-    // Compute cosine similarity
-    const similarity = cosineSimilarity(questionEmbedding, dkbEmbedding);
-    
-    // Use DKB threshold for scope decision
-    const inScope = similarity >= DKB_SCOPE_THRESHOLD;
-    
-    if (process.env.NODE_ENV === 'development') {
-      console.log('📊 DKB scope check:', {
-        similarity: similarity.toFixed(3),
-        threshold: DKB_SCOPE_THRESHOLD,
-        inScope,
-        topic: topic.substring(0, 40),
-        conceptsCount: dkb.concepts.length,
-        question: question.substring(0, 40)
-      });
-    }
-    
-    return inScope;
-  } catch (error) {
-    console.error('Error in DKB scope validation:', error.message);
-    // Fallback: if embedding fails, use basic validation
-    return topic.trim().length > 0;
-  }
+  return {
+    request: { goal: goal.trim(), hoursPerDay, totalDays, timeZone: isKnownTimeZone(timeZone) ? timeZone : null }
+  };
 }
 
 /**
- * Extract topic name from aiExpertPrompt
- * Attempts to extract the main topic from various prompt formats
- * 
- * @param {string} aiExpertPrompt - The expert prompt
- * @returns {string} - The extracted topic name, or a fallback
+ * Generate and store a new syllabus for an owner
+ *
+ * @param {string} ownerId - Request owner
+ * @param {{goal: string, hoursPerDay: number, totalDays: number, timeZone: string|null}} request - Validated request
+ * @param {Object} [options] - Options
+ * @param {(progress: Object) => void} [options.onProgress] - Generation progress (see generateSyllabus)
+ * @param {AbortSignal} [options.signal] - Client disconnect (nothing is stored once aborted)
+ * @returns {Promise<Object>} - Syllabus matching PRD Section 7 data model
  */
-function extractTopic(aiExpertPrompt) {
-  if (!aiExpertPrompt || typeof aiExpertPrompt !== 'string') {
-    return 'today\'s learning topic';
-  }
+async function createSyllabus(ownerId, { goal, hoursPerDay, totalDays, timeZone = null }, { onProgress = null, signal = null } = {}) {
+  // Day 1 is today on the learner's wall clock, not the server's
+  const startDateStr = getTodayInTimeZone(timeZone);
+
+  // Generate days
+  const days = await generateSyllabus(goal, hoursPerDay, totalDays, { onProgress, signal, startDate: startDateStr });
+
+  // Create syllabus object matching PRD Section 7 data model
+
+  // Generate unique ID using timestamp + random to ensure uniqueness
+  // Format: syl_<timestamp>_<random>
+  const uniqueId = `syl_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`;
+
+  const syllabus = {
+    id: uniqueId,
+    goal,
+    hoursPerDay,
+    totalDays,
+    startDate: startDateStr,
+    days
+  };
 
-  const promptLower = aiExpertPrompt.toLowerCase();
-  
-  // Try to extract topic from common patterns
-  // Pattern 1: "You are an expert in [TOPIC]"
-  let match = promptLower.match(/you are an expert in ([^.,\n]+)/i);
-  if (match && match[1]) {
-    return match[1].trim();
-  }
-  
-  // Pattern 2: "topic: [TOPIC]" or "Topic: [TOPIC]"
-  match = promptLower.match(/(?:topic|learning about|focus on|studying|covering)[:]\s*([^.,\n]+)/i);
-  if (match && match[1]) {
-    return match[1].trim();
-  }
-  
-  // Pattern 3: Look for topic in first sentence
-  const firstSentence = aiExpertPrompt.split(/[.!?]/)[0];
-  if (firstSentence && firstSentence.length > 10 && firstSentence.length < 100) {
-    // Remove common prefixes
-    const cleaned = firstSentence
-      .replace(/^you are (an? )?(expert|assistant|mentor) (in|for|on) /i, '')
-      .replace(/^focus (on|ing) /i, '')
-      .trim();
-    if (cleaned.length > 3 && cleaned.length < 80) {
-      return cleaned;
-    }
-  }
-  
-  // Fallback: return first meaningful phrase
-  const words = aiExpertPrompt.split(/\s+/).slice(0, 5).join(' ');
-  return words.length > 3 ? words : 'today\'s learning topic';
+  // Store under the requesting user's scope only
+  await setSyllabusState(ownerId, syllabus);
+
+  return syllabus;
 }
 
 /**
- * Build RAG context from Day Knowledge Base (DKB)
- * 
- * Context MUST include ONLY content from the DKB:
- * - Today's topic
- * - Today's subtasks
- * - Concepts introduced by the mentor (extracted from answers)
- * 
- * DO NOT include:
- * - Previous days
- * - Future days
- * - Full syllabus
- * - User profile
- * - Chat history
- * - External knowledge
- * 
- * Format:
- * ALLOWED KNOWLEDGE:
- * "Today's Topic: {topic}
- * Subtasks:
- * - {subtask1}
- * - {subtask2}
- * Related Concepts:
- * - {concept1}
- * - {concept2}"
- * 
- * @param {string} currentDayTopic - The current day's topic (REQUIRED)
- * @param {string[]} currentDaySubtasks - Array of current day's subtasks
- * @returns {string|null} - The RAG context string, or null if empty
+ * POST /api/generate-syllabus
+ * Generates a learning syllabus based on goal, hours per day, and total days
  */
-function buildRAGContext(currentDayTopic, currentDaySubtasks = []) {
-  // Add topic (REQUIRED - if missing, context is invalid)
-  if (!currentDayTopic || typeof currentDayTopic !== 'string' || !currentDayTopic.trim()) {
-    return null;
-  }
-  
-  // Get the DKB for this day (includes extracted concepts)
-  const dkb = getOrCreateDKB(currentDayTopic, currentDaySubtasks);
-  
-  if (!dkb) {
-    // Fallback to basic context if DKB fails
-    return buildBasicRAGContext(currentDayTopic, currentDaySubtasks);
-  }
-  
-  // Build context from DKB
-  const contentParts = [];
-  
-  // Add topic
-  contentParts.push(`Today's Topic: ${dkb.topic}`);
-  
-  // Add subtasks (if any)
-  if (dkb.subtasks && dkb.subtasks.length > 0) {
-    contentParts.push('Subtasks:');
-    dkb.subtasks.forEach(subtask => {
-      contentParts.push(`- ${subtask}`);
-    });
-  }
-  
-  // Add extracted concepts (from mentor answers)
-  if (dkb.concepts && dkb.concepts.length > 0) {
-    contentParts.push('Related Concepts (from explanations):');
-    dkb.concepts.forEach(concept => {
-      contentParts.push(`- ${concept}`);
+app.post('/api/generate-syllabus', aiRateLimiter, async (req, res) => {
+  const abortController = abortOnDisconnect(res);
+  try {
+    const ownerId = getRequestOwnerId(req);
+    const prepared = await prepareSyllabusRequest(req.body, ownerId);
+    if (!prepared.request) {
+      return res.status(prepared.status).json(prepared.payload);
+    }
+
+    const syllabus = await createSyllabus(ownerId, prepared.request, { signal: abortController.signal });
+
+    // ALWAYS return valid JSON
+    res.json(syllabus);
+  } catch (error) {
+    if (abortController.signal.aborted) {
+      console.log('ℹ️  Syllabus generation aborted by client');
+      return;
+    }
+    if (error instanceof StructuredOutputError) {
+      console.error(`Error generating syllabus (${error.code}):`, error.message);
+      const reply = structuredOutputErrorReply(error);
+      return res.status(reply.status).json(reply.payload);
+    }
+    console.error('Error generating syllabus:', error);
+    // BACKEND ERROR SAFETY: Always return valid JSON, never empty response
+    const safeError = sanitizeError(error, isDevelopment);
+    res.status(500).json({ 
+      error: 'Syllabus generation failed', 
+      message: safeError,
+      fallback: true 
     });
   }
-  
-  const content = contentParts.join('\n');
-  const context = 'ALLOWED KNOWLEDGE:\n"' + content + '"';
-  
-  if (!context || context.trim().length === 0 || content.trim().length === 0) {
-    return null;
-  }
-  
-  return context;
-}
+});
 
 /**
- * Build basic RAG context without DKB (fallback)
- * Used when DKB is not available
- * 
- * @param {string} topic - Today's topic
- * @param {string[]} subtasks - Today's subtasks
- * @returns {string|null} - Basic context string
+ * POST /api/generate-syllabus/stream
+ * Same request body and validation as /api/generate-syllabus, with progress
+ *
+ * Responses:
+ * - Validation error / unsafe domain → plain JSON (identical to /api/generate-syllabus)
+ * - Otherwise text/event-stream with events:
+ *   - progress: { stage, completedDays, totalDays, moduleIndex, moduleCount, moduleTitle }
+ *   - done:     { syllabus }
+ *   - error:    { error, code?, message } - generation failed (stream ends)
  */
-function buildBasicRAGContext(topic, subtasks = []) {
-  const contentParts = [];
-  
-  if (!topic || typeof topic !== 'string' || !topic.trim()) {
-    return null;
+app.post('/api/generate-syllabus/stream', aiRateLimiter, async (req, res) => {
+  const ownerId = getRequestOwnerId(req);
+  let prepared;
+  try {
+    prepared = await prepareSyllabusRequest(req.body, ownerId);
+  } catch (error) {
+    console.error('Error validating syllabus request:', error);
+    const safeError = sanitizeError(error, isDevelopment);
+    return res.status(500).json({ error: 'Syllabus generation failed', message: safeError, fallback: true });
   }
-  
-  contentParts.push(`Today's Topic: ${topic.trim()}`);
-  
-  if (Array.isArray(subtasks) && subtasks.length > 0) {
-    const validSubtasks = subtasks
-      .filter(st => typeof st === 'string' && st.trim())
-      .map(st => st.trim());
-    
-    if (validSubtasks.length > 0) {
-      contentParts.push('Subtasks:');
-      validSubtasks.forEach(subtask => {
-        contentParts.push(`- ${subtask}`);
-      });
-    }
+
+  if (!prepared.request) {
+    return res.status(prepared.status).json(prepared.payload);
   }
-  
-  const content = contentParts.join('\n');
-  const context = 'ALLOWED KNOWLEDGE:\n"' + content + '"';
-  
-  if (!context || context.trim().length === 0 || content.trim().length === 0) {
-    return null;
+
+  const abortController = abortOnDisconnect(res);
+  startSSE(res);
+
+  try {
+    const syllabus = await createSyllabus(ownerId, prepared.request, {
+      signal: abortController.signal,
+      onProgress: (progress) => {
+        if (!res.writableEnded) {
+          writeSSE(res, 'progress', progress);
+        }
+      }
+    });
+    writeSSE(res, 'done', { syllabus });
+  } catch (error) {
+    if (abortController.signal.aborted) {
+      console.log('ℹ️  Syllabus generation stream aborted by client');
+      return;
+    }
+    if (error instanceof StructuredOutputError) {
+      console.error(`Error generating syllabus (stream, ${error.code}):`, error.message);
+      writeSSE(res, 'error', structuredOutputErrorReply(error).payload);
+    } else {
+      console.error('Error generating syllabus (stream):', error);
+      writeSSE(res, 'error', { error: 'Syllabus generation failed', message: sanitizeError(error, isDevelopment) });
+    }
   }
-  
-  return context;
-}
+
+  res.end();
+});
 
 /**
- * Estimate token count (rough approximation: 1 token ≈ 0.75 words)
+ * Mock mentor response (used when API key is missing or the LLM call fails)
+ * Uses finalQuestion (not raw userMessage) to maintain consistency with context-bound answering
  * 
- * @param {string} text - Text to estimate
- * @returns {number} - Estimated token count
+ * @param {string} finalQuestion - Rephrased (or original) question
+ * @returns {string}
  */
-function estimateTokens(text) {
-  if (!text || typeof text !== 'string') return 0;
-  const words = text.split(/\s+/).length;
-  return Math.ceil(words / 0.75);
+function generateMockChatResponse(finalQuestion) {
+  const mockResponses = [
+    `Based on today's topic, here's what I can tell you: ${finalQuestion} is an important concept. Let me explain it in the context of what you're learning today.`,
+    `Great question! In the context of today's topic, ${finalQuestion} relates to the core concepts we're covering. Here's a detailed explanation...`,
+    `That's a relevant question for today's learning. ${finalQuestion} is a key aspect of the topic we're focusing on. Let me break it down for you.`
+  ];
+  return mockResponses[Math.floor(Math.random() * mockResponses.length)];
 }
 
 /**
- * Check if question has semantic overlap with context
- * Simple keyword-based check (no AI, deterministic)
+ * Build the LLM messages for a gated topic-chat request
+ * Order: system prompt → recent turns from today (memory window) → current question
+ * Uses rewritten question (NEVER raw user input)
  * 
- * @param {string} question - User's question
- * @param {string} context - RAG context string
- * @returns {boolean} - True if there's semantic overlap
+ * @param {Object} chat - Result of prepareTopicChat
+ * @returns {Object[]} - Chat completion messages
  */
-function hasContextOverlap(question, context) {
-  if (!question || !context) return false;
-  
-  const questionLower = question.toLowerCase();
-  const contextLower = context.toLowerCase();
-  
-  // Extract significant words from question (3+ characters)
-  const questionWords = questionLower.split(/\s+/).filter(w => w.length >= 3);
-  
-  // Extract significant words from context (3+ characters)
-  const contextWords = contextLower.split(/\s+/).filter(w => w.length >= 3);
-  
-  // Check for overlap: at least one question word appears in context
-  const hasOverlap = questionWords.some(qWord => 
-    contextWords.some(cWord => 
-      cWord.includes(qWord) || qWord.includes(cWord)
-    )
-  );
-  
-  return hasOverlap;
+function buildTopicChatMessages(chat) {
+  return [
+    {
+      role: "system",
+      content: chat.systemPrompt
+    },
+    ...(chat.historyMessages || []),
+    {
+      role: "user",
+      content: chat.rewrittenQuestion  // Use rewritten question, NOT raw userMessage
+    }
+  ];
 }
 
 /**
- * Build system prompt using strict DKB-only approach
- * DKB context contains all allowed knowledge (topic, subtasks, extracted concepts)
+ * DKB EXPANSION: Extract concepts from a mentor answer and add them to the day's DKB
+ * This allows natural follow-up questions about concepts the mentor introduced
+ * 
+ * - With API key: AI concept extraction
+ * - Without API key: simple deterministic extraction
+ * Also stores the answer in the legacy mentorLastAnswerStore.
+ * Never throws (extraction failure must not affect the answer).
  * 
- * @param {string|null} topic - The learning topic (optional, not used if ragContext provided)
- * @param {string} ragContext - The DKB context string (required)
- * @returns {string} - The formatted system prompt
+ * @param {Object} chat - Result of prepareTopicChat
+ * @param {string} answer - The mentor's answer
+ * @param {string|null} apiKey - LLM API key (null → simple extraction)
  */
-function buildSystemPrompt(topic, ragContext = null) {
-  let prompt = `You are an AI tutor restricted to the ALLOWED KNOWLEDGE provided below.
-
-STRICT RULES:
-- You may ONLY answer questions using the ALLOWED KNOWLEDGE
-- You may ONLY discuss concepts listed in the ALLOWED KNOWLEDGE
-- If a question is about something NOT in the ALLOWED KNOWLEDGE, refuse
-- Do NOT introduce new concepts beyond what is listed
-- Do NOT use external knowledge
-
-If the question is outside the allowed scope, respond ONLY with:
-"This question is outside today's learning scope."
-
-You are evaluated on REFUSING unrelated questions, not on being helpful.
-
-Provide a clear, structured explanation with short paragraphs
-and simple examples, avoiding unnecessary theory.`;
-
-  // Add DKB context (required for strict DKB pipeline)
-  if (ragContext) {
-    prompt += `\n\n${ragContext}`;
+async function expandDKBFromAnswer(chat, answer, apiKey) {
+  const { currentDayTopic, currentDaySubtasks, stateScope } = chat;
+  if (!currentDayTopic || typeof currentDayTopic !== 'string') {
+    return;
+  }
+  
+  try {
+    // Get the DKB for this day
+    const dkb = await getOrCreateDKB(currentDayTopic, currentDaySubtasks, stateScope);
+    
+    if (dkb) {
+      // Extract concepts from the mentor's answer
+      const extractedConcepts = apiKey
+        ? await extractConceptsFromAnswer(answer, currentDayTopic, apiKey)
+        : extractConceptsSimple(answer);
+      
+      // Add extracted concepts to DKB
+      if (extractedConcepts && extractedConcepts.length > 0) {
+        await addConceptsToDKB(dkb, extractedConcepts);
+        
+        if (process.env.NODE_ENV === 'development') {
+          console.log('📚 DKB after expansion:', {
+            topic: dkb.topic.substring(0, 30),
+            totalConcepts: dkb.concepts.length,
+            newConcepts: extractedConcepts.length
+          });
+        }
+      }
+    }
+  } catch (extractErr) {
+    // Concept extraction failure should not block the response
+    console.error('⚠️  Concept extraction failed (non-blocking):', extractErr.message);
   }
   
-  return prompt;
+  // Legacy: Also store in mentorLastAnswerStore for backwards compatibility
+  rememberMentorAnswer(currentDayTopic, stateScope, answer);
 }
 
 /**
- * Controlled Question Rephraser
- * Rewrites vague or high-level learning questions to explicitly reference the topic/subtasks
- * WITHOUT introducing new concepts, answering the question, or expanding scope
+ * Build the fallback answer used when the topic-chat handler itself fails
  * 
- * @param {string} question - The user's original question
- * @param {string} topic - Today's learning topic
- * @param {string[]} subtasks - Today's subtasks array
- * @returns {string|null} - Rewritten question that explicitly references topic, or null if cannot align
+ * @param {Object} req - Express request
+ * @returns {string}
  */
-function rephraseQuestion(question, topic, subtasks = []) {
-  if (!question || typeof question !== 'string' || !topic || typeof topic !== 'string') {
-    return null;
-  }
-  
-  const questionLower = question.toLowerCase().trim();
-  const topicLower = topic.toLowerCase().trim();
-  
-  // Check if question already explicitly mentions the topic
-  // If it does, no rephrasing needed
-  if (questionLower.includes(topicLower)) {
-    return question; // Already aligned, return as-is
-  }
-  
-  // Extract first meaningful word from topic (for use in templates)
-  const topicWords = topicLower.split(/\s+/).filter(w => w.length >= 3);
-  const primaryTopicWord = topicWords[0] || topicLower.split(/\s+/)[0] || 'today\'s topic';
-  
-  // Template-based rephrasing patterns
-  // Pattern: vague question → explicit question about topic
-  
-  // Pattern 1: "How does this work?" / "How does it work?" / "How does that work?"
-  if (/^how\s+does\s+(this|it|that|the\s+computer|the\s+system|the\s+process)\s+work/i.test(question)) {
-    if (subtasks && Array.isArray(subtasks) && subtasks.length > 0) {
-      // Use first subtask if available
-      const firstSubtask = subtasks[0].toLowerCase().trim();
-      return `Explain how ${firstSubtask} works in the context of ${topicLower}.`;
-    }
-    return `Explain how ${topicLower} works.`;
-  }
-  
-  // Pattern 2: "What is this?" / "What is it?" / "What is that?"
-  if (/^what\s+is\s+(this|it|that)$/i.test(question)) {
-    return `What is ${topicLower}?`;
-  }
-  
-  // Pattern 3: "How do I do this?" / "How do I do it?" / "How do I use this?"
-  if (/^how\s+do\s+i\s+(do|use|apply|implement|work\s+with)\s+(this|it|that)/i.test(question)) {
-    if (subtasks && Array.isArray(subtasks) && subtasks.length > 0) {
-      const firstSubtask = subtasks[0].toLowerCase().trim();
-      return `How do I ${firstSubtask}?`;
-    }
-    return `How do I work with ${topicLower}?`;
-  }
-  
-  // Pattern 4: "Why is this important?" / "Why does this matter?"
-  if (/^why\s+(is|does)\s+(this|it|that)\s+(important|matter|relevant)/i.test(question)) {
-    return `Why is ${topicLower} important?`;
-  }
-  
-  // Pattern 5: "Can you explain this?" / "Can you explain it?" / "Can you tell me about this?"
-  if (/^can\s+you\s+(explain|tell\s+me\s+about|describe)\s+(this|it|that)/i.test(question)) {
-    return `Explain ${topicLower}.`;
-  }
-  
-  // Pattern 6: "What about this?" / "Tell me more about this"
-  if (/^(what\s+about|tell\s+me\s+more\s+about)\s+(this|it|that)/i.test(question)) {
-    return `Tell me more about ${topicLower}.`;
-  }
-  
-  // Pattern 7: "How does [generic term] work?" where generic term doesn't match topic
-  // e.g., "How does the computer work?" when topic is "CPU Architecture"
-  const genericTerms = ['computer', 'system', 'process', 'mechanism', 'component', 'device', 'machine'];
-  const hasGenericTerm = genericTerms.some(term => {
-    const regex = new RegExp(`how\\s+does\\s+(the\\s+)?${term}\\s+work`, 'i');
-    return regex.test(question);
-  });
-  
-  if (hasGenericTerm) {
-    // Rewrite to reference topic explicitly
-    if (subtasks && Array.isArray(subtasks) && subtasks.length > 0) {
-      const firstSubtask = subtasks[0].toLowerCase().trim();
-      return `Explain how ${firstSubtask} works in ${topicLower}.`;
-    }
-    return `Explain how the components in ${topicLower} work together.`;
-  }
-  
-  // Pattern 8: "What are the basics?" / "What are the fundamentals?"
-  if (/^what\s+are\s+(the\s+)?(basics|fundamentals|key\s+concepts|main\s+points)/i.test(question)) {
-    return `What are the basics of ${topicLower}?`;
-  }
-  
-  // Pattern 9: "Show me an example" / "Give me an example"
-  if (/^(show|give|provide)\s+me\s+(an\s+)?example/i.test(question)) {
-    return `Give me an example of ${topicLower}.`;
-  }
+function buildTopicChatErrorResponse(req) {
+  // Request fields are re-read here: the gate pipeline may not have run
+  const currentDayTopic = typeof req.body?.currentDayTopic === 'string' ? req.body.currentDayTopic : null;
+  const mockResponse = `I understand you're asking about ${currentDayTopic || 'today\'s topic'}. Based on today's learning content, here's a helpful response. For more detailed information, please ensure the AI service is properly configured.`;
   
-  // Pattern 10: Questions starting with "this" or "it" without context
-  // e.g., "This is confusing" → "Explain [topic] more clearly"
-  if (/^(this|it)\s+(is|seems|appears|looks)/i.test(question)) {
-    return `Explain ${topicLower} more clearly.`;
+  // Store mock response as last answer for follow-up support
+  if (currentDayTopic) {
+    rememberMentorAnswer(currentDayTopic, getStateScope(getRequestOwnerId(req), req.body?.syllabusId), mockResponse);
   }
   
-  // If no pattern matches, return null (cannot align to topic)
-  return null;
+  return mockResponse;
 }
 
 /**
@@ -1599,298 +1211,52 @@ function rephraseQuestion(question, topic, subtasks = []) {
  * - No keyword-based scope logic (embedding-based only)
  * 
  * Handles topic-specific AI chat using strict DAY-SCOPED RAG pipeline
- * Uses ONLY: currentDayTopic, currentDaySubtasks
+ * Uses ONLY: currentDayTopic, currentDaySubtasks, history (today's transcript)
  * NO prompt-only system, NO aiExpertPrompt dependency
+ * Answers come with a `signature`; history answers without one are ignored
  */
 app.post('/api/topic-chat', aiRateLimiter, async (req, res) => {
   try {
-    // Validate and sanitize request body
-    const validation = validateAndSanitizeBody(req.body, ['userMessage', 'currentDayTopic']);
-    if (!validation.valid) {
-      return res.status(400).json({ error: validation.error || 'Invalid request' });
-    }
-    
-    const { userMessage, currentDayTopic, currentDaySubtasks, currentDayNotes } = validation.sanitized;
-    
-    // Validation
-    if (!userMessage || typeof userMessage !== 'string' || userMessage.trim().length === 0) {
-      return res.status(400).json({ error: 'userMessage is required and must be a non-empty string' });
-    }
-    
-    // Validate that we have at least a topic (required for RAG context)
-    if (!currentDayTopic || typeof currentDayTopic !== 'string' || currentDayTopic.trim().length === 0) {
-      return res.status(400).json({ 
-        error: 'currentDayTopic is required and must be a non-empty string',
-        refused: true,
-        reason: "no_context",
-        message: "This question is outside today's learning scope."
-      });
-    }
-
-    // CONTROLLED QUESTION REPHRASER: Rewrite vague questions to explicitly reference topic
-    // This runs BEFORE scope validation to handle natural learner questions
-    let finalQuestion = userMessage;
-    const rephrasedQuestion = rephraseQuestion(
-      userMessage,
-      currentDayTopic,
-      Array.isArray(currentDaySubtasks) ? currentDaySubtasks : []
-    );
-    
-    if (rephrasedQuestion) {
-      // Use rephrased question for scope validation and LLM
-      finalQuestion = rephrasedQuestion;
-      if (process.env.NODE_ENV === 'development') {
-        console.log('🔄 Question rephrased:', {
-          original: userMessage.substring(0, 100),
-          rephrased: rephrasedQuestion.substring(0, 100)
-        });
-      }
-    } else {
-      // Rephraser couldn't align question to topic
-      // Continue with original question - scope validation will handle it
-      if (process.env.NODE_ENV === 'development') {
-        console.log('⚠️  Question could not be rephrased, using original:', userMessage.substring(0, 100));
-      }
-    }
-
-    // Get mentor's last answer for this day (if exists)
-    // Key: normalized currentDayTopic
-    const dayKey = currentDayTopic.toLowerCase().trim();
-    const lastMentorAnswer = mentorLastAnswerStore.get(dayKey) || null;
-    const lastAnswerKeywords = lastMentorAnswer ? extractMentorAnswerKeywords(lastMentorAnswer) : [];
-
-    // SAFETY PRE-FILTER: Check for harmful/illegal/off-scope content BEFORE ANY LLM/RAG call
-    // This runs BEFORE any LLM or RAG processing
-    // Use finalQuestion (rephrased if available, original otherwise)
-    const refusal = preFilterQuestion(
-      finalQuestion, 
-      currentDayTopic || null, 
-      Array.isArray(currentDaySubtasks) ? currentDaySubtasks : []
-    );
-    
-    if (refusal) {
-      // DO NOT call LLM, DO NOT call RAG - return refusal immediately
-      // Log in dev mode only
-      if (process.env.NODE_ENV === 'development') {
-        console.warn('🚫 Question refused by pre-filter:', {
-          reason: refusal.reason,
-          message: finalQuestion.substring(0, 100)
-        });
-      }
-      return res.json(refusal);
-    }
-    
-    // ⚠️ EMBEDDING-BASED SEMANTIC SCOPE GATE: Block off-topic questions completely
-    // ⚠️ DO NOT BYPASS SCOPE VALIDATION
-    // ⚠️ LLM MUST NOT BE CALLED IF OUT OF SCOPE
-    // This runs BEFORE building RAG context or calling LLM
-    // Uses semantic similarity (cosine similarity >= 0.25) instead of keyword matching
-    // Use finalQuestion (rephrased if available)
-    // 
-    // SINGLE POINT OF SCOPE DECISION - All scope validation happens here
-    const embeddingApiKey = process.env.OPENAI_API_KEY;
-    const isInScope = await isQuestionInScope(
-      finalQuestion,
-      currentDayTopic || '',
-      Array.isArray(currentDaySubtasks) ? currentDaySubtasks : [],
-      lastAnswerKeywords, // Kept for compatibility, not used in embedding-based check
-      embeddingApiKey // Pass API key for embedding generation
-    );
-    
-    // ⚠️ CRITICAL: If out of scope, return refusal immediately - DO NOT call LLM
-    if (!isInScope) {
-      if (process.env.NODE_ENV === 'development') {
-        console.warn('🚫 Question refused (out of topic scope):', {
-          topic: currentDayTopic,
-          message: finalQuestion.substring(0, 100),
-          original: userMessage.substring(0, 100)
-        });
-      }
-      // Return exact refusal format as specified
-      return res.json({
-        refused: true,
-        reason: "out_of_scope",
-        message: "This question is outside today's learning scope."
-      });
-    }
-    
-    // BUILD RAG CONTEXT: FROZEN to TODAY'S syllabus ONLY
-    // MUST include ONLY: currentDay.topic, currentDay.subtasks
-    // DO NOT include: previous days, future days, full syllabus, user profile, chat history, notes
-    const ragContext = buildRAGContext(
-      currentDayTopic || null,
-      Array.isArray(currentDaySubtasks) ? currentDaySubtasks : []
-    );
-    
-    // STRICT CONTEXT GATE: Check context length and minimum threshold
-    // Minimum threshold: at least 10 words (≈ 13 tokens) to be considered valid context
-    const MIN_CONTEXT_WORDS = 10;
-    const MIN_CONTEXT_TOKENS = 13;
-    
-    // STRICT CONTEXT GATE: If context is empty, refuse immediately
-    // DO NOT call LLM if context is empty
-    // No fallback context, no retries, no global memory
-    // Mentor is blind to everything except today's syllabus
-    if (!ragContext || ragContext.trim().length === 0) {
-      if (process.env.NODE_ENV === 'development') {
-        console.warn('🚫 Question refused (empty RAG context - mentor is blind to everything except today):', {
-          topic: currentDayTopic,
-          message: finalQuestion.substring(0, 100)
-        });
-      }
-      return res.json({
-        refused: true,
-        reason: "no_context",
-        message: "This question is outside today's learning scope."
-      });
-    }
-    
-    // Check context length (word count)
-    const contextWords = ragContext.trim().split(/\s+/).filter(w => w.length > 0);
-    const contextWordCount = contextWords.length;
-    
-    // Check context token count
-    const contextTokens = estimateTokens(ragContext);
-    
-    // If context is below minimum threshold, refuse immediately
-    if (contextWordCount < MIN_CONTEXT_WORDS || contextTokens < MIN_CONTEXT_TOKENS) {
-      if (process.env.NODE_ENV === 'development') {
-        console.warn('🚫 Question refused (insufficient RAG context):', {
-          wordCount: contextWordCount,
-          tokenCount: contextTokens,
-          minimumWords: MIN_CONTEXT_WORDS,
-          minimumTokens: MIN_CONTEXT_TOKENS,
-          message: userMessage.substring(0, 100)
-        });
-      }
-      return res.json({
-        refused: true,
-        reason: "no_context",
-        message: "This question is outside today's learning scope."
-      });
-    }
-    
-    // ⚠️ FINAL SAFETY GATE: Check if question has semantic overlap with context
-    // ⚠️ DO NOT BYPASS THIS CHECK
-    // ⚠️ LLM MUST NOT BE CALLED IF NO OVERLAP
-    // If no overlap, refuse (question is not related to current day)
-    // DO NOT call LLM if no overlap
-    if (!hasContextOverlap(userMessage, ragContext)) {
-      if (process.env.NODE_ENV === 'development') {
-        console.warn('🚫 Question refused (no context overlap):', {
-          message: userMessage.substring(0, 100),
-          contextPreview: ragContext.substring(0, 100)
-        });
-      }
-      return res.json({
-        refused: true,
-        reason: 'out_of_scope',
-        message: "I can only help with questions related to today's learning topic."
-      });
-    }
-    
-    // CONTEXT-BOUND QUESTION REWRITING
-    // After all scope + RAG checks pass, rewrite user question to enforce context-bound answering
-    // NEVER send raw user input alone - always wrap with context-bound instruction
-    // Use finalQuestion (rephrased if available, original otherwise)
-    // Format: "Using ONLY the context above, answer the following question: {userQuestion}"
-    const rewrittenQuestion = `Using ONLY the context above, answer the following question: ${finalQuestion}`;
-    
-    const apiKey = process.env.OPENAI_API_KEY;
-    
-    // Build system prompt with RAG context ONLY (no aiExpertPrompt, no topic extraction)
-    // The RAG context contains all necessary information
-    const systemPrompt = buildSystemPrompt(null, ragContext);
-    
-    // Verify context token limit (300-500 tokens max)
-    if (contextTokens > 500) {
-      if (process.env.NODE_ENV === 'development') {
-        console.warn('⚠️  RAG context exceeds 500 tokens:', {
-          tokens: contextTokens
-        });
-      }
-      // Context is already truncated in buildRAGContext, but log if still too large
+    // ⚠️ ALL SAFETY GATES - LLM MUST NOT BE CALLED unless gate.chat is set
+    const gate = await prepareTopicChat(req.body, getRequestOwnerId(req));
+    if (!gate.chat) {
+      return res.status(gate.status).json(gate.payload);
     }
+    const { chat } = gate;
     
-    // Mock response generator (used when API key is missing)
-    // Uses finalQuestion (not raw userMessage) to maintain consistency with context-bound answering
-    function generateMockResponse() {
-      const mockResponses = [
-        `Based on today's topic, here's what I can tell you: ${finalQuestion} is an important concept. Let me explain it in the context of what you're learning today.`,
-        `Great question! In the context of today's topic, ${finalQuestion} relates to the core concepts we're covering. Here's a detailed explanation...`,
-        `That's a relevant question for today's learning. ${finalQuestion} is a key aspect of the topic we're focusing on. Let me break it down for you.`
-      ];
-      return mockResponses[Math.floor(Math.random() * mockResponses.length)];
-    }
+    const apiKey = getLLMApiKey();
     
     // ⚠️ NO FALLBACK LLM CALLS - If no API key, return mock response only
     // ⚠️ DO NOT attempt to call LLM through alternative means
     if (!apiKey) {
       console.log('⚠️  OPENAI_API_KEY not found. Using mock chat response.');
-      const mockResponse = generateMockResponse();
+      const mockResponse = generateMockChatResponse(chat.finalQuestion);
       
-      // DKB: Add mock concepts from the mock response
-      if (currentDayTopic && typeof currentDayTopic === 'string') {
-        try {
-          const dkb = getOrCreateDKB(
-            currentDayTopic,
-            Array.isArray(currentDaySubtasks) ? currentDaySubtasks : []
-          );
-          if (dkb) {
-            // Simple concept extraction for mock (no AI)
-            const mockConcepts = extractConceptsSimple(mockResponse);
-            addConceptsToDKB(dkb, mockConcepts);
-          }
-        } catch (err) {
-          // Non-blocking
-        }
-        
-        // Legacy store
-        const dayKey = currentDayTopic.toLowerCase().trim();
-        mentorLastAnswerStore.set(dayKey, mockResponse);
-        
-        if (mentorLastAnswerStore.size > 10) {
-          const firstKey = mentorLastAnswerStore.keys().next().value;
-          mentorLastAnswerStore.delete(firstKey);
-        }
-      }
+      // DKB: Add mock concepts from the mock response (simple extraction, no AI)
+      await expandDKBFromAnswer(chat, mockResponse, null);
       
-      return res.json({ response: mockResponse });
+      return res.json({ response: mockResponse, signature: signMentorAnswer(mockResponse, chat.stateScope) });
     }
     
-    // ⚠️ SINGLE POINT OF LLM CALL FOR MENTOR CHAT
+    // ⚠️ SINGLE POINT OF LLM CALL FOR MENTOR CHAT (non-streaming)
     // ⚠️ This code path is ONLY reachable if:
     //    1. Pre-filter passed (no harmful content)
     //    2. Scope validation passed (embedding similarity >= 0.25)
     //    3. RAG context is valid (not empty, sufficient length)
     //    4. Context overlap check passed
     // ⚠️ DO NOT ADD FALLBACK LLM CALLS - Use mock responses only
-    // Real OpenAI API call
-    // Uses rewritten question (NEVER raw user input)
+    // Real LLM API call (OpenAI or OpenAI-compatible provider, see llmProvider.js)
     try {
-      const { default: OpenAI } = await import('openai');
-      const openai = new OpenAI({ apiKey });
-      
       // Enforce token limit
       const maxTokens = AI_LIMITS.CHAT;
       validateTokenLimit('CHAT', maxTokens);
       
       // ⚠️ LLM CALL - Only reached if all safety gates passed
-      const response = await openai.chat.completions.create({
-        model: "gpt-3.5-turbo",
-        messages: [
-          {
-            role: "system",
-            content: systemPrompt
-          },
-          {
-            role: "user",
-            content: rewrittenQuestion  // Use rewritten question, NOT raw userMessage
-          }
-        ],
+      const response = await createChatCompletion('CHAT', {
+        messages: buildTopicChatMessages(chat),
         temperature: AI_TEMPERATURES.CHAT,  // 0.3 for topic chat
         max_tokens: maxTokens,  // 1000 tokens max
-        stream: false  // Explicitly disable streaming
+        stream: false  // Explicitly disable streaming (see /api/topic-chat/stream)
       });
       
       // Log token usage for cost monitoring
@@ -1900,75 +1266,20 @@ app.post('/api/topic-chat', aiRateLimiter, async (req, res) => {
       
       const aiResponse = response.choices[0].message.content.trim();
       
-      // ============================================================================
-      // DKB EXPANSION: Extract concepts from mentor answer and add to DKB
-      // This allows natural follow-up questions about concepts the mentor introduced
-      // ============================================================================
-      if (currentDayTopic && typeof currentDayTopic === 'string') {
-        try {
-          // Get the DKB for this day
-          const dkb = getOrCreateDKB(
-            currentDayTopic,
-            Array.isArray(currentDaySubtasks) ? currentDaySubtasks : []
-          );
-          
-          if (dkb) {
-            // Extract concepts from the mentor's answer
-            const extractedConcepts = await extractConceptsFromAnswer(
-              aiResponse,
-              currentDayTopic,
-              apiKey
-            );
-            
-            // Add extracted concepts to DKB
-            if (extractedConcepts && extractedConcepts.length > 0) {
-              addConceptsToDKB(dkb, extractedConcepts);
-              
-              if (process.env.NODE_ENV === 'development') {
-                console.log('📚 DKB after expansion:', {
-                  topic: dkb.topic.substring(0, 30),
-                  totalConcepts: dkb.concepts.length,
-                  newConcepts: extractedConcepts.length
-                });
-              }
-            }
-          }
-        } catch (extractErr) {
-          // Concept extraction failure should not block the response
-          console.error('⚠️  Concept extraction failed (non-blocking):', extractErr.message);
-        }
-        
-        // Legacy: Also store in mentorLastAnswerStore for backwards compatibility
-        const dayKey = currentDayTopic.toLowerCase().trim();
-        mentorLastAnswerStore.set(dayKey, aiResponse);
-        
-        if (mentorLastAnswerStore.size > 10) {
-          const firstKey = mentorLastAnswerStore.keys().next().value;
-          mentorLastAnswerStore.delete(firstKey);
-        }
-      }
+      await expandDKBFromAnswer(chat, aiResponse, apiKey);
       
-      res.json({ response: aiResponse });
+      res.json({ response: aiResponse, signature: signMentorAnswer(aiResponse, chat.stateScope) });
     } catch (error) {
       console.error('OpenAI API error:', error.message);
       console.log('Falling back to mock response...');
       // ⚠️ NO FALLBACK LLM CALLS - Use mock response only
       // ⚠️ DO NOT attempt to call LLM again or use alternative endpoints
-      const mockResponse = generateMockResponse();
+      const mockResponse = generateMockChatResponse(chat.finalQuestion);
       
       // Store mock response as last answer for follow-up support
-      if (currentDayTopic && typeof currentDayTopic === 'string') {
-        const dayKey = currentDayTopic.toLowerCase().trim();
-        mentorLastAnswerStore.set(dayKey, mockResponse);
-        
-        // Safety: Limit store size
-        if (mentorLastAnswerStore.size > 10) {
-          const firstKey = mentorLastAnswerStore.keys().next().value;
-          mentorLastAnswerStore.delete(firstKey);
-        }
-      }
+      rememberMentorAnswer(chat.currentDayTopic, chat.stateScope, mockResponse);
       
-      res.json({ response: mockResponse });
+      res.json({ response: mockResponse, signature: signMentorAnswer(mockResponse, chat.stateScope) });
     }
   } catch (error) {
     console.error('Error in topic-chat:', error);
@@ -1976,22 +1287,140 @@ app.post('/api/topic-chat', aiRateLimiter, async (req, res) => {
     // ⚠️ DO NOT attempt to call LLM in error handler
     // Instead of returning 500, return a mock response so frontend doesn't show error
     // This ensures the user always gets a response, even if there's a server error
-    const mockResponse = `I understand you're asking about ${currentDayTopic || 'today\'s topic'}. Based on today's learning content, here's a helpful response. For more detailed information, please ensure the AI service is properly configured.`;
-    
-    // Store mock response as last answer for follow-up support
-    if (currentDayTopic && typeof currentDayTopic === 'string') {
-      const dayKey = currentDayTopic.toLowerCase().trim();
-      mentorLastAnswerStore.set(dayKey, mockResponse);
+    res.json({ response: buildTopicChatErrorResponse(req) });
+  }
+});
+
+/**
+ * Write one Server-Sent Event
+ * 
+ * @param {Object} res - Express response (already switched to text/event-stream)
+ * @param {string} event - Event name
+ * @param {Object} data - JSON payload
+ */
+function writeSSE(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Switch a response to Server-Sent Events
+ * 
+ * @param {Object} res - Express response
+ */
+function startSSE(res) {
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no'); // Disable proxy buffering (nginx)
+  res.flushHeaders();
+}
+
+/**
+ * Split a full answer into word-sized chunks (mock/fallback streaming)
+ * 
+ * @param {string} text - Full answer
+ * @returns {string[]} - Chunks that join back to the original text
+ */
+function chunkForStreaming(text) {
+  return text.match(/\S+\s*/g) || [text];
+}
+
+/**
+ * POST /api/topic-chat/stream
+ * 
+ * ⚠️ STREAMING VARIANT OF THE FROZEN AI MENTOR SYSTEM ⚠️
+ * Same request body and the SAME safety gates as /api/topic-chat (prepareTopicChat).
+ * 
+ * Responses:
+ * - Gate refusal / validation error → plain JSON (identical to /api/topic-chat)
+ * - Gates passed → text/event-stream with events:
+ *   - token: { content }  - next piece of the answer
+ *   - done:  { response, signature } - full answer (stream complete)
+ * 
+ * The stream is closed right after `done`; DKB concept extraction runs after that.
+ * 
+ * SAFETY RULES:
+ * - LLM MUST NOT BE CALLED IF ANY GATE REFUSES
+ * - No fallback LLM calls (only mock responses)
+ */
+app.post('/api/topic-chat/stream', aiRateLimiter, async (req, res) => {
+  let gate;
+  try {
+    // ⚠️ ALL SAFETY GATES - LLM MUST NOT BE CALLED unless gate.chat is set
+    gate = await prepareTopicChat(req.body, getRequestOwnerId(req));
+  } catch (error) {
+    console.error('Error in topic-chat stream:', error);
+    // Same contract as /api/topic-chat: always give the learner an answer
+    return res.json({ response: buildTopicChatErrorResponse(req) });
+  }
+  
+  if (!gate.chat) {
+    return res.status(gate.status).json(gate.payload);
+  }
+  const { chat } = gate;
+  
+  // Abort the upstream LLM stream if the learner goes away
+  const abortController = abortOnDisconnect(res);
+  
+  startSSE(res);
+  
+  const apiKey = getLLMApiKey();
+  let fullResponse = '';
+  
+  // Stream a complete (mock) answer in word-sized chunks
+  const streamText = (text) => {
+    for (const piece of chunkForStreaming(text)) {
+      writeSSE(res, 'token', { content: piece });
+    }
+    fullResponse += text;
+  };
+  
+  if (!apiKey) {
+    // ⚠️ NO FALLBACK LLM CALLS - If no API key, stream mock response only
+    console.log('⚠️  OPENAI_API_KEY not found. Using mock chat response.');
+    streamText(generateMockChatResponse(chat.finalQuestion));
+  } else {
+    // ⚠️ SINGLE POINT OF LLM CALL FOR MENTOR CHAT (streaming)
+    // ⚠️ Only reachable if all gates in prepareTopicChat passed
+    try {
+      // Enforce token limit
+      const maxTokens = AI_LIMITS.CHAT;
+      validateTokenLimit('CHAT', maxTokens);
+      
+      for await (const delta of streamChatCompletion('CHAT', {
+        messages: buildTopicChatMessages(chat),
+        temperature: AI_TEMPERATURES.CHAT,  // 0.3 for topic chat
+        max_tokens: maxTokens  // 1000 tokens max
+      }, { signal: abortController.signal })) {
+        fullResponse += delta;
+        writeSSE(res, 'token', { content: delta });
+      }
       
-      // Safety: Limit store size
-      if (mentorLastAnswerStore.size > 10) {
-        const firstKey = mentorLastAnswerStore.keys().next().value;
-        mentorLastAnswerStore.delete(firstKey);
+      console.log(`📊 Topic chat stream tokens (estimated): ${estimateTokens(fullResponse)} (limit: ${maxTokens})`);
+    } catch (error) {
+      if (abortController.signal.aborted) {
+        console.log('ℹ️  Topic chat stream aborted by client');
+        return;
+      }
+      console.error('OpenAI API streaming error:', error.message);
+      // ⚠️ NO FALLBACK LLM CALLS - Use mock response only
+      // Keep any partial answer the learner already saw; only fill in when nothing arrived
+      if (!fullResponse.trim()) {
+        console.log('Falling back to mock response...');
+        streamText(generateMockChatResponse(chat.finalQuestion));
       }
     }
-    
-    res.json({ response: mockResponse });
   }
+  
+  fullResponse = fullResponse.trim();
+  writeSSE(res, 'done', { response: fullResponse, signature: signMentorAnswer(fullResponse, chat.stateScope) });
+  
+  // Close the stream first: the client waits for the close before unlocking the chat
+  res.end();
+  
+  // DKB expansion after the learner has the full answer (never throws)
+  await expandDKBFromAnswer(chat, fullResponse, apiKey);
 });
 
 /**
@@ -2018,7 +1447,7 @@ app.post('/api/evaluate-learning', aiRateLimiter, async (req, res) => {
       return res.status(400).json({ error: 'learningInput is required and must be at least 50 characters' });
     }
     
-    const apiKey = process.env.OPENAI_API_KEY;
+    const apiKey = getLLMApiKey();
     
     // Mock response generator (used when API key is missing)
     function generateMockEvaluation() {
@@ -2036,11 +1465,8 @@ app.post('/api/evaluate-learning', aiRateLimiter, async (req, res) => {
       return res.json(generateMockEvaluation());
     }
     
-    // Real OpenAI API call
+    // Real LLM API call (OpenAI or OpenAI-compatible provider, see llmProvider.js)
     try {
-      const { default: OpenAI } = await import('openai');
-      const openai = new OpenAI({ apiKey });
-      
       // Enforce token limit
       const maxTokens = AI_LIMITS.EVALUATION;
       validateTokenLimit('EVALUATION', maxTokens);
@@ -2077,8 +1503,8 @@ GUIDANCE:
 
 Default if insufficient: understanding_level="basic", confidence="medium", recommended_action="continue"`;
 
-      const response = await openai.chat.completions.create({
-        model: "gpt-4o-mini",
+      // Schema-validated output (enums enforced, one repair attempt - see structuredOutput.js)
+      const { data: parsed, usage } = await generateStructuredOutput('EVALUATION', {
         messages: [
           {
             role: "system",
@@ -2096,46 +1522,27 @@ Default if insufficient: understanding_level="basic", confidence="medium", recom
       });
       
       // Log token usage
-      if (response.usage) {
-        console.log(`📊 Evaluation tokens: ${response.usage.total_tokens} (limit: ${maxTokens})`);
-      }
-      
-      const content = response.choices[0].message.content.trim();
-      const jsonContent = content.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-      
-      let parsed;
-      try {
-        parsed = JSON.parse(jsonContent);
-      } catch (err) {
-        console.error("❌ Invalid JSON from evaluation, using defaults");
-        parsed = generateMockEvaluation();
+      if (usage) {
+        console.log(`📊 Evaluation tokens: ${usage.total_tokens} (limit: ${maxTokens})`);
       }
       
-      // Validate and set defaults for required fields
-      const validUnderstandingLevels = ['low', 'basic', 'good', 'strong'];
-      const validConfidenceLevels = ['low', 'medium', 'high'];
-      const validActions = ['repeat', 'continue', 'simplify', 'advance'];
-      
       const result = {
-        understanding_level: validUnderstandingLevels.includes(parsed.understanding_level) 
-          ? parsed.understanding_level 
-          : 'basic',
-        confidence: validConfidenceLevels.includes(parsed.confidence)
-          ? parsed.confidence
-          : 'medium',
-        gaps_detected: Array.isArray(parsed.gaps_detected)
-          ? parsed.gaps_detected.filter(g => typeof g === 'string' && g.trim().length > 0)
-          : [],
-        recommended_action: validActions.includes(parsed.recommended_action)
-          ? parsed.recommended_action
-          : 'continue'
+        understanding_level: parsed.understanding_level,
+        confidence: parsed.confidence,
+        gaps_detected: parsed.gaps_detected
+          .filter(g => g.trim().length > 0)
+          .map(g => g.trim()),
+        recommended_action: parsed.recommended_action
       };
       
       res.json(result);
     } catch (error) {
-      console.error('OpenAI API error:', error.message);
-      console.log('Falling back to mock evaluation...');
-      res.json(generateMockEvaluation());
+      if (!(error instanceof StructuredOutputError)) {
+        throw error;
+      }
+      console.error(`Evaluation failed (${error.code}):`, error.message);
+      const reply = structuredOutputErrorReply(error);
+      res.status(reply.status).json(reply.payload);
     }
   } catch (error) {
     console.error('Error in evaluate-learning:', error);
@@ -2148,14 +1555,38 @@ Default if insufficient: understanding_level="basic", confidence="medium", recom
  * POST /api/regenerate-future-days
  * Regenerates days starting from a specific day number
  * Used when AI evaluation suggests adjustment
+ *
+ * Optional continuation context (the new days build on these instead of
+ * restarting the goal from scratch):
+ * - completedDays: [{ dayNumber, topic, subtasks }] already covered - not repeated
+ * - evaluation: latest /api/evaluate-learning result - gaps_detected are
+ *   remediated in the first regenerated days (per recommended_action)
+ * - futureDays: the current days from startDayNumber on - locked days are
+ *   returned unchanged in their position; only the others are regenerated
+ * - currentDate: date of the first regenerated day (YYYY-MM-DD); defaults to
+ *   today in timeZone (the learner's IANA timezone)
+ * totalDays is the number of days returned (1-365, same cap as generate-syllabus)
  */
-app.post('/api/regenerate-future-days', async (req, res) => {
+app.post('/api/regenerate-future-days', aiRateLimiter, async (req, res) => {
+  const abortController = abortOnDisconnect(res);
   try {
-    const { goal, hoursPerDay, startDayNumber, totalDays, currentDate } = req.body;
+    const { goal, hoursPerDay, startDayNumber, totalDays, currentDate, timeZone } = req.body;
     
     if (!goal || !hoursPerDay || !startDayNumber || !totalDays) {
       return res.status(400).json({ error: 'goal, hoursPerDay, startDayNumber, and totalDays are required' });
     }
+
+    if (typeof goal !== 'string' || typeof hoursPerDay !== 'number' || hoursPerDay <= 0) {
+      return res.status(400).json({ error: 'goal must be a string and hoursPerDay a positive number' });
+    }
+
+    if (!Number.isInteger(startDayNumber) || startDayNumber < 1) {
+      return res.status(400).json({ error: 'startDayNumber must be a positive whole number' });
+    }
+
+    if (!Number.isInteger(totalDays) || totalDays < 1 || totalDays > 365) {
+      return res.status(400).json({ error: 'totalDays must be a positive whole number (max 365)' });
+    }
     
     // HARD DOMAIN SAFETY GATE: Check if learning domain is allowed
     // This check happens BEFORE any LLM call
@@ -2171,20 +1602,41 @@ app.post('/api/regenerate-future-days', async (req, res) => {
       });
     }
     
-    // Generate new days
-    const newDays = await generateSyllabus(goal, hoursPerDay, totalDays);
-    
-    // Adjust day numbers and dates to match continuation
-    const startDate = currentDate ? new Date(currentDate) : new Date();
-    startDate.setHours(0, 0, 0, 0);
-    
-    const adjustedDays = newDays.map((day, index) => {
-      const date = new Date(startDate);
-      date.setDate(date.getDate() + index);
-      const dateStr = date.toISOString().split('T')[0];
+    // Generate new days as a continuation of what was already learned
+    const continuation = buildContinuationContext(req.body, startDayNumber);
+    if (process.env.NODE_ENV === 'development' && continuation) {
+      console.log('🔁 Regenerating as continuation:', {
+        startDayNumber,
+        coveredDays: continuation.coveredDays.length,
+        gaps: continuation.gaps.length,
+        recommendedAction: continuation.evaluation?.recommended_action || null
+      });
+    }
+    // Locked days keep their position (index from startDayNumber)
+    const futureDays = Array.isArray(req.body.futureDays) ? req.body.futureDays.slice(0, totalDays) : [];
+    const lockedByIndex = new Map();
+    futureDays.forEach((day, index) => {
+      if (day?.locked) lockedByIndex.set(index, day);
+    });
+
+    const regenerateCount = totalDays - lockedByIndex.size;
+    const newDays = regenerateCount > 0
+      ? await generateSyllabus(goal, hoursPerDay, regenerateCount, { continuation, signal: abortController.signal })
+      : [];
+    
+    // Dates run on from the start date; locked days keep theirs and the next day follows them
+    let nextDate = isCalendarDate(currentDate) ? currentDate : getTodayInTimeZone(timeZone);
+    let generatedIndex = 0;
+    const adjustedDays = Array.from({ length: totalDays }, (_, index) => {
+      const lockedDay = lockedByIndex.get(index);
+      let dateStr = nextDate;
+      if (isCalendarDate(lockedDay?.date) && lockedDay.date >= dateStr) {
+        dateStr = lockedDay.date;
+      }
+      nextDate = addDays(dateStr, 1);
       
       return {
-        ...day,
+        ...(lockedDay ? withDayKey(lockedDay) : newDays[generatedIndex++]),
         dayNumber: startDayNumber + index,
         date: dateStr,
         status: index === 0 ? "active" : "pending"
@@ -2193,12 +1645,281 @@ app.post('/api/regenerate-future-days', async (req, res) => {
     
     res.json({ days: adjustedDays });
   } catch (error) {
+    if (abortController.signal.aborted) {
+      console.log('ℹ️  Future days regeneration aborted by client');
+      return;
+    }
+    if (error instanceof StructuredOutputError) {
+      console.error(`Error regenerating future days (${error.code}):`, error.message);
+      const reply = structuredOutputErrorReply(error);
+      return res.status(reply.status).json(reply.payload);
+    }
     console.error('Error regenerating future days:', error);
     const safeError = sanitizeError(error, isDevelopment);
     res.status(500).json({ error: 'Failed to regenerate days', message: safeError });
   }
 });
 
+/**
+ * POST /api/regenerate-day
+ * Generate a replacement for one day (topic, 3-4 subtasks, aiExpertPrompt)
+ * Body: { goal, hoursPerDay, dayNumber, currentTopic, previousTopics?, nextTopics?, hint?, syllabusId? }
+ * - previousTopics/nextTopics: neighbouring day topics (nearest last / nearest first)
+ * - hint: optional learner request for the day (same domain gate as the goal)
+ * - syllabusId: a day locked in the caller's stored syllabus is refused ('day_locked')
+ * Returns: { day: { dayNumber, topic, subtasks, aiExpertPrompt } }
+ * Nothing is stored - the client saves the replacement with /api/edit-day
+ * (which refuses locked days too)
+ */
+app.post('/api/regenerate-day', aiRateLimiter, async (req, res) => {
+  try {
+    const { goal, hoursPerDay, dayNumber, currentTopic, syllabusId } = req.body;
+
+    if (!goal || typeof goal !== 'string' || !Number.isInteger(dayNumber) || dayNumber < 1) {
+      return res.status(400).json({ error: 'goal and a positive integer dayNumber are required' });
+    }
+
+    // Locked days keep their content - no LLM call for them
+    const storedDay = getSyllabusState(getRequestOwnerId(req), syllabusId)?.days?.find(day => day.dayNumber === dayNumber);
+    if (storedDay?.locked) {
+      return res.status(400).json({ error: 'day_locked', message: 'This day is locked. Unlock it to regenerate it.' });
+    }
+
+    const cleanText = (value, maxLength) => sanitizeInput(value).substring(0, maxLength).trim();
+    const cleanTopics = (topics, fromEnd) => {
+      const cleaned = (Array.isArray(topics) ? topics : [])
+        .filter(topic => typeof topic === 'string' && topic.trim())
+        .map(topic => cleanText(topic, 100));
+      const limit = SYLLABUS_GENERATION.NEIGHBOUR_TOPICS_CONTEXT;
+      return fromEnd ? cleaned.slice(-limit) : cleaned.slice(0, limit);
+    };
+    const hint = typeof req.body.hint === 'string' ? cleanText(req.body.hint, 200) : '';
+
+    // HARD DOMAIN SAFETY GATE: the hint steers the day like the goal does
+    if (!isAllowedLearningDomain(goal) || (hint && !isAllowedLearningDomain(hint))) {
+      if (process.env.NODE_ENV === 'development') {
+        console.warn('🚫 Day regeneration blocked (unsafe domain):', {
+          goal: goal.substring(0, 100),
+          hint: hint.substring(0, 100)
+        });
+      }
+      return res.status(400).json({
+        error: "unsafe_domain",
+        message: "This learning topic is not supported."
+      });
+    }
+
+    const cleanGoal = cleanText(goal, 200);
+    const replacement = await regenerateSyllabusDay({
+      goal: cleanGoal,
+      hoursPerDay: Number(hoursPerDay) > 0 ? Number(hoursPerDay) : 1,
+      dayNumber,
+      currentTopic: typeof currentTopic === 'string' ? cleanText(currentTopic, 100) : '',
+      previousTopics: cleanTopics(req.body.previousTopics, true),
+      nextTopics: cleanTopics(req.body.nextTopics, false),
+      hint
+    });
+
+    res.json({ day: { dayNumber, ...replacement } });
+  } catch (error) {
+    if (error instanceof StructuredOutputError) {
+      console.error(`Error regenerating day (${error.code}):`, error.message);
+      const reply = structuredOutputErrorReply(error);
+      return res.status(reply.status).json(reply.payload);
+    }
+    console.error('Error regenerating day:', error);
+    const safeError = sanitizeError(error, isDevelopment);
+    res.status(500).json({ error: 'Failed to regenerate day', message: safeError });
+  }
+});
+
+/**
+ * POST /api/adapt-syllabus
+ * Applies the evaluation's recommended_action to the upcoming days
+ * (see syllabusAdaptation.js):
+ * - repeat   → review day inserted after the completed day
+ * - simplify → each of the next two days split into two smaller days
+ * - advance  → up to two pairs of upcoming days merged (two into one each)
+ * - continue → no change
+ * Locked days (day.locked) are never changed and keep their date - the
+ * strategies pick the next unlocked days and flow around them
+ *
+ * Body: { goal, days, completedDayNumber, evaluation, acceptedChangeIds? }
+ * Returns: { days, totalDays, diff, changes }
+ * - changes: the proposal - [{ id, type, before, after }] for a side-by-side
+ *   preview; send acceptedChangeIds to apply only some of them (omit = all)
+ * - diff: inserted/removed/updated days of what was applied
+ * Nothing is stored - the client saves the accepted days with /api/update-syllabus
+ */
+app.post('/api/adapt-syllabus', async (req, res) => {
+  try {
+    const { goal, days, completedDayNumber, evaluation, acceptedChangeIds = null } = req.body;
+
+    if (!Array.isArray(days) || days.length === 0 || days.length > 365 || !Number.isInteger(completedDayNumber)) {
+      return res.status(400).json({ error: 'days (1-365) and an integer completedDayNumber are required' });
+    }
+    if (!days.every(day => day && Number.isInteger(day.dayNumber) && typeof day.topic === 'string')) {
+      return res.status(400).json({ error: 'Each day needs an integer dayNumber and a topic' });
+    }
+    if (acceptedChangeIds !== null && (!Array.isArray(acceptedChangeIds) || !acceptedChangeIds.every(id => typeof id === 'string'))) {
+      return res.status(400).json({ error: 'acceptedChangeIds must be an array of change ids' });
+    }
+
+    // Same sanitizing/enum rules as continuation regeneration
+    const context = buildContinuationContext({ evaluation }, completedDayNumber + 1);
+    const action = context?.evaluation?.recommended_action;
+    if (!ADAPTATION_ACTIONS.includes(action)) {
+      return res.status(400).json({ error: `evaluation.recommended_action must be one of: ${ADAPTATION_ACTIONS.join(', ')}` });
+    }
+
+    const { days: adaptedDays, diff, changes } = adaptSyllabusDays(days, {
+      action,
+      completedDayNumber,
+      acceptedChangeIds,
+      gaps: context.gaps,
+      goal: typeof goal === 'string' ? sanitizeInput(goal).substring(0, 200).trim() : ''
+    });
+
+    if (diff.reason === 'day_not_found') {
+      return res.status(400).json({ error: 'completedDayNumber is not in days' });
+    }
+
+    if (process.env.NODE_ENV === 'development') {
+      console.log('🧭 Syllabus adapted:', {
+        action,
+        applied: diff.applied,
+        reason: diff.reason,
+        totalDays: `${diff.totalDaysBefore} → ${diff.totalDaysAfter}`
+      });
+    }
+
+    res.json({
+      days: adaptedDays,
+      totalDays: adaptedDays.length,
+      diff,
+      changes: changes.map(({ id, type, before, after }) => ({ id, type, before, after }))
+    });
+  } catch (error) {
+    console.error('Error adapting syllabus:', error);
+    const safeError = sanitizeError(error, isDevelopment);
+    res.status(500).json({ error: 'Failed to adapt syllabus', message: safeError });
+  }
+});
+
+/**
+ * Run a manual syllabus edit (shared by the editor routes)
+ *
+ * Applies the edit to the caller's syllabus (body.syllabus - the client copy
+ * is the source of truth, as with /api/update-syllabus), stores the result
+ * and resets the active day's DKB when its content changed, so the mentor
+ * scope follows the new topic/subtasks.
+ *
+ * @param {Object} req - Express request (body.syllabus required)
+ * @param {(days: Object[], goal: string) => {days: Object[], diff: Object}} edit - Edit to apply
+ * @returns {Promise<{status: number, payload: Object}>}
+ */
+async function runSyllabusEdit(req, edit) {
+  const { syllabus } = req.body;
+  if (!syllabus || !Array.isArray(syllabus.days) || syllabus.days.length === 0 || syllabus.days.length > 365) {
+    return { status: 400, payload: { error: 'syllabus with days (1-365) is required' } };
+  }
+  if (!syllabus.days.every(day => day && Number.isInteger(day.dayNumber) && typeof day.topic === 'string')) {
+    return { status: 400, payload: { error: 'Each day needs an integer dayNumber and a topic' } };
+  }
+
+  let result;
+  try {
+    result = edit(syllabus.days, typeof syllabus.goal === 'string' ? syllabus.goal : '');
+  } catch (error) {
+    if (error instanceof SyllabusEditError) {
+      return { status: 400, payload: { error: 'invalid_edit', message: error.message } };
+    }
+    throw error;
+  }
+
+  const ownerId = getRequestOwnerId(req);
+  const stateScope = getStateScope(ownerId, syllabus.id);
+
+  // Active day edited → its DKB no longer matches the day's content
+  const previousActiveDay = syllabus.days.find(day => day.status === 'active');
+  const newActiveDay = result.days.find(day => day.status === 'active');
+  if (previousActiveDay && newActiveDay && (
+    previousActiveDay.topic !== newActiveDay.topic ||
+    JSON.stringify(previousActiveDay.subtasks || []) !== JSON.stringify(newActiveDay.subtasks || [])
+  )) {
+    await resetDKBForDayBoundary(previousActiveDay.topic, stateScope);
+    if (newActiveDay.topic !== previousActiveDay.topic) {
+      await resetDKBForDayBoundary(newActiveDay.topic, stateScope);
+    }
+    if (process.env.NODE_ENV === 'development') {
+      console.log(`✏️  Active day ${newActiveDay.dayNumber} edited - DKB reset for "${previousActiveDay.topic}"`);
+    }
+  }
+
+  const updatedSyllabus = { ...syllabus, days: result.days, totalDays: result.days.length };
+  await setSyllabusState(ownerId, updatedSyllabus);
+
+  return { status: 200, payload: { syllabus: updatedSyllabus, diff: result.diff } };
+}
+
+/**
+ * Send a runSyllabusEdit reply (500 on unexpected errors)
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} edit - Edit to apply (see runSyllabusEdit)
+ */
+async function sendSyllabusEdit(req, res, edit) {
+  try {
+    const reply = await runSyllabusEdit(req, edit);
+    res.status(reply.status).json(reply.payload);
+  } catch (error) {
+    console.error('Error editing syllabus:', error);
+    const safeError = sanitizeError(error, isDevelopment);
+    res.status(500).json({ error: 'Failed to edit syllabus', message: safeError });
+  }
+}
+
+/**
+ * POST /api/edit-day
+ * Edit the topic/subtasks of the active day or an upcoming day
+ * Body: { syllabus, dayNumber, topic, subtasks, aiExpertPrompt? }
+ * Returns: { syllabus, diff } - the client saves it (saveSyllabus)
+ */
+app.post('/api/edit-day', (req, res) => sendSyllabusEdit(req, res, (days, goal) =>
+  editSyllabusDay(days, req.body.dayNumber, req.body, goal)
+));
+
+/**
+ * POST /api/insert-day
+ * Insert a new upcoming day after afterDayNumber (later days renumber/shift)
+ * Body: { syllabus, afterDayNumber, topic, subtasks }
+ * Returns: { syllabus, diff }
+ */
+app.post('/api/insert-day', (req, res) => sendSyllabusEdit(req, res, (days, goal) =>
+  insertSyllabusDay(days, req.body.afterDayNumber, req.body, goal)
+));
+
+/**
+ * POST /api/delete-day
+ * Delete an upcoming day (later days renumber/shift back)
+ * Body: { syllabus, dayNumber }
+ * Returns: { syllabus, diff }
+ */
+app.post('/api/delete-day', (req, res) => sendSyllabusEdit(req, res, (days) =>
+  deleteSyllabusDay(days, req.body.dayNumber)
+));
+
+/**
+ * POST /api/reorder-days
+ * Reorder the upcoming days (dates stay with positions, locked days stay put)
+ * Body: { syllabus, dayNumbers } - every upcoming day number in the new order
+ * Returns: { syllabus, diff }
+ */
+app.post('/api/reorder-days', (req, res) => sendSyllabusEdit(req, res, (days) =>
+  reorderSyllabusDays(days, req.body.dayNumbers)
+));
+
 /**
  * POST /api/update-syllabus
  * Updates the syllabus state (for completed/skipped/leave days)
@@ -2206,15 +1927,22 @@ app.post('/api/regenerate-future-days', async (req, res) => {
  * IMPORTANT: This endpoint triggers DKB day boundary reset when:
  * - A day is marked as completed
  * - The active day changes
+ * 
+ * State is scoped per owner and per syllabus (updatedSyllabus.id), so one
+ * user's day transitions never touch another user's syllabus or DKB.
  */
 app.post('/api/update-syllabus', async (req, res) => {
   try {
     const { updatedSyllabus } = req.body;
     
-    if (!updatedSyllabus || !updatedSyllabus.days) {
+    if (!updatedSyllabus || !Array.isArray(updatedSyllabus.days)) {
       return res.status(400).json({ error: 'updatedSyllabus with days array is required' });
     }
     
+    const ownerId = getRequestOwnerId(req);
+    const stateScope = getStateScope(ownerId, updatedSyllabus.id);
+    const syllabus = getSyllabusState(ownerId, updatedSyllabus.id);
+    
     // ============================================================================
     // DKB DAY BOUNDARY RESET
     // When day transitions occur, clear the DKB for the completed day
@@ -2229,7 +1957,7 @@ app.post('/api/update-syllabus', async (req, res) => {
           previousActiveDay.dayNumber !== newActiveDay.dayNumber) {
         // Day boundary: reset DKB for the completed day
         if (previousActiveDay.topic) {
-          resetDKBForDayBoundary(previousActiveDay.topic);
+          await resetDKBForDayBoundary(previousActiveDay.topic, stateScope);
           console.log(`🔄 Day boundary detected: Day ${previousActiveDay.dayNumber} → Day ${newActiveDay.dayNumber}`);
           console.log(`📚 DKB reset for: "${previousActiveDay.topic}"`);
         }
@@ -2241,17 +1969,25 @@ app.post('/api/update-syllabus', async (req, res) => {
         if (oldDay && oldDay.status !== 'completed' && newDay.status === 'completed') {
           // This day was just completed - reset its DKB
           if (newDay.topic) {
-            resetDKBForDayBoundary(newDay.topic);
+            await resetDKBForDayBoundary(newDay.topic, stateScope);
             console.log(`✅ Day ${newDay.dayNumber} completed - DKB reset`);
           }
         }
       }
+    } else {
+      // No previous state for this syllabus (new id, server restart, or another instance):
+      // any non-active day must not keep a DKB in this scope
+      for (const day of updatedSyllabus.days) {
+        if (day.status !== 'active' && day.topic) {
+          await resetDKBForDayBoundary(day.topic, stateScope);
+        }
+      }
     }
     
-    // Update in-memory syllabus
-    syllabus = updatedSyllabus;
+    // Update in-memory syllabus for this owner + syllabus
+    await setSyllabusState(ownerId, updatedSyllabus);
     
-    res.json({ success: true, syllabus });
+    res.json({ success: true, syllabus: updatedSyllabus });
   } catch (error) {
     console.error('Error updating syllabus:', error);
     const safeError = sanitizeError(error, isDevelopment);
@@ -2263,16 +1999,17 @@ app.post('/api/update-syllabus', async (req, res) => {
  * POST /api/reset-day-knowledge
  * Explicitly reset the Day Knowledge Base for a specific day
  * Called when user wants to start fresh or when debugging
+ * Only resets the DKB in the caller's own scope (owner + syllabusId)
  */
 app.post('/api/reset-day-knowledge', async (req, res) => {
   try {
-    const { topic } = req.body;
+    const { topic, syllabusId } = req.body;
     
     if (!topic || typeof topic !== 'string') {
       return res.status(400).json({ error: 'topic is required' });
     }
     
-    resetDKBForDayBoundary(topic);
+    await resetDKBForDayBoundary(topic, getStateScope(getRequestOwnerId(req), syllabusId));
     
     res.json({ 
       success: true, 
@@ -2289,16 +2026,16 @@ app.post('/api/reset-day-knowledge', async (req, res) => {
  * GET /api/day-knowledge
  * Debug endpoint to view current DKB state (development only)
  */
-app.get('/api/day-knowledge', (req, res) => {
+app.get('/api/day-knowledge', async (req, res) => {
   if (process.env.NODE_ENV !== 'development') {
     return res.status(403).json({ error: 'Debug endpoint only available in development' });
   }
   
-  const { topic } = req.query;
+  const { topic, syllabusId } = req.query;
+  const ownerId = getRequestOwnerId(req);
   
   if (topic) {
-    const dayKey = topic.toLowerCase().trim();
-    const dkb = dayKnowledgeBaseStore.get(dayKey);
+    const dkb = await loadDKB(getDKBKey(topic, getStateScope(ownerId, syllabusId)));
     
     if (!dkb) {
       return res.status(404).json({ error: 'No DKB found for this topic' });
@@ -2314,9 +2051,13 @@ app.get('/api/day-knowledge', (req, res) => {
     });
   }
   
-  // Return all DKBs
+  // Return all DKBs owned by the caller
   const allDKBs = [];
-  for (const [key, dkb] of dayKnowledgeBaseStore.entries()) {
+  const ownerPrefix = `${ownerId}:`;
+  const ownerKeys = await listDKBKeys(ownerPrefix);
+  for (const key of ownerKeys) {
+    const dkb = await loadDKB(key);
+    if (!dkb) continue;
     allDKBs.push({
       key,
       topic: dkb.topic,
@@ -2329,6 +2070,67 @@ app.get('/api/day-knowledge', (req, res) => {
   res.json({ dkbs: allDKBs, count: allDKBs.length });
 });
 
+/**
+ * GET /api/admin/refusals
+ * Review and export the refusal audit log (admin only - see requireAdmin)
+ * 
+ * Query params:
+ * - gate: domain | pre_filter | scope | no_context | context_overlap
+ * - userId: only refusals for this user
+ * - since / until: ISO timestamps (since inclusive, until exclusive)
+ * - limit: max records (default 100, max 5000)
+ * - format: json (default) | csv (download)
+ */
+app.get('/api/admin/refusals', requireAdmin, async (req, res) => {
+  try {
+    const { gate, userId, since, until, limit, format } = req.query;
+    
+    if (gate && !REFUSAL_GATES.includes(gate)) {
+      return res.status(400).json({ error: `gate must be one of: ${REFUSAL_GATES.join(', ')}` });
+    }
+    for (const [name, value] of [['since', since], ['until', until]]) {
+      if (value && Number.isNaN(Date.parse(value))) {
+        return res.status(400).json({ error: `${name} must be an ISO timestamp` });
+      }
+    }
+    
+    const result = await queryRefusals({
+      gate: gate || null,
+      ownerId: userId || null,
+      since: since ? new Date(since).toISOString() : null,
+      until: until ? new Date(until).toISOString() : null,
+      limit
+    });
+    
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', 'attachment; filename="refusals.csv"');
+      return res.send(refusalsToCsv(result.records));
+    }
+    
+    res.json({
+      refusals: result.records,
+      count: result.records.length,
+      total: result.total,
+      byGate: result.byGate
+    });
+  } catch (error) {
+    console.error('Error querying refusal log:', error);
+    const safeError = sanitizeError(error, isDevelopment);
+    res.status(500).json({ error: 'Failed to query refusal log', message: safeError });
+  }
+});
+
+/**
+ * GET /api/admin/ai-output-metrics
+ * Structured AI output counters per schema since server start (admin only)
+ * requests, native (json_schema used), nativeRejected, validFirstTry, repaired,
+ * failed.{provider_error, invalid_json, schema_mismatch}
+ */
+app.get('/api/admin/ai-output-metrics', requireAdmin, (req, res) => {
+  res.json({ metrics: getStructuredOutputMetrics() });
+});
+
 /**
  * POST /api/generate-linkedin-draft
  * Generates a LinkedIn post draft from completed day's topic and learning input
@@ -2347,7 +2149,7 @@ app.post('/api/generate-linkedin-draft', aiRateLimiter, async (req, res) => {
       return res.status(400).json({ error: 'learningInput is required and must be at least 50 characters' });
     }
     
-    const apiKey = process.env.OPENAI_API_KEY;
+    const apiKey = getLLMApiKey();
     
     // Mock response generator (used when API key is missing or for demo safety)
     function generateMockDraft() {
@@ -2368,11 +2170,8 @@ Excited to continue this learning path! 💪
       return res.json({ draft: generateMockDraft() });
     }
     
-    // Real OpenAI API call
+    // Real LLM API call (OpenAI or OpenAI-compatible provider, see llmProvider.js)
     try {
-      const { default: OpenAI } = await import('openai');
-      const openai = new OpenAI({ apiKey });
-      
       // Enforce token limit
       const maxTokens = AI_LIMITS.LINKEDIN;
       validateTokenLimit('LINKEDIN', maxTokens);
@@ -2389,8 +2188,7 @@ Requirements:
 - Focus on the learning outcome
 - No emoji overuse (1-2 max)`;
 
-      const response = await openai.chat.completions.create({
-        model: "gpt-4o-mini",
+      const response = await createChatCompletion('LINKEDIN', {
         messages: [
           {
             role: "system",
@@ -2464,7 +2262,7 @@ app.post('/api/generate-mentor-first-message', aiRateLimiter, async (req, res) =
       return res.status(400).json({ error: 'topic is required and must be a non-empty string' });
     }
 
-    const apiKey = process.env.OPENAI_API_KEY;
+    const apiKey = getLLMApiKey();
     
     // SAFE MOCK RESPONSE: If AI logic is missing, return deterministic template
     if (!apiKey) {
@@ -2479,11 +2277,8 @@ ${subtasksList ? `By the end of this session, you should understand:\n${subtasks
       return res.json({ message: mockMessage });
     }
     
-    // Real OpenAI API call
+    // Real LLM API call (OpenAI or OpenAI-compatible provider, see llmProvider.js)
     try {
-      const { default: OpenAI } = await import('openai');
-      const openai = new OpenAI({ apiKey });
-      
       // Enforce token limit
       const maxTokens = AI_LIMITS.FIRST_MESSAGE;
       validateTokenLimit('FIRST_MESSAGE', maxTokens);
@@ -2518,8 +2313,7 @@ You can start by asking one of the questions below."
 
 Return ONLY the message text. No explanations, no markdown, no JSON wrapper.`;
       
-      const response = await openai.chat.completions.create({
-        model: "gpt-4o-mini",
+      const response = await createChatCompletion('FIRST_MESSAGE', {
         messages: [
           {
             role: "system",
@@ -2610,6 +2404,7 @@ ${subtasksList ? `By the end of this session, you should understand:\n${subtasks
  * {
  *   questions: string[] (exactly 3 questions, or empty array on failure)
  * }
+ * AI failure → 502 { error, code, message, questions: [] }
  */
 app.post('/api/generate-starter-questions', aiRateLimiter, async (req, res) => {
   try {
@@ -2621,7 +2416,7 @@ app.post('/api/generate-starter-questions', aiRateLimiter, async (req, res) => {
       return res.status(400).json({ error: 'topic is required and must be a non-empty string' });
     }
 
-    const apiKey = process.env.OPENAI_API_KEY;
+    const apiKey = getLLMApiKey();
     
     // SAFE MOCK RESPONSE: If AI logic is missing, return mock starter questions
     if (!apiKey) {
@@ -2634,11 +2429,8 @@ app.post('/api/generate-starter-questions', aiRateLimiter, async (req, res) => {
       return res.json({ questions: mockQuestions });
     }
     
-    // Real OpenAI API call
+    // Real LLM API call (OpenAI or OpenAI-compatible provider, see llmProvider.js)
     try {
-      const { default: OpenAI } = await import('openai');
-      const openai = new OpenAI({ apiKey });
-      
       // Enforce token limit
       const maxTokens = AI_LIMITS.SUGGESTIONS;
       validateTokenLimit('SUGGESTIONS', maxTokens);
@@ -2666,8 +2458,7 @@ STRICT RULES:
 
 Return ONLY a JSON array of strings.`;
       
-      const response = await openai.chat.completions.create({
-        model: "gpt-4o-mini",
+      const { data, usage } = await generateStructuredOutput('QUESTIONS', {
         messages: [
           {
             role: "system",
@@ -2684,45 +2475,24 @@ Return ONLY a JSON array of strings.`;
       });
       
       // Log token usage
-      if (response.usage) {
-        console.log(`📊 Starter questions tokens: ${response.usage.total_tokens} (limit: ${maxTokens})`);
-      }
-      
-      const content = response.choices[0].message.content.trim();
-      
-      // Remove markdown code blocks if present
-      const jsonContent = content.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-      
-      // Parse JSON array
-      let questions = [];
-      try {
-        const parsed = JSON.parse(jsonContent);
-        // Ensure it's an array
-        if (Array.isArray(parsed)) {
-          // Take exactly 3 questions, filter out empty strings
-          questions = parsed
-            .filter(q => typeof q === 'string' && q.trim().length > 0)
-            .slice(0, 3)
-            .map(q => q.trim());
-        }
-      } catch (parseError) {
-        console.warn('⚠️  Failed to parse starter questions JSON');
-        // Fallback: return empty array (silent failure)
-        return res.json({ questions: [] });
+      if (usage) {
+        console.log(`📊 Starter questions tokens: ${usage.total_tokens} (limit: ${maxTokens})`);
       }
       
-      // Ensure exactly 3 questions
-      if (questions.length === 0) {
-        return res.json({ questions: [] });
-      }
-      
-      // Return exactly 3 questions (or fewer if generation failed)
-      const finalQuestions = questions.slice(0, 3);
+      // Return exactly 3 questions (or fewer if the model returned fewer)
+      const finalQuestions = data.questions
+        .map(q => q.trim())
+        .filter(q => q.length > 0)
+        .slice(0, 3);
       res.json({ questions: finalQuestions });
     } catch (error) {
-      console.error('OpenAI API error in generate-starter-questions:', error.message);
-      // Silent failure: return empty array
-      res.json({ questions: [] });
+      if (!(error instanceof StructuredOutputError)) {
+        throw error;
+      }
+      console.error(`Starter questions failed (${error.code}):`, error.message);
+      // Typed error; questions stays an array so the contract holds
+      const reply = structuredOutputErrorReply(error);
+      res.status(reply.status).json({ ...reply.payload, questions: [] });
     }
   } catch (error) {
     console.error('Error in generate-starter-questions:', error);
@@ -2755,6 +2525,7 @@ Return ONLY a JSON array of strings.`;
  * {
  *   questions: string[] (exactly 3 questions, or empty array on failure)
  * }
+ * AI failure → 502 { error, code, message, questions: [] }
  */
 app.post('/api/generate-suggested-questions', aiRateLimiter, async (req, res) => {
   try {
@@ -2772,7 +2543,7 @@ app.post('/api/generate-suggested-questions', aiRateLimiter, async (req, res) =>
       return res.json({ questions: [] });
     }
 
-    const apiKey = process.env.OPENAI_API_KEY;
+    const apiKey = getLLMApiKey();
     
     // SAFE MOCK RESPONSE: If AI logic is missing, return mock questions
     // DO NOT crash the server - return exactly 3 mock questions
@@ -2787,11 +2558,8 @@ app.post('/api/generate-suggested-questions', aiRateLimiter, async (req, res) =>
       return res.json({ questions: mockQuestions });
     }
     
-    // Real OpenAI API call
+    // Real LLM API call (OpenAI or OpenAI-compatible provider, see llmProvider.js)
     try {
-      const { default: OpenAI } = await import('openai');
-      const openai = new OpenAI({ apiKey });
-      
       // Enforce token limit
       const maxTokens = AI_LIMITS.SUGGESTIONS;
       validateTokenLimit('SUGGESTIONS', maxTokens);
@@ -2819,8 +2587,7 @@ STRICT RULES:
 
 Do NOT include explanations. Return ONLY the questions as a JSON array of strings.`;
       
-      const response = await openai.chat.completions.create({
-        model: "gpt-4o-mini",
+      const { data, usage } = await generateStructuredOutput('QUESTIONS', {
         messages: [
           {
             role: "system",
@@ -2837,47 +2604,24 @@ Do NOT include explanations. Return ONLY the questions as a JSON array of string
       });
       
       // Log token usage
-      if (response.usage) {
-        console.log(`📊 Suggested questions tokens: ${response.usage.total_tokens} (limit: ${maxTokens})`);
-      }
-      
-      const content = response.choices[0].message.content.trim();
-      
-      // Remove markdown code blocks if present
-      const jsonContent = content.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-      
-      // Parse JSON array
-      let questions = [];
-      try {
-        const parsed = JSON.parse(jsonContent);
-        // Ensure it's an array
-        if (Array.isArray(parsed)) {
-          // Take exactly 3 questions, filter out empty strings
-          questions = parsed
-            .filter(q => typeof q === 'string' && q.trim().length > 0)
-            .slice(0, 3)
-            .map(q => q.trim());
-        }
-      } catch (parseError) {
-        // If JSON parsing fails, try to extract questions from text
-        console.warn('⚠️  Failed to parse suggested questions JSON, attempting text extraction');
-        // Fallback: return empty array (silent failure)
-        return res.json({ questions: [] });
-      }
-      
-      // Ensure exactly 3 questions (pad with empty if needed, but prefer to return fewer than invalid)
-      if (questions.length === 0) {
-        return res.json({ questions: [] });
+      if (usage) {
+        console.log(`📊 Suggested questions tokens: ${usage.total_tokens} (limit: ${maxTokens})`);
       }
       
-      // Return exactly 3 questions (or fewer if generation failed)
-      // The route MUST return an array of EXACTLY 3 strings (or fewer if generation fails)
-      const finalQuestions = questions.slice(0, 3);
+      // Return exactly 3 questions (or fewer if the model returned fewer)
+      const finalQuestions = data.questions
+        .map(q => q.trim())
+        .filter(q => q.length > 0)
+        .slice(0, 3);
       res.json({ questions: finalQuestions });
     } catch (error) {
-      console.error('OpenAI API error in generate-suggested-questions:', error.message);
-      // Silent failure: return empty array
-      res.json({ questions: [] });
+      if (!(error instanceof StructuredOutputError)) {
+        throw error;
+      }
+      console.error(`Suggested questions failed (${error.code}):`, error.message);
+      // Typed error; questions stays an array so the contract holds
+      const reply = structuredOutputErrorReply(error);
+      res.status(reply.status).json({ ...reply.payload, questions: [] });
     }
   } catch (error) {
     console.error('Error in generate-suggested-questions:', error);
@@ -2888,15 +2632,263 @@ Do NOT include explanations. Return ONLY the questions as a JSON array of string
 
 /**
  * GET /api/syllabus
- * Returns the current syllabus
+ * Returns the caller's syllabus
+ * Query: syllabusId (optional) - defaults to the caller's most recently updated syllabus
  */
 app.get('/api/syllabus', (req, res) => {
+  const ownerId = getRequestOwnerId(req);
+  const { syllabusId } = req.query;
+  const syllabus = syllabusId
+    ? getSyllabusState(ownerId, syllabusId)
+    : getLatestSyllabusState(ownerId);
+  
   if (!syllabus) {
     return res.status(404).json({ error: 'No syllabus found' });
   }
   res.json(syllabus);
 });
 
+/**
+ * GET /api/calendar/:feedToken.ics
+ * Live ICS feed of the feed owner's current syllabus (subscribe by URL in
+ * Google Calendar, Outlook, Apple Calendar, Thunderbird)
+ * Public route: the feed token in the URL is the credential (see calendarFeeds.js)
+ */
+app.get('/api/calendar/:feedToken.ics', async (req, res) => {
+  try {
+    const ics = await renderCalendarFeed(req.params.feedToken);
+    if (ics === null) {
+      return res.status(404).type('text/plain').send('Calendar feed not found');
+    }
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="laipath.ics"',
+      'Cache-Control': 'private, no-cache'
+    });
+    res.send(ics);
+  } catch (error) {
+    console.error('Error rendering calendar feed:', error);
+    res.status(500).type('text/plain').send('Calendar feed unavailable');
+  }
+});
+
+/**
+ * POST /api/create-calendar-feed
+ * Create a feed URL token for the caller
+ * Body: { timeZone?, syllabus? } - timeZone of the study times (IANA),
+ *   syllabus seeds the feed (defaults to the caller's latest stored syllabus)
+ * Returns: { feed: { token, timeZone, createdAt } } - URL: /api/calendar/<token>.ics
+ * 503 'feeds_unavailable' when the server has no durable storage (see isDurableDKBStorage)
+ */
+app.post('/api/create-calendar-feed', async (req, res) => {
+  try {
+    const ownerId = getRequestOwnerId(req);
+    const syllabus = Array.isArray(req.body.syllabus?.days)
+      ? req.body.syllabus
+      : getLatestSyllabusState(ownerId);
+
+    const feed = await createCalendarFeed(ownerId, {
+      timeZone: typeof req.body.timeZone === 'string' ? sanitizeInput(req.body.timeZone) : null,
+      syllabus
+    });
+    res.json({ feed });
+  } catch (error) {
+    if (error instanceof CalendarFeedError) {
+      return res.status(error.statusCode).json({
+        error: error.statusCode === 503 ? 'feeds_unavailable' : 'invalid_feed_request',
+        message: error.message
+      });
+    }
+    console.error('Error creating calendar feed:', error);
+    const safeError = sanitizeError(error, isDevelopment);
+    res.status(500).json({ error: 'Failed to create calendar feed', message: safeError });
+  }
+});
+
+/**
+ * POST /api/list-calendar-feeds
+ * Returns: { enabled, feeds: [{ token, timeZone, createdAt }] } - the caller's feeds;
+ *   enabled: false when new feeds can't be created on this server
+ */
+app.post('/api/list-calendar-feeds', async (req, res) => {
+  try {
+    const feeds = await listCalendarFeeds(getRequestOwnerId(req));
+    res.json({ enabled: isCalendarFeedEnabled(), feeds });
+  } catch (error) {
+    console.error('Error listing calendar feeds:', error);
+    const safeError = sanitizeError(error, isDevelopment);
+    res.status(500).json({ error: 'Failed to list calendar feeds', message: safeError });
+  }
+});
+
+/**
+ * POST /api/revoke-calendar-feed
+ * Revoke one of the caller's feeds (the URL stops working immediately)
+ * Body: { token }
+ * Returns: { revoked: true } or 404
+ */
+app.post('/api/revoke-calendar-feed', async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (!isValidFeedToken(token)) {
+      return res.status(400).json({ error: 'A valid feed token is required' });
+    }
+
+    const revoked = await revokeCalendarFeed(getRequestOwnerId(req), token);
+    if (!revoked) {
+      return res.status(404).json({ error: 'Calendar feed not found' });
+    }
+    res.json({ revoked: true });
+  } catch (error) {
+    console.error('Error revoking calendar feed:', error);
+    const safeError = sanitizeError(error, isDevelopment);
+    res.status(500).json({ error: 'Failed to revoke calendar feed', message: safeError });
+  }
+});
+
+/**
+ * POST /api/update-calendar-profile
+ * Store the caller's calendar profile, used by their feeds and CalDAV sync
+ * (the client sends it on load and whenever the profile is edited)
+ * Body: { profile: { preferredStudyTime, studyTimesByWeekday, timeZone } }
+ * Returns: { profile } - normalized (invalid times/timezone fall back to defaults)
+ */
+app.post('/api/update-calendar-profile', async (req, res) => {
+  try {
+    const { profile } = req.body;
+    if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+      return res.status(400).json({ error: 'A profile object is required' });
+    }
+
+    const calendarProfile = await updateCalendarProfile(getRequestOwnerId(req), profile);
+    res.json({ profile: calendarProfile });
+  } catch (error) {
+    console.error('Error updating calendar profile:', error);
+    const safeError = sanitizeError(error, isDevelopment);
+    res.status(500).json({ error: 'Failed to update calendar profile', message: safeError });
+  }
+});
+
+/**
+ * Send a CalDAV route error (CalDAVSyncError carries its own status)
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by caldavSync.js
+ * @param {string} failure - Message for unexpected errors
+ */
+function sendCalDAVError(res, error, failure) {
+  if (error instanceof CalDAVSyncError) {
+    return res.status(error.statusCode).json({ error: 'caldav_error', message: error.message });
+  }
+  console.error(`${failure}:`, error);
+  const safeError = sanitizeError(error, isDevelopment);
+  res.status(500).json({ error: failure, message: safeError });
+}
+
+/**
+ * POST /api/save-caldav-account
+ * Connect the caller's CalDAV calendar (checked against the server first),
+ * then push the current plan to it
+ * Body: { calendarUrl, username, password, timeZone?, syllabus? } - syllabus
+ *   defaults to the caller's latest stored syllabus
+ * Returns: { account: { calendarUrl, username, timeZone, connectedAt, lastSync } }
+ *   (the password is never returned)
+ */
+app.post('/api/save-caldav-account', async (req, res) => {
+  try {
+    const ownerId = getRequestOwnerId(req);
+    const { calendarUrl, username, password, timeZone } = req.body;
+    let account = await saveCalDAVAccount(ownerId, {
+      calendarUrl,
+      username,
+      password,
+      timeZone: typeof timeZone === 'string' ? sanitizeInput(timeZone) : null
+    });
+
+    const syllabus = Array.isArray(req.body.syllabus?.days)
+      ? req.body.syllabus
+      : getLatestSyllabusState(ownerId);
+    if (syllabus) {
+      // The account is saved either way - a failed first sync shows in lastSync
+      const lastSync = await syncCalDAVCalendar(ownerId, syllabus).catch(error => {
+        console.warn('⚠️  First CalDAV sync failed:', error.message);
+        return null;
+      });
+      account = (await getCalDAVAccount(ownerId)) || account;
+      if (process.env.NODE_ENV === 'development' && lastSync) {
+        console.log('📆 CalDAV calendar connected and synced:', lastSync);
+      }
+    }
+
+    res.json({ account });
+  } catch (error) {
+    sendCalDAVError(res, error, 'Failed to connect CalDAV calendar');
+  }
+});
+
+/**
+ * POST /api/get-caldav-account
+ * Returns: { enabled, account } - enabled is false when the server has no
+ *   CALDAV_ENCRYPTION_KEY; account is null when no calendar is connected
+ */
+app.post('/api/get-caldav-account', async (req, res) => {
+  try {
+    const account = await getCalDAVAccount(getRequestOwnerId(req));
+    res.json({ enabled: isCalDAVSyncEnabled(), account });
+  } catch (error) {
+    sendCalDAVError(res, error, 'Failed to load CalDAV settings');
+  }
+});
+
+/**
+ * POST /api/delete-caldav-account
+ * Disconnect the caller's CalDAV calendar (events already pushed stay)
+ * Returns: { deleted: true } or 404
+ */
+app.post('/api/delete-caldav-account', async (req, res) => {
+  try {
+    const deleted = await deleteCalDAVAccount(getRequestOwnerId(req));
+    if (!deleted) {
+      return res.status(404).json({ error: 'No CalDAV calendar connected' });
+    }
+    res.json({ deleted: true });
+  } catch (error) {
+    sendCalDAVError(res, error, 'Failed to disconnect CalDAV calendar');
+  }
+});
+
+/**
+ * POST /api/sync-caldav
+ * Push the plan to the caller's CalDAV calendar (create/update/delete by UID)
+ * Called by the client whenever the calendar entries of the plan change
+ * Body: { syllabus? } - defaults to the caller's latest stored syllabus
+ * Returns: { synced: false } when no calendar is connected, otherwise
+ *   { synced: true, result: { at, created, updated, deleted, unchanged, failed, error } }
+ */
+app.post('/api/sync-caldav', async (req, res) => {
+  try {
+    const ownerId = getRequestOwnerId(req);
+    const syllabus = Array.isArray(req.body.syllabus?.days)
+      ? req.body.syllabus
+      : getLatestSyllabusState(ownerId);
+    if (!syllabus) {
+      return res.status(400).json({ error: 'No syllabus to sync' });
+    }
+
+    const result = await syncCalDAVCalendar(ownerId, syllabus);
+    if (!result) {
+      return res.json({ synced: false });
+    }
+
+    if (process.env.NODE_ENV === 'development') {
+      console.log('📆 CalDAV sync:', result);
+    }
+    res.json({ synced: true, result });
+  } catch (error) {
+    sendCalDAVError(res, error, 'Failed to sync CalDAV calendar');
+  }
+});
+
 // Health check
 app.get('/api/health', (req, res) => {
   res.json({ 
@@ -2917,6 +2909,12 @@ if (!process.env.VERCEL && !process.env.VERCEL_ENV) {
     console.log(`📝 API endpoint: http://localhost:${PORT}/api/generate-syllabus`);
     console.log(`💬 Chat endpoint: http://localhost:${PORT}/api/topic-chat`);
     console.log(`📊 Evaluation endpoint: http://localhost:${PORT}/api/evaluate-learning`);
+    
+    const provider = describeLLMProvider();
+    console.log(provider.configured
+      ? `🤖 LLM provider: ${provider.baseURL} (embeddings: ${provider.embeddingBaseURL})`
+      : '⚠️  No LLM provider configured - AI features use mock data');
+    console.log(`📚 DKB storage: ${getDKBStorageKind()}`);
   });
 }
 
@@ -0,0 +1,35 @@
+/**
+ * User-Scoped State Keys
+ *
+ * All server-side state (syllabus snapshot, Day Knowledge Base, mentor answers)
+ * is keyed by STATE SCOPE = owner + syllabus id:
+ * - Owner: the authenticated user (req.user.id), or ANONYMOUS_OWNER_ID
+ * - Syllabus id: the id of the syllabus the request acts on, or DEFAULT_SYLLABUS_ID
+ *
+ * Shared by server.js (syllabus state) and topicChatGates.js (DKB, mentor memory).
+ */
+
+/**
+ * Owner id used when a request carries no authenticated user
+ */
+export const ANONYMOUS_OWNER_ID = 'anonymous';
+
+/**
+ * Syllabus id used when a request does not name a syllabus
+ */
+export const DEFAULT_SYLLABUS_ID = 'default';
+
+/**
+ * Build the state scope key for an owner + syllabus
+ *
+ * @param {string} ownerId - Owner id (see getRequestOwnerId in server.js)
+ * @param {string|null} syllabusId - Syllabus id (optional)
+ * @returns {string} - Scope key, e.g. "user-uuid:syllabus-uuid"
+ */
+export function getStateScope(ownerId, syllabusId) {
+  const owner = ownerId || ANONYMOUS_OWNER_ID;
+  const syllabusKey = typeof syllabusId === 'string' && syllabusId.trim()
+    ? syllabusId.trim()
+    : DEFAULT_SYLLABUS_ID;
+  return `${owner}:${syllabusKey}`;
+}
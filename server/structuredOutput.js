@@ -0,0 +1,512 @@
+/**
+ * Structured LLM Outputs
+ *
+ * Shared parse / validate / repair layer for every AI call that returns JSON.
+ * Each output has a JSON schema (OUTPUT_SCHEMAS); replies are checked against
+ * it before any endpoint uses them.
+ *
+ * Flow (generateStructuredOutput):
+ * 1. Request native structured output (response_format json_schema) where the
+ *    provider supports it - providers that reject it are remembered and asked
+ *    again with the prompt alone
+ * 2. Parse (code fences / surrounding text tolerated) and validate
+ * 3. ONE bounded repair call with the schema and the validation errors
+ * 4. Still invalid → StructuredOutputError (never mock data)
+ *
+ * Configuration (server env):
+ * - LLM_STRUCTURED_OUTPUT - 'auto' (default: json_schema, fall back if rejected),
+ *                           'json_schema', 'json_object' or 'off' (prompt only)
+ *
+ * ⚠️ Token limits are still enforced per call type via validateTokenLimit()
+ */
+
+import { AI_LIMITS, validateTokenLimit } from './aiConfig.js';
+import { createChatCompletion, describeLLMProvider, getModelForCall } from './llmProvider.js';
+
+/**
+ * Schema for every structured AI output
+ * - callType: AI_LIMITS key used for the call (and the repair call)
+ * - arrayKey: a bare JSON array reply is accepted as { [arrayKey]: array }
+ *   (prompts that ask for "a JSON array" keep working without native support)
+ * - schema: JSON schema subset (type, properties, required, items, enum,
+ *   minItems, maxItems, minLength) - validated locally
+ */
+export const OUTPUT_SCHEMAS = {
+  SYLLABUS_OUTLINE: {
+    callType: 'SYLLABUS',
+    arrayKey: 'modules',
+    schema: {
+      type: 'object',
+      properties: {
+        modules: {
+          type: 'array',
+          minItems: 1,
+          items: {
+            type: 'object',
+            properties: {
+              title: { type: 'string', minLength: 1 },
+              focus: { type: 'string' }
+            },
+            required: ['title', 'focus']
+          }
+        }
+      },
+      required: ['modules']
+    }
+  },
+  SYLLABUS_DAYS: {
+    callType: 'SYLLABUS',
+    arrayKey: 'days',
+    schema: {
+      type: 'object',
+      properties: {
+        days: {
+          type: 'array',
+          minItems: 1,
+          items: {
+            type: 'object',
+            properties: {
+              dayNumber: { type: 'integer' },
+              topic: { type: 'string', minLength: 1 },
+              subtasks: { type: 'array', minItems: 1, items: { type: 'string' } },
+              aiExpertPrompt: { type: 'string' }
+            },
+            required: ['dayNumber', 'topic', 'subtasks', 'aiExpertPrompt']
+          }
+        }
+      },
+      required: ['days']
+    }
+  },
+  EVALUATION: {
+    callType: 'EVALUATION',
+    schema: {
+      type: 'object',
+      properties: {
+        understanding_level: { type: 'string', enum: ['low', 'basic', 'good', 'strong'] },
+        confidence: { type: 'string', enum: ['low', 'medium', 'high'] },
+        gaps_detected: { type: 'array', items: { type: 'string' } },
+        recommended_action: { type: 'string', enum: ['repeat', 'continue', 'simplify', 'advance'] }
+      },
+      required: ['understanding_level', 'confidence', 'gaps_detected', 'recommended_action']
+    }
+  },
+  CONCEPTS: {
+    callType: 'CONCEPT_EXTRACTION',
+    arrayKey: 'concepts',
+    schema: {
+      type: 'object',
+      properties: {
+        concepts: { type: 'array', items: { type: 'string' } }
+      },
+      required: ['concepts']
+    }
+  },
+  QUESTIONS: {
+    callType: 'SUGGESTIONS',
+    arrayKey: 'questions',
+    schema: {
+      type: 'object',
+      properties: {
+        questions: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } }
+      },
+      required: ['questions']
+    }
+  }
+};
+
+/**
+ * Error codes for StructuredOutputError
+ * - provider_error:  the LLM call itself failed
+ * - invalid_json:    reply (and repair) was not parseable JSON
+ * - schema_mismatch: reply (and repair) did not match the schema
+ */
+export const STRUCTURED_OUTPUT_ERROR_CODES = ['provider_error', 'invalid_json', 'schema_mismatch'];
+
+/**
+ * Typed error for structured AI outputs
+ */
+export class StructuredOutputError extends Error {
+  /**
+   * @param {string} code - One of STRUCTURED_OUTPUT_ERROR_CODES
+   * @param {string} schemaName - OUTPUT_SCHEMAS key
+   * @param {string} message - Error message
+   * @param {{errors?: string[], cause?: Error}} details - Validation errors / provider error
+   */
+  constructor(code, schemaName, message, { errors = [], cause = null } = {}) {
+    super(message);
+    this.name = 'StructuredOutputError';
+    this.code = code;
+    this.schemaName = schemaName;
+    this.errors = errors;
+    if (cause) {
+      this.cause = cause;
+    }
+  }
+}
+
+/**
+ * Maximum characters of a bad reply sent to the repair call
+ */
+const MAX_REPAIR_INPUT_CHARS = 4000;
+
+/**
+ * Maximum validation errors reported (and sent to the repair call)
+ */
+const MAX_VALIDATION_ERRORS = 10;
+
+/**
+ * Schema keywords some providers reject in native structured output
+ * (still enforced by local validation)
+ */
+const LOCAL_ONLY_KEYWORDS = ['minItems', 'maxItems', 'minLength', 'maxLength'];
+
+/**
+ * Provider/model pairs that rejected native structured output
+ */
+const unsupportedNativeOutput = new Set();
+
+/**
+ * Counters per schema name (see getStructuredOutputMetrics)
+ */
+const metrics = new Map();
+
+/**
+ * Get (or create) the counters for a schema
+ * @param {string} schemaName - OUTPUT_SCHEMAS key
+ * @returns {Object}
+ */
+function getSchemaMetrics(schemaName) {
+  if (!metrics.has(schemaName)) {
+    metrics.set(schemaName, {
+      requests: 0,
+      native: 0,
+      nativeRejected: 0,
+      validFirstTry: 0,
+      repaired: 0,
+      failed: Object.fromEntries(STRUCTURED_OUTPUT_ERROR_CODES.map(code => [code, 0]))
+    });
+  }
+  return metrics.get(schemaName);
+}
+
+/**
+ * Snapshot of structured output counters (per schema name)
+ * @returns {Object}
+ */
+export function getStructuredOutputMetrics() {
+  return Object.fromEntries([...metrics].map(([name, counters]) => [name, { ...counters, failed: { ...counters.failed } }]));
+}
+
+/**
+ * Clear counters and remembered provider support
+ */
+export function resetStructuredOutputMetrics() {
+  metrics.clear();
+  unsupportedNativeOutput.clear();
+}
+
+/**
+ * Read the structured output mode
+ * @returns {'auto'|'json_schema'|'json_object'|'off'}
+ */
+function getStructuredOutputMode() {
+  const mode = (process.env.LLM_STRUCTURED_OUTPUT || '').trim().toLowerCase();
+  return ['json_schema', 'json_object', 'off'].includes(mode) ? mode : 'auto';
+}
+
+/**
+ * Describe a value's JSON type
+ * @param {any} value - Value
+ * @returns {string}
+ */
+function jsonType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Validate a value against a schema (subset of JSON schema)
+ *
+ * @param {any} value - Parsed JSON
+ * @param {Object} schema - Schema
+ * @param {string} path - JSON path for error messages
+ * @param {string[]} errors - Collects error messages
+ * @returns {string[]} - Error messages (empty when valid)
+ */
+export function validateAgainstSchema(value, schema, path = '$', errors = []) {
+  if (errors.length >= MAX_VALIDATION_ERRORS) {
+    return errors;
+  }
+
+  const actualType = jsonType(value);
+  const allowedTypes = Array.isArray(schema.type) ? schema.type : [schema.type];
+  const typeMatches = !schema.type || allowedTypes.some(type =>
+    type === actualType || (type === 'number' && actualType === 'integer'));
+
+  if (!typeMatches) {
+    errors.push(`${path} must be ${allowedTypes.join(' or ')} (got ${actualType})`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}`);
+  }
+
+  if (actualType === 'string' && typeof schema.minLength === 'number' && value.trim().length < schema.minLength) {
+    errors.push(`${path} must not be empty`);
+  }
+
+  if (actualType === 'array') {
+    if (typeof schema.minItems === 'number' && value.length < schema.minItems) {
+      errors.push(`${path} must have at least ${schema.minItems} item(s)`);
+    }
+    if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) {
+      errors.push(`${path} must have at most ${schema.maxItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => validateAgainstSchema(item, schema.items, `${path}[${index}]`, errors));
+    }
+  }
+
+  if (actualType === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        errors.push(`${path}.${key} is required`);
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (key in value) {
+        validateAgainstSchema(value[key], propertySchema, `${path}.${key}`, errors);
+      }
+    }
+  }
+
+  return errors.slice(0, MAX_VALIDATION_ERRORS);
+}
+
+/**
+ * Convert a local schema into a provider (strict) schema:
+ * local-only keywords removed, additionalProperties: false on every object
+ *
+ * @param {Object} schema - Local schema
+ * @returns {Object}
+ */
+function toProviderSchema(schema) {
+  const providerSchema = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (LOCAL_ONLY_KEYWORDS.includes(key)) continue;
+    if (key === 'properties') {
+      providerSchema.properties = Object.fromEntries(
+        Object.entries(value).map(([name, propertySchema]) => [name, toProviderSchema(propertySchema)])
+      );
+    } else if (key === 'items') {
+      providerSchema.items = toProviderSchema(value);
+    } else {
+      providerSchema[key] = value;
+    }
+  }
+  if (schema.type === 'object') {
+    providerSchema.additionalProperties = false;
+  }
+  return providerSchema;
+}
+
+/**
+ * Build the response_format parameter for a schema
+ * @param {string} schemaName - OUTPUT_SCHEMAS key
+ * @param {string} mode - Structured output mode
+ * @returns {Object|null} - response_format, or null for prompt-only
+ */
+function buildResponseFormat(schemaName, mode) {
+  if (mode === 'off') return null;
+  if (mode === 'json_object') return { type: 'json_object' };
+  return {
+    type: 'json_schema',
+    json_schema: {
+      name: schemaName.toLowerCase(),
+      strict: true,
+      schema: toProviderSchema(OUTPUT_SCHEMAS[schemaName].schema)
+    }
+  };
+}
+
+/**
+ * Check whether a provider error is a rejection of response_format
+ * @param {Error} error - Provider error
+ * @returns {boolean}
+ */
+function isResponseFormatRejection(error) {
+  const status = error?.status || error?.response?.status;
+  return (status === 400 || status === 422) && /response_format|json_schema|json_object|structured/i.test(error?.message || '');
+}
+
+/**
+ * Parse JSON from a model reply
+ * Tolerates markdown code fences and text around the JSON
+ *
+ * @param {string} content - Raw reply
+ * @returns {{ok: boolean, value?: any, error?: string}}
+ */
+export function parseModelJson(content) {
+  const text = (content || '').trim().replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
+  if (!text) {
+    return { ok: false, error: 'empty reply' };
+  }
+
+  try {
+    return { ok: true, value: JSON.parse(text) };
+  } catch (error) {
+    // Fall through: look for the outermost object/array
+  }
+
+  const start = text.search(/[[{]/);
+  const end = Math.max(text.lastIndexOf('}'), text.lastIndexOf(']'));
+  if (start !== -1 && end > start) {
+    try {
+      return { ok: true, value: JSON.parse(text.slice(start, end + 1)) };
+    } catch (error) {
+      return { ok: false, error: error.message };
+    }
+  }
+  return { ok: false, error: 'no JSON found' };
+}
+
+/**
+ * Parse, coerce (bare arrays → arrayKey) and validate a reply
+ *
+ * @param {string} schemaName - OUTPUT_SCHEMAS key
+ * @param {string} content - Raw reply
+ * @returns {{ok: boolean, value?: any, code?: string, errors: string[]}}
+ */
+export function checkStructuredOutput(schemaName, content) {
+  const { schema, arrayKey } = OUTPUT_SCHEMAS[schemaName];
+  const parsed = parseModelJson(content);
+  if (!parsed.ok) {
+    return { ok: false, code: 'invalid_json', errors: [`Invalid JSON: ${parsed.error}`] };
+  }
+
+  const value = arrayKey && Array.isArray(parsed.value) ? { [arrayKey]: parsed.value } : parsed.value;
+  const errors = validateAgainstSchema(value, schema);
+  return errors.length === 0
+    ? { ok: true, value, errors }
+    : { ok: false, code: 'schema_mismatch', errors };
+}
+
+/**
+ * Call the provider, with native structured output when supported
+ *
+ * @param {string} schemaName - OUTPUT_SCHEMAS key
+ * @param {Object} params - Chat completion params (messages, temperature, max_tokens, ...)
+ * @param {Object} counters - Schema metrics
+ * @returns {Promise<{response: Object, native: boolean}>}
+ */
+async function requestCompletion(schemaName, params, counters) {
+  const { callType } = OUTPUT_SCHEMAS[schemaName];
+  const mode = getStructuredOutputMode();
+  const supportKey = `${describeLLMProvider().baseURL}|${getModelForCall(callType)}`;
+  const responseFormat = mode === 'auto' && unsupportedNativeOutput.has(supportKey)
+    ? null
+    : buildResponseFormat(schemaName, mode);
+
+  try {
+    if (!responseFormat) {
+      return { response: await createChatCompletion(callType, params), native: false };
+    }
+    try {
+      const response = await createChatCompletion(callType, { ...params, response_format: responseFormat });
+      return { response, native: true };
+    } catch (error) {
+      if (mode !== 'auto' || !isResponseFormatRejection(error)) {
+        throw error;
+      }
+      // Provider/model does not support it: remember and ask with the prompt alone
+      unsupportedNativeOutput.add(supportKey);
+      counters.nativeRejected++;
+      console.warn(`⚠️  Structured output not supported by ${getModelForCall(callType)}, using prompt-only JSON`);
+      return { response: await createChatCompletion(callType, params), native: false };
+    }
+  } catch (error) {
+    counters.failed.provider_error++;
+    throw new StructuredOutputError('provider_error', schemaName, `AI provider request failed: ${error.message}`, { cause: error });
+  }
+}
+
+/**
+ * Generate a schema-validated JSON output
+ *
+ * @param {string} schemaName - OUTPUT_SCHEMAS key
+ * @param {Object} params - Chat completion params without `model`
+ *   (messages, temperature, max_tokens, timeout, ...)
+ * @returns {Promise<{data: Object, repaired: boolean, native: boolean, usage: Object|null}>}
+ *   data is the validated object (bare arrays wrapped in arrayKey)
+ * @throws {StructuredOutputError} - Provider failure, or invalid after one repair attempt
+ */
+export async function generateStructuredOutput(schemaName, params) {
+  const definition = OUTPUT_SCHEMAS[schemaName];
+  if (!definition) {
+    throw new Error(`Unknown structured output schema: ${schemaName}`);
+  }
+
+  const counters = getSchemaMetrics(schemaName);
+  counters.requests++;
+
+  const { response, native } = await requestCompletion(schemaName, params, counters);
+  if (native) {
+    counters.native++;
+  }
+  const content = response.choices?.[0]?.message?.content || '';
+  const firstCheck = checkStructuredOutput(schemaName, content);
+  if (firstCheck.ok) {
+    counters.validFirstTry++;
+    return { data: firstCheck.value, repaired: false, native, usage: response.usage || null };
+  }
+
+  console.warn(`⚠️  ${schemaName} output invalid (${firstCheck.code}), attempting repair:`, firstCheck.errors.slice(0, 3));
+
+  // REPAIR PASS: exactly one bounded attempt
+  const maxTokens = AI_LIMITS[definition.callType];
+  validateTokenLimit(definition.callType, maxTokens);
+
+  const { response: repairResponse } = await requestCompletion(schemaName, {
+    messages: [
+      {
+        role: 'system',
+        content: 'You are a JSON repair tool. Return only valid JSON that matches the schema. No explanations.'
+      },
+      {
+        role: 'user',
+        content: `Fix this JSON so it matches the schema. Return ONLY valid JSON.
+
+SCHEMA:
+${JSON.stringify(definition.schema)}
+
+PROBLEMS:
+${firstCheck.errors.map(error => `- ${error}`).join('\n')}
+
+JSON:
+${content.substring(0, MAX_REPAIR_INPUT_CHARS)}`
+      }
+    ],
+    temperature: 0.1,  // Very low for repair
+    max_tokens: maxTokens,
+    stream: false
+  }, counters);
+
+  const repairCheck = checkStructuredOutput(schemaName, repairResponse.choices?.[0]?.message?.content || '');
+  if (repairCheck.ok) {
+    counters.repaired++;
+    console.log(`✅ ${schemaName} output repaired successfully`);
+    return { data: repairCheck.value, repaired: true, native, usage: response.usage || null };
+  }
+
+  counters.failed[repairCheck.code]++;
+  throw new StructuredOutputError(
+    repairCheck.code,
+    schemaName,
+    `AI returned ${repairCheck.code === 'invalid_json' ? 'invalid JSON' : 'JSON that does not match the schema'} for ${schemaName}`,
+    { errors: repairCheck.errors }
+  );
+}
@@ -0,0 +1,365 @@
+/**
+ * Syllabus Adaptation
+ *
+ * Applies the evaluation's recommended_action to the upcoming days of a
+ * syllabus once a day has been completed:
+ * - repeat    - Insert a review day right after the completed day
+ * - simplify  - Split each of the next SIMPLIFY_DAYS upcoming days into two smaller days
+ * - advance   - Merge up to ADVANCE_MERGES pairs of upcoming days (two into one each)
+ * - continue  - Leave the plan unchanged
+ *
+ * Each strategy is planned as atomic changes (a splice of the days list), one
+ * per affected day or merged pair, so the learner can review them and accept
+ * all, none, or some of them. Only
+ * pending, unlocked days after the completed day are touched. Days after a
+ * change are renumbered and keep the original date slots in order (so gaps
+ * between dates stay in place): an insert adds one date after the last day,
+ * a merge frees the last one.
+ *
+ * Locked days (day.locked - e.g. a workshop day) keep their content and their
+ * date slot; the other days flow around them.
+ *
+ * Days keep their dayKey (see dayKeys.js) through every change, so per-day
+ * data such as chat transcripts follows them; a split day's first part and
+ * a merged day keep the key of the day they replace.
+ *
+ * Pure functions - no LLM calls, no state. The caller persists the result
+ * (see POST /api/adapt-syllabus).
+ */
+
+import { addDays, isCalendarDate } from '../src/dateUtils.js';
+import { createDayKey, getDayKey, withDayKey } from '../src/dayKeys.js';
+
+/**
+ * Actions the evaluation can recommend
+ */
+export const ADAPTATION_ACTIONS = ['repeat', 'simplify', 'advance', 'continue'];
+
+/**
+ * Subtasks allowed per day (same rule as syllabus generation)
+ */
+const MIN_SUBTASKS = 3;
+const MAX_SUBTASKS = 4;
+
+/**
+ * Upcoming days split by 'simplify' / day pairs merged by 'advance'
+ */
+const SIMPLIFY_DAYS = 2;
+const ADVANCE_MERGES = 2;
+
+/**
+ * Add one day to a YYYY-MM-DD date
+ * @param {string|null} dateStr - Date string
+ * @returns {string|null}
+ */
+function nextDate(dateStr) {
+  return isCalendarDate(dateStr) ? addDays(dateStr, 1) : null;
+}
+
+/**
+ * Pad/trim subtasks to 3-4 entries
+ * @param {string[]} subtasks - Subtasks to keep first
+ * @param {string} topic - Topic used for the generic padding steps
+ * @returns {string[]}
+ */
+function fitSubtasks(subtasks, topic) {
+  const padding = [
+    `Work through a small worked example of ${topic}`,
+    `Practice ${topic} with one short exercise`,
+    `Write down what is still unclear about ${topic}`
+  ];
+  const result = subtasks.filter(subtask => typeof subtask === 'string' && subtask.trim());
+  for (const step of padding) {
+    if (result.length >= MIN_SUBTASKS) break;
+    result.push(step);
+  }
+  return result.slice(0, MAX_SUBTASKS);
+}
+
+/**
+ * Summary of a day used in diffs
+ * @param {Object} day - Syllabus day
+ * @returns {{dayNumber: number, topic: string, subtasks: string[]}}
+ */
+function summarizeDay(day) {
+  return { dayNumber: day.dayNumber, topic: day.topic, subtasks: [...(day.subtasks || [])] };
+}
+
+/**
+ * Build a fresh pending day
+ * @param {Object} fields - topic, subtasks, aiExpertPrompt, dayKey (default: a new key)
+ * @returns {Object}
+ */
+function createPendingDay({ topic, subtasks, aiExpertPrompt, dayKey = createDayKey() }) {
+  return {
+    dayKey,
+    dayNumber: null,
+    date: null,
+    topic,
+    subtasks,
+    aiExpertPrompt,
+    status: 'pending',
+    learningInput: null,
+    completedAt: null
+  };
+}
+
+/**
+ * Renumber and re-date the days from an index on
+ *
+ * Locked days stay in their original date slot; the other days take the
+ * remaining slots in order (slots run out → one more date after the last).
+ *
+ * @param {Object[]} days - Adapted days (the tail from fromIndex is reordered)
+ * @param {number} fromIndex - First index to renumber
+ * @param {Array<string|null>} dateSlots - Original dates from fromIndex on
+ * @param {Map<Object, number>} lockedSlots - Locked day → its original slot
+ */
+function reflowDays(days, fromIndex, dateSlots, lockedSlots) {
+  const slots = [...dateSlots];
+  const placed = [];
+  for (const [day, slot] of lockedSlots) {
+    if (days.includes(day)) placed[slot] = day;
+  }
+
+  let cursor = 0;
+  for (const day of days.slice(fromIndex)) {
+    if (lockedSlots.has(day)) continue;
+    while (placed[cursor]) cursor++;
+    placed[cursor] = day;
+  }
+  while (slots.length < placed.length) {
+    slots.push(nextDate(slots.length > 0 ? slots[slots.length - 1] : days[fromIndex - 1]?.date ?? null));
+  }
+
+  // Empty slots (freed by a merge before a locked day) are left unused
+  const tail = [];
+  placed.forEach((day, slot) => {
+    if (day) {
+      day.date = slots[slot];
+      tail.push(day);
+    }
+  });
+
+  days.splice(fromIndex, days.length - fromIndex, ...tail);
+  for (let index = fromIndex; index < days.length; index++) {
+    days[index].dayNumber = index === 0 ? 1 : days[index - 1].dayNumber + 1;
+  }
+}
+
+/**
+ * Plan the changes for a recommended action (nothing is applied)
+ *
+ * @param {Object[]} days - All syllabus days, in order
+ * @param {Object} options - See adaptSyllabusDays
+ * @returns {{changes: Object[], reason: string|null}}
+ *   change: { id, type: 'insert'|'split'|'merge', index, removeCount, days, before, after }
+ *   - index/removeCount: splice position in `days`; days: the new days
+ *   - before/after: day summaries for a side-by-side preview
+ */
+export function planSyllabusAdaptation(days, { action, completedDayNumber, gaps = [], goal = '' }) {
+  const completedIndex = days.findIndex(day => day.dayNumber === completedDayNumber);
+  if (completedIndex === -1) {
+    return { changes: [], reason: 'day_not_found' };
+  }
+  if (action === 'continue') {
+    return { changes: [], reason: 'no_change_needed' };
+  }
+
+  // Upcoming = pending, unlocked days after the completed day
+  const nextIndex = completedIndex + 1;
+  const isUpcoming = (index) => days[index]?.status === 'pending' && !days[index].locked;
+  const findUpcoming = (fromIndex, test = isUpcoming) => {
+    for (let index = fromIndex; index < days.length; index++) {
+      if (test(index)) return index;
+    }
+    return -1;
+  };
+  const expertFor = (topic) => `You are an expert in ${goal || topic}. Focus on ${topic}.`;
+  const change = (type, index, removeCount, newDays) => {
+    const removed = days.slice(index, index + removeCount);
+    return {
+      id: `${type}-${removed[0]?.dayNumber ?? completedDayNumber + 1}`,
+      type,
+      index,
+      removeCount,
+      days: newDays,
+      before: removed.map(summarizeDay),
+      after: newDays.map(summarizeDay)
+    };
+  };
+
+  if (action === 'repeat') {
+    const completedDay = days[completedIndex];
+    return {
+      changes: [change('insert', nextIndex, 0, [createPendingDay({
+        topic: `Review: ${completedDay.topic}`,
+        subtasks: fitSubtasks([
+          ...gaps.slice(0, MIN_SUBTASKS).map(gap => `Revisit ${gap}`),
+          ...(completedDay.subtasks || []).map(subtask => `Re-practice: ${subtask}`)
+        ], completedDay.topic),
+        aiExpertPrompt: `You are an expert in ${goal || completedDay.topic}. Help the learner review ${completedDay.topic}${gaps.length > 0 ? ` and close these gaps: ${gaps.join('; ')}` : ''}.`
+      })])],
+      reason: null
+    };
+  }
+
+  if (action === 'simplify') {
+    // Locked days are skipped: the next unlocked upcoming days are split (one change each)
+    const changes = [];
+    for (let targetIndex = findUpcoming(nextIndex); targetIndex !== -1 && changes.length < SIMPLIFY_DAYS; targetIndex = findUpcoming(targetIndex + 1)) {
+      const original = days[targetIndex];
+      const subtasks = original.subtasks || [];
+      const half = Math.ceil(subtasks.length / 2);
+      // The gap warm-up goes to the first split day only
+      const warmUp = changes.length === 0 ? gaps.slice(0, 1).map(gap => `Warm up: revisit ${gap}`) : [];
+      changes.push(change('split', targetIndex, 1, [
+        createPendingDay({
+          topic: `${original.topic} (Part 1)`,
+          subtasks: fitSubtasks([...warmUp, ...subtasks.slice(0, half)], original.topic),
+          aiExpertPrompt: original.aiExpertPrompt || expertFor(original.topic),
+          dayKey: getDayKey(original)
+        }),
+        createPendingDay({
+          topic: `${original.topic} (Part 2)`,
+          subtasks: fitSubtasks(subtasks.slice(half), original.topic),
+          aiExpertPrompt: original.aiExpertPrompt || expertFor(original.topic)
+        })
+      ]));
+    }
+    return changes.length > 0 ? { changes, reason: null } : { changes: [], reason: 'no_upcoming_day' };
+  }
+
+  if (action === 'advance') {
+    // Adjacent unlocked upcoming days, merged pairwise (one change per pair)
+    const isPairStart = index => isUpcoming(index) && isUpcoming(index + 1);
+    const changes = [];
+    for (let firstIndex = findUpcoming(nextIndex, isPairStart); firstIndex !== -1 && changes.length < ADVANCE_MERGES; firstIndex = findUpcoming(firstIndex + 2, isPairStart)) {
+      const first = days[firstIndex];
+      const second = days[firstIndex + 1];
+      const topic = `${first.topic} & ${second.topic}`;
+      changes.push(change('merge', firstIndex, 2, [createPendingDay({
+        topic,
+        subtasks: fitSubtasks([
+          ...(first.subtasks || []).slice(0, 2),
+          ...(second.subtasks || []).slice(0, 2)
+        ], topic),
+        aiExpertPrompt: `You are an expert in ${goal || topic}. Focus on ${first.topic} and ${second.topic}.`,
+        dayKey: getDayKey(first)
+      })]));
+    }
+    return changes.length > 0 ? { changes, reason: null } : { changes: [], reason: 'not_enough_upcoming_days' };
+  }
+
+  return { changes: [], reason: 'unknown_action' };
+}
+
+/**
+ * Apply planned changes to the days
+ *
+ * @param {Object[]} days - All syllabus days, in order (the plan's input)
+ * @param {Object[]} changes - Changes from planSyllabusAdaptation (non-overlapping)
+ * @returns {{days: Object[], diff: Object}} - See adaptSyllabusDays
+ */
+export function applySyllabusChanges(days, changes) {
+  // Keys are fixed before anything is renumbered
+  const adapted = days.map(withDayKey);
+  const diff = {
+    applied: changes.length > 0,
+    inserted: [],
+    removed: [],
+    updated: [],
+    shifted: null,
+    totalDaysBefore: days.length,
+    totalDaysAfter: days.length
+  };
+  if (changes.length === 0) {
+    return { days: adapted, diff };
+  }
+
+  const ordered = [...changes].sort((a, b) => a.index - b.index);
+  const fromIndex = ordered[0].index;
+  const dateSlots = days.slice(fromIndex).map(day => day.date ?? null);
+  const lockedSlots = new Map();
+  adapted.slice(fromIndex).forEach((day, slot) => {
+    if (day.locked) lockedSlots.set(day, slot);
+  });
+
+  // A locked day replaced in place (e.g. edited) hands its slot to its replacement
+  const placed = ordered.map(change => ({ change, newDays: change.days.map(withDayKey) }));
+  for (const { change, newDays } of placed) {
+    newDays.forEach((day, position) => {
+      const replaced = position < change.removeCount ? adapted[change.index + position] : null;
+      if (day.locked && lockedSlots.has(replaced)) {
+        lockedSlots.set(day, lockedSlots.get(replaced));
+        lockedSlots.delete(replaced);
+      }
+    });
+  }
+
+  // Splice from the back so earlier indexes stay valid
+  for (const { change, newDays } of [...placed].reverse()) {
+    adapted.splice(change.index, change.removeCount, ...newDays);
+  }
+  reflowDays(adapted, fromIndex, dateSlots, lockedSlots);
+
+  // Pair removed/new days: same position → updated, extra new → inserted, extra removed → removed
+  let delta = 0;
+  for (const { change, newDays } of placed) {
+    const removed = days.slice(change.index, change.index + change.removeCount);
+    newDays.forEach((day, position) => {
+      if (position < removed.length) {
+        diff.updated.push({ dayNumber: removed[position].dayNumber, before: summarizeDay(removed[position]), after: summarizeDay(day) });
+      } else {
+        diff.inserted.push(summarizeDay(day));
+      }
+    });
+    removed.slice(newDays.length).forEach(day => diff.removed.push(summarizeDay(day)));
+    delta += newDays.length - change.removeCount;
+  }
+
+  // Days after the last change only moved
+  const last = ordered[ordered.length - 1];
+  const firstUnchanged = days[last.index + last.removeCount];
+  if (delta !== 0 && firstUnchanged) {
+    diff.shifted = { fromDayNumber: firstUnchanged.dayNumber, by: delta };
+  }
+
+  diff.totalDaysAfter = adapted.length;
+  return { days: adapted, diff };
+}
+
+/**
+ * Apply a recommended action to the upcoming days
+ *
+ * @param {Object[]} days - All syllabus days, in order
+ * @param {Object} options
+ * @param {string} options.action - One of ADAPTATION_ACTIONS
+ * @param {number} options.completedDayNumber - Day that was just completed
+ * @param {string[]} [options.gaps] - Sanitized gaps_detected of the evaluation
+ * @param {string} [options.goal] - Learning goal (used in expert prompts)
+ * @param {string[]|null} [options.acceptedChangeIds] - Only apply these changes (null = all)
+ * @returns {{days: Object[], diff: Object, changes: Object[]}}
+ *   diff: { action, applied, reason, inserted, removed, updated, shifted, totalDaysBefore, totalDaysAfter }
+ *   - inserted/removed: day summaries (removed keep their original dayNumber)
+ *   - updated: [{ dayNumber, before, after }]
+ *   - shifted: { fromDayNumber, by } for days that only moved (original numbering), or null
+ *   changes: every planned change (the proposal), applied or not
+ */
+export function adaptSyllabusDays(days, { acceptedChangeIds = null, ...options }) {
+  const { changes, reason } = planSyllabusAdaptation(days, options);
+  const accepted = acceptedChangeIds === null
+    ? changes
+    : changes.filter(change => acceptedChangeIds.includes(change.id));
+  const result = applySyllabusChanges(days, accepted);
+
+  return {
+    days: result.days,
+    diff: {
+      action: options.action,
+      ...result.diff,
+      reason: reason ?? (accepted.length === 0 ? 'no_change_accepted' : null)
+    },
+    changes
+  };
+}
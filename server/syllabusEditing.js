@@ -0,0 +1,223 @@
+/**
+ * Manual Syllabus Editing
+ *
+ * Learner edits from the dashboard editor:
+ * - editSyllabusDay    - Change a day's topic/subtasks (active or pending day)
+ * - insertSyllabusDay  - Insert a new pending day after a day
+ * - deleteSyllabusDay  - Delete a pending day
+ * - reorderSyllabusDays - Reorder the pending days
+ *
+ * Completed/skipped/leave days are history and the active day stays the
+ * next day to learn, so structural edits only touch the pending days after
+ * it. Locked days (day.locked) can't be edited or deleted until unlocked.
+ * Every edit is applied as a change (see syllabusAdaptation.js), so day
+ * numbers and dates renumber the same way as plan adaptation, and locked
+ * days keep their date slot.
+ *
+ * Pure functions - the caller persists the result (see POST /api/edit-day,
+ * /api/insert-day, /api/delete-day, /api/reorder-days).
+ */
+
+import { sanitizeInput } from './security.js';
+import { applySyllabusChanges } from './syllabusAdaptation.js';
+
+/**
+ * Limits for learner-entered day content
+ */
+export const EDIT_LIMITS = {
+  TOPIC_MAX_LENGTH: 120,
+  SUBTASK_MAX_LENGTH: 200,
+  EXPERT_PROMPT_MAX_LENGTH: 300,
+  MIN_SUBTASKS: 1,
+  MAX_SUBTASKS: 8
+};
+
+/**
+ * Invalid edit request (mapped to 400 by the routes)
+ */
+export class SyllabusEditError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SyllabusEditError';
+  }
+}
+
+/**
+ * Validate and clean learner-entered day content
+ *
+ * @param {Object} content - { topic, subtasks }
+ * @returns {{topic: string, subtasks: string[]}}
+ * @throws {SyllabusEditError}
+ */
+function cleanDayContent(content) {
+  const topic = sanitizeInput(content?.topic).substring(0, EDIT_LIMITS.TOPIC_MAX_LENGTH).trim();
+  if (!topic) {
+    throw new SyllabusEditError('topic is required');
+  }
+
+  const subtasks = (Array.isArray(content?.subtasks) ? content.subtasks : [])
+    .map(subtask => sanitizeInput(subtask).substring(0, EDIT_LIMITS.SUBTASK_MAX_LENGTH).trim())
+    .filter(Boolean);
+  if (subtasks.length < EDIT_LIMITS.MIN_SUBTASKS || subtasks.length > EDIT_LIMITS.MAX_SUBTASKS) {
+    throw new SyllabusEditError(`subtasks must have ${EDIT_LIMITS.MIN_SUBTASKS}-${EDIT_LIMITS.MAX_SUBTASKS} entries`);
+  }
+
+  return { topic, subtasks };
+}
+
+/**
+ * Index of the first day structural edits may touch (after the active day,
+ * or after the last finished day when nothing is active)
+ *
+ * @param {Object[]} days - Syllabus days
+ * @returns {number}
+ */
+function getFirstEditableIndex(days) {
+  const activeIndex = days.findIndex(day => day.status === 'active');
+  if (activeIndex !== -1) {
+    return activeIndex + 1;
+  }
+  const firstPending = days.findIndex(day => day.status === 'pending');
+  return firstPending === -1 ? days.length : firstPending;
+}
+
+/**
+ * Find a day by number
+ * @throws {SyllabusEditError}
+ */
+function findDayIndex(days, dayNumber) {
+  const index = days.findIndex(day => day.dayNumber === dayNumber);
+  if (index === -1) {
+    throw new SyllabusEditError(`Day ${dayNumber} not found`);
+  }
+  return index;
+}
+
+/**
+ * Refuse to change a locked day
+ * @throws {SyllabusEditError}
+ */
+function assertUnlocked(day) {
+  if (day.locked) {
+    throw new SyllabusEditError(`Day ${day.dayNumber} is locked - unlock it to change it`);
+  }
+}
+
+/**
+ * Edit a day's topic and subtasks
+ *
+ * @param {Object[]} days - Syllabus days, in order
+ * @param {number} dayNumber - Day to edit (active or pending)
+ * @param {Object} content - { topic, subtasks, aiExpertPrompt? } - aiExpertPrompt
+ *   comes with a generated replacement (see POST /api/regenerate-day)
+ * @param {string} [goal] - Learning goal (for the expert prompt of a new topic)
+ * @returns {{days: Object[], diff: Object, editedDay: Object}}
+ * @throws {SyllabusEditError}
+ */
+export function editSyllabusDay(days, dayNumber, content, goal = '') {
+  const index = findDayIndex(days, dayNumber);
+  const original = days[index];
+  if (original.status !== 'active' && original.status !== 'pending') {
+    throw new SyllabusEditError('Only the active day and upcoming days can be edited');
+  }
+  assertUnlocked(original);
+
+  const { topic, subtasks } = cleanDayContent(content);
+  const expertPrompt = sanitizeInput(content?.aiExpertPrompt).substring(0, EDIT_LIMITS.EXPERT_PROMPT_MAX_LENGTH).trim();
+  const edited = {
+    ...original,
+    topic,
+    subtasks,
+    // The expert prompt names the topic - keep it in step with a renamed day
+    aiExpertPrompt: expertPrompt || (topic === original.topic
+      ? original.aiExpertPrompt
+      : `You are an expert in ${goal || topic}. Focus on ${topic}.`)
+  };
+
+  const result = applySyllabusChanges(days, [{ index, removeCount: 1, days: [edited] }]);
+  return { ...result, editedDay: result.days[index] };
+}
+
+/**
+ * Insert a new pending day
+ *
+ * @param {Object[]} days - Syllabus days, in order
+ * @param {number} afterDayNumber - The new day follows this day (active or pending)
+ * @param {Object} content - { topic, subtasks }
+ * @param {string} [goal] - Learning goal (for the expert prompt)
+ * @returns {{days: Object[], diff: Object}}
+ * @throws {SyllabusEditError}
+ */
+export function insertSyllabusDay(days, afterDayNumber, content, goal = '') {
+  const index = findDayIndex(days, afterDayNumber) + 1;
+  if (index < getFirstEditableIndex(days)) {
+    throw new SyllabusEditError('New days can only be added after the active day');
+  }
+
+  const { topic, subtasks } = cleanDayContent(content);
+  return applySyllabusChanges(days, [{
+    index,
+    removeCount: 0,
+    days: [{
+      dayNumber: null,
+      date: null,
+      topic,
+      subtasks,
+      aiExpertPrompt: `You are an expert in ${goal || topic}. Focus on ${topic}.`,
+      status: 'pending',
+      learningInput: null,
+      completedAt: null
+    }]
+  }]);
+}
+
+/**
+ * Delete a pending day
+ *
+ * @param {Object[]} days - Syllabus days, in order
+ * @param {number} dayNumber - Day to delete
+ * @returns {{days: Object[], diff: Object}}
+ * @throws {SyllabusEditError}
+ */
+export function deleteSyllabusDay(days, dayNumber) {
+  const index = findDayIndex(days, dayNumber);
+  if (days[index].status !== 'pending') {
+    throw new SyllabusEditError('Only upcoming days can be deleted');
+  }
+  assertUnlocked(days[index]);
+
+  return applySyllabusChanges(days, [{ index, removeCount: 1, days: [] }]);
+}
+
+/**
+ * Reorder the pending days
+ *
+ * Dates stay with the positions (the first pending date goes to the new
+ * first pending day); locked days keep their slot.
+ *
+ * @param {Object[]} days - Syllabus days, in order
+ * @param {number[]} dayNumbers - Every pending day number, in the new order
+ * @returns {{days: Object[], diff: Object}}
+ * @throws {SyllabusEditError}
+ */
+export function reorderSyllabusDays(days, dayNumbers) {
+  const firstIndex = getFirstEditableIndex(days);
+  const editable = days.slice(firstIndex);
+  const current = editable.map(day => day.dayNumber);
+
+  if (!Array.isArray(dayNumbers) || dayNumbers.length !== current.length ||
+      [...dayNumbers].sort((a, b) => a - b).join() !== [...current].sort((a, b) => a - b).join()) {
+    throw new SyllabusEditError('dayNumbers must list every upcoming day exactly once');
+  }
+  if (dayNumbers.every((dayNumber, position) => dayNumber === current[position])) {
+    return applySyllabusChanges(days, []);
+  }
+
+  // Locked days are not moved by a reorder: they keep their position
+  const unlocked = dayNumbers
+    .map(dayNumber => editable.find(day => day.dayNumber === dayNumber))
+    .filter(day => !day.locked);
+  const reordered = editable.map(day => ({ ...(day.locked ? day : unlocked.shift()) }));
+
+  return applySyllabusChanges(days, [{ index: firstIndex, removeCount: editable.length, days: reordered }]);
+}
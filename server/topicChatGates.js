@@ -0,0 +1,1926 @@
+/**
+ * Topic-Chat Gates
+ *
+ * The mentor chat's safety pipeline and the Day Knowledge Base (DKB) it
+ * judges questions against. Shared by the chat routes in server.js and the
+ * offline harness (scripts/evalScopeGates.js), so both run the same gates.
+ *
+ * Gates, in order (see prepareTopicChat):
+ * - Question rephraser / follow-up resolution
+ * - Safety pre-filter on the question and every history user turn
+ *   (preFilterQuestion - see safetyPolicy.js)
+ * - Embedding scope gate against the day's DKB (evaluateQuestionScope)
+ * - RAG context gate (buildRAGContext)
+ * - Context overlap gate (hasContextOverlap)
+ *
+ * Stores are created lazily, so importing this module reads no env and
+ * starts nothing. No LLM chat call is made here; only concept extraction
+ * and embeddings reach the provider.
+ */
+
+import { createHash, createHmac, randomBytes, timingSafeEqual } from 'crypto';
+import { AI_LIMITS, AI_TEMPERATURES, CHAT_MEMORY, validateTokenLimit } from './aiConfig.js';
+import { createEmbedding, getEmbeddingModel, getLLMApiKey } from './llmProvider.js';
+import { generateLocalEmbedding, isEmptyEmbedding, LOCAL_EMBEDDING_MODEL, LOCAL_SCOPE_THRESHOLD } from './localEmbedding.js';
+import { createDKBStorage } from './dkbStorage.js';
+import { evaluateSafetyPolicy, findOffTopicTerm } from './safetyPolicy.js';
+import { recordRefusal } from './auditLog.js';
+import { generateStructuredOutput, StructuredOutputError } from './structuredOutput.js';
+import { sanitizeInput, validateAndSanitizeBody } from './security.js';
+import { ANONYMOUS_OWNER_ID, getStateScope } from './stateScope.js';
+
+/**
+ * Safety and scope pre-filter for user questions
+ * Checks for illegal, harmful, or off-scope content BEFORE sending to LLM
+ * 
+ * @param {string} userQuestion - The user's question
+ * @param {string} currentDayTopic - The current day's topic
+ * @param {string[]} currentDaySubtasks - Array of current day's subtasks
+ * @returns {Object|null} - Returns refusal object if question should be blocked, null otherwise
+ *   (`audit` holds server-only details for the refusal log - strip it before responding)
+ */
+function preFilterQuestion(userQuestion, currentDayTopic, currentDaySubtasks = []) {
+  if (!userQuestion || typeof userQuestion !== 'string') {
+    return null;
+  }
+
+  const messageLower = userQuestion.toLowerCase().trim();
+  
+  // STEP 1: Check for illegal/harmful intent (shared safety policy, 'question' categories)
+  // Whole-word/phrase matching with allowlisted exceptions - see safetyPolicy.js
+  const decision = evaluateSafetyPolicy(userQuestion, 'question');
+  if (!decision.allowed && decision.reason === 'blocked_term') {
+    if (process.env.NODE_ENV === 'development') {
+      console.warn('🚫 Refused question (safety policy):', {
+        category: decision.category,
+        term: decision.term,
+        message: userQuestion.substring(0, 100)
+      });
+    }
+    return {
+      refused: true,
+      reason: 'out_of_scope',
+      category: decision.category,
+      message: "I can only help with questions related to today's learning topic.",
+      audit: { term: decision.term }
+    };
+  }
+
+  // STEP 2: Check semantic overlap with topic and subtasks
+  // Extract keywords from topic and subtasks
+  const topicKeywords = [];
+  const subtaskKeywords = [];
+  
+  // Extract keywords from topic (words 3+ characters)
+  if (currentDayTopic && typeof currentDayTopic === 'string') {
+    const topicLower = currentDayTopic.toLowerCase();
+    const topicWords = topicLower.split(/\s+/).filter(w => w.length >= 3);
+    topicKeywords.push(...topicWords);
+    
+    // Also extract from common patterns (e.g., "React.js" -> "react")
+    const techPatterns = topicLower.match(/\b(react|vue|angular|node|python|java|javascript|typescript|html|css|sql|api|rest|graphql)\b/gi);
+    if (techPatterns) {
+      topicKeywords.push(...techPatterns.map(p => p.toLowerCase()));
+    }
+  }
+  
+  // Extract keywords from subtasks
+  if (Array.isArray(currentDaySubtasks) && currentDaySubtasks.length > 0) {
+    currentDaySubtasks.forEach(subtask => {
+      if (typeof subtask === 'string' && subtask.trim()) {
+        const subtaskLower = subtask.toLowerCase();
+        const subtaskWords = subtaskLower.split(/\s+/).filter(w => w.length >= 3);
+        subtaskKeywords.push(...subtaskWords);
+      }
+    });
+  }
+  
+  // Combine all relevant keywords (topic + subtasks)
+  const allRelevantKeywords = [...new Set([...topicKeywords, ...subtaskKeywords])];
+  
+  // If no topic/subtask keywords available, allow question (fail open for safety)
+  if (allRelevantKeywords.length === 0) {
+    return null; // No filtering possible without context
+  }
+  
+  // Extract significant words from user question (3+ characters)
+  const messageWords = messageLower.split(/\s+/).filter(w => w.length >= 3);
+  
+  // Check for semantic overlap: question must contain at least one relevant keyword
+  const hasTopicRelevance = allRelevantKeywords.some(keyword => {
+    // Check if keyword appears in question or question word appears in keyword
+    return messageWords.some(msgWord => 
+      msgWord.includes(keyword) || keyword.includes(msgWord)
+    );
+  });
+  
+  // If no semantic overlap, check for clearly off-topic terms
+  if (!hasTopicRelevance) {
+    // Clearly off-topic subjects come from the shared safety policy
+    const offTopicTerm = findOffTopicTerm(userQuestion);
+    
+    if (offTopicTerm) {
+      if (process.env.NODE_ENV === 'development') {
+        console.warn('🚫 Refused question (off-topic, no semantic overlap):', {
+          term: offTopicTerm,
+          topic: currentDayTopic,
+          subtasks: currentDaySubtasks,
+          message: userQuestion.substring(0, 100)
+        });
+      }
+      return {
+        refused: true,
+        reason: 'out_of_scope',
+        category: 'off_topic',
+        message: "I can only help with questions related to today's learning topic.",
+        audit: { term: offTopicTerm }
+      };
+    }
+    
+    // If no off-topic terms but also no relevance, be conservative and allow
+    // (Zero false positives preferred - only reject when clearly off-topic)
+    return null;
+  }
+
+  // Question passed all checks - semantically related to topic/subtasks
+  return null;
+}
+
+/**
+ * Hard topic scope gate: Determines if a question is within the scope of today's topic
+ * Uses keyword extraction and simple synonym mapping (no AI-based filtering)
+ * 
+ * @param {string} question - The user's question
+ * @param {string} topic - The current day's topic
+ * @param {string[]} subtasks - Array of current day's subtasks
+ * @returns {boolean} - True if question is in scope, false otherwise
+ */
+/**
+ * ============================================================================
+ * DAY KNOWLEDGE BASE (DKB) - DAY-SCOPED EXPANDABLE MEMORY
+ * ============================================================================
+ * 
+ * The DKB is the SINGLE SOURCE OF TRUTH for:
+ * - What the mentor is allowed to know (scope validation)
+ * - What the mentor can answer about (answering context)
+ * 
+ * ARCHITECTURE:
+ * - Starts with today's syllabus (topic + subtasks)
+ * - Expands ONLY with concepts introduced by the mentor
+ * - Resets completely at the end of the day
+ * - NO cross-day memory, NO global knowledge
+ * 
+ * KEY RULES:
+ * - NO keyword matching (embedding-based only)
+ * - NO predefined abbreviations
+ * - NO fallback LLM calls
+ * - Deterministic behavior only
+ * 
+ * ⚠️ DO NOT BYPASS DKB FOR SCOPE VALIDATION OR ANSWERING
+ * ============================================================================
+ */
+
+/**
+ * Maximum number of DKBs kept per state scope (one user's syllabus)
+ */
+const MAX_DKBS_PER_SCOPE = 5;
+
+/**
+ * Maximum number of DKBs kept across all scopes (memory/file backends;
+ * redis expires keys instead - see dkbStorage.js)
+ */
+const MAX_DKB_ENTRIES = 500;
+
+/**
+ * Day Knowledge Base (DKB) Store
+ * Backend: DKB_STORAGE (memory | file | redis) - see dkbStorage.js
+ * Key: dkbKey = "<state scope>::<normalized topic>" (see getDKBKey)
+ * Value: DKB object with structure:
+ *   {
+ *     key: string,                      // Store key (for write-back)
+ *     topic: string,                    // Today's topic
+ *     subtasks: string[],               // Today's subtasks
+ *     concepts: string[],               // Concepts extracted from mentor answers
+ *     createdAt: string,                // ISO timestamp (eviction order)
+ *     lastUpdated: string,              // ISO timestamp of last update
+ *     embedding: number[] | null,       // Cached embedding for the full DKB
+ *     embeddingModel: string | null,    // Model that produced `embedding` (provider or local)
+ *     embeddingDirty: boolean           // True if embedding needs regeneration
+ *   }
+ * 
+ * LIFECYCLE:
+ * - Created when first question is asked for a day
+ * - Expanded after each mentor answer (concept extraction)
+ * - Reset when day changes (new topic)
+ * 
+ * SCOPING:
+ * - Every DKB belongs to exactly one state scope (owner + syllabus)
+ * - Two users studying the same topic never share a DKB
+ * 
+ * ⚠️ The store returns copies - changes must be written back with saveDKB()
+ */
+let dayKnowledgeBaseStore = null;
+
+/**
+ * Get the DKB store (created lazily so env is read after dotenv has loaded)
+ * @returns {import('./dkbStorage.js').KeyValueStore}
+ */
+function getDKBStore() {
+  if (!dayKnowledgeBaseStore) {
+    dayKnowledgeBaseStore = createDKBStorage('dkb', { maxEntries: MAX_DKB_ENTRIES });
+  }
+  return dayKnowledgeBaseStore;
+}
+
+/**
+ * Maximum number of concepts to store in DKB per day
+ * Prevents unbounded growth
+ */
+const MAX_DKB_CONCEPTS = 50;
+
+/**
+ * Scope validation threshold for DKB embedding similarity
+ * Questions with similarity >= threshold are IN SCOPE
+ * ⚠️ Provider embeddings only - local embeddings use LOCAL_SCOPE_THRESHOLD
+ */
+const DKB_SCOPE_THRESHOLD = 0.22;
+
+/**
+ * Build the store key for a day's DKB within a state scope
+ * 
+ * @param {string} topic - The day's learning topic
+ * @param {string} scope - State scope (see getStateScope)
+ * @returns {string} - DKB store key
+ */
+function getDKBKey(topic, scope) {
+  const dayKey = topic.toLowerCase().trim();
+  return `${scope || getStateScope(ANONYMOUS_OWNER_ID, null)}::${dayKey}`;
+}
+
+/**
+ * Read a DKB from the store
+ * FALLBACK: Storage errors are logged and treated as "no DKB"
+ * 
+ * @param {string} dkbKey - DKB store key
+ * @returns {Promise<Object|null>}
+ */
+async function loadDKB(dkbKey) {
+  try {
+    return await getDKBStore().get(dkbKey);
+  } catch (error) {
+    console.warn('⚠️  DKB storage read failed:', error.message);
+    return null;
+  }
+}
+
+/**
+ * List DKB keys starting with a prefix (e.g. "<owner>:")
+ * FALLBACK: Storage errors are logged and treated as "no DKBs"
+ *
+ * @param {string} prefix - Key prefix
+ * @returns {Promise<string[]>}
+ */
+async function listDKBKeys(prefix) {
+  try {
+    return await getDKBStore().keys(prefix);
+  } catch (error) {
+    console.warn('⚠️  DKB storage list failed:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Write a DKB back to the store
+ * FALLBACK: Storage errors are logged - the in-request copy keeps working
+ * 
+ * @param {Object} dkb - The DKB object (must carry its key)
+ */
+async function saveDKB(dkb) {
+  try {
+    await getDKBStore().set(dkb.key, dkb);
+  } catch (error) {
+    console.warn('⚠️  DKB storage write failed:', error.message);
+  }
+}
+
+/**
+ * Keep only the newest MAX_DKBS_PER_SCOPE days for a state scope
+ * 
+ * @param {string} scopePrefix - "<state scope>::" key prefix
+ */
+async function evictStaleDKBs(scopePrefix) {
+  try {
+    const scopeKeys = await getDKBStore().keys(scopePrefix);
+    if (scopeKeys.length <= MAX_DKBS_PER_SCOPE) {
+      return;
+    }
+    
+    // Backends don't share a key order - evict by creation time
+    const entries = await Promise.all(scopeKeys.map(async key => ({
+      key,
+      createdAt: (await getDKBStore().get(key))?.createdAt || ''
+    })));
+    entries.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    
+    for (const { key } of entries.slice(0, entries.length - MAX_DKBS_PER_SCOPE)) {
+      await getDKBStore().delete(key);
+      console.log(`🗑️  DKB cleanup: removed stale day "${key}"`);
+    }
+  } catch (error) {
+    console.warn('⚠️  DKB cleanup failed:', error.message);
+  }
+}
+
+/**
+ * Get or create Day Knowledge Base for a specific day
+ * 
+ * @param {string} topic - Today's learning topic
+ * @param {string[]} subtasks - Today's subtasks
+ * @param {string} scope - State scope the DKB belongs to (owner + syllabus)
+ * @returns {Promise<Object|null>} - The DKB object for this day
+ */
+async function getOrCreateDKB(topic, subtasks = [], scope = null) {
+  if (!topic || typeof topic !== 'string') {
+    return null;
+  }
+  
+  const dayKey = topic.toLowerCase().trim();
+  const dkbKey = getDKBKey(topic, scope);
+  
+  // Check if DKB exists for this day
+  const existingDKB = await loadDKB(dkbKey);
+  // Verify it's for the same topic (not stale)
+  if (existingDKB && existingDKB.topic.toLowerCase().trim() === dayKey) {
+    return existingDKB;
+  }
+  
+  // Create new DKB for this day
+  const now = new Date().toISOString();
+  const newDKB = {
+    key: dkbKey,
+    topic: topic.trim(),
+    subtasks: Array.isArray(subtasks) 
+      ? subtasks.filter(st => typeof st === 'string' && st.trim()).map(st => st.trim())
+      : [],
+    concepts: [],  // Will be populated from mentor answers
+    createdAt: now,
+    lastUpdated: now,
+    embedding: null,
+    embeddingModel: null,
+    embeddingDirty: true  // Needs initial embedding generation
+  };
+  
+  // Store the new DKB
+  await saveDKB(newDKB);
+  
+  // Cleanup: keep only the last MAX_DKBS_PER_SCOPE days for this scope
+  await evictStaleDKBs(dkbKey.substring(0, dkbKey.length - dayKey.length));
+  
+  if (process.env.NODE_ENV === 'development') {
+    console.log('📚 DKB created for day:', {
+      topic: newDKB.topic.substring(0, 50),
+      subtasksCount: newDKB.subtasks.length
+    });
+  }
+  
+  return newDKB;
+}
+
+/**
+ * Build DKB text representation for embedding generation
+ * Combines topic, subtasks, and all extracted concepts
+ * 
+ * @param {Object} dkb - The Day Knowledge Base object
+ * @returns {string} - Combined text for embedding
+ */
+function buildDKBText(dkb) {
+  if (!dkb || !dkb.topic) {
+    return '';
+  }
+  
+  const parts = [];
+  
+  // Add topic
+  parts.push(`Topic: ${dkb.topic}`);
+  
+  // Add subtasks
+  if (dkb.subtasks && dkb.subtasks.length > 0) {
+    parts.push(`Subtasks: ${dkb.subtasks.join(', ')}`);
+  }
+  
+  // Add extracted concepts
+  if (dkb.concepts && dkb.concepts.length > 0) {
+    parts.push(`Related concepts: ${dkb.concepts.join(', ')}`);
+  }
+  
+  return parts.join('. ');
+}
+
+/**
+ * Reset Day Knowledge Base for day boundary
+ * Called when transitioning to a new day
+ * 
+ * @param {string} oldTopic - The previous day's topic (to clear)
+ * @param {string} scope - State scope the DKB belongs to (owner + syllabus)
+ */
+async function resetDKBForDayBoundary(oldTopic, scope = null) {
+  if (!oldTopic) return;
+  
+  const dkbKey = getDKBKey(oldTopic, scope);
+  
+  try {
+    if (await getDKBStore().get(dkbKey)) {
+      await getDKBStore().delete(dkbKey);
+      console.log(`🔄 DKB reset for day boundary: "${dkbKey}"`);
+    }
+  } catch (error) {
+    console.warn('⚠️  DKB storage reset failed:', error.message);
+  }
+  
+  mentorLastAnswerStore.delete(dkbKey);
+}
+
+/**
+ * DEPRECATED: Legacy store - kept for backwards compatibility
+ * Use dayKnowledgeBaseStore instead
+ * Key: dkbKey (same scoping as the DKB store)
+ */
+const mentorLastAnswerStore = new Map();
+
+/**
+ * Remember the mentor's last answer for a day (legacy store)
+ * 
+ * @param {string} topic - The day's learning topic
+ * @param {string} scope - State scope (owner + syllabus)
+ * @param {string} answer - The mentor's answer text
+ */
+function rememberMentorAnswer(topic, scope, answer) {
+  if (!topic || typeof topic !== 'string') return;
+  
+  mentorLastAnswerStore.set(getDKBKey(topic, scope), answer);
+  
+  // Safety: Limit store size
+  if (mentorLastAnswerStore.size > MAX_DKB_ENTRIES) {
+    const firstKey = mentorLastAnswerStore.keys().next().value;
+    mentorLastAnswerStore.delete(firstKey);
+  }
+}
+
+/**
+ * Cache for DKB embeddings
+ * Backend: same as the DKB store (DKB_STORAGE)
+ * Key: DKB text hash (see getEmbeddingCacheKey)
+ * Value: embedding vector (array of numbers)
+ * 
+ * Purpose: Avoid regenerating embeddings when DKB hasn't changed
+ */
+let dkbEmbeddingCache = null;
+
+/**
+ * Get the embedding cache (created lazily, like the DKB store)
+ * @returns {import('./dkbStorage.js').KeyValueStore}
+ */
+function getEmbeddingCacheStore() {
+  if (!dkbEmbeddingCache) {
+    dkbEmbeddingCache = createDKBStorage('dkb-embeddings', { maxEntries: 50 });
+  }
+  return dkbEmbeddingCache;
+}
+
+/**
+ * Get the embedding model that generateEmbedding() will use
+ * 
+ * @param {string|null} apiKey - LLM API key (null → local embeddings)
+ * @returns {string} - Model name
+ */
+function getActiveEmbeddingModel(apiKey) {
+  return apiKey ? getEmbeddingModel() : LOCAL_EMBEDDING_MODEL;
+}
+
+/**
+ * Build the embedding cache key for a text
+ * Includes the model: vectors from different models are not comparable
+ * 
+ * @param {string} text - Text that was embedded
+ * @param {string} model - Embedding model (see getActiveEmbeddingModel)
+ * @returns {string} - sha256 of model + normalized text
+ */
+function getEmbeddingCacheKey(text, model) {
+  return createHash('sha256').update(`${model}\n${text.toLowerCase().trim()}`).digest('hex');
+}
+
+/**
+ * Read a cached embedding
+ * FALLBACK: Storage errors count as a cache miss
+ * 
+ * @param {string} cacheKey - See getEmbeddingCacheKey
+ * @returns {Promise<number[]|null>}
+ */
+async function getCachedEmbedding(cacheKey) {
+  try {
+    return await getEmbeddingCacheStore().get(cacheKey);
+  } catch (error) {
+    console.warn('⚠️  Embedding cache read failed:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Store an embedding in the cache
+ * FALLBACK: Storage errors are logged and ignored
+ * 
+ * @param {string} cacheKey - See getEmbeddingCacheKey
+ * @param {number[]} embedding - Embedding vector
+ */
+async function cacheEmbedding(cacheKey, embedding) {
+  try {
+    await getEmbeddingCacheStore().set(cacheKey, embedding);
+  } catch (error) {
+    console.warn('⚠️  Embedding cache write failed:', error.message);
+  }
+}
+
+/**
+ * ⚠️ DEPRECATED: Keyword extraction for mentor's last answer
+ * 
+ * This function is kept for compatibility but is NOT used in DKB-based scope validation.
+ * The mentor system now uses DKB with embedding-based semantic validation.
+ * 
+ * @deprecated Use extractConceptsFromAnswer() and DKB instead
+ */
+function extractMentorAnswerKeywords(answerText) {
+  if (!answerText || typeof answerText !== 'string') return [];
+  
+  const stopWords = new Set(['the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'can', 'her', 'was', 'one', 'our', 'out', 'day', 'get', 'has', 'him', 'his', 'how', 'its', 'may', 'new', 'now', 'old', 'see', 'two', 'way', 'who', 'boy', 'did', 'its', 'let', 'put', 'say', 'she', 'too', 'use', 'this', 'that', 'with', 'from', 'have', 'been', 'than', 'more', 'what', 'when', 'where', 'which', 'about', 'into', 'over', 'after', 'before', 'will', 'would', 'could', 'should', 'might', 'must', 'shall', 'they', 'them', 'their', 'there', 'these', 'those', 'was', 'were', 'been', 'being', 'have', 'has', 'had', 'having', 'do', 'does', 'did', 'doing', 'done']);
+  
+  const words = answerText
+    .toLowerCase()
+    .split(/\s+/)
+    .map(w => w.replace(/[.,;:!?()\[\]{}'"]/g, ''))
+    .filter(w => w.length >= 2);
+  
+  const keywords = words.filter(w => w.length >= 2 && !stopWords.has(w));
+  
+  return keywords;
+}
+
+/**
+ * ============================================================================
+ * CONCEPT EXTRACTION - Extract key concepts from mentor answers
+ * ============================================================================
+ * 
+ * After EVERY mentor answer, this function extracts key concepts semantically.
+ * These concepts are appended to the DKB to expand allowed knowledge.
+ * 
+ * RULES:
+ * - Extract short phrases, NOT sentences
+ * - Do NOT deduplicate aggressively
+ * - Keep everything day-local
+ * - NO keyword matching (uses AI extraction)
+ * 
+ * @param {string} mentorAnswer - The mentor's response text
+ * @param {string} topic - Today's learning topic
+ * @param {string} apiKey - OpenAI API key
+ * @returns {Promise<string[]>} - Array of extracted concept phrases
+ */
+async function extractConceptsFromAnswer(mentorAnswer, topic, apiKey) {
+  if (!mentorAnswer || typeof mentorAnswer !== 'string' || mentorAnswer.trim().length === 0) {
+    return [];
+  }
+  
+  if (!apiKey) {
+    // No API key: fall back to simple noun phrase extraction
+    // This is deterministic and doesn't require AI
+    return extractConceptsSimple(mentorAnswer);
+  }
+  
+  try {
+    const maxTokens = AI_LIMITS.CONCEPT_EXTRACTION;
+    validateTokenLimit('CONCEPT_EXTRACTION', maxTokens);
+    
+    // Strict prompt for concept extraction
+    const prompt = `Extract key technical concepts, terms, and phrases from this explanation.
+
+RULES:
+- Return ONLY a JSON array of short phrases (2-5 words each)
+- Extract concepts that were EXPLAINED or INTRODUCED
+- Do NOT include common words or filler
+- Maximum 8 concepts
+- No explanations, no markdown
+
+Topic context: ${topic}
+
+Text to extract from:
+"${mentorAnswer.substring(0, 800)}"
+
+Return ONLY a JSON array like: ["concept one", "concept two"]`;
+
+    const { data, usage } = await generateStructuredOutput('CONCEPTS', {
+      messages: [
+        {
+          role: "system",
+          content: "You extract key concepts from educational text. Return only a JSON array of short concept phrases. No explanations."
+        },
+        {
+          role: "user",
+          content: prompt
+        }
+      ],
+      temperature: AI_TEMPERATURES.CONCEPT_EXTRACTION,
+      max_tokens: maxTokens,
+      stream: false
+    });
+    
+    if (usage) {
+      console.log(`📊 Concept extraction tokens: ${usage.total_tokens} (limit: ${maxTokens})`);
+    }
+    
+    const concepts = data.concepts
+      .filter(c => c.trim().length >= 2 && c.trim().length <= 50)
+      .map(c => c.trim().toLowerCase())
+      .slice(0, 8);  // Max 8 concepts per answer
+    
+    if (process.env.NODE_ENV === 'development') {
+      console.log('🧠 Concepts extracted:', concepts);
+    }
+    
+    return concepts;
+  } catch (error) {
+    console.error(`Error in concept extraction${error instanceof StructuredOutputError ? ` (${error.code})` : ''}:`, error.message);
+    // Fallback to simple extraction (deterministic heuristics, no AI)
+    return extractConceptsSimple(mentorAnswer);
+  }
+}
+
+/**
+ * Simple concept extraction fallback (no AI)
+ * Extracts potential technical terms using heuristics
+ * 
+ * @param {string} text - Text to extract from
+ * @returns {string[]} - Array of extracted concepts
+ */
+function extractConceptsSimple(text) {
+  if (!text || typeof text !== 'string') return [];
+  
+  // Common stop words to filter out
+  const stopWords = new Set([
+    'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'can', 'was',
+    'one', 'our', 'out', 'has', 'his', 'how', 'its', 'may', 'new', 'now',
+    'see', 'way', 'who', 'did', 'let', 'say', 'too', 'use', 'this', 'that',
+    'with', 'from', 'have', 'been', 'than', 'more', 'what', 'when', 'where',
+    'which', 'about', 'into', 'over', 'after', 'before', 'will', 'would',
+    'could', 'should', 'might', 'must', 'they', 'them', 'their', 'there',
+    'these', 'those', 'being', 'does', 'done', 'very', 'just', 'also',
+    'here', 'some', 'like', 'then', 'only', 'such', 'well', 'first',
+    'example', 'following', 'based', 'using', 'helps', 'allows', 'means'
+  ]);
+  
+  // Extract words that look like technical terms
+  // - Capitalized words (not at sentence start)
+  // - Words with numbers
+  // - Acronyms (2-5 uppercase letters)
+  // - Compound words with hyphens
+  const patterns = [
+    /\b[A-Z][a-z]+(?:[A-Z][a-z]+)+/g,  // CamelCase
+    /\b[A-Z]{2,5}\b/g,                   // Acronyms
+    /\b\w+[-_]\w+\b/g,                   // Hyphenated/underscored
+    /\b(?:CPU|RAM|GPU|API|SQL|HTML|CSS|DOM|HTTP|REST|JSON|XML)\b/gi  // Common tech terms
+  ];
+  
+  const concepts = new Set();
+  
+  // Extract pattern matches
+  for (const pattern of patterns) {
+    const matches = text.match(pattern);
+    if (matches) {
+      matches.forEach(m => {
+        const normalized = m.toLowerCase().trim();
+        if (normalized.length >= 2 && normalized.length <= 30 && !stopWords.has(normalized)) {
+          concepts.add(normalized);
+        }
+      });
+    }
+  }
+  
+  // Also extract quoted terms
+  const quotedMatches = text.match(/"([^"]{2,30})"/g);
+  if (quotedMatches) {
+    quotedMatches.forEach(m => {
+      const term = m.replace(/"/g, '').toLowerCase().trim();
+      if (term.length >= 2 && !stopWords.has(term)) {
+        concepts.add(term);
+      }
+    });
+  }
+  
+  return Array.from(concepts).slice(0, 8);
+}
+
+/**
+ * Add extracted concepts to the Day Knowledge Base
+ * 
+ * @param {Object} dkb - The Day Knowledge Base object
+ * @param {string[]} newConcepts - Concepts to add
+ * @returns {Promise<boolean>} - True if concepts were added (and saved)
+ */
+async function addConceptsToDKB(dkb, newConcepts) {
+  if (!dkb || !Array.isArray(newConcepts) || newConcepts.length === 0) {
+    return false;
+  }
+  
+  const existingSet = new Set(dkb.concepts.map(c => c.toLowerCase()));
+  let addedCount = 0;
+  
+  for (const concept of newConcepts) {
+    const normalized = concept.toLowerCase().trim();
+    
+    // Skip if already exists or DKB is at capacity
+    if (existingSet.has(normalized) || dkb.concepts.length >= MAX_DKB_CONCEPTS) {
+      continue;
+    }
+    
+    dkb.concepts.push(normalized);
+    existingSet.add(normalized);
+    addedCount++;
+  }
+  
+  if (addedCount > 0) {
+    dkb.lastUpdated = new Date().toISOString();
+    dkb.embeddingDirty = true;  // Mark embedding as needing regeneration
+    await saveDKB(dkb);
+    
+    if (process.env.NODE_ENV === 'development') {
+      console.log(`📚 DKB expanded: +${addedCount} concepts, total: ${dkb.concepts.length}`);
+    }
+  }
+  
+  return addedCount > 0;
+}
+
+/**
+ * Compute cosine similarity between two embedding vectors
+ * 
+ * @param {number[]} vecA - First embedding vector
+ * @param {number[]} vecB - Second embedding vector
+ * @returns {number} - Cosine similarity score (0 to 1)
+ */
+function cosineSimilarity(vecA, vecB) {
+  if (!vecA || !vecB || vecA.length !== vecB.length) {
+    return 0;
+  }
+  
+  let dotProduct = 0;
+  let normA = 0;
+  let normB = 0;
+  
+  for (let i = 0; i < vecA.length; i++) {
+    dotProduct += vecA[i] * vecB[i];
+    normA += vecA[i] * vecA[i];
+    normB += vecB[i] * vecB[i];
+  }
+  
+  if (normA === 0 || normB === 0) {
+    return 0;
+  }
+  
+  return dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+/**
+ * ⚠️ SINGLE POINT OF EMBEDDING COMPUTATION
+ * Generate embedding for text using the provider's embedding API,
+ * or local hashed n-gram vectors when no provider is configured
+ * 
+ * This is the ONLY function that generates embeddings for the mentor system.
+ * DO NOT create alternative embedding functions or bypass this.
+ * 
+ * @param {string} text - Text to generate embedding for
+ * @param {string|null} apiKey - LLM API key (null → local embedding, no network)
+ * @returns {Promise<number[]>} - Embedding vector
+ */
+async function generateEmbedding(text, apiKey) {
+  if (!text || typeof text !== 'string' || text.trim().length === 0) {
+    throw new Error('Text is required for embedding generation');
+  }
+  
+  // OFFLINE: local vectors (see localEmbedding.js)
+  if (!apiKey) {
+    return generateLocalEmbedding(text.trim());
+  }
+  
+  try {
+    // Provider resolves base URL + embedding model (default: text-embedding-3-small)
+    const response = await createEmbedding(text.trim());
+    
+    return response.data[0].embedding;
+  } catch (error) {
+    console.error('Error generating embedding:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Build syllabus text for TODAY ONLY
+ * Combines currentDay.topic and currentDay.subtasks into a single text
+ * Format: "Topic: [topic]. Subtasks: [subtask1], [subtask2]..."
+ * 
+ * @param {string} topic - Today's learning topic
+ * @param {string[]} subtasks - Today's subtasks array
+ * @returns {string} - Combined syllabus text
+ */
+function buildSyllabusText(topic, subtasks = []) {
+  if (!topic || typeof topic !== 'string') {
+    return '';
+  }
+  
+  const topicPart = `Topic: ${topic.trim()}`;
+  
+  if (Array.isArray(subtasks) && subtasks.length > 0) {
+    const validSubtasks = subtasks
+      .filter(st => typeof st === 'string' && st.trim())
+      .map(st => st.trim());
+    
+    if (validSubtasks.length > 0) {
+      const subtasksPart = `Subtasks: ${validSubtasks.join(', ')}`;
+      return `${topicPart}. ${subtasksPart}`;
+    }
+  }
+  
+  return topicPart;
+}
+
+/**
+ * Get or generate cached syllabus embedding
+ * 
+ * @deprecated Use getDKBEmbedding() instead for scope validation
+ * @param {string} topic - Today's learning topic
+ * @param {string[]} subtasks - Today's subtasks array
+ * @param {string} apiKey - OpenAI API key
+ * @returns {Promise<number[]>} - Syllabus embedding vector
+ */
+async function getSyllabusEmbedding(topic, subtasks = [], apiKey) {
+  const syllabusText = buildSyllabusText(topic, subtasks);
+  const cacheKey = getEmbeddingCacheKey(syllabusText, getActiveEmbeddingModel(apiKey));
+  
+  const cachedEmbedding = await getCachedEmbedding(cacheKey);
+  if (cachedEmbedding) {
+    return cachedEmbedding;
+  }
+  
+  const embedding = await generateEmbedding(syllabusText, apiKey);
+  await cacheEmbedding(cacheKey, embedding);
+  return embedding;
+}
+
+/**
+ * Get or generate cached DKB embedding
+ * Uses the full DKB text (topic + subtasks + extracted concepts)
+ * 
+ * @param {Object} dkb - The Day Knowledge Base object
+ * @param {string} apiKey - OpenAI API key
+ * @returns {Promise<number[]>} - DKB embedding vector
+ */
+async function getDKBEmbedding(dkb, apiKey) {
+  if (!dkb) {
+    throw new Error('DKB is required for embedding generation');
+  }
+  
+  const model = getActiveEmbeddingModel(apiKey);
+  
+  // If embedding exists, is not dirty and came from the same model, return cached
+  if (dkb.embedding && !dkb.embeddingDirty && dkb.embeddingModel === model) {
+    return dkb.embedding;
+  }
+  
+  // Build DKB text and generate embedding
+  const dkbText = buildDKBText(dkb);
+  
+  if (!dkbText || dkbText.trim().length === 0) {
+    throw new Error('DKB text is empty');
+  }
+  
+  // Check cache by text hash
+  const cacheKey = getEmbeddingCacheKey(dkbText, model);
+  const cachedEmbedding = await getCachedEmbedding(cacheKey);
+  if (cachedEmbedding) {
+    dkb.embedding = cachedEmbedding;
+    dkb.embeddingModel = model;
+    dkb.embeddingDirty = false;
+    await saveDKB(dkb);
+    return cachedEmbedding;
+  }
+  
+  // Generate new embedding
+  const embedding = await generateEmbedding(dkbText, apiKey);
+  
+  // Cache it
+  await cacheEmbedding(cacheKey, embedding);
+  dkb.embedding = embedding;
+  dkb.embeddingModel = model;
+  dkb.embeddingDirty = false;
+  await saveDKB(dkb);
+  
+  if (process.env.NODE_ENV === 'development') {
+    console.log('📊 DKB embedding generated:', {
+      topic: dkb.topic.substring(0, 30),
+      conceptsCount: dkb.concepts.length,
+      textLength: dkbText.length
+    });
+  }
+  
+  return embedding;
+}
+
+/**
+ * ⚠️ SINGLE POINT OF SCOPE DECISION
+ * DKB-BASED SEMANTIC SCOPE VALIDATION
+ * 
+ * This is the ONLY function that determines if a question is in scope.
+ * DO NOT create alternative scope validation functions or bypass this.
+ * 
+ * A question is IN SCOPE if:
+ * - Cosine similarity between question and DKB embeddings >= DKB_SCOPE_THRESHOLD
+ *   (LOCAL_SCOPE_THRESHOLD with local embeddings)
+ * 
+ * A question is OUT OF SCOPE if:
+ * - Cosine similarity < DKB_SCOPE_THRESHOLD (LOCAL_SCOPE_THRESHOLD with local embeddings)
+ * 
+ * Without an API key, local hashed n-gram embeddings are used (no network).
+ * A question with no content words at all (e.g. "can you give an example?")
+ * has nothing to judge locally and is treated as in scope.
+ * 
+ * The DKB includes:
+ * - Today's topic and subtasks (initial)
+ * - Concepts extracted from mentor answers (dynamic expansion)
+ * 
+ * ⚠️ NO KEYWORD MATCHING - Embeddings only
+ * ⚠️ NO PREDEFINED ABBREVIATIONS
+ * ⚠️ NO GLOBAL MEMORY
+ * ⚠️ DO NOT BYPASS THIS VALIDATION
+ * 
+ * Returns the full decision so callers can audit it (similarity, threshold, model).
+ * method: 'embedding' | 'no_content' | 'fallback' | 'invalid_input' | 'no_dkb'
+ * 
+ * @param {string} question - The user's question
+ * @param {string} topic - Today's learning topic
+ * @param {string[]} subtasks - Today's subtasks array
+ * @param {string[]} lastAnswerKeywords - DEPRECATED: Not used in DKB-based validation
+ * @param {string|null} apiKey - LLM API key for embedding generation (null → local embeddings)
+ * @param {string} scope - State scope the day's DKB belongs to (owner + syllabus)
+ * @returns {Promise<{inScope: boolean, method: string, similarity: number|null, threshold: number, embeddingModel: string}>}
+ */
+async function evaluateQuestionScope(question, topic, subtasks = [], lastAnswerKeywords = [], apiKey = null, scope = null) {
+  const threshold = apiKey ? DKB_SCOPE_THRESHOLD : LOCAL_SCOPE_THRESHOLD;
+  const embeddingModel = getActiveEmbeddingModel(apiKey);
+  const decision = (inScope, method, similarity = null) => ({ inScope, method, similarity, threshold, embeddingModel });
+  
+  if (!question || typeof question !== 'string' || !topic || typeof topic !== 'string') {
+    return decision(false, 'invalid_input');
+  }
+  
+  try {
+    // Get or create the Day Knowledge Base for this day
+    const dkb = await getOrCreateDKB(topic, subtasks, scope);
+    
+    if (!dkb) {
+      console.error('❌ Failed to get/create DKB for scope validation');
+      return decision(false, 'no_dkb');
+    }
+    
+    // Generate embedding for question
+    const questionEmbedding = await generateEmbedding(question, apiKey);
+    
+    // OFFLINE: no content words → nothing to compare (generic follow-up)
+    if (!apiKey && isEmptyEmbedding(questionEmbedding)) {
+      return decision(true, 'no_content');
+    }
+    
+    // Get DKB embedding (includes topic, subtasks, AND extracted concepts)
+    const dkbEmbedding = await getDKBEmbedding(dkb, apiKey);
+    
+    // Compute cosine similarity
+    const similarity = cosineSimilarity(questionEmbedding, dkbEmbedding);
+    
+    // Use the threshold calibrated for this embedding model
+    const inScope = similarity >= threshold;
+    
+    if (process.env.NODE_ENV === 'development') {
+      console.log('📊 DKB scope check:', {
+        similarity: similarity.toFixed(3),
+        threshold,
+        embeddingModel: dkb.embeddingModel,
+        inScope,
+        topic: topic.substring(0, 40),
+        conceptsCount: dkb.concepts.length,
+        question: question.substring(0, 40)
+      });
+    }
+    
+    return decision(inScope, 'embedding', similarity);
+  } catch (error) {
+    console.error('Error in DKB scope validation:', error.message);
+    // Fallback: if embedding fails, use basic validation
+    return decision(topic.trim().length > 0, 'fallback');
+  }
+}
+
+/**
+ * Boolean form of evaluateQuestionScope (see above for the rules)
+ * 
+ * @param {string} question - The user's question
+ * @param {string} topic - Today's learning topic
+ * @param {string[]} subtasks - Today's subtasks array
+ * @param {string[]} lastAnswerKeywords - DEPRECATED: Not used in DKB-based validation
+ * @param {string|null} apiKey - LLM API key for embedding generation (null → local embeddings)
+ * @param {string} scope - State scope the day's DKB belongs to (owner + syllabus)
+ * @returns {Promise<boolean>} - true if question is in scope, false otherwise
+ */
+async function isQuestionInScope(question, topic, subtasks = [], lastAnswerKeywords = [], apiKey = null, scope = null) {
+  const { inScope } = await evaluateQuestionScope(question, topic, subtasks, lastAnswerKeywords, apiKey, scope);
+  return inScope;
+}
+
+/**
+ * Extract topic name from aiExpertPrompt
+ * Attempts to extract the main topic from various prompt formats
+ * 
+ * @param {string} aiExpertPrompt - The expert prompt
+ * @returns {string} - The extracted topic name, or a fallback
+ */
+function extractTopic(aiExpertPrompt) {
+  if (!aiExpertPrompt || typeof aiExpertPrompt !== 'string') {
+    return 'today\'s learning topic';
+  }
+
+  const promptLower = aiExpertPrompt.toLowerCase();
+  
+  // Try to extract topic from common patterns
+  // Pattern 1: "You are an expert in [TOPIC]"
+  let match = promptLower.match(/you are an expert in ([^.,\n]+)/i);
+  if (match && match[1]) {
+    return match[1].trim();
+  }
+  
+  // Pattern 2: "topic: [TOPIC]" or "Topic: [TOPIC]"
+  match = promptLower.match(/(?:topic|learning about|focus on|studying|covering)[:]\s*([^.,\n]+)/i);
+  if (match && match[1]) {
+    return match[1].trim();
+  }
+  
+  // Pattern 3: Look for topic in first sentence
+  const firstSentence = aiExpertPrompt.split(/[.!?]/)[0];
+  if (firstSentence && firstSentence.length > 10 && firstSentence.length < 100) {
+    // Remove common prefixes
+    const cleaned = firstSentence
+      .replace(/^you are (an? )?(expert|assistant|mentor) (in|for|on) /i, '')
+      .replace(/^focus (on|ing) /i, '')
+      .trim();
+    if (cleaned.length > 3 && cleaned.length < 80) {
+      return cleaned;
+    }
+  }
+  
+  // Fallback: return first meaningful phrase
+  const words = aiExpertPrompt.split(/\s+/).slice(0, 5).join(' ');
+  return words.length > 3 ? words : 'today\'s learning topic';
+}
+
+/**
+ * Build RAG context from Day Knowledge Base (DKB)
+ * 
+ * Context MUST include ONLY content from the DKB:
+ * - Today's topic
+ * - Today's subtasks
+ * - Concepts introduced by the mentor (extracted from answers)
+ * 
+ * DO NOT include:
+ * - Previous days
+ * - Future days
+ * - Full syllabus
+ * - User profile
+ * - Chat history
+ * - External knowledge
+ * 
+ * Format:
+ * ALLOWED KNOWLEDGE:
+ * "Today's Topic: {topic}
+ * Subtasks:
+ * - {subtask1}
+ * - {subtask2}
+ * Related Concepts:
+ * - {concept1}
+ * - {concept2}"
+ * 
+ * @param {string} currentDayTopic - The current day's topic (REQUIRED)
+ * @param {string[]} currentDaySubtasks - Array of current day's subtasks
+ * @param {string} scope - State scope the day's DKB belongs to (owner + syllabus)
+ * @returns {Promise<string|null>} - The RAG context string, or null if empty
+ */
+async function buildRAGContext(currentDayTopic, currentDaySubtasks = [], scope = null) {
+  // Add topic (REQUIRED - if missing, context is invalid)
+  if (!currentDayTopic || typeof currentDayTopic !== 'string' || !currentDayTopic.trim()) {
+    return null;
+  }
+  
+  // Get the DKB for this day (includes extracted concepts)
+  const dkb = await getOrCreateDKB(currentDayTopic, currentDaySubtasks, scope);
+  
+  if (!dkb) {
+    // Fallback to basic context if DKB fails
+    return buildBasicRAGContext(currentDayTopic, currentDaySubtasks);
+  }
+  
+  // Build context from DKB
+  const contentParts = [];
+  
+  // Add topic
+  contentParts.push(`Today's Topic: ${dkb.topic}`);
+  
+  // Add subtasks (if any)
+  if (dkb.subtasks && dkb.subtasks.length > 0) {
+    contentParts.push('Subtasks:');
+    dkb.subtasks.forEach(subtask => {
+      contentParts.push(`- ${subtask}`);
+    });
+  }
+  
+  // Add extracted concepts (from mentor answers)
+  if (dkb.concepts && dkb.concepts.length > 0) {
+    contentParts.push('Related Concepts (from explanations):');
+    dkb.concepts.forEach(concept => {
+      contentParts.push(`- ${concept}`);
+    });
+  }
+  
+  const content = contentParts.join('\n');
+  const context = 'ALLOWED KNOWLEDGE:\n"' + content + '"';
+  
+  if (!context || context.trim().length === 0 || content.trim().length === 0) {
+    return null;
+  }
+  
+  return context;
+}
+
+/**
+ * Build basic RAG context without DKB (fallback)
+ * Used when DKB is not available
+ * 
+ * @param {string} topic - Today's topic
+ * @param {string[]} subtasks - Today's subtasks
+ * @returns {string|null} - Basic context string
+ */
+function buildBasicRAGContext(topic, subtasks = []) {
+  const contentParts = [];
+  
+  if (!topic || typeof topic !== 'string' || !topic.trim()) {
+    return null;
+  }
+  
+  contentParts.push(`Today's Topic: ${topic.trim()}`);
+  
+  if (Array.isArray(subtasks) && subtasks.length > 0) {
+    const validSubtasks = subtasks
+      .filter(st => typeof st === 'string' && st.trim())
+      .map(st => st.trim());
+    
+    if (validSubtasks.length > 0) {
+      contentParts.push('Subtasks:');
+      validSubtasks.forEach(subtask => {
+        contentParts.push(`- ${subtask}`);
+      });
+    }
+  }
+  
+  const content = contentParts.join('\n');
+  const context = 'ALLOWED KNOWLEDGE:\n"' + content + '"';
+  
+  if (!context || context.trim().length === 0 || content.trim().length === 0) {
+    return null;
+  }
+  
+  return context;
+}
+
+/**
+ * Estimate token count (rough approximation: 1 token ≈ 0.75 words)
+ * 
+ * @param {string} text - Text to estimate
+ * @returns {number} - Estimated token count
+ */
+function estimateTokens(text) {
+  if (!text || typeof text !== 'string') return 0;
+  const words = text.split(/\s+/).length;
+  return Math.ceil(words / 0.75);
+}
+
+/**
+ * Check if question has semantic overlap with context
+ * Simple keyword-based check (no AI, deterministic)
+ * 
+ * @param {string} question - User's question
+ * @param {string} context - RAG context string
+ * @returns {boolean} - True if there's semantic overlap
+ */
+function hasContextOverlap(question, context) {
+  if (!question || !context) return false;
+  
+  const questionLower = question.toLowerCase();
+  const contextLower = context.toLowerCase();
+  
+  // Extract significant words from question (3+ characters)
+  const questionWords = questionLower.split(/\s+/).filter(w => w.length >= 3);
+  
+  // Extract significant words from context (3+ characters)
+  const contextWords = contextLower.split(/\s+/).filter(w => w.length >= 3);
+  
+  // Check for overlap: at least one question word appears in context
+  const hasOverlap = questionWords.some(qWord => 
+    contextWords.some(cWord => 
+      cWord.includes(qWord) || qWord.includes(cWord)
+    )
+  );
+  
+  return hasOverlap;
+}
+
+/**
+ * Build system prompt using strict DKB-only approach
+ * DKB context contains all allowed knowledge (topic, subtasks, extracted concepts)
+ * 
+ * @param {string|null} topic - The learning topic (optional, not used if ragContext provided)
+ * @param {string} ragContext - The DKB context string (required)
+ * @param {string|null} conversationSummary - Rolling summary of earlier turns today (optional)
+ * @returns {string} - The formatted system prompt
+ */
+function buildSystemPrompt(topic, ragContext = null, conversationSummary = null) {
+  let prompt = `You are an AI tutor restricted to the ALLOWED KNOWLEDGE provided below.
+
+STRICT RULES:
+- You may ONLY answer questions using the ALLOWED KNOWLEDGE
+- You may ONLY discuss concepts listed in the ALLOWED KNOWLEDGE
+- If a question is about something NOT in the ALLOWED KNOWLEDGE, refuse
+- Do NOT introduce new concepts beyond what is listed
+- Do NOT use external knowledge
+
+If the question is outside the allowed scope, respond ONLY with:
+"This question is outside today's learning scope."
+
+You are evaluated on REFUSING unrelated questions, not on being helpful.
+
+Provide a clear, structured explanation with short paragraphs
+and simple examples, avoiding unnecessary theory.`;
+
+  // Add DKB context (required for strict DKB pipeline)
+  if (ragContext) {
+    prompt += `\n\n${ragContext}`;
+  }
+  
+  // Conversation memory: earlier turns from TODAY only
+  // ⚠️ Memory resolves references ("that", "it") - it NEVER expands the ALLOWED KNOWLEDGE
+  prompt += `\n\nCONVERSATION MEMORY:
+- Earlier messages from today's session may be included before the question
+- Use them ONLY to understand what the learner is referring to
+- They do NOT add to the ALLOWED KNOWLEDGE`;
+  
+  if (conversationSummary) {
+    prompt += `\n\nEarlier in today's session: ${conversationSummary}`;
+  }
+  
+  return prompt;
+}
+
+/**
+ * ============================================================================
+ * CONVERSATION MEMORY (day mentor)
+ * ============================================================================
+ * 
+ * The client sends the current day's chat transcript as `history`.
+ * - Assistant turns count only with the signature the server gave the answer
+ *   (signMentorAnswer); forged or edited answers are dropped
+ * - Every user turn goes through the safety pre-filter, like the question
+ * - Recent turns are replayed verbatim within CHAT_MEMORY.HISTORY_TOKEN_BUDGET
+ * - Older turns are folded into a deterministic rolling summary (no AI call)
+ * - Follow-up questions ("show that with an example") are resolved against the
+ *   previous question for the scope gates only
+ * 
+ * ⚠️ DAY-SCOPED: history is today's transcript only; it never expands the DKB
+ * ⚠️ History is client-supplied - every gate still runs on the current question
+ * ============================================================================
+ */
+
+/**
+ * Per-process signing key, used when CHAT_HISTORY_SECRET is not set
+ * (answers signed by another server instance then drop out of memory)
+ */
+let processChatHistoryKey = null;
+
+/**
+ * Key that signs mentor answers for conversation memory
+ * @returns {Buffer}
+ */
+function getChatHistoryKey() {
+  if (process.env.CHAT_HISTORY_SECRET) {
+    return createHash('sha256').update(process.env.CHAT_HISTORY_SECRET).digest();
+  }
+  if (!processChatHistoryKey) {
+    processChatHistoryKey = randomBytes(32);
+  }
+  return processChatHistoryKey;
+}
+
+/**
+ * Sign a mentor answer the server produced, so it can come back as `history`
+ * 
+ * @param {string} answer - Answer exactly as sent to the client
+ * @param {string} stateScope - Owner + syllabus scope (see getStateScope)
+ * @returns {string} - base64url HMAC-SHA256
+ */
+function signMentorAnswer(answer, stateScope) {
+  return createHmac('sha256', getChatHistoryKey()).update(`${stateScope}\n${answer}`).digest('base64url');
+}
+
+/**
+ * Check a transcript answer's signature (see signMentorAnswer)
+ * 
+ * @param {Object} msg - Transcript message ({ role: 'assistant', content, signature })
+ * @param {string} stateScope - Owner + syllabus scope
+ * @returns {boolean}
+ */
+function isSignedMentorAnswer(msg, stateScope) {
+  if (typeof msg.signature !== 'string') {
+    return false;
+  }
+  const expected = Buffer.from(signMentorAnswer(msg.content, stateScope));
+  const actual = Buffer.from(msg.signature);
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
+
+/**
+ * Validate and sanitize a client-supplied chat transcript
+ * Assistant turns without a valid signature for this scope are dropped.
+ * 
+ * @param {any} history - Raw `history` from the request body
+ * @param {string} stateScope - Owner + syllabus scope the answers were signed for
+ * @returns {Array<{role: string, content: string}>} - Clean transcript (oldest first)
+ */
+function sanitizeChatHistory(history, stateScope) {
+  if (!Array.isArray(history)) {
+    return [];
+  }
+  
+  return history
+    .filter(msg => msg && (msg.role === 'user' || msg.role === 'assistant') && typeof msg.content === 'string')
+    .filter(msg => msg.role === 'user' || isSignedMentorAnswer(msg, stateScope))
+    .map(msg => ({
+      role: msg.role,
+      content: sanitizeInput(msg.content).substring(0, CHAT_MEMORY.MAX_MESSAGE_CHARS)
+    }))
+    .filter(msg => msg.content.length > 0)
+    .slice(-CHAT_MEMORY.MAX_HISTORY_MESSAGES);
+}
+
+/**
+ * Split a transcript into a token-budgeted window of recent turns plus a
+ * rolling summary of everything older
+ * 
+ * @param {Array<{role: string, content: string}>} history - Sanitized transcript (oldest first)
+ * @returns {{windowMessages: Array<{role: string, content: string}>, summary: string|null}}
+ */
+function buildConversationMemory(history) {
+  if (!Array.isArray(history) || history.length === 0) {
+    return { windowMessages: [], summary: null };
+  }
+  
+  // Walk backwards, keeping the most recent turns that fit the budget
+  const windowMessages = [];
+  let usedTokens = 0;
+  let firstWindowIndex = history.length;
+  for (let i = history.length - 1; i >= 0; i--) {
+    const tokens = estimateTokens(history[i].content);
+    if (usedTokens + tokens > CHAT_MEMORY.HISTORY_TOKEN_BUDGET) {
+      break;
+    }
+    usedTokens += tokens;
+    windowMessages.unshift(history[i]);
+    firstWindowIndex = i;
+  }
+  
+  // Never start the window with a dangling assistant reply
+  while (windowMessages.length > 0 && windowMessages[0].role === 'assistant') {
+    windowMessages.shift();
+    firstWindowIndex++;
+  }
+  
+  // Rolling summary: the learner's earlier questions, newest kept when over budget
+  const olderQuestions = history
+    .slice(0, firstWindowIndex)
+    .filter(msg => msg.role === 'user')
+    .map(msg => msg.content.replace(/\s+/g, ' ').substring(0, 100));
+  
+  const summaryParts = [];
+  let summaryTokens = 0;
+  for (let i = olderQuestions.length - 1; i >= 0; i--) {
+    const tokens = estimateTokens(olderQuestions[i]);
+    if (summaryTokens + tokens > CHAT_MEMORY.SUMMARY_TOKEN_BUDGET) {
+      break;
+    }
+    summaryTokens += tokens;
+    summaryParts.unshift(`"${olderQuestions[i]}"`);
+  }
+  
+  const summary = summaryParts.length > 0
+    ? `the learner asked ${summaryParts.join('; ')}.`
+    : null;
+  
+  return { windowMessages, summary };
+}
+
+/**
+ * Resolve a short follow-up question against the previous question in the transcript
+ * e.g. "can you show that with an example?" → "... (follow-up to: What is a Python list?)"
+ * 
+ * Used ONLY for the scope/overlap gates so follow-ups are judged in context.
+ * 
+ * @param {string} question - The learner's current question
+ * @param {Array<{role: string, content: string}>} history - Sanitized transcript
+ * @returns {string|null} - Contextualized question, or null if not a follow-up
+ */
+function resolveFollowUpQuestion(question, history) {
+  if (!question || !Array.isArray(history) || history.length === 0) {
+    return null;
+  }
+  
+  const words = question.trim().split(/\s+/);
+  const referencesEarlierTurn = /\b(that|this|it|those|these|them|above|again|more|another)\b/i.test(question) ||
+    /^(and|also|what about|how about|why|so)\b/i.test(question.trim());
+  
+  // Only short, referential questions count as follow-ups
+  if (words.length > 12 || !referencesEarlierTurn) {
+    return null;
+  }
+  
+  const previousQuestion = [...history].reverse().find(msg => msg.role === 'user');
+  if (!previousQuestion) {
+    return null;
+  }
+  
+  return `${question.trim()} (follow-up to: ${previousQuestion.content.substring(0, 200)})`;
+}
+
+/**
+ * Controlled Question Rephraser
+ * Rewrites vague or high-level learning questions to explicitly reference the topic/subtasks
+ * WITHOUT introducing new concepts, answering the question, or expanding scope
+ * 
+ * @param {string} question - The user's original question
+ * @param {string} topic - Today's learning topic
+ * @param {string[]} subtasks - Today's subtasks array
+ * @returns {string|null} - Rewritten question that explicitly references topic, or null if cannot align
+ */
+function rephraseQuestion(question, topic, subtasks = []) {
+  if (!question || typeof question !== 'string' || !topic || typeof topic !== 'string') {
+    return null;
+  }
+  
+  const questionLower = question.toLowerCase().trim();
+  const topicLower = topic.toLowerCase().trim();
+  
+  // Check if question already explicitly mentions the topic
+  // If it does, no rephrasing needed
+  if (questionLower.includes(topicLower)) {
+    return question; // Already aligned, return as-is
+  }
+  
+  // Extract first meaningful word from topic (for use in templates)
+  const topicWords = topicLower.split(/\s+/).filter(w => w.length >= 3);
+  const primaryTopicWord = topicWords[0] || topicLower.split(/\s+/)[0] || 'today\'s topic';
+  
+  // Template-based rephrasing patterns
+  // Pattern: vague question → explicit question about topic
+  
+  // Pattern 1: "How does this work?" / "How does it work?" / "How does that work?"
+  if (/^how\s+does\s+(this|it|that|the\s+computer|the\s+system|the\s+process)\s+work/i.test(question)) {
+    if (subtasks && Array.isArray(subtasks) && subtasks.length > 0) {
+      // Use first subtask if available
+      const firstSubtask = subtasks[0].toLowerCase().trim();
+      return `Explain how ${firstSubtask} works in the context of ${topicLower}.`;
+    }
+    return `Explain how ${topicLower} works.`;
+  }
+  
+  // Pattern 2: "What is this?" / "What is it?" / "What is that?"
+  if (/^what\s+is\s+(this|it|that)$/i.test(question)) {
+    return `What is ${topicLower}?`;
+  }
+  
+  // Pattern 3: "How do I do this?" / "How do I do it?" / "How do I use this?"
+  if (/^how\s+do\s+i\s+(do|use|apply|implement|work\s+with)\s+(this|it|that)/i.test(question)) {
+    if (subtasks && Array.isArray(subtasks) && subtasks.length > 0) {
+      const firstSubtask = subtasks[0].toLowerCase().trim();
+      return `How do I ${firstSubtask}?`;
+    }
+    return `How do I work with ${topicLower}?`;
+  }
+  
+  // Pattern 4: "Why is this important?" / "Why does this matter?"
+  if (/^why\s+(is|does)\s+(this|it|that)\s+(important|matter|relevant)/i.test(question)) {
+    return `Why is ${topicLower} important?`;
+  }
+  
+  // Pattern 5: "Can you explain this?" / "Can you explain it?" / "Can you tell me about this?"
+  if (/^can\s+you\s+(explain|tell\s+me\s+about|describe)\s+(this|it|that)/i.test(question)) {
+    return `Explain ${topicLower}.`;
+  }
+  
+  // Pattern 6: "What about this?" / "Tell me more about this"
+  if (/^(what\s+about|tell\s+me\s+more\s+about)\s+(this|it|that)/i.test(question)) {
+    return `Tell me more about ${topicLower}.`;
+  }
+  
+  // Pattern 7: "How does [generic term] work?" where generic term doesn't match topic
+  // e.g., "How does the computer work?" when topic is "CPU Architecture"
+  const genericTerms = ['computer', 'system', 'process', 'mechanism', 'component', 'device', 'machine'];
+  const hasGenericTerm = genericTerms.some(term => {
+    const regex = new RegExp(`how\\s+does\\s+(the\\s+)?${term}\\s+work`, 'i');
+    return regex.test(question);
+  });
+  
+  if (hasGenericTerm) {
+    // Rewrite to reference topic explicitly
+    if (subtasks && Array.isArray(subtasks) && subtasks.length > 0) {
+      const firstSubtask = subtasks[0].toLowerCase().trim();
+      return `Explain how ${firstSubtask} works in ${topicLower}.`;
+    }
+    return `Explain how the components in ${topicLower} work together.`;
+  }
+  
+  // Pattern 8: "What are the basics?" / "What are the fundamentals?"
+  if (/^what\s+are\s+(the\s+)?(basics|fundamentals|key\s+concepts|main\s+points)/i.test(question)) {
+    return `What are the basics of ${topicLower}?`;
+  }
+  
+  // Pattern 9: "Show me an example" / "Give me an example"
+  if (/^(show|give|provide)\s+me\s+(an\s+)?example/i.test(question)) {
+    return `Give me an example of ${topicLower}.`;
+  }
+  
+  // Pattern 10: Questions starting with "this" or "it" without context
+  // e.g., "This is confusing" → "Explain [topic] more clearly"
+  if (/^(this|it)\s+(is|seems|appears|looks)/i.test(question)) {
+    return `Explain ${topicLower} more clearly.`;
+  }
+  
+  // If no pattern matches, return null (cannot align to topic)
+  return null;
+}
+
+/**
+ * Build a topic-chat gate result that must be sent as-is (refusal or validation error)
+ * 
+ * @param {number} status - HTTP status
+ * @param {Object} payload - JSON body
+ * @returns {{status: number, payload: Object}}
+ */
+function topicChatReply(status, payload) {
+  return { status, payload };
+}
+
+/**
+ * TOPIC-CHAT SAFETY PIPELINE (shared by /api/topic-chat and /api/topic-chat/stream)
+ * 
+ * Runs every gate up to - but NOT including - the LLM call:
+ * validation → rephrase / follow-up resolution → pre-filter (question and every
+ * history user turn) → embedding scope gate
+ * → RAG context gate → context overlap gate → context-bound question rewrite
+ * → conversation memory (today's turns, token-budgeted)
+ * 
+ * ⚠️ Both chat routes MUST call this before any LLM call
+ * ⚠️ DO NOT BYPASS OR DUPLICATE THESE GATES IN A ROUTE
+ * 
+ * @param {Object} body - Raw request body
+ * @param {string} ownerId - Request owner (see getRequestOwnerId)
+ * @returns {Promise<{chat?: Object, status?: number, payload?: Object}>}
+ *   - chat: all gates passed (question, prompts, topic, scope)
+ *   - status + payload: send as-is, DO NOT call LLM
+ */
+async function prepareTopicChat(body, ownerId) {
+  // Validate and sanitize request body
+  const validation = validateAndSanitizeBody(body, ['userMessage', 'currentDayTopic']);
+  if (!validation.valid) {
+    return topicChatReply(400, { error: validation.error || 'Invalid request' });
+  }
+  
+  const { userMessage, currentDayTopic, currentDaySubtasks, currentDayNotes, syllabusId } = validation.sanitized;
+  
+  // Validation
+  if (!userMessage || typeof userMessage !== 'string' || userMessage.trim().length === 0) {
+    return topicChatReply(400, { error: 'userMessage is required and must be a non-empty string' });
+  }
+  
+  // State scope: DKB and mentor memory belong to this user's syllabus only
+  const stateScope = getStateScope(ownerId, syllabusId);
+  
+  // Today's transcript (validated separately: validateAndSanitizeBody only cleans strings)
+  // Only answers this server signed for this scope are kept
+  const chatHistory = sanitizeChatHistory(body?.history, stateScope);
+  
+  // Validate that we have at least a topic (required for RAG context)
+  if (!currentDayTopic || typeof currentDayTopic !== 'string' || currentDayTopic.trim().length === 0) {
+    return topicChatReply(400, { 
+      error: 'currentDayTopic is required and must be a non-empty string',
+      refused: true,
+      reason: "no_context",
+      message: "This question is outside today's learning scope."
+    });
+  }
+
+  // CONTROLLED QUESTION REPHRASER: Rewrite vague questions to explicitly reference topic
+  // This runs BEFORE scope validation to handle natural learner questions
+  let finalQuestion = userMessage;
+  const rephrasedQuestion = rephraseQuestion(
+    userMessage,
+    currentDayTopic,
+    Array.isArray(currentDaySubtasks) ? currentDaySubtasks : []
+  );
+  
+  if (rephrasedQuestion) {
+    // Use rephrased question for scope validation and LLM
+    finalQuestion = rephrasedQuestion;
+    if (process.env.NODE_ENV === 'development') {
+      console.log('🔄 Question rephrased:', {
+        original: userMessage.substring(0, 100),
+        rephrased: rephrasedQuestion.substring(0, 100)
+      });
+    }
+  } else {
+    // Rephraser couldn't align question to topic
+    // Continue with original question - scope validation will handle it
+    if (process.env.NODE_ENV === 'development') {
+      console.log('⚠️  Question could not be rephrased, using original:', userMessage.substring(0, 100));
+    }
+  }
+
+  // FOLLOW-UP RESOLUTION: judge short referential questions ("show that with an example")
+  // together with the learner's previous question from today's transcript
+  // Used ONLY for the scope + overlap gates - the gates still run, on a contextualized question
+  const followUpQuestion = rephrasedQuestion ? null : resolveFollowUpQuestion(userMessage, chatHistory);
+  const scopeQuestion = followUpQuestion || finalQuestion;
+  if (followUpQuestion && process.env.NODE_ENV === 'development') {
+    console.log('🔗 Follow-up resolved for scope check:', followUpQuestion.substring(0, 150));
+  }
+
+  // Get mentor's last answer for this day (if exists)
+  // Key: state scope + normalized currentDayTopic
+  const lastMentorAnswer = mentorLastAnswerStore.get(getDKBKey(currentDayTopic, stateScope)) || null;
+  const lastAnswerKeywords = lastMentorAnswer ? extractMentorAnswerKeywords(lastMentorAnswer) : [];
+
+  // SAFETY PRE-FILTER: Check for harmful/illegal/off-scope content BEFORE ANY LLM/RAG call
+  // This runs BEFORE any LLM or RAG processing
+  // Use finalQuestion (rephrased if available, original otherwise)
+  const refusal = preFilterQuestion(
+    finalQuestion, 
+    currentDayTopic || null, 
+    Array.isArray(currentDaySubtasks) ? currentDaySubtasks : []
+  );
+  
+  if (refusal) {
+    // DO NOT call LLM, DO NOT call RAG - return refusal immediately
+    // Log in dev mode only
+    if (process.env.NODE_ENV === 'development') {
+      console.warn('🚫 Question refused by pre-filter:', {
+        reason: refusal.reason,
+        message: finalQuestion.substring(0, 100)
+      });
+    }
+    const { audit, ...refusalPayload } = refusal;
+    await recordRefusal({
+      gate: 'pre_filter',
+      reason: refusal.reason,
+      ownerId,
+      topic: currentDayTopic,
+      text: finalQuestion,
+      category: refusal.category,
+      term: audit?.term
+    });
+    return topicChatReply(200, refusalPayload);
+  }
+  
+  // HISTORY PRE-FILTER: earlier user turns reach the LLM too (memory window and summary)
+  // Refused questions are never sent back as history, so a blocked turn means a forged transcript
+  for (const turn of chatHistory) {
+    if (turn.role !== 'user') {
+      continue;
+    }
+    const historyRefusal = preFilterQuestion(
+      turn.content,
+      currentDayTopic || null,
+      Array.isArray(currentDaySubtasks) ? currentDaySubtasks : []
+    );
+    if (historyRefusal) {
+      const { audit, ...refusalPayload } = historyRefusal;
+      await recordRefusal({
+        gate: 'pre_filter',
+        reason: historyRefusal.reason,
+        ownerId,
+        topic: currentDayTopic,
+        text: turn.content,
+        category: historyRefusal.category,
+        term: audit?.term
+      });
+      return topicChatReply(200, refusalPayload);
+    }
+  }
+  
+  // ⚠️ EMBEDDING-BASED SEMANTIC SCOPE GATE: Block off-topic questions completely
+  // ⚠️ DO NOT BYPASS SCOPE VALIDATION
+  // ⚠️ LLM MUST NOT BE CALLED IF OUT OF SCOPE
+  // This runs BEFORE building RAG context or calling LLM
+  // Uses semantic similarity (cosine similarity >= 0.25) instead of keyword matching
+  // Use finalQuestion (rephrased if available)
+  // 
+  // SINGLE POINT OF SCOPE DECISION - All scope validation happens here
+  const embeddingApiKey = getLLMApiKey();
+  const scopeDecision = await evaluateQuestionScope(
+    scopeQuestion,
+    currentDayTopic || '',
+    Array.isArray(currentDaySubtasks) ? currentDaySubtasks : [],
+    lastAnswerKeywords, // Kept for compatibility, not used in embedding-based check
+    embeddingApiKey, // Pass API key for embedding generation
+    stateScope
+  );
+  
+  // ⚠️ CRITICAL: If out of scope, return refusal immediately - DO NOT call LLM
+  if (!scopeDecision.inScope) {
+    if (process.env.NODE_ENV === 'development') {
+      console.warn('🚫 Question refused (out of topic scope):', {
+        topic: currentDayTopic,
+        message: finalQuestion.substring(0, 100),
+        original: userMessage.substring(0, 100)
+      });
+    }
+    await recordRefusal({
+      gate: 'scope',
+      reason: 'out_of_scope',
+      ownerId,
+      topic: currentDayTopic,
+      text: scopeQuestion,
+      similarity: scopeDecision.similarity,
+      threshold: scopeDecision.threshold,
+      embeddingModel: scopeDecision.embeddingModel
+    });
+    // Return exact refusal format as specified
+    return topicChatReply(200, {
+      refused: true,
+      reason: "out_of_scope",
+      message: "This question is outside today's learning scope."
+    });
+  }
+  
+  // BUILD RAG CONTEXT: FROZEN to TODAY'S syllabus ONLY
+  // MUST include ONLY: currentDay.topic, currentDay.subtasks
+  // DO NOT include: previous days, future days, full syllabus, user profile, chat history, notes
+  const ragContext = await buildRAGContext(
+    currentDayTopic || null,
+    Array.isArray(currentDaySubtasks) ? currentDaySubtasks : [],
+    stateScope
+  );
+  
+  // STRICT CONTEXT GATE: Check context length and minimum threshold
+  // Minimum threshold: at least 10 words (≈ 13 tokens) to be considered valid context
+  const MIN_CONTEXT_WORDS = 10;
+  const MIN_CONTEXT_TOKENS = 13;
+  
+  // STRICT CONTEXT GATE: If context is empty, refuse immediately
+  // DO NOT call LLM if context is empty
+  // No fallback context, no retries, no global memory
+  // Mentor is blind to everything except today's syllabus
+  if (!ragContext || ragContext.trim().length === 0) {
+    if (process.env.NODE_ENV === 'development') {
+      console.warn('🚫 Question refused (empty RAG context - mentor is blind to everything except today):', {
+        topic: currentDayTopic,
+        message: finalQuestion.substring(0, 100)
+      });
+    }
+    await recordRefusal({ gate: 'no_context', reason: 'no_context', ownerId, topic: currentDayTopic, text: finalQuestion });
+    return topicChatReply(200, {
+      refused: true,
+      reason: "no_context",
+      message: "This question is outside today's learning scope."
+    });
+  }
+  
+  // Check context length (word count)
+  const contextWords = ragContext.trim().split(/\s+/).filter(w => w.length > 0);
+  const contextWordCount = contextWords.length;
+  
+  // Check context token count
+  const contextTokens = estimateTokens(ragContext);
+  
+  // If context is below minimum threshold, refuse immediately
+  if (contextWordCount < MIN_CONTEXT_WORDS || contextTokens < MIN_CONTEXT_TOKENS) {
+    if (process.env.NODE_ENV === 'development') {
+      console.warn('🚫 Question refused (insufficient RAG context):', {
+        wordCount: contextWordCount,
+        tokenCount: contextTokens,
+        minimumWords: MIN_CONTEXT_WORDS,
+        minimumTokens: MIN_CONTEXT_TOKENS,
+        message: userMessage.substring(0, 100)
+      });
+    }
+    await recordRefusal({ gate: 'no_context', reason: 'no_context', ownerId, topic: currentDayTopic, text: finalQuestion });
+    return topicChatReply(200, {
+      refused: true,
+      reason: "no_context",
+      message: "This question is outside today's learning scope."
+    });
+  }
+  
+  // ⚠️ FINAL SAFETY GATE: Check if question has semantic overlap with context
+  // ⚠️ DO NOT BYPASS THIS CHECK
+  // ⚠️ LLM MUST NOT BE CALLED IF NO OVERLAP
+  // If no overlap, refuse (question is not related to current day)
+  // DO NOT call LLM if no overlap
+  if (!hasContextOverlap(followUpQuestion || userMessage, ragContext)) {
+    if (process.env.NODE_ENV === 'development') {
+      console.warn('🚫 Question refused (no context overlap):', {
+        message: userMessage.substring(0, 100),
+        contextPreview: ragContext.substring(0, 100)
+      });
+    }
+    await recordRefusal({
+      gate: 'context_overlap',
+      reason: 'out_of_scope',
+      ownerId,
+      topic: currentDayTopic,
+      text: followUpQuestion || userMessage
+    });
+    return topicChatReply(200, {
+      refused: true,
+      reason: 'out_of_scope',
+      message: "I can only help with questions related to today's learning topic."
+    });
+  }
+  
+  // CONTEXT-BOUND QUESTION REWRITING
+  // After all scope + RAG checks pass, rewrite user question to enforce context-bound answering
+  // NEVER send raw user input alone - always wrap with context-bound instruction
+  // Use finalQuestion (rephrased if available, original otherwise)
+  // Format: "Using ONLY the context above, answer the following question: {userQuestion}"
+  const rewrittenQuestion = `Using ONLY the context above, answer the following question: ${finalQuestion}`;
+  
+  // CONVERSATION MEMORY: token-budgeted window of recent turns + rolling summary (today only)
+  const { windowMessages, summary: conversationSummary } = buildConversationMemory(chatHistory);
+  
+  // Build system prompt with RAG context ONLY (no aiExpertPrompt, no topic extraction)
+  // The RAG context contains all necessary information; memory only resolves references
+  const systemPrompt = buildSystemPrompt(null, ragContext, conversationSummary);
+  
+  // Verify context token limit (300-500 tokens max)
+  if (contextTokens > 500) {
+    if (process.env.NODE_ENV === 'development') {
+      console.warn('⚠️  RAG context exceeds 500 tokens:', {
+        tokens: contextTokens
+      });
+    }
+    // Context is already truncated in buildRAGContext, but log if still too large
+  }
+
+  return {
+    chat: {
+      userMessage,
+      finalQuestion,
+      rewrittenQuestion,
+      systemPrompt,
+      currentDayTopic,
+      currentDaySubtasks: Array.isArray(currentDaySubtasks) ? currentDaySubtasks : [],
+      currentDayNotes,
+      stateScope,
+      historyMessages: windowMessages
+    }
+  };
+}
+
+export {
+  DKB_SCOPE_THRESHOLD,
+  preFilterQuestion,
+  getDKBKey,
+  loadDKB,
+  listDKBKeys,
+  getOrCreateDKB,
+  resetDKBForDayBoundary,
+  rememberMentorAnswer,
+  extractConceptsFromAnswer,
+  extractConceptsSimple,
+  addConceptsToDKB,
+  evaluateQuestionScope,
+  buildRAGContext,
+  estimateTokens,
+  hasContextOverlap,
+  signMentorAnswer,
+  sanitizeChatHistory,
+  buildConversationMemory,
+  resolveFollowUpQuestion,
+  rephraseQuestion,
+  prepareTopicChat
+};
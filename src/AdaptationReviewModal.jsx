@@ -0,0 +1,166 @@
+import { useState } from 'react'
+import './AdaptationReviewModal.css'
+import { RECOMMENDED_ACTION_LABELS } from './lib/dayEvaluation.js'
+
+/**
+ * Labels for the change types returned by /api/adapt-syllabus
+ */
+const CHANGE_TYPE_LABELS = {
+  insert: 'New review day',
+  split: 'Split into smaller days',
+  merge: 'Merged days',
+}
+
+/**
+ * Day column of the side-by-side preview
+ */
+function ProposalDays({ days, emptyLabel }) {
+  if (!days || days.length === 0) {
+    return <p className="proposal-empty">{emptyLabel}</p>
+  }
+
+  return days.map((proposalDay, idx) => (
+    <div key={idx} className="proposal-day">
+      <p className="proposal-day-topic">{proposalDay.topic}</p>
+      <ul className="proposal-day-subtasks">
+        {(proposalDay.subtasks || []).map((subtask, subtaskIdx) => (
+          <li key={subtaskIdx}>{subtask}</li>
+        ))}
+      </ul>
+    </div>
+  ))
+}
+
+/**
+ * Adaptation Review Modal Component
+ *
+ * Shows the plan changes proposed after an evaluation side by side
+ * (current vs proposed topics and subtasks). The learner accepts all,
+ * rejects all, or accepts per change before anything is saved.
+ * onRegenerateRest (optional) offers an AI rewrite of the remaining days
+ * instead of the proposed changes.
+ *
+ * Blocking like EndDayModal: the completed day is only saved once the
+ * learner decides.
+ */
+function AdaptationReviewModal({ proposal, onDecide, onRegenerateRest = null, deciding = false }) {
+  const [acceptedIds, setAcceptedIds] = useState(() => proposal.changes.map(change => change.id))
+  const [error, setError] = useState(null)
+
+  const toggleChange = (changeId) => {
+    setAcceptedIds(prev => prev.includes(changeId)
+      ? prev.filter(id => id !== changeId)
+      : [...prev, changeId])
+  }
+
+  const decide = async (ids) => {
+    setError(null)
+    try {
+      await onDecide(ids)
+    } catch (err) {
+      setError(err.message || 'Failed to update your plan')
+    }
+  }
+
+  const regenerateRest = async () => {
+    setError(null)
+    try {
+      await onRegenerateRest()
+    } catch (err) {
+      setError(err.message || 'Failed to rewrite your plan')
+    }
+  }
+
+  const actionLabel = RECOMMENDED_ACTION_LABELS[proposal.diff?.action]
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal-content adaptation-review-modal">
+        <div className="modal-content-header">
+          <h2>Review Plan Changes</h2>
+          <p className="modal-subtitle">
+            {actionLabel ? `Recommended from your reflection: ${actionLabel}.` : 'Your plan can be adjusted based on your reflection.'}
+            {' '}Nothing changes until you accept.
+          </p>
+        </div>
+        <div className="modal-content-body">
+          {proposal.changes.map(change => (
+            <div key={change.id} className="proposal-change">
+              <label className="proposal-change-header">
+                <input
+                  type="checkbox"
+                  checked={acceptedIds.includes(change.id)}
+                  onChange={() => toggleChange(change.id)}
+                  disabled={deciding}
+                />
+                <span>
+                  {change.before[0] ? `Day ${change.before[0].dayNumber}` : 'After today'} · {CHANGE_TYPE_LABELS[change.type] || change.type}
+                </span>
+              </label>
+              <div className="proposal-columns">
+                <div className="proposal-column">
+                  <p className="proposal-column-label">Current</p>
+                  <ProposalDays days={change.before} emptyLabel="No day here yet" />
+                </div>
+                <div className="proposal-column proposed">
+                  <p className="proposal-column-label">Proposed</p>
+                  <ProposalDays days={change.after} emptyLabel="Removed" />
+                </div>
+              </div>
+            </div>
+          ))}
+
+          {onRegenerateRest && (
+            <div className="proposal-regenerate">
+              <p>
+                Or let AI rewrite the remaining days around what you covered and the gaps it found.
+                Locked days stay as they are.
+              </p>
+              <button
+                type="button"
+                onClick={regenerateRest}
+                className="leave-button"
+                disabled={deciding}
+              >
+                Rewrite Remaining Days
+              </button>
+            </div>
+          )}
+
+          {error && <div className="modal-error">{error}</div>}
+
+          <div className="modal-actions">
+            <button
+              type="button"
+              onClick={() => decide([])}
+              className="skip-button"
+              disabled={deciding}
+            >
+              Keep Current Plan
+            </button>
+            {proposal.changes.length > 1 && (
+              <button
+                type="button"
+                onClick={() => decide(acceptedIds)}
+                className="leave-button"
+                disabled={deciding}
+              >
+                Accept Selected
+              </button>
+            )}
+            <button
+              type="button"
+              onClick={() => decide(proposal.changes.map(change => change.id))}
+              className="submit-button"
+              disabled={deciding}
+            >
+              {deciding ? 'Saving...' : 'Accept All'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default AdaptationReviewModal
@@ -5,10 +5,15 @@ import CalendarView from './CalendarView.jsx'
 import LandingPage from './LandingPage.jsx'
 import ProfilePage from './ProfilePage.jsx'
 import LeaveModal from './LeaveModal.jsx'
+import SyllabusEditor from './SyllabusEditor.jsx'
+import RegenerateDayModal from './RegenerateDayModal.jsx'
 import { useAuth } from './contexts/AuthContext.jsx'
 import { useTheme } from './contexts/ThemeContext.jsx'
 import { calculateXP, calculateStreak, calculateLevel, calculateMilestones, getXPForNextLevel, getXPProgress } from './gamificationUtils.js'
-import { saveSyllabus, loadSyllabus, loadUserProfile } from './lib/syllabusStorage.js'
+import { saveSyllabus, loadSyllabus, loadUserProfile, toCalendarProfile } from './lib/syllabusStorage.js'
+import { apiFetch, postJson, readEventStream } from './lib/apiClient.js'
+import { generateCalendarEntries, normalizeCalendarProfile } from './calendarUtils.js'
+import { addDays } from './dateUtils.js'
 import { generateAvatarProps, getAvatarStyle } from './utils/avatarUtils.js'
 
 /**
@@ -29,11 +34,14 @@ function App() {
   const [selectedDay, setSelectedDay] = useState(null)
   const [currentView, setCurrentView] = useState('dashboard') // 'dashboard', 'learning', 'calendar', or 'profile'
   const [loading, setLoading] = useState(false)
+  const [generationProgress, setGenerationProgress] = useState(null) // { stage, completedDays, totalDays } while generating
   const [error, setError] = useState(null)
   const [loadingSyllabus, setLoadingSyllabus] = useState(true) // Start as true - will be set to false after hydration
   const [notification, setNotification] = useState(null)
   const prevGamificationRef = useRef({ xp: 0, streak: 0, level: 1 })
   const syllabusHydratedRef = useRef(false) // Track if we've attempted hydration
+  const calendarSyncRef = useRef(null) // Calendar entries last pushed to CalDAV (see syncCalendar)
+  const [calendarProfile, setCalendarProfile] = useState(() => normalizeCalendarProfile()) // Study times + timezone from the profile
   const [showProfileDropdown, setShowProfileDropdown] = useState(false)
   const [userName, setUserName] = useState(null)
   const profileDropdownRef = useRef(null)
@@ -41,6 +49,8 @@ function App() {
   const bottomSheetRef = useRef(null)
   const [showLeaveModal, setShowLeaveModal] = useState(false)
   const [leaveDay, setLeaveDay] = useState(null)
+  const [showSyllabusEditor, setShowSyllabusEditor] = useState(false)
+  const [regeneratingDay, setRegeneratingDay] = useState(null) // day shown in RegenerateDayModal
 
   // STATE RESTORATION: Load syllabus from Supabase on mount or when user changes
   // Runs after auth is ready (authLoading is false) and user is authenticated
@@ -75,7 +85,7 @@ function App() {
     }
   }, [syllabus]) // Update when syllabus changes
 
-  // Load user profile name
+  // Load user profile name and calendar profile (study times, timezone)
   useEffect(() => {
     if (user) {
       loadUserProfile(user.id)
@@ -85,6 +95,9 @@ function App() {
           } else {
             setUserName(user.email?.split('@')[0] || 'User')
           }
+          if (profile) {
+            applyCalendarProfile(toCalendarProfile(profile))
+          }
         })
         .catch(() => {
           setUserName(user.email?.split('@')[0] || 'User')
@@ -463,11 +476,9 @@ function App() {
 
       // Shift all future days forward by 1 day
       for (let i = dayIndex + 1; i < updatedDays.length; i++) {
-        const currentDate = new Date(updatedDays[i].date)
-        currentDate.setDate(currentDate.getDate() + 1)
         updatedDays[i] = {
           ...updatedDays[i],
-          date: currentDate.toISOString().split('T')[0]
+          date: addDays(updatedDays[i].date, 1)
         }
       }
 
@@ -480,7 +491,7 @@ function App() {
         days: updatedDays
       }
 
-      await fetch('/api/update-syllabus', {
+      await apiFetch('/api/update-syllabus', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ updatedSyllabus })
@@ -536,11 +547,9 @@ function App() {
 
       // Shift all future days forward by N days
       for (let i = dayIndex + 1; i < updatedDays.length; i++) {
-        const currentDate = new Date(updatedDays[i].date)
-        currentDate.setDate(currentDate.getDate() + leaveDays)
         updatedDays[i] = {
           ...updatedDays[i],
-          date: currentDate.toISOString().split('T')[0]
+          date: addDays(updatedDays[i].date, leaveDays)
         }
       }
 
@@ -553,7 +562,7 @@ function App() {
         days: updatedDays
       }
 
-      await fetch('/api/update-syllabus', {
+      await apiFetch('/api/update-syllabus', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ updatedSyllabus })
@@ -581,6 +590,52 @@ function App() {
     }
   }
 
+  /**
+   * Push the plan to the user's CalDAV calendar (Profile → Calendar Sync)
+   * Only runs when the calendar entries changed (XP or chat updates don't
+   * touch the calendar); the server ignores it when no calendar is connected
+   */
+  const syncCalendar = (syllabusToSync, profile = calendarProfile) => {
+    const calendarKey = JSON.stringify([syllabusToSync.id || null, generateCalendarEntries(syllabusToSync, profile)])
+    if (calendarKey === calendarSyncRef.current) return
+    calendarSyncRef.current = calendarKey
+
+    postJson('/api/sync-caldav', { syllabus: syllabusToSync }, 'Calendar sync failed')
+      .then(data => {
+        if (data.synced && data.result.failed > 0) {
+          console.warn('⚠️  Calendar sync: some events failed:', data.result.error)
+        }
+      })
+      .catch(err => {
+        console.warn('⚠️  Calendar sync failed:', err.message)
+        calendarSyncRef.current = null // Retry on the next update
+      })
+  }
+
+  /**
+   * Use a calendar profile in the calendar view and export, and store it on
+   * the server for calendar feeds and CalDAV sync
+   * Returns once the server has it (failures are logged, not thrown)
+   */
+  const applyCalendarProfile = async (profile) => {
+    setCalendarProfile(profile)
+    try {
+      await postJson('/api/update-calendar-profile', { profile }, 'Failed to update calendar profile')
+    } catch (err) {
+      console.warn('⚠️  Calendar profile not stored on the server:', err.message)
+    }
+  }
+
+  /**
+   * Profile edited (study time, weekday times, timezone): move the calendar
+   */
+  const handleCalendarProfileChange = async (profile) => {
+    await applyCalendarProfile(profile)
+    if (syllabus) {
+      syncCalendar(syllabus, profile)
+    }
+  }
+
   /**
    * Handle syllabus update from DailyLearningPage
    * Updates local state when day is completed/skipped/leave
@@ -628,7 +683,10 @@ function App() {
     prevGamificationRef.current = { xp: newXP, streak: newStreak, level: newLevel }
     
     // Save to Supabase
-    await saveSyllabusToSupabase(updatedSyllabus)
+    const savedSyllabusId = await saveSyllabusToSupabase(updatedSyllabus)
+
+    // Push to the connected CalDAV calendar (if any) when the calendar changed
+    syncCalendar(savedSyllabusId ? { ...updatedSyllabus, id: savedSyllabusId } : updatedSyllabus)
     
     // If next active day is provided, automatically navigate to it
     if (nextActiveDay) {
@@ -649,6 +707,32 @@ function App() {
     }
   }
 
+  /**
+   * Lock/unlock a day
+   * Locked days are kept as-is (content and date) by every AI regeneration
+   */
+  const handleToggleDayLock = async (dayNumber) => {
+    if (!syllabus || !syllabus.days) return
+
+    try {
+      const updatedSyllabus = {
+        ...syllabus,
+        days: syllabus.days.map(d => d.dayNumber === dayNumber ? { ...d, locked: !d.locked } : d)
+      }
+
+      await apiFetch('/api/update-syllabus', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ updatedSyllabus })
+      })
+
+      await handleSyllabusUpdate(updatedSyllabus)
+    } catch (err) {
+      console.error('Error toggling day lock:', err)
+      setError('Unable to update this day right now. Please try again.')
+    }
+  }
+
   /**
    * Handle day selection
    * Only allows access to active days
@@ -687,9 +771,24 @@ function App() {
     }
   }
 
+  /**
+   * Label for the create button while a plan is generated
+   * Long plans are generated in chunks, so show how far along we are
+   */
+  const getGenerationLabel = () => {
+    if (generationProgress?.stage === 'outline') {
+      return 'Outlining your plan...'
+    }
+    if (generationProgress?.stage === 'days' && generationProgress.totalDays > 0) {
+      return `Creating your plan... ${generationProgress.completedDays}/${generationProgress.totalDays} days`
+    }
+    return 'Creating your plan...'
+  }
+
   /**
    * Handle form submission
-   * Calls /api/generate-syllabus endpoint
+   * Calls /api/generate-syllabus/stream (progress events, then the syllabus)
+   * Validation errors and unsafe domains come back as plain JSON
    */
   const handleSubmit = async (e) => {
     e.preventDefault()
@@ -712,9 +811,10 @@ function App() {
     }
     
     setLoading(true)
+    setGenerationProgress(null)
 
     try {
-      const response = await fetch('/api/generate-syllabus', {
+      const response = await apiFetch('/api/generate-syllabus/stream', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -723,10 +823,14 @@ function App() {
           goal: goal.trim(),
           hoursPerDay,
           totalDays,
+          // Day 1 is today on the learner's clock
+          timeZone: calendarProfile.timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone,
         }),
       })
 
-      if (!response.ok) {
+      const contentType = response.headers.get('Content-Type') || ''
+
+      if (!response.ok || !contentType.includes('text/event-stream')) {
         const errorData = await response.json()
         // Handle unsafe domain error with proper message
         if (errorData.error === 'unsafe_domain') {
@@ -735,7 +839,22 @@ function App() {
         throw new Error(errorData.message || errorData.error || 'Unable to create your learning plan. Please try again.')
       }
 
-      const data = await response.json()
+      let data = null
+      let streamError = null
+      await readEventStream(response, (event, payload) => {
+        if (event === 'progress') {
+          setGenerationProgress(payload)
+        } else if (event === 'done') {
+          data = payload?.syllabus || null
+        } else if (event === 'error') {
+          streamError = payload?.message || payload?.error || null
+        }
+      })
+
+      if (!data) {
+        throw new Error(streamError || 'Unable to create your learning plan. Please try again.')
+      }
+
       setSyllabus(data)
       
       // PERSISTENCE: Save to Supabase (with fallback safety)
@@ -745,6 +864,7 @@ function App() {
       console.error('Error:', err)
     } finally {
       setLoading(false)
+      setGenerationProgress(null)
     }
   }
 
@@ -1114,6 +1234,7 @@ function App() {
             day={selectedDay}
             syllabus={syllabus}
             onSyllabusUpdate={handleSyllabusUpdate}
+            onToggleLock={handleToggleDayLock}
             onBack={() => setSelectedDay(null)}
           />
         ) : currentView === 'learning' ? (
@@ -1181,7 +1302,7 @@ function App() {
               </div>
 
               <button type="submit" disabled={loading} className="submit-button">
-                  {loading ? 'Creating your plan...' : 'Create Learning Plan'}
+                  {loading ? getGenerationLabel() : 'Create Learning Plan'}
               </button>
 
                 {error && (
@@ -1281,6 +1402,14 @@ function App() {
                   <p className="page-meta">
                     {syllabus.goal} • {syllabus.totalDays} days total
                   </p>
+                  <div className="syllabus-header-actions">
+                    <button
+                      onClick={() => setShowSyllabusEditor(true)}
+                      className="reset-button"
+                    >
+                      Edit Plan
+                    </button>
+                  </div>
                 </div>
                 <div className="card-body">
                   <div className="syllabus-list">
@@ -1297,9 +1426,37 @@ function App() {
                       >
                         <div className="day-item-header">
                           <div className="day-item-number">Day {day.dayNumber}</div>
-                          <span className={`day-status-badge ${getStatusBadge(day.status).class}`}>
-                            {getStatusBadge(day.status).text}
-                          </span>
+                          <div className="day-item-badges">
+                            {(day.status === 'active' || day.status === 'pending') && (
+                              <button
+                                type="button"
+                                className={`day-lock-button ${day.locked ? 'locked' : ''}`}
+                                onClick={(e) => {
+                                  e.stopPropagation()
+                                  handleToggleDayLock(day.dayNumber)
+                                }}
+                                title={day.locked ? 'Unlock: allow AI adjustments to this day' : 'Lock: keep this day when the plan is adjusted'}
+                              >
+                                {day.locked ? '🔒 Locked' : '🔓 Lock'}
+                              </button>
+                            )}
+                            {(day.status === 'active' || day.status === 'pending') && !day.locked && (
+                              <button
+                                type="button"
+                                className="day-regenerate-button"
+                                onClick={(e) => {
+                                  e.stopPropagation()
+                                  setRegeneratingDay(day)
+                                }}
+                                title="Regenerate this day with AI"
+                              >
+                                ↻ Regenerate
+                              </button>
+                            )}
+                            <span className={`day-status-badge ${getStatusBadge(day.status).class}`}>
+                              {getStatusBadge(day.status).text}
+                            </span>
+                          </div>
                         </div>
                         <div className="day-item-topic">{day.topic}</div>
                         <div className="day-item-date">{day.date}</div>
@@ -1323,12 +1480,14 @@ function App() {
           // Calendar View (requires syllabus, but handles null gracefully)
           <CalendarView
             syllabus={syllabus}
+            calendarProfile={calendarProfile}
             onBack={() => setCurrentView('dashboard')}
           />
         ) : currentView === 'profile' ? (
           // Profile View
           <ProfilePage 
             syllabus={syllabus}
+            onCalendarProfileChange={handleCalendarProfileChange}
             onBack={() => setCurrentView('dashboard')}
           />
         ) : !syllabus ? (
@@ -1407,7 +1566,7 @@ function App() {
               </div>
 
               <button type="submit" disabled={loading} className="submit-button">
-                {loading ? 'Creating your plan...' : 'Create Learning Plan'}
+                {loading ? getGenerationLabel() : 'Create Learning Plan'}
               </button>
 
               {error && (
@@ -1601,6 +1760,25 @@ function App() {
           onConfirm={handleLeaveConfirm}
         />
       )}
+
+      {/* Syllabus Editor */}
+      {showSyllabusEditor && syllabus && (
+        <SyllabusEditor
+          syllabus={syllabus}
+          onClose={() => setShowSyllabusEditor(false)}
+          onSyllabusUpdate={handleSyllabusUpdate}
+        />
+      )}
+
+      {/* Regenerate Day Modal */}
+      {regeneratingDay && syllabus && (
+        <RegenerateDayModal
+          syllabus={syllabus}
+          day={regeneratingDay}
+          onClose={() => setRegeneratingDay(null)}
+          onSyllabusUpdate={handleSyllabusUpdate}
+        />
+      )}
     </div>
   )
 }
@@ -0,0 +1,229 @@
+import { useState, useEffect } from 'react'
+import './CalendarFeedSettings.css'
+import './CalDAVSettings.css'
+import { postJson } from './lib/apiClient.js'
+
+/**
+ * One-line summary of the last sync
+ */
+function describeLastSync(lastSync) {
+  if (!lastSync) return 'Not synced yet.'
+  const when = new Date(lastSync.at).toLocaleString()
+  const counts = `${lastSync.created} added · ${lastSync.updated} updated · ${lastSync.deleted} removed`
+  return lastSync.failed > 0
+    ? `Last sync ${when}: ${counts} · ${lastSync.failed} failed`
+    : `Last sync ${when}: ${counts}`
+}
+
+/**
+ * CalDAV Settings Component
+ *
+ * Connects a CalDAV calendar (Nextcloud, Fastmail, iCloud, Radicale...) for
+ * the profile. Once connected, the server writes one event per day straight
+ * into that calendar and keeps it in step with the plan - no feed to
+ * subscribe to. Only events LAIPath created are ever changed or removed.
+ *
+ * The password is sent once, stored encrypted on the server and never shown
+ * again; an app-specific password is recommended.
+ */
+function CalDAVSettings({ syllabus }) {
+  const [enabled, setEnabled] = useState(true)
+  const [account, setAccount] = useState(null)
+  const [calendarUrl, setCalendarUrl] = useState('')
+  const [username, setUsername] = useState('')
+  const [password, setPassword] = useState('')
+  const [loading, setLoading] = useState(true)
+  const [working, setWorking] = useState(false)
+  const [confirmDisconnect, setConfirmDisconnect] = useState(false)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+    postJson('/api/get-caldav-account', {}, 'Failed to load calendar sync settings')
+      .then(data => {
+        if (cancelled) return
+        setEnabled(data.enabled)
+        setAccount(data.account)
+      })
+      .catch(err => {
+        console.error('Error loading CalDAV settings:', err)
+        if (!cancelled) setError(err.message)
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false)
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [])
+
+  const handleConnect = async (e) => {
+    e.preventDefault()
+    setWorking(true)
+    setError(null)
+    try {
+      const data = await postJson('/api/save-caldav-account', {
+        calendarUrl: calendarUrl.trim(),
+        username: username.trim(),
+        password,
+        timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+        syllabus
+      }, 'Failed to connect the calendar')
+      setAccount(data.account)
+      setPassword('')
+    } catch (err) {
+      console.error('Error connecting CalDAV calendar:', err)
+      setError(err.message)
+    } finally {
+      setWorking(false)
+    }
+  }
+
+  const handleSyncNow = async () => {
+    setWorking(true)
+    setError(null)
+    try {
+      const data = await postJson('/api/sync-caldav', { syllabus }, 'Failed to sync the calendar')
+      if (data.synced) {
+        setAccount(prev => ({ ...prev, lastSync: data.result }))
+      }
+    } catch (err) {
+      console.error('Error syncing CalDAV calendar:', err)
+      setError(err.message)
+    } finally {
+      setWorking(false)
+    }
+  }
+
+  const handleDisconnect = async () => {
+    setWorking(true)
+    setError(null)
+    try {
+      await postJson('/api/delete-caldav-account', {}, 'Failed to disconnect the calendar')
+      setAccount(null)
+      setConfirmDisconnect(false)
+    } catch (err) {
+      console.error('Error disconnecting CalDAV calendar:', err)
+      setError(err.message)
+    } finally {
+      setWorking(false)
+    }
+  }
+
+  if (loading) {
+    return <p className="calendar-feeds-empty">Loading calendar sync...</p>
+  }
+
+  if (!enabled) {
+    return <p className="calendar-feeds-empty">Calendar sync is not available on this server.</p>
+  }
+
+  return (
+    <div className="caldav-settings">
+      <p className="calendar-feeds-description">
+        Write your plan straight into a CalDAV calendar (Nextcloud, Fastmail, iCloud, Radicale).
+        Days are added, moved and removed as your plan changes. Other events in that calendar
+        are never touched.
+      </p>
+
+      {account ? (
+        <div className="calendar-feed-item">
+          <div className="caldav-account-url">{account.calendarUrl}</div>
+          <div className="calendar-feed-meta">
+            <span>
+              {account.username}
+              {account.timeZone ? ` · ${account.timeZone}` : ''}
+            </span>
+            <div className="calendar-feed-actions">
+              <button
+                type="button"
+                className="calendar-feed-button"
+                onClick={handleSyncNow}
+                disabled={working || !syllabus}
+              >
+                {working ? 'Syncing...' : 'Sync Now'}
+              </button>
+              {confirmDisconnect ? (
+                <>
+                  <button
+                    type="button"
+                    className="calendar-feed-button danger"
+                    onClick={handleDisconnect}
+                    disabled={working}
+                  >
+                    Confirm Disconnect
+                  </button>
+                  <button
+                    type="button"
+                    className="calendar-feed-button"
+                    onClick={() => setConfirmDisconnect(false)}
+                    disabled={working}
+                  >
+                    Cancel
+                  </button>
+                </>
+              ) : (
+                <button
+                  type="button"
+                  className="calendar-feed-button"
+                  onClick={() => setConfirmDisconnect(true)}
+                  disabled={working}
+                >
+                  Disconnect
+                </button>
+              )}
+            </div>
+          </div>
+          <p className="caldav-last-sync">{describeLastSync(account.lastSync)}</p>
+          {account.lastSync?.error && (
+            <p className="calendar-feeds-error">{account.lastSync.error}</p>
+          )}
+        </div>
+      ) : (
+        <form className="caldav-form" onSubmit={handleConnect}>
+          <label className="caldav-label">
+            Calendar URL
+            <input
+              type="url"
+              className="caldav-input"
+              value={calendarUrl}
+              onChange={(e) => setCalendarUrl(e.target.value)}
+              placeholder="https://cloud.example.com/remote.php/dav/calendars/me/laipath/"
+              required
+            />
+          </label>
+          <label className="caldav-label">
+            Username
+            <input
+              type="text"
+              className="caldav-input"
+              value={username}
+              onChange={(e) => setUsername(e.target.value)}
+              autoComplete="username"
+              required
+            />
+          </label>
+          <label className="caldav-label">
+            Password
+            <input
+              type="password"
+              className="caldav-input"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              autoComplete="new-password"
+              placeholder="App password recommended"
+              required
+            />
+          </label>
+          <button type="submit" className="calendar-feed-create" disabled={working}>
+            {working ? 'Connecting...' : 'Connect Calendar'}
+          </button>
+        </form>
+      )}
+
+      {error && <p className="calendar-feeds-error caldav-error">{error}</p>}
+    </div>
+  )
+}
+
+export default CalDAVSettings
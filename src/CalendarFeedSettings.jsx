@@ -0,0 +1,192 @@
+import { useState, useEffect } from 'react'
+import './CalendarFeedSettings.css'
+import { postJson } from './lib/apiClient.js'
+
+/**
+ * Subscription URL of a feed (calendar apps poll it)
+ */
+function getFeedUrl(token) {
+  return `${window.location.origin}/api/calendar/${token}.ics`
+}
+
+/**
+ * Calendar Feed Settings Component
+ *
+ * Subscribable calendar feeds for the profile: create a feed URL to add to
+ * Google Calendar, Outlook or Apple Calendar ("subscribe by URL"), copy it,
+ * and revoke it. The feed always shows the current plan - skipped days,
+ * leave and regenerated days update in the subscribed calendar.
+ *
+ * Anyone with a feed URL can read the plan, so each one can be revoked.
+ * Servers without durable storage can't keep feed URLs working, so creating
+ * one is not offered there.
+ */
+function CalendarFeedSettings({ syllabus }) {
+  const [feeds, setFeeds] = useState([])
+  const [enabled, setEnabled] = useState(true)
+  const [loading, setLoading] = useState(true)
+  const [working, setWorking] = useState(false)
+  const [confirmRevoke, setConfirmRevoke] = useState(null) // token to confirm
+  const [copiedToken, setCopiedToken] = useState(null)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+    postJson('/api/list-calendar-feeds', {}, 'Failed to load calendar feeds')
+      .then(data => {
+        if (cancelled) return
+        setFeeds(data.feeds || [])
+        setEnabled(data.enabled !== false)
+      })
+      .catch(err => {
+        console.error('Error loading calendar feeds:', err)
+        if (!cancelled) setError(err.message)
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false)
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [])
+
+  const handleCreate = async () => {
+    setWorking(true)
+    setError(null)
+    try {
+      const data = await postJson('/api/create-calendar-feed', {
+        timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+        syllabus
+      }, 'Failed to create a calendar feed')
+      setFeeds(prev => [...prev, data.feed])
+    } catch (err) {
+      console.error('Error creating calendar feed:', err)
+      setError(err.message)
+    } finally {
+      setWorking(false)
+    }
+  }
+
+  const handleRevoke = async (token) => {
+    setWorking(true)
+    setError(null)
+    try {
+      await postJson('/api/revoke-calendar-feed', { token }, 'Failed to revoke the calendar feed')
+      setFeeds(prev => prev.filter(feed => feed.token !== token))
+      setConfirmRevoke(null)
+    } catch (err) {
+      console.error('Error revoking calendar feed:', err)
+      setError(err.message)
+    } finally {
+      setWorking(false)
+    }
+  }
+
+  const handleCopy = (token) => {
+    navigator.clipboard.writeText(getFeedUrl(token)).then(() => {
+      setCopiedToken(token)
+      setTimeout(() => setCopiedToken(null), 3000)
+    }).catch(err => {
+      console.error('Failed to copy:', err)
+      setError('Unable to copy. Please select the URL and copy it manually.')
+    })
+  }
+
+  return (
+    <div className="calendar-feeds">
+      <p className="calendar-feeds-description">
+        Subscribe to your plan from Google Calendar, Outlook or Apple Calendar. The calendar
+        follows your plan as days are skipped, moved or regenerated. Anyone with the URL can
+        see your plan - revoke it if it was shared by mistake.
+      </p>
+
+      {loading ? (
+        <p className="calendar-feeds-empty">Loading calendar feeds...</p>
+      ) : feeds.length === 0 ? (
+        <p className="calendar-feeds-empty">
+          {enabled ? 'No calendar feeds yet.' : 'Calendar feeds are not available on this server.'}
+        </p>
+      ) : (
+        <ul className="calendar-feed-list">
+          {feeds.map(feed => (
+            <li key={feed.token} className="calendar-feed-item">
+              <input
+                type="text"
+                readOnly
+                value={getFeedUrl(feed.token)}
+                className="calendar-feed-url"
+                onFocus={(e) => e.target.select()}
+                aria-label="Calendar feed URL"
+              />
+              <div className="calendar-feed-meta">
+                <span>
+                  Created {new Date(feed.createdAt).toLocaleDateString()}
+                  {feed.timeZone ? ` · ${feed.timeZone}` : ''}
+                </span>
+                <div className="calendar-feed-actions">
+                  <a
+                    href={getFeedUrl(feed.token).replace(/^https?:/, 'webcal:')}
+                    className="calendar-feed-link"
+                  >
+                    Subscribe
+                  </a>
+                  <button
+                    type="button"
+                    className="calendar-feed-button"
+                    onClick={() => handleCopy(feed.token)}
+                  >
+                    {copiedToken === feed.token ? '✓ Copied' : 'Copy URL'}
+                  </button>
+                  {confirmRevoke === feed.token ? (
+                    <>
+                      <button
+                        type="button"
+                        className="calendar-feed-button danger"
+                        onClick={() => handleRevoke(feed.token)}
+                        disabled={working}
+                      >
+                        Confirm Revoke
+                      </button>
+                      <button
+                        type="button"
+                        className="calendar-feed-button"
+                        onClick={() => setConfirmRevoke(null)}
+                        disabled={working}
+                      >
+                        Cancel
+                      </button>
+                    </>
+                  ) : (
+                    <button
+                      type="button"
+                      className="calendar-feed-button"
+                      onClick={() => setConfirmRevoke(feed.token)}
+                      disabled={working}
+                    >
+                      Revoke
+                    </button>
+                  )}
+                </div>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {error && <p className="calendar-feeds-error">{error}</p>}
+
+      {enabled && (
+        <button
+          type="button"
+          className="calendar-feed-create"
+          onClick={handleCreate}
+          disabled={working || loading}
+        >
+          {working ? 'Working...' : '+ Create Calendar Feed'}
+        </button>
+      )}
+    </div>
+  )
+}
+
+export default CalendarFeedSettings
@@ -2,6 +2,16 @@ import { useState, useEffect } from 'react'
 import { generateCalendarEntries, generateICalText, getTodayDate } from './calendarUtils.js'
 import './CalendarView.css'
 
+/**
+ * Reminder choices for the exported events (minutes before the session)
+ */
+const REMINDER_OPTIONS = [
+  { value: 0, label: 'No reminder' },
+  { value: 10, label: '10 minutes before' },
+  { value: 30, label: '30 minutes before' },
+  { value: 60, label: '1 hour before' }
+]
+
 /**
  * Calendar View Component
  * 
@@ -9,11 +19,13 @@ import './CalendarView.css'
  * - READ-ONLY view derived from syllabus
  * - Automatically regenerates when syllabus changes
  * - Shows daily commitment visually
+ * - Study times and timezone come from the profile (calendarProfile)
  */
-function CalendarView({ syllabus, onBack }) {
+function CalendarView({ syllabus, calendarProfile, onBack }) {
   const [calendarEntries, setCalendarEntries] = useState([])
   const [showExportModal, setShowExportModal] = useState(false)
   const [icalText, setIcalText] = useState('')
+  const [reminderMinutes, setReminderMinutes] = useState(30)
   const [copySuccess, setCopySuccess] = useState(false)
   const [copyError, setCopyError] = useState(null)
 
@@ -21,22 +33,40 @@ function CalendarView({ syllabus, onBack }) {
   // This ensures calendar is always in sync with syllabus state
   useEffect(() => {
     if (syllabus) {
-      const entries = generateCalendarEntries(syllabus)
+      const entries = generateCalendarEntries(syllabus, calendarProfile)
       setCalendarEntries(entries)
     } else {
       // Clear entries when syllabus is null
       setCalendarEntries([])
     }
-  }, [syllabus])
+  }, [syllabus, calendarProfile])
+
+  // Export text follows the plan and the chosen reminder while the modal is open
+  useEffect(() => {
+    if (showExportModal) {
+      setIcalText(generateICalText(calendarEntries, {
+        durationHours: syllabus?.hoursPerDay,
+        alarmMinutes: reminderMinutes || null,
+        calendarName: syllabus?.goal ? `LAIPath: ${syllabus.goal}` : undefined
+      }))
+    }
+  }, [showExportModal, calendarEntries, reminderMinutes, syllabus])
 
   /**
-   * Handle Google Calendar export preview
-   * Generates iCal format text (simulated, not real sync)
+   * Download the plan as an .ics file (Google Calendar, Outlook, Apple
+   * Calendar and Thunderbird import it)
    */
-  const handleExportPreview = () => {
-    const ical = generateICalText(calendarEntries)
-    setIcalText(ical)
-    setShowExportModal(true)
+  const handleDownload = () => {
+    const blob = new Blob([icalText], { type: 'text/calendar;charset=utf-8' })
+    const url = URL.createObjectURL(blob)
+    const slug = (syllabus?.goal || 'plan').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').substring(0, 40)
+    const link = document.createElement('a')
+    link.href = url
+    link.download = `laipath-${slug || 'plan'}.ics`
+    document.body.appendChild(link)
+    link.click()
+    link.remove()
+    URL.revokeObjectURL(url)
   }
 
   /**
@@ -57,7 +87,7 @@ function CalendarView({ syllabus, onBack }) {
   // "Today" is always Day 1's date (original start date)
   // This keeps the reference point consistent
   // getTodayDate safely handles null syllabus
-  const todayDate = getTodayDate(syllabus)
+  const todayDate = getTodayDate(syllabus, calendarProfile?.timeZone)
 
   return (
     <div className="calendar-view">
@@ -79,10 +109,10 @@ function CalendarView({ syllabus, onBack }) {
           </p>
           {syllabus && (
             <button 
-              onClick={handleExportPreview}
+              onClick={() => setShowExportModal(true)}
               className="export-button"
             >
-              Preview Google Calendar Format
+              Export to Calendar (.ics)
             </button>
           )}
         </div>
@@ -146,12 +176,12 @@ function CalendarView({ syllabus, onBack }) {
         </div>
       </div>
 
-      {/* Google Calendar Export Preview Modal */}
+      {/* Calendar Export Modal */}
       {showExportModal && (
         <div className="modal-overlay" onClick={() => setShowExportModal(false)}>
           <div className="modal-content" onClick={(e) => e.stopPropagation()}>
             <div className="modal-header">
-              <h3>Google Calendar Format (iCal)</h3>
+              <h3>Export to Calendar (.ics)</h3>
               <button 
                 onClick={() => setShowExportModal(false)}
                 className="modal-close"
@@ -160,8 +190,21 @@ function CalendarView({ syllabus, onBack }) {
               </button>
             </div>
             <p className="modal-description">
-              This is a simulated export. Copy the text below to preview what would sync to Google Calendar.
+              Download the .ics file and import it into Google Calendar, Outlook, Apple Calendar or Thunderbird.
+              Each session lasts {syllabus?.hoursPerDay || 1} hour{syllabus?.hoursPerDay === 1 ? '' : 's'} at your
+              profile's study time ({calendarProfile?.timeZone || 'device timezone'}).
             </p>
+            <label className="export-reminder">
+              <span>Reminder</span>
+              <select
+                value={reminderMinutes}
+                onChange={(e) => setReminderMinutes(Number(e.target.value))}
+              >
+                {REMINDER_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </label>
             <textarea
               value={icalText}
               readOnly
@@ -185,6 +228,13 @@ function CalendarView({ syllabus, onBack }) {
               >
                 Copy to Clipboard
               </button>
+              <button 
+                onClick={handleDownload}
+                className="download-button"
+                disabled={calendarEntries.length === 0}
+              >
+                Download .ics
+              </button>
               <button 
                 onClick={() => setShowExportModal(false)}
                 className="close-button"
@@ -1,6 +1,16 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useRef } from 'react'
 import './DailyLearningPage.css'
 import EndDayModal from './EndDayModal.jsx'
+import AdaptationReviewModal from './AdaptationReviewModal.jsx'
+import { useAuth } from './contexts/AuthContext.jsx'
+import { apiFetch, readEventStream } from './lib/apiClient.js'
+import { saveDayMessages, loadDayMessages } from './lib/syllabusStorage.js'
+import { toDayEvaluation, formatEvaluationValue, RECOMMENDED_ACTION_LABELS } from './lib/dayEvaluation.js'
+import { addDays } from './dateUtils.js'
+import { getDayKey } from './dayKeys.js'
+
+// Wait this long after the last chat change before saving the transcript
+const TRANSCRIPT_SAVE_DELAY_MS = 800
 
 /**
  * Daily Learning Page Component
@@ -11,16 +21,20 @@ import EndDayModal from './EndDayModal.jsx'
  * - "End Day" button opens mandatory modal
  * - Handles day state transitions (completed/skipped/leave)
  */
-function DailyLearningPage({ day, syllabus, onSyllabusUpdate, onBack }) {
+function DailyLearningPage({ day, syllabus, onSyllabusUpdate, onToggleLock, onBack }) {
+  const { user } = useAuth()
   const [showChat, setShowChat] = useState(false)
   const [messages, setMessages] = useState([])
   const [inputMessage, setInputMessage] = useState('')
   const [error, setError] = useState(null)
   const [showEndDayModal, setShowEndDayModal] = useState(false)
+  const [adaptationProposal, setAdaptationProposal] = useState(null) // { baseDays, adaptation, evaluation } awaiting review
+  const [applyingProposal, setApplyingProposal] = useState(false)
   const [showLinkedInModal, setShowLinkedInModal] = useState(false)
   const [linkedInDraft, setLinkedInDraft] = useState('')
   const [linkedInLoading, setLinkedInLoading] = useState(false)
   const [chatLoading, setChatLoading] = useState(false)
+  const [streamingReply, setStreamingReply] = useState('') // Partial mentor answer while streaming
   const [submittingDay, setSubmittingDay] = useState(false)
   const [copySuccess, setCopySuccess] = useState(false)
   const [copyError, setCopyError] = useState(null)
@@ -30,8 +44,29 @@ function DailyLearningPage({ day, syllabus, onSyllabusUpdate, onBack }) {
   const [hasFirstInteraction, setHasFirstInteraction] = useState(false) // Track if user has asked first question
   const [mentorFirstMessage, setMentorFirstMessage] = useState('') // Mentor-initiated first message
   const [firstMessageLoading, setFirstMessageLoading] = useState(false) // Loading state for first message
+  // Key ("syllabusId:dayKey") of the transcript that has finished loading.
+  // Saves are skipped until it matches, so an empty chat never overwrites a saved one.
+  const transcriptLoadedKeyRef = useRef(null)
+  // Debounced transcript save that has not run yet ({ timer, save })
+  const pendingTranscriptSaveRef = useRef(null)
+
+  // Transcripts follow the day's key, not its number (days get renumbered)
+  const dayKey = getDayKey(day)
+  const transcriptKey = `${syllabus?.id || ''}:${dayKey}`
 
-  // Clear chat when day changes
+  /**
+   * Write the pending transcript save now (day change / unmount), so the
+   * last messages before leaving the day are not lost
+   */
+  const flushTranscriptSave = () => {
+    const pending = pendingTranscriptSaveRef.current
+    if (!pending) return
+    pendingTranscriptSaveRef.current = null
+    clearTimeout(pending.timer)
+    pending.save()
+  }
+
+  // Clear chat when day changes, then restore the saved transcript (if any)
   useEffect(() => {
     setMessages([])
     setShowChat(false)
@@ -41,7 +76,56 @@ function DailyLearningPage({ day, syllabus, onSyllabusUpdate, onBack }) {
     setStarterQuestions([])
     setHasFirstInteraction(false)
     setMentorFirstMessage('') // Reset first message on day change
-  }, [day.dayNumber])
+    transcriptLoadedKeyRef.current = null
+
+    if (!user?.id || !syllabus?.id) {
+      return
+    }
+
+    let cancelled = false
+    loadDayMessages(user.id, syllabus.id, dayKey).then(transcript => {
+      if (cancelled) return // Day changed while loading - drop stale transcript
+
+      if (transcript && transcript.messages.length > 0) {
+        setMessages(transcript.messages)
+        setSuggestedQuestions(transcript.suggestedQuestions)
+        setHasFirstInteraction(true)
+        setMentorFirstMessage('')
+        setStarterQuestions([])
+      }
+      transcriptLoadedKeyRef.current = transcriptKey
+    })
+
+    return () => {
+      cancelled = true
+      flushTranscriptSave()
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [dayKey, syllabus?.id, user?.id])
+
+  // Persist the transcript (debounced) whenever the conversation changes
+  useEffect(() => {
+    if (!user?.id || !syllabus?.id || messages.length === 0) {
+      return
+    }
+    if (transcriptLoadedKeyRef.current !== transcriptKey) {
+      return // Still loading the saved transcript for this day
+    }
+
+    const save = () => saveDayMessages(user.id, syllabus.id, day, {
+      messages: messages.map(({ role, content, signature }) => (signature ? { role, content, signature } : { role, content })),
+      suggestedQuestions
+    })
+    const timer = setTimeout(() => {
+      pendingTranscriptSaveRef.current = null
+      save()
+    }, TRANSCRIPT_SAVE_DELAY_MS)
+    pendingTranscriptSaveRef.current = { timer, save }
+
+    // A newer change replaces this save; day change / unmount flush it instead
+    return () => clearTimeout(timer)
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [messages, suggestedQuestions])
 
   /**
    * Generate template-based first message instantly
@@ -81,7 +165,7 @@ ${subtasksList ? `By the end of this session, you should understand:\n${subtasks
     setFirstMessageLoading(true)
 
     try {
-      const response = await fetch('/api/generate-mentor-first-message', {
+      const response = await apiFetch('/api/generate-mentor-first-message', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -151,7 +235,7 @@ ${subtasksList ? `By the end of this session, you should understand:\n${subtasks
     setStarterQuestionsLoading(true)
 
     try {
-      const response = await fetch('/api/generate-starter-questions', {
+      const response = await apiFetch('/api/generate-starter-questions', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -221,7 +305,7 @@ ${subtasksList ? `By the end of this session, you should understand:\n${subtasks
     if (!lastAnswer || !topic) return null
 
     try {
-      const response = await fetch('/api/generate-suggested-questions', {
+      const response = await apiFetch('/api/generate-suggested-questions', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -260,30 +344,32 @@ ${subtasksList ? `By the end of this session, you should understand:\n${subtasks
   }
 
   /**
-   * Handle clicking a suggested question (or starter question)
-   * Sends it as the next user question
+   * Send a question to the AI mentor (typed, suggested or starter question)
+   * Streams the answer from /api/topic-chat/stream and renders it as it arrives
+   * Refusals and errors come back as plain JSON (same shape as /api/topic-chat)
    */
-  async function handleSuggestedQuestionClick(question) {
-    if (chatLoading || !question.trim()) return
+  async function sendChatMessage(question) {
+    const userMessage = (question || '').trim()
+    if (chatLoading || !userMessage) return
 
-    // Mark first interaction if clicking a starter question
+    setInputMessage('')
+    setError(null)
+
+    // Mark first interaction - this will hide first message and starter questions
     if (!hasFirstInteraction) {
       setHasFirstInteraction(true)
       setMentorFirstMessage('') // Clear first message immediately
       setStarterQuestions([]) // Clear starter questions immediately
     }
 
-    const userMessage = question.trim()
-    setInputMessage('')
-    setError(null)
-
     // Add user message to chat
     const newMessages = [...messages, { role: 'user', content: userMessage }]
     setMessages(newMessages)
     setChatLoading(true)
+    setStreamingReply('')
 
     try {
-      const response = await fetch('/api/topic-chat', {
+      const response = await apiFetch('/api/topic-chat/stream', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -293,28 +379,57 @@ ${subtasksList ? `By the end of this session, you should understand:\n${subtasks
           currentDayTopic: day.topic,
           currentDaySubtasks: day.subtasks || [],
           currentDayNotes: day.notes || null,
+          syllabusId: syllabus?.id || null,
+          // Today's transcript so far (conversation memory for follow-ups)
+          // Answered turns only: the server ignores unsigned answers, and refused questions stay out
+          history: messages
+            .filter((msg, index) => (msg.role === 'assistant' ? msg.signature : messages[index + 1]?.signature))
+            .map(({ role, content, signature }) => ({ role, content, signature })),
         }),
       })
 
       let data
-      try {
-        data = await response.json()
-      } catch (parseError) {
-        const text = await response.text()
-        throw new Error(`Server error: ${text || 'Invalid response format'}`)
+      const contentType = response.headers.get('Content-Type') || ''
+
+      if (response.ok && contentType.includes('text/event-stream')) {
+        // Streamed answer: show tokens as they arrive
+        let streamed = ''
+        await readEventStream(response, (event, payload) => {
+          if (event === 'token' && payload?.content) {
+            streamed += payload.content
+            setStreamingReply(streamed)
+          } else if (event === 'done') {
+            data = { response: payload?.response || streamed.trim(), signature: payload?.signature }
+          }
+        })
+        // Stream closed without a done event: keep whatever arrived
+        if (!data) {
+          data = { response: streamed.trim() }
+        }
+      } else {
+        try {
+          data = await response.json()
+        } catch (parseError) {
+          // If response is not JSON, try to get text
+          const text = await response.text()
+          throw new Error(`Server error: ${text || 'Invalid response format'}`)
+        }
       }
 
       // SAFETY RULE: Suggested questions MUST NOT appear on refusals
       if (data.refused) {
-        const refusalMessage = { role: 'assistant', content: data.message }
-        setMessages([...newMessages, refusalMessage])
+        // Show refusal message to user
+        setMessages([...newMessages, { role: 'assistant', content: data.message }])
         // DO NOT generate suggested questions for refusals
         return
       }
       
       // SAFETY RULE: Suggested questions MUST ONLY be requested if mentor answered successfully
       if (data.response) {
-        const assistantMessage = { role: 'assistant', content: data.response }
+        // Add AI response to chat
+        const assistantMessage = data.signature
+          ? { role: 'assistant', content: data.response, signature: data.signature }
+          : { role: 'assistant', content: data.response }
         const updatedMessagesWithAssistant = [...newMessages, assistantMessage]
         setMessages(updatedMessagesWithAssistant)
         
@@ -326,7 +441,7 @@ ${subtasksList ? `By the end of this session, you should understand:\n${subtasks
           day.subtasks || [],
           assistantIndex
         ).catch(err => {
-          // Silent failure
+          // Silent failure: already handled in generateSuggestedQuestions
           console.error('Failed to generate suggestions:', err)
         })
       } else if (!response.ok) {
@@ -344,9 +459,11 @@ ${subtasksList ? `By the end of this session, you should understand:\n${subtasks
       // SAFETY RULE: Suggested questions MUST NOT appear on errors
       console.error('Chat error:', err)
       
+      // Check if it's a network error or server error
       if (err.message && (err.message.includes('fetch') || err.message.includes('network'))) {
         setError('Unable to connect to the AI service. Please check your connection and try again.')
       } else {
+        // For other errors, show a helpful message
         setError(err.message || 'Unable to get AI response. Please try again.')
       }
       
@@ -357,145 +474,89 @@ ${subtasksList ? `By the end of this session, you should understand:\n${subtasks
       // DO NOT generate suggested questions for error fallback messages
     } finally {
       setChatLoading(false)
+      setStreamingReply('')
     }
   }
 
   /**
-   * Handle sending a message to the AI
-   * Uses the day's aiExpertPrompt as system prompt
+   * Handle clicking a suggested question (or starter question)
+   * Sends it as the next user question
    */
+  function handleSuggestedQuestionClick(question) {
+    sendChatMessage(question)
+  }
+
   /**
-   * Handle sending a message to the AI
+   * Handle sending a typed message to the AI
    * Day 5: Added loading state and demo-safe error handling
    */
-  const handleSendMessage = async (e) => {
+  const handleSendMessage = (e) => {
     e.preventDefault()
-    if (!inputMessage.trim() || chatLoading) return
-
-    const userMessage = inputMessage.trim()
-    setInputMessage('')
-    setError(null)
-
-    // Mark first interaction - this will hide first message and starter questions
-    if (!hasFirstInteraction) {
-      setHasFirstInteraction(true)
-      setMentorFirstMessage('') // Clear first message immediately
-      setStarterQuestions([]) // Clear starter questions immediately
-    }
-
-    // Add user message to chat
-    const newMessages = [...messages, { role: 'user', content: userMessage }]
-    setMessages(newMessages)
-    setChatLoading(true)
+    sendChatMessage(inputMessage)
+  }
 
-    try {
-      const response = await fetch('/api/topic-chat', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          userMessage: userMessage,
-          currentDayTopic: day.topic,
-          currentDaySubtasks: day.subtasks || [],
-          currentDayNotes: day.notes || null,
-        }),
+  /**
+   * Adapt upcoming days to the evaluation's recommended_action
+   * The server applies the strategy (repeat/simplify/advance/continue)
+   * and returns the adapted days, a diff and the proposed changes
+   * acceptedChangeIds applies only those changes (omit = all)
+   */
+  async function adaptSyllabus(days, completedDayNumber, evaluation, acceptedChangeIds) {
+    const response = await apiFetch('/api/adapt-syllabus', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        goal: syllabus.goal,
+        days,
+        completedDayNumber,
+        evaluation,
+        ...(acceptedChangeIds ? { acceptedChangeIds } : {})
       })
+    })
 
-      let data
-      try {
-        data = await response.json()
-      } catch (parseError) {
-        // If response is not JSON, try to get text
-        const text = await response.text()
-        throw new Error(`Server error: ${text || 'Invalid response format'}`)
-      }
-
-      // SAFETY RULE: Suggested questions MUST NOT appear on refusals
-      if (data.refused) {
-        // Show refusal message to user
-        setMessages([...newMessages, { role: 'assistant', content: data.message }])
-        // DO NOT generate suggested questions for refusals
-        return
-      }
-      
-      // SAFETY RULE: Suggested questions MUST ONLY be requested if mentor answered successfully
-      if (data.response) {
-        // Add AI response to chat
-        const assistantMessage = { role: 'assistant', content: data.response }
-        const updatedMessagesWithAssistant = [...newMessages, assistantMessage]
-        setMessages(updatedMessagesWithAssistant)
-        
-        // Generate suggested questions ONLY for successful answers
-        const assistantIndex = updatedMessagesWithAssistant.length - 1
-        generateSuggestedQuestions(
-          data.response,
-          day.topic,
-          day.subtasks || [],
-          assistantIndex
-        ).catch(err => {
-          // Silent failure: already handled in generateSuggestedQuestions
-          console.error('Failed to generate suggestions:', err)
-        })
-      } else if (!response.ok) {
-        // SAFETY RULE: Suggested questions MUST NOT appear on errors
-        throw new Error(data.error || data.message || 'Failed to get AI response')
-      } else {
-        // SAFETY RULE: Suggested questions MUST NOT appear on fallbacks
-        // If response is OK but no response field, use fallback (but don't generate suggestions)
-        const fallbackResponse = `I understand you're asking about ${day.topic}. Let me help you with that based on today's learning content.`
-        const fallbackMessage = { role: 'assistant', content: fallbackResponse }
-        setMessages([...newMessages, fallbackMessage])
-        // DO NOT generate suggested questions for fallback messages
-      }
-    } catch (err) {
-      // SAFETY RULE: Suggested questions MUST NOT appear on errors
-      console.error('Chat error:', err)
-      
-      // Check if it's a network error or server error
-      if (err.message && (err.message.includes('fetch') || err.message.includes('network'))) {
-        setError('Unable to connect to the AI service. Please check your connection and try again.')
-      } else {
-        // For other errors, show a helpful message
-        setError(err.message || 'Unable to get AI response. Please try again.')
-      }
-      
-      // Add error fallback message (but don't generate suggestions)
-      const fallbackResponse = `I understand you're asking about ${day.topic}. Based on today's learning, here's what I can tell you: This topic is part of your current learning path. For more detailed information, please ensure the AI service is properly configured.`
-      const errorFallbackMessage = { role: 'assistant', content: fallbackResponse }
-      setMessages([...newMessages, errorFallbackMessage])
-      // DO NOT generate suggested questions for error fallback messages
-    } finally {
-      setChatLoading(false)
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}))
+      throw new Error(errorData.message || errorData.error || 'Failed to adapt syllabus')
     }
+
+    return response.json()
   }
 
   /**
-   * Regenerate future days using AI
+   * Rewrite the days after the completed day with AI
+   * completedDays + evaluation make the new days a continuation that
+   * remediates the detected gaps; locked days in futureDays keep their place
    */
-  async function regenerateFutureDays(goal, hoursPerDay, remainingDays, startDayNumber) {
-    // Get the date of the day after the current day
-    const currentDate = new Date(day.date)
-    currentDate.setDate(currentDate.getDate() + 1)
-    
-    const response = await fetch('/api/regenerate-future-days', {
+  async function regenerateFutureDays(days, completedIndex, evaluation) {
+    const futureDays = days.slice(completedIndex + 1)
+
+    const response = await apiFetch('/api/regenerate-future-days', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
-        goal,
-        hoursPerDay,
-        startDayNumber,
-        totalDays: remainingDays,
-        currentDate: currentDate.toISOString().split('T')[0]
+        goal: syllabus.goal,
+        hoursPerDay: syllabus.hoursPerDay,
+        startDayNumber: days[completedIndex].dayNumber + 1,
+        totalDays: futureDays.length,
+        currentDate: futureDays[0]?.date,
+        // Everything up to and including today counts as covered
+        completedDays: days
+          .slice(0, completedIndex + 1)
+          .filter(d => d.status === 'completed')
+          .map(d => ({ dayNumber: d.dayNumber, topic: d.topic, subtasks: d.subtasks || [] })),
+        evaluation,
+        futureDays
       })
     })
 
     if (!response.ok) {
-      throw new Error('Failed to regenerate days')
+      const errorData = await response.json().catch(() => ({}))
+      throw new Error(errorData.message || errorData.error || 'Failed to regenerate days')
     }
 
     const data = await response.json()
-    return data.days
+    // saveEndedDay activates the first of them
+    return data.days.map(d => ({ ...d, status: 'pending' }))
   }
 
   /**
@@ -514,9 +575,89 @@ ${subtasksList ? `By the end of this session, you should understand:\n${subtasks
     }
   }
 
+  /**
+   * Save the syllabus after a day ended (steps 4-5 of End Day)
+   * Activates the next pending day, saves to the server and notifies the parent
+   */
+  async function saveEndedDay(endedDays) {
+    // Copy so a failed save can be retried from the same days
+    const days = [...endedDays]
+
+    // Step 4: Activate next pending day
+    activateNextPendingDay(days)
+
+    // Step 5: Update syllabus
+    const updatedSyllabus = {
+      ...syllabus,
+      days,
+      totalDays: days.length
+    }
+
+    // Save to server
+    await apiFetch('/api/update-syllabus', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ updatedSyllabus })
+    })
+
+    // Find next active day before updating
+    const nextActiveDay = days.find(d => d.status === 'active')
+    
+    // Notify parent component with next active day for auto-navigation (saves to Supabase)
+    onSyllabusUpdate(updatedSyllabus, nextActiveDay)
+  }
+
+  /**
+   * Apply the learner's decision on a proposed plan change
+   * All accepted → proposed days, none → current plan, some → re-applied server-side
+   */
+  async function handleProposalDecision(acceptedIds) {
+    const { baseDays, adaptation, evaluation } = adaptationProposal
+    setApplyingProposal(true)
+
+    try {
+      let days = baseDays
+      if (acceptedIds.length === adaptation.changes.length) {
+        days = adaptation.days
+      } else if (acceptedIds.length > 0) {
+        days = (await adaptSyllabus(baseDays, day.dayNumber, evaluation, acceptedIds)).days
+      }
+
+      await saveEndedDay(days)
+      setAdaptationProposal(null)
+    } finally {
+      setApplyingProposal(false)
+    }
+  }
+
+  /**
+   * Replace the proposal with an AI rewrite of the remaining days
+   * (offered for repeat/simplify - the learner needs more than a local tweak)
+   */
+  async function handleRegenerateRest() {
+    const { baseDays, evaluation } = adaptationProposal
+    setApplyingProposal(true)
+
+    try {
+      const completedIndex = baseDays.findIndex(d => d.dayNumber === day.dayNumber)
+      const futureDays = await regenerateFutureDays(baseDays, completedIndex, evaluation)
+      await saveEndedDay([...baseDays.slice(0, completedIndex + 1), ...futureDays])
+      setAdaptationProposal(null)
+    } finally {
+      setApplyingProposal(false)
+    }
+  }
+
+  // AI rewrite of the rest of the plan: only after repeat/simplify, within the 365-day limit
+  const remainingAfterDay = adaptationProposal
+    ? adaptationProposal.baseDays.length - adaptationProposal.baseDays.findIndex(d => d.dayNumber === day.dayNumber) - 1
+    : 0
+  const canRegenerateRest = ['repeat', 'simplify'].includes(adaptationProposal?.evaluation?.recommended_action) &&
+    remainingAfterDay > 0 && remainingAfterDay <= 365
+
   /**
    * Handle End Day submission
-   * Marks day as completed, evaluates learning, potentially regenerates future days
+   * Marks day as completed, evaluates learning, proposes plan changes for review
    * Day 5: Added loading state and error handling
    */
   async function handleEndDaySubmit(learningInput) {
@@ -534,7 +675,7 @@ ${subtasksList ? `By the end of this session, you should understand:\n${subtasks
       const controller = new AbortController()
       const timeoutId = setTimeout(() => controller.abort(), 35000) // 35 second timeout
       
-      const evalResponse = await fetch('/api/evaluate-learning', {
+      const evalResponse = await apiFetch('/api/evaluate-learning', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
@@ -548,13 +689,12 @@ ${subtasksList ? `By the end of this session, you should understand:\n${subtasks
       clearTimeout(timeoutId)
 
       if (!evalResponse.ok) {
-        throw new Error('Failed to evaluate learning')
+        // AI failures come back typed (error/code/message) - show the message
+        const errorData = await evalResponse.json().catch(() => ({}))
+        throw new Error(errorData.message || 'Failed to evaluate learning')
       }
 
       const evalData = await evalResponse.json()
-      // Map new recommended_action values to adjustment logic
-      // "repeat" and "simplify" require adjustment, "continue" and "advance" do not
-      const shouldAdjust = evalData.recommended_action === 'repeat' || evalData.recommended_action === 'simplify'
 
       // Step 2: Update day status to completed
       const updatedDays = [...syllabus.days]
@@ -568,57 +708,24 @@ ${subtasksList ? `By the end of this session, you should understand:\n${subtasks
         ...updatedDays[dayIndex],
         status: 'completed',
         learningInput: learningInput,
-        completedAt: new Date().toISOString()
+        completedAt: new Date().toISOString(),
+        // Kept on the day (syllabus_days evaluation columns) as a record of understanding
+        evaluation: toDayEvaluation(evalData)
       }
 
-      // Step 3: If adjustment needed, regenerate future days
-      if (shouldAdjust) {
-        // Regenerate days after current day
-        const remainingDays = updatedDays.length - (dayIndex + 1)
-        if (remainingDays > 0) {
-          const regeneratedDays = await regenerateFutureDays(
-            syllabus.goal,
-            syllabus.hoursPerDay,
-            remainingDays,
-            day.dayNumber + 1  // Start from next day number
-          )
-          
-          // Replace future days with regenerated ones
-          for (let i = 0; i < regeneratedDays.length; i++) {
-            const newDayIndex = dayIndex + 1 + i
-            if (newDayIndex < updatedDays.length) {
-              updatedDays[newDayIndex] = {
-                ...regeneratedDays[i],
-                dayNumber: updatedDays[newDayIndex].dayNumber,
-                date: updatedDays[newDayIndex].date,
-                status: updatedDays[newDayIndex].status
-              }
-            }
-          }
+      // Step 3: Propose adapting upcoming days to the recommended action
+      // (repeat → review day, simplify → split next day, advance → merge next days, continue → unchanged)
+      // Proposals wait for the learner's review - nothing is saved until they decide
+      if (evalData.recommended_action && evalData.recommended_action !== 'continue') {
+        const adaptation = await adaptSyllabus(updatedDays, day.dayNumber, evalData)
+        if (adaptation.changes?.length > 0) {
+          setAdaptationProposal({ baseDays: updatedDays, adaptation, evaluation: evalData })
+          setShowEndDayModal(false)
+          return
         }
       }
 
-      // Step 4: Activate next pending day
-      activateNextPendingDay(updatedDays)
-
-      // Step 5: Update syllabus
-      const updatedSyllabus = {
-        ...syllabus,
-        days: updatedDays
-      }
-
-      // Save to server
-      await fetch('/api/update-syllabus', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ updatedSyllabus })
-      })
-
-      // Find next active day before updating
-      const nextActiveDay = updatedDays.find(d => d.status === 'active')
-      
-      // Notify parent component with next active day for auto-navigation
-      onSyllabusUpdate(updatedSyllabus, nextActiveDay)
+      await saveEndedDay(updatedDays)
       setShowEndDayModal(false)
     } catch (err) {
       console.error('Error ending day:', err)
@@ -658,11 +765,9 @@ ${subtasksList ? `By the end of this session, you should understand:\n${subtasks
 
       // Shift all future days forward by 1 day
       for (let i = dayIndex + 1; i < updatedDays.length; i++) {
-        const currentDate = new Date(updatedDays[i].date)
-        currentDate.setDate(currentDate.getDate() + 1)
         updatedDays[i] = {
           ...updatedDays[i],
-          date: currentDate.toISOString().split('T')[0]
+          date: addDays(updatedDays[i].date, 1)
         }
       }
 
@@ -675,7 +780,7 @@ ${subtasksList ? `By the end of this session, you should understand:\n${subtasks
         days: updatedDays
       }
 
-      await fetch('/api/update-syllabus', {
+      await apiFetch('/api/update-syllabus', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ updatedSyllabus })
@@ -719,11 +824,9 @@ ${subtasksList ? `By the end of this session, you should understand:\n${subtasks
 
       // Shift all future days forward by N days
       for (let i = dayIndex + 1; i < updatedDays.length; i++) {
-        const currentDate = new Date(updatedDays[i].date)
-        currentDate.setDate(currentDate.getDate() + leaveDays)
         updatedDays[i] = {
           ...updatedDays[i],
-          date: currentDate.toISOString().split('T')[0]
+          date: addDays(updatedDays[i].date, leaveDays)
         }
       }
 
@@ -736,7 +839,7 @@ ${subtasksList ? `By the end of this session, you should understand:\n${subtasks
         days: updatedDays
       }
 
-      await fetch('/api/update-syllabus', {
+      await apiFetch('/api/update-syllabus', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ updatedSyllabus })
@@ -767,7 +870,7 @@ ${subtasksList ? `By the end of this session, you should understand:\n${subtasks
     setError(null)
 
     try {
-      const response = await fetch('/api/generate-linkedin-draft', {
+      const response = await apiFetch('/api/generate-linkedin-draft', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
@@ -849,6 +952,35 @@ ${subtasksList ? `By the end of this session, you should understand:\n${subtasks
               </div>
             )}
 
+            {day.status === 'completed' && day.evaluation && (
+              <div className="subtasks-card evaluation-card">
+                <h4 className="subtasks-header">Your Evaluation</h4>
+                <div className="evaluation-badges">
+                  <span className={`evaluation-badge level-${day.evaluation.understandingLevel || 'unknown'}`}>
+                    Understanding: {formatEvaluationValue(day.evaluation.understandingLevel)}
+                  </span>
+                  <span className="evaluation-badge">
+                    Confidence: {formatEvaluationValue(day.evaluation.confidence)}
+                  </span>
+                  {day.evaluation.recommendedAction && (
+                    <span className="evaluation-badge">
+                      Recommended: {RECOMMENDED_ACTION_LABELS[day.evaluation.recommendedAction] || formatEvaluationValue(day.evaluation.recommendedAction)}
+                    </span>
+                  )}
+                </div>
+                {day.evaluation.gapsDetected?.length > 0 && (
+                  <>
+                    <p className="evaluation-gaps-label">Gaps to revisit</p>
+                    <ul className="subtasks-list">
+                      {day.evaluation.gapsDetected.map((gap, idx) => (
+                        <li key={idx}>{gap}</li>
+                      ))}
+                    </ul>
+                  </>
+                )}
+              </div>
+            )}
+
             <div className="action-buttons">
             <button 
               onClick={() => setShowChat(!showChat)}
@@ -867,6 +999,16 @@ ${subtasksList ? `By the end of this session, you should understand:\n${subtasks
               </button>
             )}
             
+            {onToggleLock && (day.status === 'active' || day.status === 'pending') && (
+              <button
+                onClick={() => onToggleLock(day.dayNumber)}
+                className={`lock-day-button ${day.locked ? 'locked' : ''}`}
+                title={day.locked ? 'Unlock: allow AI adjustments to this day' : 'Lock: keep this day when the plan is adjusted'}
+              >
+                {day.locked ? '🔒 Locked' : '🔓 Lock Day'}
+              </button>
+            )}
+            
             {day.status === 'completed' && day.learningInput && (
               <button 
                 onClick={handleGenerateLinkedInDraft}
@@ -977,7 +1119,7 @@ ${subtasksList ? `By the end of this session, you should understand:\n${subtasks
               {chatLoading && (
                 <div className="chat-message assistant">
                   <div className="message-role">AI Expert</div>
-                  <div className="message-content">Thinking...</div>
+                  <div className="message-content">{streamingReply || 'Thinking...'}</div>
                 </div>
               )}
               </div>
@@ -1018,6 +1160,16 @@ ${subtasksList ? `By the end of this session, you should understand:\n${subtasks
         />
       )}
 
+      {/* Adaptation Review Modal - Proposed plan changes wait for accept/reject */}
+      {adaptationProposal && (
+        <AdaptationReviewModal
+          proposal={adaptationProposal.adaptation}
+          onDecide={handleProposalDecision}
+          onRegenerateRest={canRegenerateRest ? handleRegenerateRest : null}
+          deciding={applyingProposal}
+        />
+      )}
+
       {/* LinkedIn Draft Modal */}
       {showLinkedInModal && (
         <div className="modal-overlay" onClick={() => setShowLinkedInModal(false)}>
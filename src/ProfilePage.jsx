@@ -2,7 +2,12 @@ import { useState, useEffect } from 'react'
 import { calculateXP, calculateStreak, calculateLevel, calculateMilestones, calculateLongestStreak, getXPForNextLevel, getXPProgress } from './gamificationUtils.js'
 import { useAuth } from './contexts/AuthContext.jsx'
 import { useTheme } from './contexts/ThemeContext.jsx'
-import { saveUserProfile, loadUserProfile, loadAllSyllabiMetadata, loadSyllabusById, deleteSyllabus } from './lib/syllabusStorage.js'
+import { saveUserProfile, loadUserProfile, loadAllSyllabiMetadata, loadSyllabusById, deleteSyllabus, toCalendarProfile } from './lib/syllabusStorage.js'
+import { normalizeCalendarProfile } from './calendarUtils.js'
+import { formatEvaluationValue } from './lib/dayEvaluation.js'
+import CalendarFeedSettings from './CalendarFeedSettings.jsx'
+import CalDAVSettings from './CalDAVSettings.jsx'
+import StudyScheduleSettings from './StudyScheduleSettings.jsx'
 import './ProfilePage.css'
 
 /**
@@ -11,11 +16,13 @@ import './ProfilePage.css'
  * Shows user profile information with editable fields
  * Saves to localStorage (no backend)
  */
-function ProfilePage({ syllabus, onBack }) {
+function ProfilePage({ syllabus, onCalendarProfileChange, onBack }) {
   const { user } = useAuth()
   const { currentTheme, setTheme, themes } = useTheme()
   const [name, setName] = useState('Demo User')
   const [preferredStudyTime, setPreferredStudyTime] = useState('20:00')
+  const [studyTimesByWeekday, setStudyTimesByWeekday] = useState({})
+  const [timeZone, setTimeZone] = useState(null) // null = device timezone
   const [isEditingName, setIsEditingName] = useState(false)
   const [isEditingTime, setIsEditingTime] = useState(false)
   const [loading, setLoading] = useState(true)
@@ -47,6 +54,9 @@ function ProfilePage({ syllabus, onBack }) {
       if (profile) {
         setName(profile.name || user.email?.split('@')[0] || 'User')
         setPreferredStudyTime(profile.preferred_study_time || '20:00')
+        const calendarProfile = toCalendarProfile(profile)
+        setStudyTimesByWeekday(calendarProfile.studyTimesByWeekday)
+        setTimeZone(calendarProfile.timeZone)
       } else {
         // Fallback to email or default
         setName(user.email?.split('@')[0] || 'User')
@@ -56,8 +66,11 @@ function ProfilePage({ syllabus, onBack }) {
       // Fallback to localStorage
       const savedName = localStorage.getItem('laipath_user_name')
       const savedTime = localStorage.getItem('laipath_preferred_study_time')
+      const savedSchedule = JSON.parse(localStorage.getItem('laipath_study_schedule') || '{}')
       if (savedName) setName(savedName)
       if (savedTime) setPreferredStudyTime(savedTime)
+      if (savedSchedule.studyTimesByWeekday) setStudyTimesByWeekday(savedSchedule.studyTimesByWeekday)
+      if (savedSchedule.timeZone) setTimeZone(savedSchedule.timeZone)
     } finally {
       setLoading(false)
     }
@@ -81,18 +94,34 @@ function ProfilePage({ syllabus, onBack }) {
 
   // PERSISTENCE: Save study time to Supabase (with fallback safety)
   const handleTimeSave = async () => {
+    await saveStudySchedule({})
+    setIsEditingTime(false)
+  }
+
+  // Weekday times / timezone changed in StudyScheduleSettings
+  const handleScheduleChange = async (changes) => {
+    if ('studyTimesByWeekday' in changes) setStudyTimesByWeekday(changes.studyTimesByWeekday)
+    if ('timeZone' in changes) setTimeZone(changes.timeZone)
+    await saveStudySchedule(changes)
+  }
+
+  /**
+   * PERSISTENCE: Save study time, weekday times and timezone (with fallback
+   * safety), then move the calendar (entries, export, feeds, CalDAV)
+   */
+  const saveStudySchedule = async (changes) => {
+    const schedule = { preferredStudyTime, studyTimesByWeekday, timeZone, ...changes }
     if (user) {
       // Fallback already handled in saveUserProfile
-      await saveUserProfile(user.id, {
-        name: name,
-        preferredStudyTime: preferredStudyTime
-      })
-      // Also save to localStorage as backup
-      localStorage.setItem('laipath_preferred_study_time', preferredStudyTime)
-    } else {
-      localStorage.setItem('laipath_preferred_study_time', preferredStudyTime)
+      await saveUserProfile(user.id, { name: name, ...schedule })
     }
-    setIsEditingTime(false)
+    // Also save to localStorage as backup
+    localStorage.setItem('laipath_preferred_study_time', schedule.preferredStudyTime)
+    localStorage.setItem('laipath_study_schedule', JSON.stringify({
+      studyTimesByWeekday: schedule.studyTimesByWeekday,
+      timeZone: schedule.timeZone
+    }))
+    onCalendarProfileChange?.(normalizeCalendarProfile(schedule))
   }
 
   /**
@@ -231,6 +260,14 @@ function ProfilePage({ syllabus, onBack }) {
     return 'Past'
   }
 
+  /**
+   * Get evaluated days of a syllabus (oldest first) - understanding over time
+   */
+  const getEvaluatedDays = (syllabusDetails) => {
+    if (!syllabusDetails || !syllabusDetails.days) return []
+    return syllabusDetails.days.filter(d => d.evaluation)
+  }
+
   /**
    * Get completed days count for a syllabus
    */
@@ -383,6 +420,29 @@ function ProfilePage({ syllabus, onBack }) {
             </div>
           </div>
 
+          {/* Study Schedule */}
+          <div className="profile-section">
+            <h4 className="profile-section-title">Study Schedule</h4>
+            <StudyScheduleSettings
+              preferredStudyTime={preferredStudyTime}
+              studyTimesByWeekday={studyTimesByWeekday}
+              timeZone={timeZone}
+              onChange={handleScheduleChange}
+            />
+          </div>
+
+          {/* Calendar Feeds */}
+          <div className="profile-section">
+            <h4 className="profile-section-title">Calendar Feeds</h4>
+            <CalendarFeedSettings syllabus={syllabus} />
+          </div>
+
+          {/* Calendar Sync (CalDAV) */}
+          <div className="profile-section">
+            <h4 className="profile-section-title">Calendar Sync</h4>
+            <CalDAVSettings syllabus={syllabus} />
+          </div>
+
           {/* Theme Preferences */}
           <div className="profile-section">
             <h4 className="profile-section-title">Theme Preferences</h4>
@@ -623,6 +683,27 @@ function ProfilePage({ syllabus, onBack }) {
                     <span className="syllabus-details-value">{formatDate(selectedSyllabusDetails.created_at)}</span>
                   </div>
                 </div>
+                {getEvaluatedDays(selectedSyllabusDetails).length > 0 && (
+                  <div className="evaluation-history">
+                    <h4 className="evaluation-history-title">Understanding Over Time</h4>
+                    <ul className="evaluation-history-list">
+                      {getEvaluatedDays(selectedSyllabusDetails).map(d => (
+                        <li key={d.dayNumber} className="evaluation-history-item">
+                          <div className="evaluation-history-day">
+                            <span className="syllabus-details-label">Day {d.dayNumber}</span>
+                            <span className="evaluation-history-topic">{d.topic}</span>
+                          </div>
+                          <span className="syllabus-details-value">
+                            {formatEvaluationValue(d.evaluation.understandingLevel)} · {formatEvaluationValue(d.evaluation.confidence)} confidence
+                          </span>
+                          {d.evaluation.gapsDetected?.length > 0 && (
+                            <p className="evaluation-history-gaps">Gaps: {d.evaluation.gapsDetected.join(', ')}</p>
+                          )}
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
               </div>
             )}
             <div className="modal-actions">
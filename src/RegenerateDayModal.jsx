@@ -0,0 +1,162 @@
+import { useState } from 'react'
+import './AdaptationReviewModal.css'
+import './RegenerateDayModal.css'
+import { postJson } from './lib/apiClient.js'
+
+/**
+ * Topics sent on each side of the day (server caps to NEIGHBOUR_TOPICS_CONTEXT)
+ */
+const NEIGHBOUR_TOPICS = 3
+
+/**
+ * Regenerate Day Modal Component
+ *
+ * Replaces one day of the plan: the learner can add a hint ("more
+ * practice", "focus on hooks"), generates a replacement and reviews it
+ * next to the current day before saving. Only this day changes - its
+ * number and date stay the same.
+ *
+ * The replacement is saved through /api/edit-day (resets the mentor's
+ * knowledge base when it is today's day) and then onSyllabusUpdate.
+ */
+function RegenerateDayModal({ syllabus, day, onClose, onSyllabusUpdate }) {
+  const [hint, setHint] = useState('')
+  const [proposal, setProposal] = useState(null)
+  const [generating, setGenerating] = useState(false)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState(null)
+
+  const busy = generating || saving
+
+  const handleGenerate = async () => {
+    setGenerating(true)
+    setError(null)
+    try {
+      const dayIndex = syllabus.days.findIndex(d => d.dayNumber === day.dayNumber)
+      const data = await postJson('/api/regenerate-day', {
+        goal: syllabus.goal,
+        hoursPerDay: syllabus.hoursPerDay,
+        dayNumber: day.dayNumber,
+        currentTopic: day.topic,
+        previousTopics: syllabus.days.slice(Math.max(0, dayIndex - NEIGHBOUR_TOPICS), dayIndex).map(d => d.topic),
+        nextTopics: syllabus.days.slice(dayIndex + 1, dayIndex + 1 + NEIGHBOUR_TOPICS).map(d => d.topic),
+        hint: hint.trim(),
+        syllabusId: syllabus.id
+      }, 'Failed to regenerate this day')
+      setProposal(data.day)
+    } catch (err) {
+      console.error('Error regenerating day:', err)
+      setError(err.message || 'Failed to regenerate this day')
+    } finally {
+      setGenerating(false)
+    }
+  }
+
+  const handleAccept = async () => {
+    setSaving(true)
+    setError(null)
+    try {
+      const data = await postJson('/api/edit-day', {
+        syllabus,
+        dayNumber: day.dayNumber,
+        topic: proposal.topic,
+        subtasks: proposal.subtasks,
+        aiExpertPrompt: proposal.aiExpertPrompt
+      }, 'Failed to update your plan')
+      await onSyllabusUpdate(data.syllabus)
+      onClose()
+    } catch (err) {
+      console.error('Error saving regenerated day:', err)
+      setError(err.message || 'Failed to update your plan')
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div className="modal-overlay" onClick={busy ? undefined : onClose}>
+      <div className="modal-content regenerate-day-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-content-header">
+          <h2>Regenerate Day {day.dayNumber}</h2>
+          <p className="modal-subtitle">
+            Get a new topic and subtasks for this day only. Nothing changes until you accept.
+          </p>
+        </div>
+        <div className="modal-content-body">
+          <label className="regenerate-hint-label" htmlFor="regenerateHint">
+            What should this day cover instead? (optional)
+          </label>
+          <input
+            id="regenerateHint"
+            type="text"
+            className="regenerate-hint-input"
+            value={hint}
+            onChange={(e) => setHint(e.target.value)}
+            placeholder="e.g. more hands-on practice"
+            maxLength={200}
+            disabled={busy}
+          />
+
+          {proposal && (
+            <div className="proposal-columns">
+              <div className="proposal-column">
+                <p className="proposal-column-label">Current</p>
+                <div className="proposal-day">
+                  <p className="proposal-day-topic">{day.topic}</p>
+                  <ul className="proposal-day-subtasks">
+                    {(day.subtasks || []).map((subtask, idx) => (
+                      <li key={idx}>{subtask}</li>
+                    ))}
+                  </ul>
+                </div>
+              </div>
+              <div className="proposal-column proposed">
+                <p className="proposal-column-label">Proposed</p>
+                <div className="proposal-day">
+                  <p className="proposal-day-topic">{proposal.topic}</p>
+                  <ul className="proposal-day-subtasks">
+                    {proposal.subtasks.map((subtask, idx) => (
+                      <li key={idx}>{subtask}</li>
+                    ))}
+                  </ul>
+                </div>
+              </div>
+            </div>
+          )}
+
+          {error && <div className="modal-error">{error}</div>}
+
+          <div className="modal-actions">
+            <button
+              type="button"
+              onClick={onClose}
+              className="skip-button"
+              disabled={busy}
+            >
+              Cancel
+            </button>
+            <button
+              type="button"
+              onClick={handleGenerate}
+              className={proposal ? 'leave-button' : 'submit-button'}
+              disabled={busy}
+            >
+              {generating ? 'Generating...' : proposal ? 'Try Again' : 'Generate'}
+            </button>
+            {proposal && (
+              <button
+                type="button"
+                onClick={handleAccept}
+                className="submit-button"
+                disabled={busy}
+              >
+                {saving ? 'Saving...' : 'Use This Day'}
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default RegenerateDayModal
@@ -0,0 +1,101 @@
+import { useState, useEffect } from 'react'
+import './StudyScheduleSettings.css'
+
+/**
+ * Weekday rows, Monday first (keys as in calendarUtils WEEKDAY_KEYS)
+ */
+const WEEKDAYS = [
+  { key: 'mon', label: 'Monday' },
+  { key: 'tue', label: 'Tuesday' },
+  { key: 'wed', label: 'Wednesday' },
+  { key: 'thu', label: 'Thursday' },
+  { key: 'fri', label: 'Friday' },
+  { key: 'sat', label: 'Saturday' },
+  { key: 'sun', label: 'Sunday' }
+]
+
+/**
+ * IANA timezones this browser knows, plus the device's and the saved one
+ * (older browsers can't list them)
+ */
+function getTimeZoneOptions(deviceTimeZone, timeZone) {
+  const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : []
+  return [...new Set([deviceTimeZone, timeZone, ...zones].filter(Boolean))]
+}
+
+/**
+ * Study Schedule Settings Component
+ *
+ * Per-weekday study times and the timezone of the calendar. A weekday with
+ * no time of its own uses the preferred study time. Calendar entries, the
+ * .ics export, reminders, feeds and CalDAV sync all follow these settings.
+ *
+ * Every change is reported through onChange({ studyTimesByWeekday }) or
+ * onChange({ timeZone }); the parent stores the profile.
+ */
+function StudyScheduleSettings({ preferredStudyTime, studyTimesByWeekday, timeZone, onChange }) {
+  const deviceTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC'
+  const [draftTimes, setDraftTimes] = useState(studyTimesByWeekday || {})
+
+  useEffect(() => {
+    setDraftTimes(studyTimesByWeekday || {})
+  }, [studyTimesByWeekday])
+
+  const commitTimes = (nextTimes) => {
+    const cleaned = Object.fromEntries(Object.entries(nextTimes).filter(([, time]) => time))
+    setDraftTimes(cleaned)
+    onChange({ studyTimesByWeekday: cleaned })
+  }
+
+  return (
+    <div className="study-schedule">
+      <label className="study-schedule-timezone">
+        <span className="info-label">Timezone</span>
+        <select
+          value={timeZone || ''}
+          onChange={(e) => onChange({ timeZone: e.target.value || null })}
+          className="editable-input"
+        >
+          <option value="">Device timezone ({deviceTimeZone})</option>
+          {getTimeZoneOptions(deviceTimeZone, timeZone).map(zone => (
+            <option key={zone} value={zone}>{zone}</option>
+          ))}
+        </select>
+      </label>
+
+      <div className="study-schedule-days">
+        <span className="info-label">Study time by day</span>
+        {WEEKDAYS.map(day => (
+          <div key={day.key} className="study-schedule-day">
+            <span className="study-schedule-day-name">{day.label}</span>
+            <input
+              type="time"
+              value={draftTimes[day.key] || ''}
+              onChange={(e) => setDraftTimes(prev => ({ ...prev, [day.key]: e.target.value }))}
+              onBlur={() => {
+                if ((draftTimes[day.key] || '') !== (studyTimesByWeekday?.[day.key] || '')) {
+                  commitTimes(draftTimes)
+                }
+              }}
+              className="editable-input time-input"
+              aria-label={`${day.label} study time`}
+            />
+            {draftTimes[day.key] ? (
+              <button
+                type="button"
+                className="study-schedule-clear"
+                onClick={() => commitTimes({ ...draftTimes, [day.key]: '' })}
+              >
+                Use {preferredStudyTime}
+              </button>
+            ) : (
+              <span className="study-schedule-default">Default ({preferredStudyTime})</span>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export default StudyScheduleSettings
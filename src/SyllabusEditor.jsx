@@ -0,0 +1,277 @@
+import { useState, useEffect } from 'react'
+import './SyllabusEditor.css'
+import { apiFetch } from './lib/apiClient.js'
+
+/**
+ * Draft of a day's editable content (subtasks as one per line)
+ */
+function toDraft(day) {
+  return { topic: day?.topic || '', subtasksText: (day?.subtasks || []).join('\n') }
+}
+
+/**
+ * Subtasks from the textarea (one per line, blank lines dropped)
+ */
+function toSubtasks(subtasksText) {
+  return subtasksText.split('\n').map(line => line.trim()).filter(Boolean)
+}
+
+/**
+ * Syllabus Editor Component
+ *
+ * Manual plan editing from the dashboard: edit the topic/subtasks of the
+ * active day or an upcoming day, add a day after one, delete an upcoming
+ * day, and drag upcoming days to reorder them. Completed history is not
+ * shown - it can't be edited.
+ *
+ * Each change goes through the server (/api/edit-day, /api/insert-day,
+ * /api/delete-day, /api/reorder-days), which renumbers days and dates;
+ * the returned syllabus is saved via onSyllabusUpdate (saveSyllabus).
+ */
+function SyllabusEditor({ syllabus, onClose, onSyllabusUpdate }) {
+  const [drafts, setDrafts] = useState({})
+  const [insertAfter, setInsertAfter] = useState(null) // dayNumber the new day follows
+  const [newDay, setNewDay] = useState(toDraft(null))
+  const [draggedDayNumber, setDraggedDayNumber] = useState(null)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState(null)
+
+  const editableDays = syllabus.days.filter(day => day.status === 'active' || day.status === 'pending')
+  // Reorder covers the days after the active day (see reorderSyllabusDays)
+  const activeIndex = syllabus.days.findIndex(day => day.status === 'active')
+  const reorderableDays = activeIndex === -1
+    ? editableDays
+    : syllabus.days.slice(activeIndex + 1)
+
+  // Day numbers shift after every structural change - start drafts over
+  useEffect(() => {
+    setDrafts({})
+    setInsertAfter(null)
+  }, [syllabus])
+
+  const getDraft = (day) => drafts[day.dayNumber] || toDraft(day)
+
+  const updateDraft = (day, field, value) => {
+    setDrafts(prev => ({ ...prev, [day.dayNumber]: { ...getDraft(day), [field]: value } }))
+  }
+
+  /**
+   * POST an edit and save the returned syllabus
+   */
+  const runEdit = async (endpoint, body) => {
+    setSaving(true)
+    setError(null)
+    try {
+      const response = await apiFetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ syllabus, ...body })
+      })
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        throw new Error(errorData.message || errorData.error || 'Failed to update your plan')
+      }
+
+      const data = await response.json()
+      await onSyllabusUpdate(data.syllabus)
+    } catch (err) {
+      console.error('Error editing syllabus:', err)
+      setError(err.message || 'Failed to update your plan')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleSaveDay = (day) => {
+    const draft = getDraft(day)
+    return runEdit('/api/edit-day', {
+      dayNumber: day.dayNumber,
+      topic: draft.topic,
+      subtasks: toSubtasks(draft.subtasksText)
+    })
+  }
+
+  const handleDeleteDay = (day) => {
+    if (!window.confirm(`Delete Day ${day.dayNumber}: ${day.topic}? Later days move up.`)) return
+    return runEdit('/api/delete-day', { dayNumber: day.dayNumber })
+  }
+
+  const handleInsertDay = () => runEdit('/api/insert-day', {
+    afterDayNumber: insertAfter,
+    topic: newDay.topic,
+    subtasks: toSubtasks(newDay.subtasksText)
+  })
+
+  const canDrag = (day) => day.status === 'pending' && !day.locked && reorderableDays.includes(day)
+
+  const handleDrop = (targetDay) => {
+    const draggedDay = reorderableDays.find(day => day.dayNumber === draggedDayNumber)
+    setDraggedDayNumber(null)
+    if (!draggedDay || !canDrag(targetDay) || draggedDay === targetDay) return
+
+    const order = reorderableDays.filter(day => day !== draggedDay)
+    order.splice(reorderableDays.indexOf(targetDay), 0, draggedDay)
+    return runEdit('/api/reorder-days', { dayNumbers: order.map(day => day.dayNumber) })
+  }
+
+  const isDirty = (day) => {
+    const draft = getDraft(day)
+    return draft.topic !== day.topic || toSubtasks(draft.subtasksText).join('\n') !== (day.subtasks || []).join('\n')
+  }
+
+  return (
+    <div className="modal-overlay" onClick={saving ? undefined : onClose}>
+      <div className="modal-content syllabus-editor-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-content-header">
+          <h2>Edit Plan</h2>
+          <p className="modal-subtitle">
+            Change topics and subtasks, add or delete upcoming days, or drag them into a new order.
+            Day numbers and dates update automatically. Locked days stay as they are.
+          </p>
+        </div>
+        <div className="modal-content-body">
+          {error && <div className="modal-error">{error}</div>}
+
+          {editableDays.length === 0 && (
+            <p className="editor-empty">There are no upcoming days left to edit.</p>
+          )}
+
+          {editableDays.map(day => {
+            const draft = getDraft(day)
+            return (
+              <div key={day.dayNumber}>
+                <div
+                  className={`editor-day ${day.status}${draggedDayNumber === day.dayNumber ? ' dragging' : ''}`}
+                  draggable={canDrag(day) && !saving}
+                  onDragStart={() => setDraggedDayNumber(day.dayNumber)}
+                  onDragEnd={() => setDraggedDayNumber(null)}
+                  onDragOver={(e) => {
+                    if (draggedDayNumber !== null && canDrag(day)) e.preventDefault()
+                  }}
+                  onDrop={(e) => {
+                    e.preventDefault()
+                    handleDrop(day)
+                  }}
+                >
+                  <div className="editor-day-header">
+                    {canDrag(day) && <span className="editor-drag-handle" title="Drag to reorder">⋮⋮</span>}
+                    <span className="editor-day-number">Day {day.dayNumber}</span>
+                    {day.date && <span className="editor-day-date">{day.date}</span>}
+                    {day.status === 'active' && <span className="editor-day-tag">Today</span>}
+                    {day.locked && <span className="editor-day-tag" title="Unlock the day on the dashboard to change it">🔒 Locked</span>}
+                  </div>
+                  <input
+                    type="text"
+                    className="editor-topic-input"
+                    value={draft.topic}
+                    onChange={(e) => updateDraft(day, 'topic', e.target.value)}
+                    placeholder="Topic"
+                    maxLength={120}
+                    disabled={saving || day.locked}
+                  />
+                  <textarea
+                    className="editor-subtasks-input"
+                    value={draft.subtasksText}
+                    onChange={(e) => updateDraft(day, 'subtasksText', e.target.value)}
+                    placeholder="One subtask per line"
+                    rows={Math.max(3, toSubtasks(draft.subtasksText).length + 1)}
+                    disabled={saving || day.locked}
+                  />
+                  <div className="editor-day-actions">
+                    <button
+                      type="button"
+                      className="editor-add-button"
+                      onClick={() => {
+                        setInsertAfter(day.dayNumber)
+                        setNewDay(toDraft(null))
+                      }}
+                      disabled={saving}
+                    >
+                      + Add day after
+                    </button>
+                    {day.status === 'pending' && !day.locked && (
+                      <button
+                        type="button"
+                        className="skip-button"
+                        onClick={() => handleDeleteDay(day)}
+                        disabled={saving}
+                      >
+                        Delete
+                      </button>
+                    )}
+                    <button
+                      type="button"
+                      className="editor-save-button"
+                      onClick={() => handleSaveDay(day)}
+                      disabled={saving || day.locked || !isDirty(day)}
+                    >
+                      Save
+                    </button>
+                  </div>
+                </div>
+
+                {insertAfter === day.dayNumber && (
+                  <div className="editor-day new-day">
+                    <div className="editor-day-header">
+                      <span className="editor-day-number">New day after Day {day.dayNumber}</span>
+                    </div>
+                    <input
+                      type="text"
+                      className="editor-topic-input"
+                      value={newDay.topic}
+                      onChange={(e) => setNewDay(prev => ({ ...prev, topic: e.target.value }))}
+                      placeholder="Topic"
+                      maxLength={120}
+                      disabled={saving}
+                      autoFocus
+                    />
+                    <textarea
+                      className="editor-subtasks-input"
+                      value={newDay.subtasksText}
+                      onChange={(e) => setNewDay(prev => ({ ...prev, subtasksText: e.target.value }))}
+                      placeholder="One subtask per line"
+                      rows={3}
+                      disabled={saving}
+                    />
+                    <div className="editor-day-actions">
+                      <button
+                        type="button"
+                        className="skip-button"
+                        onClick={() => setInsertAfter(null)}
+                        disabled={saving}
+                      >
+                        Cancel
+                      </button>
+                      <button
+                        type="button"
+                        className="editor-save-button"
+                        onClick={handleInsertDay}
+                        disabled={saving || !newDay.topic.trim() || toSubtasks(newDay.subtasksText).length === 0}
+                      >
+                        Add Day
+                      </button>
+                    </div>
+                  </div>
+                )}
+              </div>
+            )
+          })}
+
+          <div className="modal-actions">
+            <button
+              type="button"
+              onClick={onClose}
+              className="submit-button"
+              disabled={saving}
+            >
+              {saving ? 'Saving...' : 'Done'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default SyllabusEditor
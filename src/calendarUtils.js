@@ -7,12 +7,66 @@
  * It acts as a living mirror of the syllabus state.
  */
 
-// Hardcoded user (no auth)
-const USER = {
-  id: "demo_user",
-  name: "Demo User",
-  preferredStudyTime: "20:00"  // 8 PM
-};
+import { getWeekday, getTodayInTimeZone, isKnownTimeZone } from './dateUtils.js'
+
+/**
+ * Study time when the profile has none (8 PM)
+ */
+export const DEFAULT_STUDY_TIME = '20:00'
+
+/**
+ * Weekday keys of profile.studyTimesByWeekday, indexed like Date#getUTCDay
+ */
+export const WEEKDAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat']
+
+/**
+ * "HH:MM" (24h), as produced by <input type="time">
+ */
+const STUDY_TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/
+
+/**
+ * Clean up a user's calendar profile
+ *
+ * Invalid times fall back to the default (or are dropped, for weekdays);
+ * an unknown timezone becomes null (= this device's timezone).
+ *
+ * @param {Object} [profile]
+ * @param {string} [profile.preferredStudyTime] - "HH:MM"
+ * @param {Object} [profile.studyTimesByWeekday] - e.g. { sat: '10:00' }
+ * @param {string} [profile.timeZone] - IANA timezone
+ * @returns {{preferredStudyTime: string, studyTimesByWeekday: Object, timeZone: string|null}}
+ */
+export function normalizeCalendarProfile(profile) {
+  const source = profile || {}
+  const weekdayTimes = source.studyTimesByWeekday || {}
+
+  const studyTimesByWeekday = {}
+  for (const key of WEEKDAY_KEYS) {
+    if (STUDY_TIME_PATTERN.test(weekdayTimes[key] || '')) {
+      studyTimesByWeekday[key] = weekdayTimes[key]
+    }
+  }
+
+  return {
+    preferredStudyTime: STUDY_TIME_PATTERN.test(source.preferredStudyTime || '')
+      ? source.preferredStudyTime
+      : DEFAULT_STUDY_TIME,
+    studyTimesByWeekday,
+    timeZone: isKnownTimeZone(source.timeZone) ? source.timeZone : null
+  }
+}
+
+/**
+ * Study time for a date: the weekday's own time, else the preferred time
+ *
+ * @param {Object} profile - Normalized calendar profile
+ * @param {string} date - "YYYY-MM-DD"
+ * @returns {string} - "HH:MM"
+ */
+export function getStudyTimeForDate(profile, date) {
+  const weekday = WEEKDAY_KEYS[getWeekday(date)]
+  return profile.studyTimesByWeekday[weekday] || profile.preferredStudyTime
+}
 
 /**
  * Generate calendar entries from syllabus
@@ -20,33 +74,32 @@ const USER = {
  * Rules:
  * - Calendar is derived, never manually stored
  * - Date calculated from syllabus.startDate + dayNumber + shifts
- * - Time from user.preferredStudyTime
+ * - Time from the profile: the weekday's study time, else the preferred time
  * - Notes generated from topic + subtasks
  * 
  * @param {Object} syllabus - The syllabus object with days array
+ * @param {Object} [profile] - Calendar profile (see normalizeCalendarProfile)
  * @returns {Array} Array of calendar entries
  */
-export function generateCalendarEntries(syllabus) {
+export function generateCalendarEntries(syllabus, profile) {
   if (!syllabus || !syllabus.days || syllabus.days.length === 0) {
     return [];
   }
 
+  const calendarProfile = normalizeCalendarProfile(profile);
   const entries = [];
-  const startDate = new Date(syllabus.startDate);
-  startDate.setHours(0, 0, 0, 0);
 
   syllabus.days.forEach((day) => {
-    // Date is already calculated in syllabus (accounts for skip/leave shifts)
-    const entryDate = new Date(day.date);
-    
     // Generate notes from topic and subtasks
     const notes = generateNotes(day.topic, day.subtasks);
     
     entries.push({
       date: day.date,  // Already includes skip/leave shifts
-      time: USER.preferredStudyTime,
+      time: getStudyTimeForDate(calendarProfile, day.date),
+      timeZone: calendarProfile.timeZone,  // null = device timezone
       dayNumber: day.dayNumber,
       topic: day.topic,
+      subtasks: day.subtasks || [],
       notes: notes,
       status: day.status  // Include status for highlighting
     });
@@ -76,65 +129,176 @@ function generateNotes(topic, subtasks) {
 }
 
 /**
- * Generate iCal format text from calendar entries
- * 
- * This is a SIMULATED export for demonstration only.
- * Not a real Google Calendar sync.
- * 
- * Includes status tags (completed, skipped, leave) in the description.
- * 
- * @param {Array} entries - Calendar entries with status
- * @returns {string} iCal-formatted text
+ * Study session length (hours) when the syllabus has no hoursPerDay
  */
-export function generateICalText(entries) {
-  if (!entries || entries.length === 0) {
-    return 'No calendar entries to export.';
+const DEFAULT_SESSION_HOURS = 1
+
+/**
+ * RFC 5545 content lines: max 75 octets, CRLF line breaks
+ */
+const ICAL_LINE_OCTETS = 75
+const ICAL_LINE_BREAK = '\r\n'
+
+/**
+ * Status tags shown at the start of the event description
+ */
+const STATUS_TAGS = {
+  completed: '[COMPLETED] ',
+  skipped: '[SKIPPED] ',
+  leave: '[LEAVE] ',
+  active: '[ACTIVE] '
+}
+
+/**
+ * Generate iCalendar (RFC 5545) text from calendar entries
+ *
+ * Importable by Google Calendar, Outlook, Apple Calendar and Thunderbird:
+ * - CRLF line endings, lines folded at 75 octets
+ * - TEXT values escaped (backslash, semicolon, comma, newline)
+ * - DTSTAMP on every event
+ * - Start times in the given IANA timezone (TZID + generated VTIMEZONE)
+ * - Session length from hoursPerDay (DURATION)
+ * - Optional VALARM reminder for upcoming sessions
+ *
+ * Includes status tags (completed, skipped, leave) in the description;
+ * skipped and leave days are exported as cancelled events.
+ *
+ * @param {Array} entries - Calendar entries (see generateCalendarEntries);
+ *   optional entry.uid / entry.sequence give events a stable identity
+ *   across exports (see server/calendarFeeds.js)
+ * @param {Object} [options]
+ * @param {number} [options.durationHours] - Session length (syllabus.hoursPerDay)
+ * @param {string} [options.timeZone] - IANA timezone of the study times
+ *   (default: the entries' profile timezone, else this device's)
+ * @param {number|null} [options.alarmMinutes] - Reminder this many minutes before (null = none)
+ * @param {string|null} [options.calendarName] - Calendar display name (null = none)
+ * @param {string|null} [options.method] - iTIP METHOD (null = none, as CalDAV
+ *   resources require)
+ * @param {Date} [options.now] - DTSTAMP time (default: now)
+ * @returns {string} iCalendar text
+ */
+export function generateICalText(entries, options = {}) {
+  const {
+    durationHours = DEFAULT_SESSION_HOURS,
+    alarmMinutes = null,
+    calendarName = 'LAIPath Learning Plan',
+    method = 'PUBLISH',
+    now = new Date()
+  } = options
+  const events = entries || []
+  const timeZone = resolveTimeZone(options.timeZone || events.find(entry => entry.timeZone)?.timeZone)
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//LAIPath//Learning Plan//EN',
+    'CALSCALE:GREGORIAN'
+  ]
+  if (method) {
+    lines.push(`METHOD:${method}`)
+  }
+  if (calendarName) {
+    lines.push(`X-WR-CALNAME:${escapeICalText(calendarName)}`, `X-WR-TIMEZONE:${timeZone}`)
   }
 
-  let ical = 'BEGIN:VCALENDAR\n';
-  ical += 'VERSION:2.0\n';
-  ical += 'PRODID:-//Adaptive Learning System//EN\n';
-  ical += 'CALSCALE:GREGORIAN\n';
-  ical += 'METHOD:PUBLISH\n\n';
+  const isUtc = timeZone === 'UTC'
+  if (!isUtc && events.length > 0) {
+    const instants = events.map(entry => zonedTimeToUtc(entry.date, entry.time, timeZone))
+    lines.push(...buildVTimeZone(timeZone, Math.min(...instants), Math.max(...instants)))
+  }
+
+  const dtStamp = formatUtcDateTime(now.getTime())
+  const duration = formatDuration(durationHours)
+
+  events.forEach((entry) => {
+    const dtStart = isUtc
+      ? `DTSTART:${formatDateTimeForICal(entry.date, entry.time)}Z`
+      : `DTSTART;TZID=${timeZone}:${formatDateTimeForICal(entry.date, entry.time)}`
+    const summary = `Day ${entry.dayNumber} – ${entry.topic}`
+    const subtasks = entry.subtasks && entry.subtasks.length > 0
+      ? `\n\n${entry.subtasks.map(subtask => `- ${subtask}`).join('\n')}`
+      : ''
+    const isCancelled = entry.status === 'skipped' || entry.status === 'leave'
+
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${entry.uid || `day-${entry.dayNumber}-${entry.date}@learning-system`}`,
+      `DTSTAMP:${dtStamp}`,
+      dtStart,
+      `DURATION:${duration}`,
+      `SUMMARY:${escapeICalText(summary)}`,
+      `DESCRIPTION:${escapeICalText(`${STATUS_TAGS[entry.status] || ''}${entry.topic}${subtasks}`)}`
+    )
 
-  entries.forEach((entry) => {
-    // Convert date and time to iCal format (YYYYMMDDTHHMMSS)
-    const dateTime = formatDateTimeForICal(entry.date, entry.time);
-    
-    // Build status tag
-    let statusTag = '';
-    if (entry.status === 'completed') {
-      statusTag = '[COMPLETED] ';
-    } else if (entry.status === 'skipped') {
-      statusTag = '[SKIPPED] ';
-    } else if (entry.status === 'leave') {
-      statusTag = '[LEAVE] ';
-    } else if (entry.status === 'active') {
-      statusTag = '[ACTIVE] ';
-    }
-    
-    // Build description with status and notes
-    const description = `${statusTag}${entry.notes}`;
-    
-    ical += 'BEGIN:VEVENT\n';
-    ical += `UID:day-${entry.dayNumber}-${entry.date}@learning-system\n`;
-    ical += `DTSTART:${dateTime}\n`;
-    ical += `DTEND:${dateTime}\n`;  // Same as start (1-hour event implied)
-    ical += `SUMMARY:Day ${entry.dayNumber} – ${entry.topic}\n`;
-    ical += `DESCRIPTION:${description}\n`;
-    
     // Add status as a category for better filtering
     if (entry.status) {
-      ical += `CATEGORIES:${entry.status.toUpperCase()}\n`;
+      lines.push(`CATEGORIES:${escapeICalText(entry.status.toUpperCase())}`)
     }
-    
-    ical += 'STATUS:CONFIRMED\n';
-    ical += 'SEQUENCE:0\n';
-    ical += 'END:VEVENT\n\n';
-  });
 
-  ical += 'END:VCALENDAR\n';
-  return ical;
+    lines.push(
+      `STATUS:${isCancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+      `SEQUENCE:${entry.sequence || 0}`,
+      'TRANSP:OPAQUE'
+    )
+
+    // Reminders only make sense for sessions still ahead
+    if (alarmMinutes > 0 && (entry.status === 'active' || entry.status === 'pending')) {
+      lines.push(
+        'BEGIN:VALARM',
+        'ACTION:DISPLAY',
+        `DESCRIPTION:${escapeICalText(summary)}`,
+        `TRIGGER:-PT${Math.round(alarmMinutes)}M`,
+        'END:VALARM'
+      )
+    }
+
+    lines.push('END:VEVENT')
+  })
+
+  lines.push('END:VCALENDAR')
+  return lines.map(foldICalLine).join(ICAL_LINE_BREAK) + ICAL_LINE_BREAK
+}
+
+/**
+ * Escape a TEXT property value (RFC 5545 section 3.3.11)
+ */
+function escapeICalText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r\n|\r|\n/g, '\\n')
+}
+
+/**
+ * Fold a content line at 75 octets (RFC 5545 section 3.1)
+ * Counts UTF-8 bytes and never splits a character; continuation lines
+ * start with a single space
+ */
+function foldICalLine(line) {
+  const encoder = new TextEncoder()
+  if (encoder.encode(line).length <= ICAL_LINE_OCTETS) {
+    return line
+  }
+
+  const parts = []
+  let current = ''
+  let currentOctets = 0
+  let limit = ICAL_LINE_OCTETS
+  for (const char of line) {
+    const octets = encoder.encode(char).length
+    if (currentOctets + octets > limit) {
+      parts.push(current)
+      current = ''
+      currentOctets = 0
+      limit = ICAL_LINE_OCTETS - 1  // Leading space counts toward the limit
+    }
+    current += char
+    currentOctets += octets
+  }
+  parts.push(current)
+
+  return parts.join(`${ICAL_LINE_BREAK} `)
 }
 
 /**
@@ -149,21 +313,165 @@ function formatDateTimeForICal(dateStr, timeStr) {
   return `${date}T${time}`;
 }
 
+/**
+ * Format a UTC instant as "20260110T200000Z" (DTSTAMP)
+ */
+function formatUtcDateTime(instantMs) {
+  return new Date(instantMs).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')
+}
+
+/**
+ * Format a session length as an iCal DURATION ("PT1H", "PT1H30M")
+ */
+function formatDuration(hours) {
+  const totalMinutes = Math.max(1, Math.round((Number(hours) || DEFAULT_SESSION_HOURS) * 60))
+  const wholeHours = Math.floor(totalMinutes / 60)
+  const minutes = totalMinutes % 60
+  return `PT${wholeHours > 0 ? `${wholeHours}H` : ''}${minutes > 0 ? `${minutes}M` : ''}`
+}
+
+/**
+ * IANA timezone to export in: the requested one if valid, else this device's
+ */
+function resolveTimeZone(timeZone) {
+  if (isKnownTimeZone(timeZone)) {
+    return timeZone
+  }
+  if (timeZone) {
+    console.warn(`⚠️  Unknown timezone "${timeZone}", using device timezone`)
+  }
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC'
+}
+
+/**
+ * Wall-clock fields of an instant in a timezone
+ */
+function getZonedParts(timeZone, instantMs) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(new Date(instantMs))
+  const value = (type) => Number(parts.find(part => part.type === type).value)
+  return { year: value('year'), month: value('month'), day: value('day'), hour: value('hour'), minute: value('minute'), second: value('second') }
+}
+
+/**
+ * UTC offset of a timezone at an instant, in minutes (east of UTC positive)
+ */
+function getTimeZoneOffsetMinutes(timeZone, instantMs) {
+  const { year, month, day, hour, minute, second } = getZonedParts(timeZone, instantMs)
+  const wallClockAsUtc = Date.UTC(year, month - 1, day, hour, minute, second)
+  return Math.round((wallClockAsUtc - Math.floor(instantMs / 1000) * 1000) / 60000)
+}
+
+/**
+ * UTC instant of a wall-clock date/time in a timezone
+ */
+function zonedTimeToUtc(dateStr, timeStr, timeZone) {
+  const [year, month, day] = dateStr.split('-').map(Number)
+  const [hour, minute] = timeStr.split(':').map(Number)
+  const wallClockAsUtc = Date.UTC(year, month - 1, day, hour, minute)
+
+  // Second pass corrects guesses that land on the other side of a DST change
+  let instant = wallClockAsUtc - getTimeZoneOffsetMinutes(timeZone, wallClockAsUtc) * 60000
+  const correctedOffset = getTimeZoneOffsetMinutes(timeZone, instant)
+  instant = wallClockAsUtc - correctedOffset * 60000
+  return instant
+}
+
+/**
+ * Format a UTC offset in minutes as "+0530" / "-0800"
+ */
+function formatUtcOffset(offsetMinutes) {
+  const sign = offsetMinutes < 0 ? '-' : '+'
+  const absolute = Math.abs(offsetMinutes)
+  return `${sign}${String(Math.floor(absolute / 60)).padStart(2, '0')}${String(absolute % 60).padStart(2, '0')}`
+}
+
+/**
+ * Build the VTIMEZONE component for the exported date range
+ *
+ * RFC 5545 requires a VTIMEZONE for every TZID used. The offsets and DST
+ * transitions are read from the runtime's timezone data (Intl) for the
+ * range covered by the events, one observance per transition.
+ *
+ * @param {string} timeZone - IANA timezone
+ * @param {number} fromMs - First event instant
+ * @param {number} toMs - Last event instant
+ * @returns {string[]} Content lines
+ */
+function buildVTimeZone(timeZone, fromMs, toMs) {
+  const MINUTE = 60000
+  const DAY = 24 * 60 * MINUTE
+  const offsetAt = (instantMs) => getTimeZoneOffsetMinutes(timeZone, instantMs)
+
+  const rangeStart = Math.floor((fromMs - DAY) / MINUTE) * MINUTE
+  const rangeEnd = toMs + DAY
+  const startYear = new Date(rangeStart).getUTCFullYear()
+  // The smaller of the winter/summer offsets is standard time (either hemisphere)
+  const standardOffset = Math.min(offsetAt(Date.UTC(startYear, 0, 1)), offsetAt(Date.UTC(startYear, 6, 1)))
+
+  const initialOffset = offsetAt(rangeStart)
+  const observances = [{ at: rangeStart, from: initialOffset, to: initialOffset }]
+  let previousOffset = initialOffset
+  for (let checkpoint = rangeStart + DAY; checkpoint < rangeEnd + DAY; checkpoint += DAY) {
+    const offset = offsetAt(checkpoint)
+    if (offset === previousOffset) continue
+
+    // Narrow the change down to the minute
+    let before = checkpoint - DAY
+    let after = checkpoint
+    while (after - before > MINUTE) {
+      const middle = before + Math.floor((after - before) / (2 * MINUTE)) * MINUTE
+      if (offsetAt(middle) === previousOffset) {
+        before = middle
+      } else {
+        after = middle
+      }
+    }
+    observances.push({ at: after, from: previousOffset, to: offset })
+    previousOffset = offset
+  }
+
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`]
+  observances.forEach(({ at, from, to }) => {
+    const type = to > standardOffset ? 'DAYLIGHT' : 'STANDARD'
+    lines.push(
+      `BEGIN:${type}`,
+      // Observance start is local time before the change (in TZOFFSETFROM)
+      `DTSTART:${formatUtcDateTime(at + from * MINUTE).replace('Z', '')}`,
+      `TZOFFSETFROM:${formatUtcOffset(from)}`,
+      `TZOFFSETTO:${formatUtcOffset(to)}`,
+      `END:${type}`
+    )
+  })
+  lines.push('END:VTIMEZONE')
+
+  return lines
+}
+
 /**
  * Get today's date in YYYY-MM-DD format
  * For this app, "today" is always Day 1's date (the original start date)
  * This keeps the reference point consistent regardless of skip/leave shifts
+ * 
+ * @param {Object|null} syllabus - The syllabus (startDate)
+ * @param {string|null} [timeZone] - Profile timezone for the no-syllabus fallback
  */
-export function getTodayDate(syllabus) {
+export function getTodayDate(syllabus, timeZone = null) {
   // If syllabus provided, use Day 1's date as "today"
   // This ensures "today" always refers to the original start date
   if (syllabus && syllabus.startDate) {
     return syllabus.startDate;
   }
   
-  // Fallback to actual today if no syllabus
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
-  return today.toISOString().split('T')[0];
+  // Fallback to actual today (in the user's timezone) if no syllabus
+  return getTodayInTimeZone(timeZone);
 }
 
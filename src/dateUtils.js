@@ -0,0 +1,138 @@
+/**
+ * Date Utilities
+ *
+ * Calendar-date arithmetic for syllabus days, shared by the client (skip/leave
+ * shifting, calendar) and the server (syllabus generation and adaptation).
+ *
+ * A day's date is a calendar date ("YYYY-MM-DD"), not an instant:
+ * - Adding days works on the date itself, so it never moves across a
+ *   timezone offset or a DST change
+ * - "Today" is the date on the user's wall clock (their IANA timezone),
+ *   not the UTC date
+ *
+ * Pure functions, no side effects.
+ */
+
+/**
+ * "YYYY-MM-DD"
+ */
+const CALENDAR_DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/
+
+/**
+ * Milliseconds per calendar day (exact for UTC midnights)
+ */
+const MS_PER_DAY = 24 * 60 * 60 * 1000
+
+/**
+ * UTC midnight of a calendar date, or NaN if it is not a real date
+ */
+function toUtcMidnight(date) {
+  const match = typeof date === 'string' ? CALENDAR_DATE_PATTERN.exec(date) : null
+  if (!match) {
+    return NaN
+  }
+  const [, year, month, day] = match.map(Number)
+  const ms = Date.UTC(year, month - 1, day)
+  // Reject dates that roll over, e.g. 2026-02-30
+  const check = new Date(ms)
+  return check.getUTCMonth() === month - 1 && check.getUTCDate() === day ? ms : NaN
+}
+
+/**
+ * Calendar date of a UTC midnight
+ */
+function fromUtcMidnight(ms) {
+  return new Date(ms).toISOString().slice(0, 10)
+}
+
+/**
+ * UTC midnight of a calendar date (throws on invalid input)
+ */
+function requireUtcMidnight(date) {
+  const ms = toUtcMidnight(date)
+  if (Number.isNaN(ms)) {
+    throw new RangeError(`Invalid calendar date: ${date}`)
+  }
+  return ms
+}
+
+/**
+ * Whether a value is a real calendar date ("YYYY-MM-DD")
+ *
+ * @param {any} value
+ * @returns {boolean}
+ */
+export function isCalendarDate(value) {
+  return !Number.isNaN(toUtcMidnight(value))
+}
+
+/**
+ * Add (or subtract) whole days to a calendar date
+ *
+ * @param {string} date - "YYYY-MM-DD"
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string} - "YYYY-MM-DD"
+ * @throws {RangeError} - Invalid date
+ */
+export function addDays(date, days) {
+  return fromUtcMidnight(requireUtcMidnight(date) + Math.round(days) * MS_PER_DAY)
+}
+
+/**
+ * Whole days from one calendar date to another
+ *
+ * @param {string} from - "YYYY-MM-DD"
+ * @param {string} to - "YYYY-MM-DD"
+ * @returns {number} - Negative if `to` is before `from`
+ * @throws {RangeError} - Invalid date
+ */
+export function daysBetween(from, to) {
+  return Math.round((requireUtcMidnight(to) - requireUtcMidnight(from)) / MS_PER_DAY)
+}
+
+/**
+ * Weekday of a calendar date (the same in every timezone)
+ *
+ * @param {string} date - "YYYY-MM-DD"
+ * @returns {number} - 0 = Sunday ... 6 = Saturday
+ * @throws {RangeError} - Invalid date
+ */
+export function getWeekday(date) {
+  return new Date(requireUtcMidnight(date)).getUTCDay()
+}
+
+/**
+ * Whether Intl knows an IANA timezone name
+ *
+ * @param {any} timeZone
+ * @returns {boolean}
+ */
+export function isKnownTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) {
+    return false
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone })
+    return true
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Calendar date of an instant on the wall clock of a timezone
+ *
+ * @param {string|null} [timeZone] - IANA timezone (default: this device's)
+ * @param {Date} [now] - Instant (default: now)
+ * @returns {string} - "YYYY-MM-DD"
+ */
+export function getTodayInTimeZone(timeZone = null, now = new Date()) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: isKnownTimeZone(timeZone) ? timeZone : undefined,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).formatToParts(now)
+  const get = (type) => parts.find(part => part.type === type).value
+  return `${get('year')}-${get('month')}-${get('day')}`
+}
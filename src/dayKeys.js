@@ -0,0 +1,47 @@
+/**
+ * Day Keys
+ *
+ * Stable identity of a syllabus day, shared by the client (chat transcripts,
+ * Supabase rows) and the server (generation, adaptation, editing).
+ *
+ * Day numbers change whenever days are inserted, deleted, split, merged or
+ * reordered; a day's key does not. Per-day data (the mentor chat transcript
+ * in day_messages) is stored under the key so it stays with its day.
+ *
+ * Days saved before keys existed have none: their key is "day-<dayNumber>",
+ * the same value the day_key backfill writes (see supabaseSchema.js). A
+ * keyless day must be given that key before it is renumbered.
+ */
+
+/**
+ * Key of a day ("day-<dayNumber>" for days saved before keys existed)
+ *
+ * @param {Object} day - Syllabus day
+ * @returns {string}
+ */
+export function getDayKey(day) {
+  return day.dayKey || `day-${day.dayNumber}`
+}
+
+/**
+ * Key for a new day (generated, inserted or split off)
+ *
+ * @returns {string}
+ */
+export function createDayKey() {
+  return globalThis.crypto.randomUUID()
+}
+
+/**
+ * Copy of a day that carries its key
+ * Days that never had a number yet (new days) get a fresh key
+ *
+ * @param {Object} day - Syllabus day
+ * @returns {Object}
+ */
+export function withDayKey(day) {
+  return {
+    ...day,
+    dayKey: day.dayKey || (Number.isInteger(day.dayNumber) ? getDayKey(day) : createDayKey()),
+  }
+}
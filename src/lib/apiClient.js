@@ -0,0 +1,126 @@
+import { supabase } from './supabase'
+
+/**
+ * Backend API Client
+ *
+ * Wraps fetch for calls to the Express backend (/api/...)
+ * Attaches the Supabase session access token as `Authorization: Bearer <token>`
+ * so the server can verify the user (see requireAuth in server/security.js)
+ */
+
+/**
+ * Get the current Supabase access token
+ *
+ * FALLBACK: Returns null if Supabase is unavailable or there is no session
+ * (the server decides whether anonymous/demo access is allowed)
+ */
+export async function getAccessToken() {
+  try {
+    const { data, error } = await supabase.auth.getSession()
+    if (error) {
+      console.warn('⚠️  Could not read auth session for API call:', error.message)
+      return null
+    }
+    return data?.session?.access_token || null
+  } catch (error) {
+    console.warn('⚠️  Auth session unavailable for API call:', error.message)
+    return null
+  }
+}
+
+/**
+ * fetch() for backend API routes with the auth header attached
+ *
+ * @param {string} path - API path, e.g. '/api/topic-chat'
+ * @param {RequestInit} options - Same options as fetch()
+ * @returns {Promise<Response>}
+ */
+export async function apiFetch(path, options = {}) {
+  const token = await getAccessToken()
+  const headers = new Headers(options.headers || {})
+
+  if (token && !headers.has('Authorization')) {
+    headers.set('Authorization', `Bearer ${token}`)
+  }
+
+  return fetch(path, { ...options, headers })
+}
+
+/**
+ * POST JSON to a backend API route and return the JSON reply
+ *
+ * @param {string} path - API path, e.g. '/api/edit-day'
+ * @param {Object} body - Request body
+ * @param {string} fallbackMessage - Error message when the server sends none
+ * @returns {Promise<any>}
+ * @throws {Error} - With the server's message on a non-2xx reply
+ */
+export async function postJson(path, body, fallbackMessage) {
+  const response = await apiFetch(path, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  })
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}))
+    throw new Error(errorData.message || errorData.error || fallbackMessage)
+  }
+
+  return response.json()
+}
+
+/**
+ * Read a Server-Sent Events response body
+ *
+ * Calls onEvent(eventName, data) for every event; data is parsed as JSON
+ * when possible. Resolves when the stream ends.
+ *
+ * @param {Response} response - fetch() response with a text/event-stream body
+ * @param {(event: string, data: any) => void} onEvent - Event callback
+ */
+export async function readEventStream(response, onEvent) {
+  const reader = response.body.getReader()
+  const decoder = new TextDecoder()
+  let buffer = ''
+
+  const dispatch = (rawEvent) => {
+    let eventName = 'message'
+    const dataLines = []
+    for (const line of rawEvent.split('\n')) {
+      if (line.startsWith('event:')) {
+        eventName = line.slice(6).trim()
+      } else if (line.startsWith('data:')) {
+        dataLines.push(line.slice(5).replace(/^ /, ''))
+      }
+    }
+    if (dataLines.length === 0) return
+
+    const rawData = dataLines.join('\n')
+    let data = rawData
+    try {
+      data = JSON.parse(rawData)
+    } catch {
+      // Non-JSON payload: pass through as text
+    }
+    onEvent(eventName, data)
+  }
+
+  while (true) {
+    const { value, done } = await reader.read()
+    if (done) break
+
+    buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n')
+
+    let boundary
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      dispatch(buffer.slice(0, boundary))
+      buffer = buffer.slice(boundary + 2)
+    }
+  }
+
+  // Flush a final event that was not followed by a blank line
+  if (buffer.trim()) {
+    dispatch(buffer)
+  }
+}
@@ -0,0 +1,40 @@
+/**
+ * Day Evaluation Utilities
+ * 
+ * Shapes /api/evaluate-learning results for storage on a syllabus day
+ * (day.evaluation → syllabus_days evaluation columns) and display.
+ */
+
+/**
+ * What each recommended_action suggests for the plan (see /api/adapt-syllabus)
+ * Worded as recommendations: the learner may have rejected the changes
+ */
+export const RECOMMENDED_ACTION_LABELS = {
+  repeat: 'Add a review day',
+  simplify: 'Split upcoming days into smaller steps',
+  advance: 'Compress upcoming days',
+  continue: 'Continue as planned',
+}
+
+/**
+ * Convert an /api/evaluate-learning response to a day evaluation
+ * 
+ * @param {Object} result - { understanding_level, confidence, gaps_detected, recommended_action }
+ * @returns {Object} - { understandingLevel, confidence, gapsDetected, recommendedAction, evaluatedAt }
+ */
+export function toDayEvaluation(result) {
+  return {
+    understandingLevel: result?.understanding_level || null,
+    confidence: result?.confidence || null,
+    gapsDetected: Array.isArray(result?.gaps_detected) ? result.gaps_detected : [],
+    recommendedAction: result?.recommended_action || null,
+    evaluatedAt: new Date().toISOString(),
+  }
+}
+
+/**
+ * Capitalize an evaluation value for display ('good' → 'Good')
+ */
+export function formatEvaluationValue(value) {
+  return value ? value.charAt(0).toUpperCase() + value.slice(1) : 'Unknown'
+}
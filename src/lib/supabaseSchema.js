@@ -78,8 +78,30 @@ export const SYLLABI_SELECT_COLUMNS = [
  * - status (text)
  * - learning_input (text, nullable)
  * - completed_at (timestamptz, nullable)
+ * - understanding_level (text, nullable) - /api/evaluate-learning result: low | basic | good | strong
+ * - confidence (text, nullable) - low | medium | high
+ * - gaps_detected (jsonb, nullable) - string[]
+ * - recommended_action (text, nullable) - repeat | continue | simplify | advance
+ * - evaluated_at (timestamptz, nullable)
+ * - locked (boolean, default false) - pinned day, never changed by AI regeneration
+ * - day_key (text) - stable key of the day (see dayKeys.js), kept when days are renumbered
  * - created_at (timestamptz)
  * 
+ * SQL for the evaluation columns (Supabase SQL Editor):
+ *   ALTER TABLE syllabus_days
+ *     ADD COLUMN understanding_level text,
+ *     ADD COLUMN confidence text,
+ *     ADD COLUMN gaps_detected jsonb,
+ *     ADD COLUMN recommended_action text,
+ *     ADD COLUMN evaluated_at timestamptz;
+ * 
+ * SQL for the locked flag:
+ *   ALTER TABLE syllabus_days ADD COLUMN locked boolean NOT NULL DEFAULT false;
+ * 
+ * SQL for the day key (existing days get their legacy key "day-<day_number>"):
+ *   ALTER TABLE syllabus_days ADD COLUMN day_key text;
+ *   UPDATE syllabus_days SET day_key = 'day-' || day_number WHERE day_key IS NULL;
+ * 
  * WARNING: This schema contract MUST match Supabase exactly.
  * Any changes here must be reflected in the database schema.
  */
@@ -102,6 +124,19 @@ export const SYLLABUS_DAYS_COLUMNS = {
   LEARNING_INPUT: 'learning_input',
   COMPLETED_AT: 'completed_at',
   
+  // Evaluation of the learning input (set when the day is completed)
+  UNDERSTANDING_LEVEL: 'understanding_level',
+  CONFIDENCE: 'confidence',
+  GAPS_DETECTED: 'gaps_detected',
+  RECOMMENDED_ACTION: 'recommended_action',
+  EVALUATED_AT: 'evaluated_at',
+  
+  // Pinned by the learner - regeneration plans around locked days
+  LOCKED: 'locked',
+  
+  // Stable day identity (day_messages rows are keyed by it)
+  DAY_KEY: 'day_key',
+  
   // Timestamp (managed by database)
   CREATED_AT: 'created_at',
 }
@@ -119,6 +154,13 @@ export const SYLLABUS_DAYS_INSERT_COLUMNS = [
   SYLLABUS_DAYS_COLUMNS.STATUS,
   SYLLABUS_DAYS_COLUMNS.LEARNING_INPUT,
   SYLLABUS_DAYS_COLUMNS.COMPLETED_AT,
+  SYLLABUS_DAYS_COLUMNS.UNDERSTANDING_LEVEL,
+  SYLLABUS_DAYS_COLUMNS.CONFIDENCE,
+  SYLLABUS_DAYS_COLUMNS.GAPS_DETECTED,
+  SYLLABUS_DAYS_COLUMNS.RECOMMENDED_ACTION,
+  SYLLABUS_DAYS_COLUMNS.EVALUATED_AT,
+  SYLLABUS_DAYS_COLUMNS.LOCKED,
+  SYLLABUS_DAYS_COLUMNS.DAY_KEY,
 ]
 
 /**
@@ -133,9 +175,148 @@ export const SYLLABUS_DAYS_SELECT_COLUMNS = [
   SYLLABUS_DAYS_COLUMNS.STATUS,
   SYLLABUS_DAYS_COLUMNS.LEARNING_INPUT,
   SYLLABUS_DAYS_COLUMNS.COMPLETED_AT,
+  SYLLABUS_DAYS_COLUMNS.UNDERSTANDING_LEVEL,
+  SYLLABUS_DAYS_COLUMNS.CONFIDENCE,
+  SYLLABUS_DAYS_COLUMNS.GAPS_DETECTED,
+  SYLLABUS_DAYS_COLUMNS.RECOMMENDED_ACTION,
+  SYLLABUS_DAYS_COLUMNS.EVALUATED_AT,
+  SYLLABUS_DAYS_COLUMNS.LOCKED,
+  SYLLABUS_DAYS_COLUMNS.DAY_KEY,
   // Note: created_at is available but typically not needed for frontend display
 ]
 
+/**
+ * day_messages table columns (mentor chat transcript per day)
+ * 
+ * Schema (EXACT match with Supabase - DO NOT MODIFY without updating database):
+ * - id (uuid)
+ * - user_id (uuid, required)
+ * - syllabus_id (uuid, required)
+ * - day_key (text, required) - syllabus_days.day_key of the day (see dayKeys.js)
+ * - day_number (integer, required) - the day's number when last saved (informational)
+ * - messages (jsonb) - [{ role: 'user' | 'assistant', content, signature? }]
+ *   (signature: the server's signature of a mentor answer, sent back as history)
+ * - suggested_questions (jsonb) - { [assistantMessageIndex]: string[] }
+ * - updated_at (timestamptz)
+ * 
+ * Unique: (syllabus_id, day_key) - one transcript per day, written via upsert;
+ * keyed by day_key so a transcript stays with its day when days are renumbered
+ * 
+ * SQL (Supabase SQL Editor):
+ *   CREATE TABLE day_messages (
+ *     id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+ *     user_id uuid NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+ *     syllabus_id uuid NOT NULL REFERENCES syllabi(id) ON DELETE CASCADE,
+ *     day_key text NOT NULL,
+ *     day_number integer NOT NULL,
+ *     messages jsonb NOT NULL DEFAULT '[]',
+ *     suggested_questions jsonb NOT NULL DEFAULT '{}',
+ *     updated_at timestamptz NOT NULL DEFAULT now(),
+ *     UNIQUE (syllabus_id, day_key)
+ *   );
+ *   ALTER TABLE day_messages ENABLE ROW LEVEL SECURITY;
+ *   CREATE POLICY "Users manage their own day messages" ON day_messages
+ *     FOR ALL USING (auth.uid() = user_id) WITH CHECK (auth.uid() = user_id);
+ * 
+ * SQL for tables created with the (syllabus_id, day_number) key (run after
+ * the syllabus_days day_key backfill - same legacy keys):
+ *   ALTER TABLE day_messages ADD COLUMN day_key text;
+ *   UPDATE day_messages SET day_key = 'day-' || day_number WHERE day_key IS NULL;
+ *   ALTER TABLE day_messages ALTER COLUMN day_key SET NOT NULL;
+ *   ALTER TABLE day_messages DROP CONSTRAINT day_messages_syllabus_id_day_number_key;
+ *   ALTER TABLE day_messages ADD UNIQUE (syllabus_id, day_key);
+ * 
+ * WARNING: This schema contract MUST match Supabase exactly.
+ * Any changes here must be reflected in the database schema.
+ */
+export const DAY_MESSAGES_COLUMNS = {
+  // Primary key (generated by Supabase, never included in inserts)
+  ID: 'id',
+  
+  // Foreign keys
+  USER_ID: 'user_id',
+  SYLLABUS_ID: 'syllabus_id',
+  
+  // Stable day identity (syllabus_days.day_key)
+  DAY_KEY: 'day_key',
+  
+  // Content fields
+  DAY_NUMBER: 'day_number',
+  MESSAGES: 'messages',
+  SUGGESTED_QUESTIONS: 'suggested_questions',
+  
+  // Timestamp (set on every save)
+  UPDATED_AT: 'updated_at',
+}
+
+/**
+ * Columns that can be upserted (excludes auto-generated id)
+ */
+export const DAY_MESSAGES_INSERT_COLUMNS = [
+  DAY_MESSAGES_COLUMNS.USER_ID,
+  DAY_MESSAGES_COLUMNS.SYLLABUS_ID,
+  DAY_MESSAGES_COLUMNS.DAY_KEY,
+  DAY_MESSAGES_COLUMNS.DAY_NUMBER,
+  DAY_MESSAGES_COLUMNS.MESSAGES,
+  DAY_MESSAGES_COLUMNS.SUGGESTED_QUESTIONS,
+  DAY_MESSAGES_COLUMNS.UPDATED_AT,
+]
+
+/**
+ * Columns selected when restoring a day's transcript
+ */
+export const DAY_MESSAGES_SELECT_COLUMNS = [
+  DAY_MESSAGES_COLUMNS.DAY_NUMBER,
+  DAY_MESSAGES_COLUMNS.MESSAGES,
+  DAY_MESSAGES_COLUMNS.SUGGESTED_QUESTIONS,
+  DAY_MESSAGES_COLUMNS.UPDATED_AT,
+]
+
+/**
+ * profiles table columns (one row per user, id = auth user id)
+ * 
+ * Schema (EXACT match with Supabase - DO NOT MODIFY without updating database):
+ * - id (uuid)
+ * - name (text)
+ * - preferred_study_time (text) - "HH:MM", default study time
+ * - study_times_by_weekday (jsonb, nullable) - { mon: "07:00", sat: "10:00" }, overrides per weekday
+ * - time_zone (text, nullable) - IANA timezone of the study times, e.g. "Europe/Berlin"
+ * - created_at (timestamptz)
+ * - updated_at (timestamptz)
+ * 
+ * SQL for the calendar columns (Supabase SQL Editor):
+ *   ALTER TABLE profiles
+ *     ADD COLUMN study_times_by_weekday jsonb,
+ *     ADD COLUMN time_zone text;
+ * 
+ * WARNING: This schema contract MUST match Supabase exactly.
+ * Any changes here must be reflected in the database schema.
+ */
+export const PROFILES_COLUMNS = {
+  // Primary key (= auth user id)
+  ID: 'id',
+  
+  // Content fields
+  NAME: 'name',
+  PREFERRED_STUDY_TIME: 'preferred_study_time',
+  STUDY_TIMES_BY_WEEKDAY: 'study_times_by_weekday',
+  TIME_ZONE: 'time_zone',
+  
+  // Timestamps (managed by database)
+  CREATED_AT: 'created_at',
+  UPDATED_AT: 'updated_at',
+}
+
+/**
+ * Columns selected when loading a profile
+ */
+export const PROFILES_SELECT_COLUMNS = [
+  PROFILES_COLUMNS.NAME,
+  PROFILES_COLUMNS.PREFERRED_STUDY_TIME,
+  PROFILES_COLUMNS.STUDY_TIMES_BY_WEEKDAY,
+  PROFILES_COLUMNS.TIME_ZONE,
+]
+
 /**
  * Strict validation: Ensure payload EXACTLY matches schema contract
  * 
@@ -166,6 +347,11 @@ export function validatePayload(payload, allowedColumns, tableName) {
   const optionalColumns = [
     SYLLABUS_DAYS_COLUMNS.LEARNING_INPUT,
     SYLLABUS_DAYS_COLUMNS.COMPLETED_AT,
+    SYLLABUS_DAYS_COLUMNS.UNDERSTANDING_LEVEL,
+    SYLLABUS_DAYS_COLUMNS.CONFIDENCE,
+    SYLLABUS_DAYS_COLUMNS.GAPS_DETECTED,
+    SYLLABUS_DAYS_COLUMNS.RECOMMENDED_ACTION,
+    SYLLABUS_DAYS_COLUMNS.EVALUATED_AT,
   ]
   
   // Check for missing required columns (non-optional columns that are undefined)
@@ -6,8 +6,15 @@ import {
   SYLLABUS_DAYS_COLUMNS,
   SYLLABUS_DAYS_INSERT_COLUMNS,
   SYLLABUS_DAYS_SELECT_COLUMNS,
+  DAY_MESSAGES_COLUMNS,
+  DAY_MESSAGES_INSERT_COLUMNS,
+  DAY_MESSAGES_SELECT_COLUMNS,
+  PROFILES_COLUMNS,
+  PROFILES_SELECT_COLUMNS,
   guardPayload,
 } from './supabaseSchema.js'
+import { normalizeCalendarProfile } from '../calendarUtils.js'
+import { getDayKey } from '../dayKeys.js'
 
 /**
  * Syllabus Storage Utilities
@@ -17,6 +24,35 @@ import {
  * Includes fallback safety for Supabase unavailability
  */
 
+/**
+ * Map a day's evaluation to its syllabus_days columns (all null if not evaluated)
+ */
+function toEvaluationColumns(evaluation) {
+  return {
+    [SYLLABUS_DAYS_COLUMNS.UNDERSTANDING_LEVEL]: evaluation?.understandingLevel || null,
+    [SYLLABUS_DAYS_COLUMNS.CONFIDENCE]: evaluation?.confidence || null,
+    [SYLLABUS_DAYS_COLUMNS.GAPS_DETECTED]: Array.isArray(evaluation?.gapsDetected) ? evaluation.gapsDetected : null,
+    [SYLLABUS_DAYS_COLUMNS.RECOMMENDED_ACTION]: evaluation?.recommendedAction || null,
+    [SYLLABUS_DAYS_COLUMNS.EVALUATED_AT]: evaluation?.evaluatedAt || null
+  }
+}
+
+/**
+ * Rebuild a day's evaluation from its syllabus_days row (null if not evaluated)
+ */
+function fromEvaluationColumns(row) {
+  if (!row[SYLLABUS_DAYS_COLUMNS.UNDERSTANDING_LEVEL] && !row[SYLLABUS_DAYS_COLUMNS.EVALUATED_AT]) {
+    return null
+  }
+  return {
+    understandingLevel: row[SYLLABUS_DAYS_COLUMNS.UNDERSTANDING_LEVEL] || null,
+    confidence: row[SYLLABUS_DAYS_COLUMNS.CONFIDENCE] || null,
+    gapsDetected: row[SYLLABUS_DAYS_COLUMNS.GAPS_DETECTED] || [],
+    recommendedAction: row[SYLLABUS_DAYS_COLUMNS.RECOMMENDED_ACTION] || null,
+    evaluatedAt: row[SYLLABUS_DAYS_COLUMNS.EVALUATED_AT] || null
+  }
+}
+
 /**
  * Save syllabus to Supabase
  * 
@@ -156,7 +192,10 @@ export async function saveSyllabus(userId, syllabus) {
           [SYLLABUS_DAYS_COLUMNS.AI_EXPERT_PROMPT]: day.aiExpertPrompt,
           [SYLLABUS_DAYS_COLUMNS.STATUS]: day.status || 'pending',
           [SYLLABUS_DAYS_COLUMNS.LEARNING_INPUT]: day.learningInput || null,
-          [SYLLABUS_DAYS_COLUMNS.COMPLETED_AT]: day.completedAt || null
+          [SYLLABUS_DAYS_COLUMNS.COMPLETED_AT]: day.completedAt || null,
+          ...toEvaluationColumns(day.evaluation),
+          [SYLLABUS_DAYS_COLUMNS.LOCKED]: Boolean(day.locked),
+          [SYLLABUS_DAYS_COLUMNS.DAY_KEY]: getDayKey(day)
         }
         
         // STRICT schema validation guard for each day - prevents drift
@@ -274,7 +313,10 @@ export async function loadSyllabus(userId) {
         aiExpertPrompt: day[SYLLABUS_DAYS_COLUMNS.AI_EXPERT_PROMPT],
         status: day[SYLLABUS_DAYS_COLUMNS.STATUS] || 'pending',
         learningInput: day[SYLLABUS_DAYS_COLUMNS.LEARNING_INPUT] || null,
-        completedAt: day[SYLLABUS_DAYS_COLUMNS.COMPLETED_AT] || null
+        completedAt: day[SYLLABUS_DAYS_COLUMNS.COMPLETED_AT] || null,
+        evaluation: fromEvaluationColumns(day),
+        locked: Boolean(day[SYLLABUS_DAYS_COLUMNS.LOCKED]),
+        dayKey: getDayKey({ dayKey: day[SYLLABUS_DAYS_COLUMNS.DAY_KEY], dayNumber: day[SYLLABUS_DAYS_COLUMNS.DAY_NUMBER] })
       }))
     }
 
@@ -297,6 +339,9 @@ export async function loadSyllabus(userId) {
 /**
  * Save user profile to Supabase
  * 
+ * profile: { name, preferredStudyTime, studyTimesByWeekday?, timeZone? } -
+ * omitted calendar fields are left unchanged
+ * 
  * Falls back gracefully if Supabase is unavailable
  * Does NOT throw errors - logs warnings instead
  */
@@ -310,9 +355,15 @@ export async function saveUserProfile(userId, profile) {
     // Build profile data without requiring updated_at
     // FALLBACK: updated_at is optional - database may handle it automatically
     const profileData = {
-      id: userId, // Use user.id as primary key
-      name: profile.name,
-      preferred_study_time: profile.preferredStudyTime,
+      [PROFILES_COLUMNS.ID]: userId, // Use user.id as primary key
+      [PROFILES_COLUMNS.NAME]: profile.name,
+      [PROFILES_COLUMNS.PREFERRED_STUDY_TIME]: profile.preferredStudyTime,
+    }
+    if (profile.studyTimesByWeekday !== undefined) {
+      profileData[PROFILES_COLUMNS.STUDY_TIMES_BY_WEEKDAY] = profile.studyTimesByWeekday
+    }
+    if (profile.timeZone !== undefined) {
+      profileData[PROFILES_COLUMNS.TIME_ZONE] = profile.timeZone
     }
     
     // Only include updated_at if we want to set it explicitly (optional)
@@ -466,7 +517,10 @@ export async function loadSyllabusById(userId, syllabusId) {
         aiExpertPrompt: day[SYLLABUS_DAYS_COLUMNS.AI_EXPERT_PROMPT],
         status: day[SYLLABUS_DAYS_COLUMNS.STATUS] || 'pending',
         learningInput: day[SYLLABUS_DAYS_COLUMNS.LEARNING_INPUT] || null,
-        completedAt: day[SYLLABUS_DAYS_COLUMNS.COMPLETED_AT] || null
+        completedAt: day[SYLLABUS_DAYS_COLUMNS.COMPLETED_AT] || null,
+        evaluation: fromEvaluationColumns(day),
+        locked: Boolean(day[SYLLABUS_DAYS_COLUMNS.LOCKED]),
+        dayKey: getDayKey({ dayKey: day[SYLLABUS_DAYS_COLUMNS.DAY_KEY], dayNumber: day[SYLLABUS_DAYS_COLUMNS.DAY_NUMBER] })
       }))
     }
   } catch (error) {
@@ -484,6 +538,7 @@ export async function loadSyllabusById(userId, syllabusId) {
  * 
  * Architecture:
  * - Deletes all days from 'syllabus_days' table (CASCADE should handle this, but explicit for safety)
+ * - Deletes mentor chat transcripts from 'day_messages' table
  * - Deletes syllabus from 'syllabi' table
  * 
  * Falls back gracefully if Supabase is unavailable
@@ -521,6 +576,19 @@ export async function deleteSyllabus(userId, syllabusId) {
       console.log('✅ Deleted syllabus_days:', daysDeleteData?.length || 0, 'days')
     }
 
+    // Step 1b: Delete mentor chat transcripts for this syllabus
+    // Note: CASCADE should handle this too; explicit for safety (failure is non-blocking)
+    const { error: messagesDeleteError } = await supabase
+      .from('day_messages')
+      .delete()
+      .eq(DAY_MESSAGES_COLUMNS.SYLLABUS_ID, syllabusId)
+      .eq(DAY_MESSAGES_COLUMNS.USER_ID, userId)
+
+    if (messagesDeleteError) {
+      console.warn('Warning: Could not delete day messages:', messagesDeleteError.message)
+      // Continue anyway - try to delete syllabus
+    }
+
     // Step 2: Delete the syllabus itself
     console.log('Step 2: Deleting syllabus from syllabi table:', syllabusId)
     const { data: syllabusDeleteData, error: syllabusDeleteError } = await supabase
@@ -630,7 +698,7 @@ export async function loadUserProfile(userId) {
   try {
     const { data, error } = await supabase
       .from('profiles')
-      .select('name, preferred_study_time')
+      .select(PROFILES_SELECT_COLUMNS.join(', '))
       .eq('id', userId)
       .single()
 
@@ -664,3 +732,125 @@ export async function loadUserProfile(userId) {
     return null
   }
 }
+
+/**
+ * Calendar profile (study times, timezone) of a loaded profile row
+ * 
+ * Defaults (20:00, device timezone) when the row is missing or incomplete -
+ * see normalizeCalendarProfile in calendarUtils.js
+ */
+export function toCalendarProfile(profileRow) {
+  return normalizeCalendarProfile({
+    preferredStudyTime: profileRow?.[PROFILES_COLUMNS.PREFERRED_STUDY_TIME],
+    studyTimesByWeekday: profileRow?.[PROFILES_COLUMNS.STUDY_TIMES_BY_WEEKDAY],
+    timeZone: profileRow?.[PROFILES_COLUMNS.TIME_ZONE]
+  })
+}
+
+/**
+ * Save a day's mentor chat transcript (and its suggested questions) to Supabase
+ * 
+ * Architecture:
+ * - One row per (syllabus_id, day_key) in 'day_messages', written via upsert
+ *   (the day key survives renumbering, so the transcript stays with its day)
+ * - Only persisted syllabi (valid UUID ids) are saved; in-memory syllabi are skipped
+ * 
+ * Falls back gracefully if Supabase is unavailable
+ * Does NOT throw errors - logs warnings instead
+ * Returns true if saved, false otherwise
+ */
+export async function saveDayMessages(userId, syllabusId, day, transcript) {
+  if (!userId || !isValidUUID(syllabusId) || !Number.isInteger(day?.dayNumber) || !transcript) {
+    // Not persisted yet (e.g. "syl_..." id) - nothing to save against
+    return false
+  }
+
+  try {
+    const payload = {
+      [DAY_MESSAGES_COLUMNS.USER_ID]: userId,
+      [DAY_MESSAGES_COLUMNS.SYLLABUS_ID]: syllabusId,
+      [DAY_MESSAGES_COLUMNS.DAY_KEY]: getDayKey(day),
+      [DAY_MESSAGES_COLUMNS.DAY_NUMBER]: day.dayNumber,
+      [DAY_MESSAGES_COLUMNS.MESSAGES]: Array.isArray(transcript.messages) ? transcript.messages : [],
+      [DAY_MESSAGES_COLUMNS.SUGGESTED_QUESTIONS]: transcript.suggestedQuestions || {},
+      [DAY_MESSAGES_COLUMNS.UPDATED_AT]: new Date().toISOString(),
+    }
+
+    // STRICT schema validation guard - prevents drift
+    if (!guardPayload(payload, DAY_MESSAGES_INSERT_COLUMNS, 'day_messages')) {
+      throw new Error('Schema validation failed: day messages payload does not match schema contract.')
+    }
+
+    const { error } = await supabase
+      .from('day_messages')
+      .upsert(payload, {
+        onConflict: `${DAY_MESSAGES_COLUMNS.SYLLABUS_ID},${DAY_MESSAGES_COLUMNS.DAY_KEY}`
+      })
+
+    if (error) throw error
+
+    return true
+  } catch (error) {
+    // AUTHORIZATION: Treat 406 Not Acceptable as authorization issue
+    if (error.status === 406 || error.message?.includes('406')) {
+      console.warn('⚠️  Authorization issue (406): User may not have access to save day messages')
+      return false
+    }
+    // FALLBACK: Log warning but don't crash
+    console.warn('⚠️  Supabase unavailable or error saving day messages:', error.message)
+    console.warn('   Chat transcript will only live in memory')
+    return false
+  }
+}
+
+/**
+ * Load a day's mentor chat transcript from Supabase
+ * 
+ * dayKey: the day's key (see dayKeys.js getDayKey)
+ * Returns { messages, suggestedQuestions } or null if nothing was saved
+ * Falls back gracefully if Supabase is unavailable
+ */
+export async function loadDayMessages(userId, syllabusId, dayKey) {
+  if (!userId || !isValidUUID(syllabusId) || !dayKey) {
+    return null
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('day_messages')
+      .select(DAY_MESSAGES_SELECT_COLUMNS.join(', '))
+      .eq(DAY_MESSAGES_COLUMNS.USER_ID, userId)
+      .eq(DAY_MESSAGES_COLUMNS.SYLLABUS_ID, syllabusId)
+      .eq(DAY_MESSAGES_COLUMNS.DAY_KEY, dayKey)
+      .single()
+
+    if (error) {
+      // No transcript yet is not an error
+      if (error.code === 'PGRST116') {
+        return null
+      }
+      // AUTHORIZATION: Treat 406 Not Acceptable as authorization issue
+      if (error.status === 406 || error.message?.includes('406')) {
+        console.warn('⚠️  Authorization issue (406): User may not have access to day messages')
+        return null
+      }
+      throw error
+    }
+
+    const messages = Array.isArray(data?.[DAY_MESSAGES_COLUMNS.MESSAGES])
+      ? data[DAY_MESSAGES_COLUMNS.MESSAGES].filter(msg =>
+          msg && (msg.role === 'user' || msg.role === 'assistant') && typeof msg.content === 'string'
+        )
+      : []
+    const suggestedQuestions = data?.[DAY_MESSAGES_COLUMNS.SUGGESTED_QUESTIONS] &&
+      typeof data[DAY_MESSAGES_COLUMNS.SUGGESTED_QUESTIONS] === 'object'
+      ? data[DAY_MESSAGES_COLUMNS.SUGGESTED_QUESTIONS]
+      : {}
+
+    return { messages, suggestedQuestions }
+  } catch (error) {
+    // FALLBACK: Log warning but don't crash
+    console.warn('⚠️  Supabase unavailable or error loading day messages:', error.message)
+    return null
+  }
+}